@@ -0,0 +1,135 @@
+/**
+ * Push events
+ * What to push to a user right now, given their open dated tasks:
+ *
+ * - due: a task with a time, when that time comes
+ * - overdue: a task still open on the morning after its due date
+ * - digest: the TODAY list, every morning there's something on it
+ *
+ * Mornings are DIGEST_HOUR in the user's time zone, which date-only tasks
+ * and the digest go by. Each event has a key; api/push records the keys it
+ * has sent so runs that overlap or retry don't push twice. An event stays
+ * due for CATCH_UP_WINDOW, so a run that failed is made up by the next.
+ */
+
+import moment from 'moment';
+import {
+  DUE_DATE_FORMAT,
+  getDueInstant,
+  getToday,
+  toDueDate,
+  toDueTime,
+} from '../../src/lib/due-dates';
+
+export const DIGEST_HOUR = 8;
+
+export const CATCH_UP_WINDOW = 2 * 60 * 60 * 1000;
+
+// Tasks named in the digest; the rest are counted
+const DIGEST_LIMIT = 5;
+
+const MORNING = `${String(DIGEST_HOUR).padStart(2, '0')}:00`;
+
+/**
+ * A tasks row as the events use it
+ * @param {Object} row - From the tasks table
+ * @param {string} [timeZone] - For tasks without their own
+ * @returns {Object}
+ */
+export const toPushTask = (row, timeZone) => ({
+  id: row.id,
+  task: row.task,
+  dueDate: toDueDate(row.due_date),
+  dueTime: toDueTime(row.due_time),
+  timeZone: row.due_timezone || timeZone || null,
+});
+
+const isWithinWindow = (at, now) =>
+  Boolean(at) && at <= now && now - at < CATCH_UP_WINDOW;
+
+const byDueTime = (a, b) =>
+  (a.dueTime || '99:99').localeCompare(b.dueTime || '99:99');
+
+const describeDay = (dueDate) =>
+  moment(dueDate, DUE_DATE_FORMAT).format('ddd D MMM');
+
+/**
+ * @param {Object} options
+ * @param {Object[]} options.tasks - The user's open tasks, see toPushTask
+ * @param {string} [options.timeZone] - The user's
+ * @param {Date} [options.now]
+ * @returns {Array<{key: string, payload: Object, ttl: number, urgency: string}>}
+ *   Payloads are what the service worker shows: { title, body, tag, url }
+ */
+export const planPushes = ({ tasks, timeZone = null, now = new Date() }) => {
+  const ttl = CATCH_UP_WINDOW / 1000;
+  const events = [];
+
+  tasks.forEach((task) => {
+    if (!task.dueDate) return;
+    const zone = task.timeZone || timeZone;
+
+    const due = task.dueTime && getDueInstant(task.dueDate, task.dueTime, zone);
+    if (isWithinWindow(due, now)) {
+      events.push({
+        key: `due:${task.id}:${due.toISOString()}`,
+        payload: {
+          title: 'Due now',
+          body: task.task,
+          tag: `task-${task.id}`,
+          url: '/',
+        },
+        ttl,
+        urgency: 'high',
+      });
+    }
+
+    const nextDay = moment(task.dueDate, DUE_DATE_FORMAT)
+      .add(1, 'day')
+      .format(DUE_DATE_FORMAT);
+    if (isWithinWindow(getDueInstant(nextDay, MORNING, zone), now)) {
+      events.push({
+        key: `overdue:${task.id}:${task.dueDate}`,
+        payload: {
+          title: 'Overdue',
+          body: `${task.task} (due ${describeDay(task.dueDate)})`,
+          tag: `task-${task.id}`,
+          url: '/',
+        },
+        ttl,
+        urgency: 'normal',
+      });
+    }
+  });
+
+  const today = getToday(timeZone, now);
+  const dueToday = tasks
+    .filter((task) => task.dueDate === today)
+    .sort(byDueTime);
+  if (
+    dueToday.length > 0 &&
+    isWithinWindow(getDueInstant(today, MORNING, timeZone), now)
+  ) {
+    const names = dueToday
+      .slice(0, DIGEST_LIMIT)
+      .map((task) =>
+        task.dueTime ? `${task.dueTime} ${task.task}` : task.task
+      );
+    const more = dueToday.length - names.length;
+    events.push({
+      key: `digest:${today}`,
+      payload: {
+        title: `Today: ${dueToday.length} ${
+          dueToday.length === 1 ? 'task' : 'tasks'
+        }`,
+        body: [...names, ...(more > 0 ? [`and ${more} more`] : [])].join('\n'),
+        tag: 'digest',
+        url: '/',
+      },
+      ttl,
+      urgency: 'normal',
+    });
+  }
+
+  return events;
+};
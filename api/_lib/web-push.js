@@ -0,0 +1,236 @@
+/**
+ * Web Push
+ * Sends notifications to browser push subscriptions: the payload is encrypted
+ * for the subscription (RFC 8291, aes128gcm) and the request signed with the
+ * app's VAPID keys (RFC 8292), so push services know it's from us.
+ *
+ * Keys are base64url: the public key is the raw uncompressed P-256 point the
+ * browser subscribes with (REACT_APP_VAPID_PUBLIC_KEY), the private key its
+ * 32-byte scalar. generateVapidKeys() makes a pair.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+
+// Push services must accept records of at least this size
+const RECORD_SIZE = 4096;
+
+// How long a VAPID token is good for; push services allow up to a day
+const TOKEN_LIFETIME = 12 * 60 * 60;
+
+export class WebPushError extends Error {
+  constructor(message, statusCode, body = '') {
+    super(message);
+    this.name = 'WebPushError';
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+
+  // The subscription expired or was revoked; stop sending to it
+  get isGone() {
+    return this.statusCode === 404 || this.statusCode === 410;
+  }
+}
+
+export const toBase64Url = (buffer) =>
+  Buffer.from(buffer).toString('base64url');
+
+export const fromBase64Url = (text) => Buffer.from(text, 'base64url');
+
+const toPublicJwk = (publicKey) => {
+  const point = fromBase64Url(publicKey);
+  if (point.length !== 65 || point[0] !== 4) {
+    throw new Error('VAPID public key must be an uncompressed P-256 point');
+  }
+  return {
+    kty: 'EC',
+    crv: 'P-256',
+    x: toBase64Url(point.subarray(1, 33)),
+    y: toBase64Url(point.subarray(33)),
+  };
+};
+
+/**
+ * A new VAPID key pair
+ * @returns {{publicKey: string, privateKey: string}}
+ */
+export const generateVapidKeys = () => {
+  const { privateKey } = crypto.generateKeyPairSync('ec', {
+    namedCurve: 'prime256v1',
+  });
+  const jwk = privateKey.export({ format: 'jwk' });
+  return {
+    publicKey: toBase64Url(
+      Buffer.concat([
+        Buffer.from([4]),
+        fromBase64Url(jwk.x),
+        fromBase64Url(jwk.y),
+      ])
+    ),
+    privateKey: jwk.d,
+  };
+};
+
+/**
+ * The Authorization header for a push service
+ * @param {Object} options
+ * @param {string} options.endpoint - The subscription's
+ * @param {Object} options.vapid - { publicKey, privateKey, subject }
+ * @param {number} [options.now] - Seconds since the epoch
+ * @returns {string}
+ */
+export const createVapidAuthorization = ({
+  endpoint,
+  vapid,
+  now = Math.floor(Date.now() / 1000),
+}) => {
+  const key = crypto.createPrivateKey({
+    key: { ...toPublicJwk(vapid.publicKey), d: vapid.privateKey },
+    format: 'jwk',
+  });
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(
+    JSON.stringify({
+      aud: new URL(endpoint).origin,
+      exp: now + TOKEN_LIFETIME,
+      sub: vapid.subject,
+    })
+  );
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key,
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${
+    vapid.publicKey
+  }`;
+};
+
+/**
+ * Content encryption key and nonce for one message (RFC 8291, section 3.4)
+ * Shared with the push service stand-in the tests use, which decrypts.
+ * @param {Object} inputs
+ * @param {Buffer} inputs.secret - ECDH secret
+ * @param {Buffer} inputs.authSecret - The subscription's auth
+ * @param {Buffer} inputs.userAgentKey - The subscription's p256dh
+ * @param {Buffer} inputs.serverKey - The sender's one-off public key
+ * @param {Buffer} inputs.salt
+ * @returns {{key: Buffer, nonce: Buffer}}
+ */
+export const deriveContentKeys = ({
+  secret,
+  authSecret,
+  userAgentKey,
+  serverKey,
+  salt,
+}) => {
+  const hkdf = (input, hkdfSalt, info, length) =>
+    Buffer.from(crypto.hkdfSync('sha256', input, hkdfSalt, info, length));
+
+  const keyInfo = Buffer.concat([
+    Buffer.from('WebPush: info\0'),
+    userAgentKey,
+    serverKey,
+  ]);
+  const ikm = hkdf(secret, authSecret, keyInfo, 32);
+  return {
+    key: hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    nonce: hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12),
+  };
+};
+
+/**
+ * Encrypt a payload for a subscription as a single aes128gcm record
+ * @param {string|Buffer} payload
+ * @param {Object} keys - The subscription's { p256dh, auth }
+ * @returns {Buffer} The request body
+ */
+export const encryptPayload = (payload, keys) => {
+  const userAgentKey = fromBase64Url(keys.p256dh);
+  const ecdh = crypto.createECDH('prime256v1');
+  const serverKey = ecdh.generateKeys();
+  const salt = crypto.randomBytes(16);
+  const { key, nonce } = deriveContentKeys({
+    secret: ecdh.computeSecret(userAgentKey),
+    authSecret: fromBase64Url(keys.auth),
+    userAgentKey,
+    serverKey,
+    salt,
+  });
+
+  // A 0x02 delimiter marks the last (and only) record
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+  if (plaintext.length + 16 > RECORD_SIZE - 86) {
+    throw new Error('Push payload is too large');
+  }
+  const cipher = crypto.createCipheriv('aes-128-gcm', key, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(serverKey.length, 20);
+  return Buffer.concat([header, serverKey, ciphertext]);
+};
+
+const post = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const { request } = url.startsWith('https:') ? https : http;
+    const req = request(url, { method: 'POST', headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        text += chunk;
+      });
+      res.on('end', () => resolve({ statusCode: res.statusCode, body: text }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+/**
+ * Send a notification
+ * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {Object|string} payload - Objects are sent as JSON
+ * @param {Object} options
+ * @param {Object} options.vapid - { publicKey, privateKey, subject }
+ * @param {number} [options.ttl] - Seconds the push service may hold it
+ * @param {string} [options.urgency] - very-low, low, normal or high
+ * @returns {Promise<number>} The push service's status code
+ * @throws {WebPushError} When the push service turns it down
+ */
+export const sendNotification = async (
+  subscription,
+  payload,
+  { vapid, ttl = 24 * 60 * 60, urgency = 'normal' } = {}
+) => {
+  const body = encryptPayload(
+    typeof payload === 'string' ? payload : JSON.stringify(payload),
+    subscription.keys
+  );
+  const headers = {
+    Authorization: createVapidAuthorization({
+      endpoint: subscription.endpoint,
+      vapid,
+    }),
+    'Content-Encoding': 'aes128gcm',
+    'Content-Type': 'application/octet-stream',
+    'Content-Length': body.length,
+    TTL: ttl,
+    Urgency: urgency,
+  };
+
+  const response = await post(subscription.endpoint, headers, body);
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new WebPushError(
+      `Push service responded with ${response.statusCode}`,
+      response.statusCode,
+      response.body
+    );
+  }
+  return response.statusCode;
+};
@@ -1,4 +1,8 @@
 // AI Task Processor - Optimized for Speed
+import { parseRecurrence } from '../src/lib/recurrence';
+import { getToday, parseDueDate, parseDueTime, toDueDate } from '../src/lib/due-dates';
+import { planReschedule } from '../src/lib/overdue';
+
 // Simple cache for repeat requests (resets on server restart)
 const responseCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
@@ -29,8 +33,10 @@ export default async function handler(req, res) {
       return;
     }
 
-    // Check cache first for faster responses
-    const cacheKey = `${feature || 'smart-parse'}_${userInput.toLowerCase().trim()}`;
+    // Check cache first for faster responses (relative dates depend on the user's day,
+    // schedules on the tasks being scheduled)
+    const schedulingKey = context.tasks ? JSON.stringify([context.tasks, context.load]) : '';
+    const cacheKey = `${feature || 'smart-parse'}_${context.today || ''}_${schedulingKey}_${userInput.toLowerCase().trim()}`;
     const cached = responseCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
       res.status(200).json({ ...cached.response, cached: true });
@@ -57,7 +63,7 @@ async function processWithAI(userInput, feature, context) {
   const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
   
   // Quick pattern matching for common inputs - instant response
-  const quickResult = getQuickParseResult(userInput, feature);
+  const quickResult = getQuickParseResult(userInput, feature, context);
   if (quickResult) {
     return quickResult;
   }
@@ -75,7 +81,7 @@ async function processWithAI(userInput, feature, context) {
   // Mock intelligent responses for different AI features (fallback)
   switch (feature) {
     case 'smart-parse':
-      return smartParseTask(userInput);
+      return smartParseTask(userInput, context);
     
     case 'task-breakdown':
       return breakdownTask(userInput, context);
@@ -90,19 +96,20 @@ async function processWithAI(userInput, feature, context) {
       return smartScheduling(userInput, context);
     
     default:
-      return smartParseTask(userInput);
+      return smartParseTask(userInput, context);
   }
 }
 
 async function processWithOpenAI(userInput, feature, context, apiKey) {
   const prompts = {
     'smart-parse': `Parse: "${userInput}"
+Today is ${resolveToday(context)}.
 
 Return JSON:
 {
   "taskName": "cleaned task name",
-  "date": "extracted date or null",
-  "time": "extracted time or null", 
+  "dueDate": "YYYY-MM-DD or null",
+  "dueTime": "HH:mm (24h) or null", 
   "priority": "high/medium/low",
   "people": ["names"],
   "category": "work/personal/health/etc",
@@ -138,7 +145,14 @@ Return JSON:
   "bestPractices": ["tip1", "tip2"]
 }`,
 
-    'smart-scheduling': `Schedule: "${userInput}"
+    'smart-scheduling': context.tasks ? `Reschedule these overdue tasks: ${JSON.stringify(context.tasks)}
+Today is ${resolveToday(context)}. Open tasks already due per day: ${JSON.stringify(context.load || {})}.
+Spread them over the next 7 days, most urgent first, avoiding busy days.
+
+Return JSON:
+{
+  "schedule": [{"id": "task id", "dueDate": "YYYY-MM-DD", "reason": "why"}]
+}` : `Schedule: "${userInput}"
 
 Return JSON:
 {
@@ -212,19 +226,14 @@ Return JSON:
   }
 }
 
-function smartParseTask(input) {
+// The user's calendar day, sent by the client so "tomorrow" matches their zone
+function resolveToday(context = {}) {
+  return toDueDate(context.today) || getToday(context.timeZone);
+}
+
+function smartParseTask(input, context = {}) {
   // Intelligent parsing patterns
   const patterns = {
-    datePatterns: [
-      /\b(today|tomorrow|next week|next month)\b/i,
-      /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
-      /\b(\d{1,2}\/\d{1,2}\/?\d{0,4})\b/,
-      /\b(january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2}\b/i
-    ],
-    timePatterns: [
-      /\b(\d{1,2}:\d{2}\s?(am|pm)?)\b/i,
-      /\b(morning|afternoon|evening|night)\b/i
-    ],
     priorityPatterns: [
       /\b(urgent|asap|important|high priority|critical)\b/i,
       /\b(low priority|when possible|eventually)\b/i
@@ -236,30 +245,36 @@ function smartParseTask(input) {
   };
 
   let taskName = input;
-  let extractedDate = null;
-  let extractedTime = null;
+  let dueDate = null;
+  let dueTime = null;
+  let recurrence = null;
   let priority = 'medium';
   let people = [];
   let category = inferCategory(input);
+  let scanInput = input;
+
+  // Extract recurrence first so "every monday" isn't read as a one-off date
+  const recurrenceMatch = parseRecurrence(input);
+  if (recurrenceMatch) {
+    recurrence = recurrenceMatch.rule;
+    taskName = taskName.replace(recurrenceMatch.match, '').trim();
+    scanInput = input.replace(recurrenceMatch.match, ' ');
+  }
 
   // Extract date
-  for (const pattern of patterns.datePatterns) {
-    const match = input.match(pattern);
-    if (match) {
-      extractedDate = match[0];
-      taskName = taskName.replace(match[0], '').trim();
-      break;
-    }
+  const today = resolveToday(context);
+  const dateMatch = parseDueDate(scanInput, today);
+  if (dateMatch) {
+    dueDate = dateMatch.dueDate;
+    taskName = taskName.replace(dateMatch.match, '').trim();
   }
 
-  // Extract time
-  for (const pattern of patterns.timePatterns) {
-    const match = input.match(pattern);
-    if (match) {
-      extractedTime = match[0];
-      taskName = taskName.replace(match[0], '').trim();
-      break;
-    }
+  // Extract time - a time on its own means today, unless the task repeats
+  const timeMatch = parseDueTime(scanInput);
+  if (timeMatch) {
+    dueTime = timeMatch.dueTime;
+    dueDate = dueDate || (recurrence ? null : today);
+    taskName = taskName.replace(timeMatch.match, '').trim();
   }
 
   // Extract priority
@@ -286,8 +301,10 @@ function smartParseTask(input) {
     success: true,
     parsed: {
       taskName: taskName || input,
-      date: extractedDate,
-      time: extractedTime,
+      dueDate,
+      dueTime,
+      timeZone: context.timeZone || null,
+      recurrence,
       priority,
       people,
       category,
@@ -295,7 +312,7 @@ function smartParseTask(input) {
       estimatedDuration: estimateDuration(input),
       suggestions: generateTaskSuggestions(taskName, category)
     },
-    confidence: calculateConfidence(input, extractedDate, extractedTime, people.length)
+    confidence: calculateConfidence(input, dueDate || recurrence, dueTime, people.length)
   };
 }
 
@@ -402,6 +419,13 @@ function getContextualSuggestions(input, context) {
 function smartScheduling(input, context) {
   return {
     success: true,
+    // Days for the given tasks when rescheduling a batch (see src/lib/overdue)
+    ...(Array.isArray(context.tasks) && {
+      schedule: planReschedule(context.tasks, {
+        today: resolveToday(context),
+        load: context.load || {}
+      })
+    }),
     recommendations: {
       bestTime: suggestOptimalTime(input),
       duration: estimateDuration(input),
@@ -417,7 +441,7 @@ function smartScheduling(input, context) {
 }
 
 // Quick pattern matching for instant responses
-function getQuickParseResult(input, feature) {
+function getQuickParseResult(input, feature, context = {}) {
   if (feature !== 'smart-parse') return null;
   
   const lower = input.toLowerCase().trim();
@@ -435,14 +459,28 @@ function getQuickParseResult(input, feature) {
   
   for (const [pattern, defaults] of Object.entries(quickPatterns)) {
     if (lower.startsWith(pattern)) {
-      const taskName = input.slice(pattern.length).trim();
+      const recurrenceMatch = parseRecurrence(input);
+      let taskName = input.slice(pattern.length).trim();
+      let scanInput = input;
+      if (recurrenceMatch) {
+        taskName = taskName.replace(recurrenceMatch.match, '');
+        scanInput = input.replace(recurrenceMatch.match, ' ');
+      }
+      const today = resolveToday(context);
+      const dateMatch = parseDueDate(scanInput, today);
+      const timeMatch = parseDueTime(scanInput);
+      if (dateMatch) taskName = taskName.replace(dateMatch.match, '');
+      if (timeMatch) taskName = taskName.replace(timeMatch.match, '');
+      taskName = taskName.replace(/\s+/g, ' ').trim();
       return {
         success: true,
         fastResponse: true,
         parsed: {
           taskName: taskName || input,
-          date: null,
-          time: null,
+          dueDate: dateMatch ? dateMatch.dueDate : (timeMatch && !recurrenceMatch ? today : null),
+          dueTime: timeMatch ? timeMatch.dueTime : null,
+          timeZone: context.timeZone || null,
+          recurrence: recurrenceMatch ? recurrenceMatch.rule : null,
           priority: defaults.priority || 'medium',
           people: [],
           category: defaults.category || 'general',
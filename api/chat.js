@@ -47,7 +47,7 @@ export default async function handler(req, res) {
     if (taskContext && taskContext.tasks && taskContext.tasks.length > 0) {
       const activeTasks = taskContext.tasks.filter(task => !task.archived);
       const taskList = activeTasks.map(task => 
-        `- ${task.task} (Priority: ${task.priority}${task.date ? `, Due: ${task.date}` : ''})`
+        `- ${task.task} (Priority: ${task.priority}${task.dueDate ? `, Due: ${task.dueDate}${task.dueTime ? ` ${task.dueTime}` : ''}` : ''})`
       ).join('\n');
       
       taskContextInfo = `\n\nCURRENT USER TASKS (${activeTasks.length} active tasks):\n${taskList}\n\nUse this context to provide relevant assistance with their tasks, suggest improvements, help with prioritization, or answer questions about their workload.`;
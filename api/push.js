@@ -0,0 +1,192 @@
+import { createClient } from '@supabase/supabase-js';
+import moment from 'moment';
+import { sendNotification } from './_lib/web-push';
+import { planPushes, toPushTask } from './_lib/push-events';
+
+// Called by Vercel Cron every 15 minutes, see vercel.json. Crons that run
+// more than once a day need a Vercel Pro plan; see the README for Hobby.
+export const maxDuration = 30;
+
+// Sent keys are kept a little longer than any event stays due
+const DELIVERY_RETENTION_DAYS = 3;
+
+const groupByUser = (rows) =>
+  rows.reduce((groups, row) => {
+    groups.set(row.user_id, [...(groups.get(row.user_id) || []), row]);
+    return groups;
+  }, new Map());
+
+/**
+ * Push due, overdue and digest notifications to every subscribed user
+ * @param {Object} options
+ * @param {Object} options.supabase - A service role client
+ * @param {Object} options.vapid - { publicKey, privateKey, subject }
+ * @param {Date} [options.now]
+ * @param {Function} [options.send] - sendNotification by default
+ * @returns {Promise<{users: number, sent: number, failed: number, removed: number, errors: number}>}
+ *   errors counts users whose pushes were cut short; the others still get theirs
+ */
+export const runPushes = async ({
+  supabase,
+  vapid,
+  now = new Date(),
+  send = sendNotification,
+}) => {
+  const result = { users: 0, sent: 0, failed: 0, removed: 0, errors: 0 };
+
+  const { data: subscriptions, error } = await supabase
+    .from('push_subscriptions')
+    .select('endpoint, user_id, p256dh, auth, time_zone, updated_at');
+  if (error) throw error;
+  if (!subscriptions || subscriptions.length === 0) return result;
+
+  const subscriptionsByUser = groupByUser(subscriptions);
+  result.users = subscriptionsByUser.size;
+
+  // Open tasks from the day before yesterday on covers every zone's overdue
+  // and today; anything later than tomorrow isn't due anywhere yet
+  const { data: tasks, error: tasksError } = await supabase
+    .from('tasks')
+    .select('id, task, user_id, due_date, due_time, due_timezone')
+    .in('user_id', [...subscriptionsByUser.keys()])
+    .eq('archived', false)
+    .gte('due_date', moment.utc(now).subtract(2, 'days').format('YYYY-MM-DD'))
+    .lte('due_date', moment.utc(now).add(1, 'day').format('YYYY-MM-DD'));
+  if (tasksError) throw tasksError;
+  const tasksByUser = groupByUser(tasks || []);
+
+  const pushToUser = async ([userId, userSubscriptions]) => {
+    // The most recently used browser says where the user is
+    const [latest] = [...userSubscriptions].sort((a, b) =>
+      String(b.updated_at).localeCompare(String(a.updated_at))
+    );
+    const events = planPushes({
+      tasks: (tasksByUser.get(userId) || []).map((row) =>
+        toPushTask(row, latest.time_zone)
+      ),
+      timeZone: latest.time_zone,
+      now,
+    });
+    if (events.length === 0) return;
+
+    // Claim the events first; another run may have sent some already
+    const { data: claimed, error: claimError } = await supabase
+      .from('push_deliveries')
+      .upsert(
+        events.map(({ key }) => ({ user_id: userId, key })),
+        { onConflict: 'user_id,key', ignoreDuplicates: true }
+      )
+      .select('key');
+    if (claimError) throw claimError;
+    const claimedKeys = new Set((claimed || []).map(({ key }) => key));
+
+    const gone = new Set();
+    await Promise.all(
+      events
+        .filter(({ key }) => claimedKeys.has(key))
+        .flatMap(({ payload, ttl, urgency }) =>
+          userSubscriptions.map(async (subscription) => {
+            try {
+              await send(
+                {
+                  endpoint: subscription.endpoint,
+                  keys: {
+                    p256dh: subscription.p256dh,
+                    auth: subscription.auth,
+                  },
+                },
+                payload,
+                { vapid, ttl, urgency }
+              );
+              result.sent += 1;
+            } catch (sendError) {
+              if (sendError.isGone) {
+                gone.add(subscription.endpoint);
+              } else {
+                result.failed += 1;
+                console.error('Error sending push:', sendError);
+              }
+            }
+          })
+        )
+    );
+
+    if (gone.size > 0) {
+      const { error: removeError } = await supabase
+        .from('push_subscriptions')
+        .delete()
+        .in('endpoint', [...gone]);
+      if (removeError) throw removeError;
+      result.removed += gone.size;
+    }
+  };
+
+  // One user's failure doesn't hold up everyone else's reminders
+  await Promise.all(
+    [...subscriptionsByUser].map((entry) =>
+      pushToUser(entry).catch((userError) => {
+        result.errors += 1;
+        console.error(`Error sending pushes to ${entry[0]}:`, userError);
+      })
+    )
+  );
+
+  const { error: pruneError } = await supabase
+    .from('push_deliveries')
+    .delete()
+    .lt(
+      'sent_at',
+      moment(now).subtract(DELIVERY_RETENTION_DAYS, 'days').toISOString()
+    );
+  if (pruneError) console.error('Error pruning push deliveries:', pruneError);
+
+  return result;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.setHeader('Allow', ['GET', 'POST']);
+    res.status(405).json({ error: `Method ${req.method} Not Allowed` });
+    return;
+  }
+
+  // Vercel Cron sends CRON_SECRET as a bearer token
+  const { CRON_SECRET } = process.env;
+  if (!CRON_SECRET || req.headers.authorization !== `Bearer ${CRON_SECRET}`) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  const supabaseUrl =
+    process.env.SUPABASE_URL || process.env.REACT_APP_SUPABASE_URL;
+  const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const vapid = {
+    publicKey:
+      process.env.VAPID_PUBLIC_KEY || process.env.REACT_APP_VAPID_PUBLIC_KEY,
+    privateKey: process.env.VAPID_PRIVATE_KEY,
+    subject: process.env.VAPID_SUBJECT,
+  };
+  if (
+    !supabaseUrl ||
+    !serviceRoleKey ||
+    !vapid.publicKey ||
+    !vapid.privateKey ||
+    !vapid.subject
+  ) {
+    res.status(500).json({
+      error:
+        'Push notifications need SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT',
+    });
+    return;
+  }
+
+  try {
+    const supabase = createClient(supabaseUrl, serviceRoleKey, {
+      auth: { persistSession: false },
+    });
+    res.status(200).json(await runPushes({ supabase, vapid }));
+  } catch (error) {
+    console.error('Error sending pushes:', error);
+    res.status(500).json({ error: 'Failed to send pushes' });
+  }
+}
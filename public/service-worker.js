@@ -0,0 +1,52 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * Service worker
+ * Shows the notifications api/push sends while no tab of the app is open,
+ * and brings the app to the front when one is clicked. Payloads are
+ * { title, body, tag, url }; see api/_lib/push-events.js.
+ * Subscriptions the browser renews are saved again the next time the app
+ * opens, see usePushNotifications.
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data.text() };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'AI Todoist', {
+      body: data.body || '',
+      tag: data.tag,
+      icon: '/favicon.ico',
+      data: { url: data.url || '/' },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data.url, self.location.origin).href;
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: 'window', includeUncontrolled: true })
+      .then((windows) => {
+        const open = windows.find((client) =>
+          client.url.startsWith(self.location.origin)
+        );
+        if (open) return open.focus();
+        return self.clients.openWindow(url);
+      })
+  );
+});
@@ -2,11 +2,20 @@ import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { Header } from './components/layout/Header';
 import { Content } from './components/layout/Content';
-import { ProjectsProvider, SelectedProjectProvider } from './context';
+import {
+  FiltersProvider,
+  LabelsProvider,
+  PeopleProvider,
+  ProjectsProvider,
+  SelectedProjectProvider,
+} from './context';
 import { AuthProvider, useAuth } from './context/auth-context';
 import { NotificationProvider } from './context/notification-context';
+import { HistoryProvider } from './context/history-context';
 import { Auth } from './components/Auth';
 import { NotificationContainer } from './components/NotificationContainer';
+import { Reminders } from './components/Reminders';
+import { AcceptInvitation } from './components/AcceptInvitation';
 import PerplexityChat from './components/PerplexityChat';
 
 const AppContent = ({ darkMode, setDarkMode }) => {
@@ -26,19 +35,29 @@ const AppContent = ({ darkMode, setDarkMode }) => {
 
   return (
     <NotificationProvider>
-      <SelectedProjectProvider>
-        <ProjectsProvider>
-          <main
-            data-testid="application"
-            className={darkMode ? 'darkmode' : undefined}
-          >
-            <Header darkMode={darkMode} setDarkMode={setDarkMode} />
-            <Content />
-            <PerplexityChat />
-            <NotificationContainer />
-          </main>
-        </ProjectsProvider>
-      </SelectedProjectProvider>
+      <HistoryProvider>
+        <SelectedProjectProvider>
+          <ProjectsProvider>
+            <LabelsProvider>
+              <FiltersProvider>
+                <PeopleProvider>
+                  <main
+                    data-testid="application"
+                    className={darkMode ? 'darkmode' : undefined}
+                  >
+                    <Header darkMode={darkMode} setDarkMode={setDarkMode} />
+                    <Content />
+                    <PerplexityChat />
+                    <NotificationContainer />
+                    <Reminders />
+                    <AcceptInvitation />
+                  </main>
+                </PeopleProvider>
+              </FiltersProvider>
+            </LabelsProvider>
+          </ProjectsProvider>
+        </SelectedProjectProvider>
+      </HistoryProvider>
     </NotificationProvider>
   );
 };
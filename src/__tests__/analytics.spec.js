@@ -0,0 +1,166 @@
+import moment from 'moment';
+import {
+  computeAnalytics,
+  normalizeServerAnalytics,
+  getPresetRange,
+  getRangeDays,
+  getFetchStart,
+} from '../lib/analytics';
+
+// Local-time timestamps so day bucketing doesn't depend on the machine's zone
+const at = (day, time = '10:00') => moment(`${day} ${time}`).toISOString();
+
+const task = (overrides) => ({
+  id: 1,
+  project_id: '2',
+  priority: 'medium',
+  archived: false,
+  ai_enhanced: false,
+  created_at: at('2024-03-01'),
+  updated_at: at('2024-03-01'),
+  ...overrides,
+});
+
+const projects = [
+  { id: '2', name: 'Personal' },
+  { id: '3', name: 'Work' },
+];
+
+const range = { from: '2024-03-01', to: '2024-03-07' };
+
+describe('analytics', () => {
+  describe('ranges', () => {
+    it('builds inclusive preset ranges and day lists', () => {
+      expect(getPresetRange(7, moment('2024-03-07'))).toEqual(range);
+      expect(getRangeDays({ from: '2024-02-28', to: '2024-03-01' })).toEqual([
+        '2024-02-28',
+        '2024-02-29',
+        '2024-03-01',
+      ]);
+    });
+
+    it('fetches far enough back for the velocity comparison', () => {
+      expect(moment(getFetchStart(range)).format('YYYY-MM-DD')).toBe(
+        '2024-02-23'
+      );
+    });
+  });
+
+  describe('computeAnalytics', () => {
+    const tasks = [
+      task({
+        id: 1,
+        archived: true,
+        ai_enhanced: true,
+        priority: 'high',
+        updated_at: at('2024-03-03', '09:00'),
+      }),
+      task({ id: 2, project_id: '3', created_at: at('2024-03-02') }),
+      task({
+        id: 3,
+        project_id: '3',
+        archived: true,
+        created_at: at('2024-02-20'),
+        updated_at: at('2024-03-03', '16:00'),
+      }),
+      task({ id: 4, created_at: at('2024-03-09') }),
+    ];
+
+    const result = computeAnalytics(tasks, projects, range);
+
+    it('counts created and completed tasks within the range', () => {
+      expect(result.totals).toEqual({
+        created: 2,
+        completed: 2,
+        completionRate: 50,
+        aiEnhancedRate: 50,
+        averageCompletionDays: 7.1,
+      });
+    });
+
+    it('fills a trend entry for every day', () => {
+      expect(result.trend).toHaveLength(7);
+      expect(result.trend[0]).toEqual({
+        date: '2024-03-01',
+        created: 1,
+        completed: 0,
+      });
+      expect(result.trend[2]).toEqual({
+        date: '2024-03-03',
+        created: 0,
+        completed: 2,
+      });
+    });
+
+    it('breaks tasks down by project and priority', () => {
+      expect(result.byProject).toEqual([
+        { projectId: '2', name: 'Personal', total: 1, completed: 1 },
+        { projectId: '3', name: 'Work', total: 1, completed: 0 },
+      ]);
+      expect(result.byPriority).toEqual([
+        { priority: 'high', total: 1, completed: 1 },
+        { priority: 'medium', total: 1, completed: 0 },
+        { priority: 'low', total: 0, completed: 0 },
+      ]);
+    });
+
+    it('derives peak times and velocity from completions', () => {
+      expect(result.insights).toEqual({
+        peakDay: 0, // 3 March 2024 was a Sunday
+        peakHour: 9,
+        velocity: 0.29,
+        aiSuccessRate: 100,
+      });
+    });
+
+    it('handles an empty range', () => {
+      const empty = computeAnalytics([], [], range);
+      expect(empty.totals.completionRate).toBe(0);
+      expect(empty.totals.averageCompletionDays).toBeNull();
+      expect(empty.insights.peakDay).toBeNull();
+    });
+  });
+
+  describe('normalizeServerAnalytics', () => {
+    it('maps the SQL output onto the dashboard shape', () => {
+      const result = normalizeServerAnalytics(
+        {
+          total_tasks: 4,
+          completed_tasks: 3,
+          completion_rate: 75.0,
+          ai_enhanced_percentage: 25.0,
+          average_completion_time_days: '1.5',
+          tasks_by_priority: [{ priority: 'low', total: 4, completed: 3 }],
+          tasks_by_project: [
+            { project_id: '3', project_name: 'Work', total: 4, completed: 3 },
+          ],
+          productivity_trend: [
+            { date: '2024-03-02', created: 4, completed: 3 },
+          ],
+        },
+        {
+          peak_productivity_day: 2,
+          peak_productivity_hour: 14,
+          completion_velocity: 0.43,
+          ai_task_success_rate: 0,
+        },
+        range
+      );
+
+      expect(result.totals.averageCompletionDays).toBe(1.5);
+      expect(result.trend[1]).toEqual({
+        date: '2024-03-02',
+        created: 4,
+        completed: 3,
+      });
+      expect(result.trend).toHaveLength(7);
+      expect(result.byPriority[2]).toEqual({
+        priority: 'low',
+        total: 4,
+        completed: 3,
+      });
+      expect(result.byProject[0].name).toBe('Work');
+      expect(result.insights.peakHour).toBe(14);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createFileSystemStorage,
+  createSupabaseStorage,
+  readBytes,
+} from '../lib/attachment-storage';
+
+describe('attachment-storage', () => {
+  let root;
+  let storage;
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+    storage = createFileSystemStorage({ fs: fs.promises, path, root });
+  });
+
+  afterEach(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+  it('reads files and byte arrays', async () => {
+    const file = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+    expect(Array.from(await readBytes(file))).toEqual(
+      Array.from(Buffer.from('hello'))
+    );
+    const bytes = new Uint8Array([1, 2]);
+    expect(await readBytes(bytes)).toBe(bytes);
+  });
+
+  it('writes, links and removes files in the stand-in bucket', async () => {
+    const key = 'u1/7/a-notes.txt';
+    await storage.upload(key, new File(['notes'], 'notes.txt'));
+
+    const file = path.join(root, 'u1', '7', 'a-notes.txt');
+    expect(await fs.promises.readFile(file, 'utf8')).toBe('notes');
+    expect(await storage.getUrl(key)).toBe(`file://${file}`);
+
+    await storage.remove([key, 'u1/7/missing.txt']);
+    expect(fs.existsSync(file)).toBe(false);
+  });
+
+  it('never overwrites or escapes the bucket', async () => {
+    await storage.upload('u1/a.txt', new Uint8Array([1]));
+    await expect(
+      storage.upload('u1/a.txt', new Uint8Array([2]))
+    ).rejects.toMatchObject({ code: 'EEXIST' });
+    await expect(
+      storage.upload('../outside.txt', new Uint8Array([1]))
+    ).rejects.toThrow('Invalid storage path');
+  });
+
+  it('goes through the Supabase bucket API', async () => {
+    const bucket = {
+      upload: jest.fn(async () => ({ data: {}, error: null })),
+      remove: jest.fn(async () => ({ data: [], error: null })),
+      createSignedUrl: jest.fn(async (key) => ({
+        data: { signedUrl: `https://example.com/${key}?token=t` },
+        error: null,
+      })),
+    };
+    const client = { storage: { from: jest.fn(() => bucket) } };
+    const supabaseStorage = createSupabaseStorage(client, 'task-attachments');
+
+    await supabaseStorage.upload('u1/a.png', 'file', {
+      contentType: 'image/png',
+    });
+    expect(client.storage.from).toHaveBeenCalledWith('task-attachments');
+    expect(bucket.upload).toHaveBeenCalledWith('u1/a.png', 'file', {
+      contentType: 'image/png',
+      upsert: false,
+    });
+    expect(await supabaseStorage.getUrl('u1/a.png')).toBe(
+      'https://example.com/u1/a.png?token=t'
+    );
+    await supabaseStorage.remove([]);
+    expect(bucket.remove).not.toHaveBeenCalled();
+
+    bucket.remove.mockResolvedValueOnce({ error: new Error('denied') });
+    await expect(supabaseStorage.remove(['u2/b.png'])).rejects.toThrow(
+      'denied'
+    );
+  });
+});
@@ -0,0 +1,139 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileSystemStorage } from '../lib/attachment-storage';
+import {
+  MAX_ATTACHMENT_SIZE,
+  createAttachmentManager,
+  formatFileSize,
+  isImage,
+  toSafeFileName,
+  toStoragePath,
+  validateAttachment,
+} from '../lib/attachments';
+
+// task_attachments rows kept in memory
+const createRecords = () => {
+  const rows = new Map();
+  return {
+    rows,
+    createAttachment: jest.fn(async (input) => {
+      const row = {
+        id: input.id,
+        task_id: input.taskId,
+        user_id: input.userId,
+        name: input.name,
+        path: input.path,
+        mime_type: input.mimeType,
+        size: input.size,
+      };
+      rows.set(row.id, row);
+      return row;
+    }),
+    deleteAttachment: jest.fn(async (id) => rows.delete(id)),
+  };
+};
+
+describe('attachments', () => {
+  it('formats file sizes', () => {
+    expect(formatFileSize(512)).toBe('512 B');
+    expect(formatFileSize(1536)).toBe('1.5 KB');
+    expect(formatFileSize(25 * 1024 * 1024)).toBe('25 MB');
+    expect(formatFileSize(undefined)).toBe('0 B');
+  });
+
+  it('rejects empty and oversized files', () => {
+    expect(validateAttachment({ name: 'a.pdf', size: 0 })).toBe(
+      'a.pdf is empty'
+    );
+    expect(
+      validateAttachment({ name: 'a.pdf', size: MAX_ATTACHMENT_SIZE + 1 })
+    ).toBe('a.pdf is larger than 25 MB');
+    expect(validateAttachment({ name: 'a.pdf', size: 10 })).toBeNull();
+  });
+
+  it('previews images only', () => {
+    expect(isImage({ mimeType: 'image/png' })).toBe(true);
+    expect(isImage({ mimeType: 'application/pdf' })).toBe(false);
+    expect(isImage({})).toBe(false);
+  });
+
+  it('stores files under the user and task', () => {
+    expect(toSafeFileName('Résumé (final).pdf')).toBe('Resume-final-.pdf');
+    expect(toSafeFileName('../../etc/passwd')).toBe('etc-passwd');
+    expect(toSafeFileName('')).toBe('file');
+    expect(
+      toStoragePath({ userId: 'u1', taskId: 7, id: 'a1', name: 'My shot.png' })
+    ).toBe('u1/7/a1-My-shot.png');
+  });
+
+  describe('createAttachmentManager', () => {
+    let root;
+    let records;
+    let manager;
+
+    beforeEach(async () => {
+      root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'attachments-'));
+      records = createRecords();
+      let nextId = 0;
+      manager = createAttachmentManager({
+        storage: createFileSystemStorage({ fs: fs.promises, path, root }),
+        records,
+        createId: () => {
+          nextId += 1;
+          return `a${nextId}`;
+        },
+      });
+    });
+
+    afterEach(() => fs.promises.rm(root, { recursive: true, force: true }));
+
+    it('uploads the file and records it', async () => {
+      const file = new File(['%PDF'], 'Plan.pdf', { type: 'application/pdf' });
+      const row = await manager.upload(file, { taskId: 7, userId: 'u1' });
+
+      expect(row).toMatchObject({
+        id: 'a1',
+        task_id: 7,
+        name: 'Plan.pdf',
+        path: 'u1/7/a1-Plan.pdf',
+        mime_type: 'application/pdf',
+        size: 4,
+      });
+      expect(
+        await fs.promises.readFile(path.join(root, row.path), 'utf8')
+      ).toBe('%PDF');
+
+      const [withUrl] = await manager.withUrls([row]);
+      expect(withUrl.url).toBe(`file://${path.join(root, row.path)}`);
+    });
+
+    it('removes the file when it cannot be recorded', async () => {
+      records.createAttachment.mockRejectedValueOnce(new Error('RLS'));
+      const file = new File(['x'], 'x.txt');
+
+      await expect(
+        manager.upload(file, { taskId: 7, userId: 'u1' })
+      ).rejects.toThrow('RLS');
+      expect(fs.existsSync(path.join(root, 'u1/7/a1-x.txt'))).toBe(false);
+    });
+
+    it('refuses invalid files before uploading', async () => {
+      await expect(
+        manager.upload(new File([], 'empty.txt'), { taskId: 7, userId: 'u1' })
+      ).rejects.toThrow('empty.txt is empty');
+      expect(records.createAttachment).not.toHaveBeenCalled();
+    });
+
+    it('deletes the record and the file', async () => {
+      const row = await manager.upload(new File(['x'], 'x.txt'), {
+        taskId: 7,
+        userId: 'u1',
+      });
+      await manager.remove(row);
+
+      expect(records.rows.size).toBe(0);
+      expect(fs.existsSync(path.join(root, row.path))).toBe(false);
+    });
+  });
+});
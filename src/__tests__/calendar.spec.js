@@ -0,0 +1,60 @@
+import {
+  getMonthGrid,
+  getRangeTitle,
+  getWeekDays,
+  groupByDueDate,
+  shiftAnchor,
+} from '../lib/calendar';
+
+describe('calendar', () => {
+  it('lists the week around a day', () => {
+    expect(getWeekDays('2024-03-13')).toEqual([
+      '2024-03-10',
+      '2024-03-11',
+      '2024-03-12',
+      '2024-03-13',
+      '2024-03-14',
+      '2024-03-15',
+      '2024-03-16',
+    ]);
+  });
+
+  it('covers a month with whole weeks', () => {
+    const weeks = getMonthGrid('2024-03-13');
+
+    expect(weeks).toHaveLength(6);
+    expect(weeks.every((week) => week.length === 7)).toBe(true);
+    expect(weeks[0][0]).toEqual({ date: '2024-02-25', inMonth: false });
+    expect(weeks[0][5]).toEqual({ date: '2024-03-01', inMonth: true });
+    expect(weeks[5][6]).toEqual({ date: '2024-04-06', inMonth: false });
+    expect(getMonthGrid('2026-02-01')).toHaveLength(4);
+  });
+
+  it('moves by weeks and months', () => {
+    expect(shiftAnchor('2024-01-31', 'week', 1)).toBe('2024-02-07');
+    expect(shiftAnchor('2024-01-31', 'month', 1)).toBe('2024-02-29');
+    expect(shiftAnchor('2024-01-15', 'month', -1)).toBe('2023-12-15');
+  });
+
+  it('titles the range shown', () => {
+    expect(getRangeTitle('2024-03-13', 'month')).toBe('March 2024');
+    expect(getRangeTitle('2024-03-13', 'week')).toBe('10 – 16 Mar 2024');
+    expect(getRangeTitle('2024-04-01', 'week')).toBe('31 Mar – 6 Apr 2024');
+    expect(getRangeTitle('2024-12-31', 'week')).toBe(
+      '29 Dec 2024 – 4 Jan 2025'
+    );
+  });
+
+  it('groups tasks by day, all-day tasks first', () => {
+    const groups = groupByDueDate([
+      { id: 1, dueDate: '2024-03-13', dueTime: '15:00' },
+      { id: 2, dueDate: '2024-03-13', dueTime: null },
+      { id: 3, dueDate: '2024-03-14' },
+      { id: 4, dueDate: '2024-03-13', dueTime: '09:30' },
+      { id: 5, dueDate: null },
+    ]);
+
+    expect(Object.keys(groups)).toEqual(['2024-03-13', '2024-03-14']);
+    expect(groups['2024-03-13'].map((task) => task.id)).toEqual([2, 4, 1]);
+  });
+});
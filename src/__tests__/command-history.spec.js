@@ -0,0 +1,114 @@
+import { createCommandHistory, followAliases } from '../lib/command-history';
+
+// A command over a plain list, standing in for task operations
+const addItem = (list, item) => ({
+  label: `Add ${item}`,
+  undo: async () => {
+    list.splice(list.indexOf(item), 1);
+  },
+  redo: async () => {
+    list.push(item);
+  },
+});
+
+describe('command-history', () => {
+  it('undoes and redoes in order', async () => {
+    const list = ['a', 'b'];
+    const history = createCommandHistory();
+    history.record(addItem(list, 'a'));
+    history.record(addItem(list, 'b'));
+
+    await history.undo();
+    expect(list).toEqual(['a']);
+    await history.undo();
+    expect(list).toEqual([]);
+    expect(history.getState().canUndo).toBe(false);
+
+    await history.redo();
+    expect(list).toEqual(['a']);
+    expect(history.getState()).toMatchObject({
+      canUndo: true,
+      canRedo: true,
+      undoLabel: 'Add a',
+      redoLabel: 'Add b',
+    });
+  });
+
+  it('clears the redo stack when a new command is recorded', async () => {
+    const list = ['a'];
+    const history = createCommandHistory();
+    history.record(addItem(list, 'a'));
+    await history.undo();
+
+    list.push('c');
+    history.record(addItem(list, 'c'));
+    expect(history.getState().canRedo).toBe(false);
+    expect(await history.redo()).toBeNull();
+  });
+
+  it('keeps a bounded number of commands', async () => {
+    const history = createCommandHistory({ limit: 2 });
+    const first = history.record(addItem([], 'a'));
+    history.record(addItem([], 'b'));
+    history.record(addItem([], 'c'));
+
+    await history.undo();
+    await history.undo();
+    expect(history.getState().canUndo).toBe(false);
+    expect(history.isLatest(first)).toBe(false);
+  });
+
+  it('leaves a failed command in place', async () => {
+    const history = createCommandHistory();
+    const command = history.record({
+      label: 'Broken',
+      undo: async () => {
+        throw new Error('offline store unavailable');
+      },
+      redo: async () => {},
+    });
+
+    await expect(history.undo()).rejects.toThrow('offline store unavailable');
+    expect(history.isLatest(command)).toBe(true);
+    expect(history.getState().running).toBe(false);
+  });
+
+  it('ignores undo while a command is running', async () => {
+    let finish;
+    const history = createCommandHistory();
+    history.record(addItem([], 'a'));
+    history.record({
+      label: 'Slow',
+      undo: () =>
+        new Promise((resolve) => {
+          finish = resolve;
+        }),
+      redo: async () => {},
+    });
+
+    const running = history.undo();
+    expect(await history.undo()).toBeNull();
+    finish();
+    expect((await running).label).toBe('Slow');
+  });
+
+  it('lets commands follow IDs replaced by earlier undos', async () => {
+    const deleted = [];
+    const history = createCommandHistory();
+    history.record({
+      label: 'Edit task',
+      undo: async ({ resolveId }) => deleted.push(resolveId('temp-1')),
+      redo: async () => {},
+    });
+    history.record({
+      label: 'Delete task',
+      undo: async ({ replaceId }) => replaceId('temp-1', 'temp-2'),
+      redo: async () => {},
+    });
+
+    await history.undo();
+    await history.undo();
+    expect(deleted).toEqual(['temp-2']);
+    expect(followAliases({ a: 'b', b: 'a' }, 'a')).toBe('a');
+  });
+});
@@ -0,0 +1,59 @@
+import {
+  MAX_COMMENT_LENGTH,
+  canModifyComment,
+  formatCommentCount,
+  isEdited,
+  sortComments,
+  validateComment,
+} from '../lib/comments';
+
+const comment = (id, createdAt, updatedAt = createdAt) => ({
+  id,
+  userId: 'u1',
+  body: 'Looks good',
+  createdAt,
+  updatedAt,
+});
+
+describe('comments', () => {
+  it('rejects empty and overlong comments', () => {
+    expect(validateComment('  \n ')).toBe('Write something first');
+    expect(validateComment(undefined)).toBe('Write something first');
+    expect(validateComment('x'.repeat(MAX_COMMENT_LENGTH + 1))).toMatch(
+      /up to/
+    );
+    expect(validateComment(' Done ')).toBeNull();
+  });
+
+  it('counts saves after the first minute as edits', () => {
+    expect(
+      isEdited(comment('a', '2024-03-01T10:00:00Z', '2024-03-01T10:00:30Z'))
+    ).toBe(false);
+    expect(
+      isEdited(comment('a', '2024-03-01T10:00:00Z', '2024-03-01T10:05:00Z'))
+    ).toBe(true);
+    expect(isEdited({ id: 'a' })).toBe(false);
+  });
+
+  it('lets only the author change a comment', () => {
+    const own = comment('a', '2024-03-01T10:00:00Z');
+    expect(canModifyComment(own, 'u1')).toBe(true);
+    expect(canModifyComment(own, 'u2')).toBe(false);
+    expect(canModifyComment(own, null)).toBe(false);
+  });
+
+  it('sorts oldest first, then by ID', () => {
+    const comments = [
+      comment('c', '2024-03-01T11:00:00Z'),
+      comment('b', '2024-03-01T10:00:00Z'),
+      comment('a', '2024-03-01T10:00:00Z'),
+    ];
+    expect(sortComments(comments).map(({ id }) => id)).toEqual(['a', 'b', 'c']);
+    expect(comments[0].id).toBe('c');
+  });
+
+  it('labels comment counts', () => {
+    expect(formatCommentCount(1)).toBe('1 comment');
+    expect(formatCommentCount(3)).toBe('3 comments');
+  });
+});
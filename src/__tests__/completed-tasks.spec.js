@@ -0,0 +1,64 @@
+import moment from 'moment';
+import {
+  formatCompletionDay,
+  getPurgeCutoff,
+  getPurgeable,
+  groupByCompletionDay,
+} from '../lib/completed-tasks';
+
+const today = moment('2024-03-15T12:00:00');
+
+const completed = (id, completedAt, extra = {}) => ({
+  id,
+  task: `Task ${id}`,
+  archived: true,
+  completedAt,
+  ...extra,
+});
+
+describe('completed-tasks', () => {
+  it('labels recent days relative to today', () => {
+    expect(formatCompletionDay('2024-03-15', today)).toBe('Today');
+    expect(formatCompletionDay('2024-03-14', today)).toBe('Yesterday');
+    expect(formatCompletionDay('2024-03-01', today)).toBe('Friday, 1 March');
+    expect(formatCompletionDay('2023-12-29', today)).toBe(
+      'Friday, 29 December 2023'
+    );
+  });
+
+  it('groups by completion day, newest first', () => {
+    const groups = groupByCompletionDay(
+      [
+        completed(1, moment('2024-03-14T09:00:00').toISOString()),
+        completed(2, moment('2024-03-15T08:00:00').toISOString()),
+        completed(3, moment('2024-03-15T10:00:00').toISOString()),
+      ],
+      today
+    );
+
+    expect(groups.map((group) => group.label)).toEqual(['Today', 'Yesterday']);
+    expect(groups[0].tasks.map((task) => task.id)).toEqual([3, 2]);
+  });
+
+  it('falls back to updated_at for tasks completed before it was tracked', () => {
+    const groups = groupByCompletionDay(
+      [
+        completed(1, null, {
+          updated_at: moment('2024-03-14T09:00:00').toISOString(),
+        }),
+      ],
+      today
+    );
+    expect(groups[0].label).toBe('Yesterday');
+  });
+
+  it('selects tasks completed before the purge cutoff', () => {
+    const cutoff = getPurgeCutoff(30, today);
+    const tasks = [
+      completed(1, today.clone().subtract(31, 'days').toISOString()),
+      completed(2, today.clone().subtract(29, 'days').toISOString()),
+      completed(3, null),
+    ];
+    expect(getPurgeable(tasks, cutoff).map((task) => task.id)).toEqual([1]);
+  });
+});
@@ -0,0 +1,216 @@
+import {
+  TaskConflictError,
+  detectConflicts,
+  isTaskConflictError,
+  mergeText,
+  mergeTextUpdates,
+  pickBase,
+  resolveConflicts,
+  sameValue,
+} from '../lib/conflicts';
+
+const server = {
+  id: 5,
+  task: 'Write report',
+  priority: 'high',
+  due_date: '2024-03-05',
+  due_time: '09:00:00',
+  due_timezone: 'Europe/Zurich',
+  updated_at: '2024-03-01T12:00:00.000Z',
+};
+
+describe('conflicts', () => {
+  it('compares times and objects by value', () => {
+    expect(sameValue('due_time', '09:00:00', '09:00')).toBe(true);
+    expect(sameValue('recurrence', { freq: 'daily' }, { freq: 'daily' })).toBe(
+      true
+    );
+    expect(sameValue('task', null, '')).toBe(true);
+    expect(sameValue('priority', 'high', 'low')).toBe(false);
+  });
+
+  it('picks the values a row had for the changed columns', () => {
+    expect(pickBase(server, { task: 'x', priority: 'low' })).toEqual({
+      task: 'Write report',
+      priority: 'high',
+    });
+  });
+
+  it('merges changes to fields nobody else touched', () => {
+    // Someone else edited the title; we only changed priority
+    const base = { priority: 'high' };
+    expect(detectConflicts({ priority: 'low' }, base, server)).toEqual([]);
+  });
+
+  it('ignores both sides making the same change', () => {
+    const base = { task: 'Draft report' };
+    expect(detectConflicts({ task: 'Write report' }, base, server)).toEqual([]);
+  });
+
+  it('reports fields both sides changed differently, in display order', () => {
+    const base = { priority: 'low', task: 'Draft report' };
+    const conflicts = detectConflicts(
+      { priority: 'medium', task: 'Finish report' },
+      base,
+      server
+    );
+    expect(conflicts).toEqual([
+      {
+        column: 'task',
+        label: 'Task',
+        base: 'Draft report',
+        local: 'Finish report',
+        server: 'Write report',
+      },
+      {
+        column: 'priority',
+        label: 'Priority',
+        base: 'low',
+        local: 'medium',
+        server: 'high',
+      },
+    ]);
+  });
+
+  it('treats every difference as a conflict without a base', () => {
+    expect(detectConflicts({ priority: 'low' }, null, server)).toHaveLength(1);
+  });
+
+  it('builds updates from the chosen side of each conflict', () => {
+    const columns = { task: 'Finish report', priority: 'medium' };
+    const conflicts = detectConflicts(columns, {}, server);
+
+    expect(
+      resolveConflicts(
+        columns,
+        conflicts,
+        { task: 'local', priority: 'server' },
+        server
+      )
+    ).toEqual({ task: 'Finish report' });
+    expect(
+      resolveConflicts(
+        columns,
+        conflicts,
+        { task: 'server', priority: 'server' },
+        server
+      )
+    ).toEqual({});
+  });
+
+  it('keeps the due date, time and zone together', () => {
+    const columns = {
+      due_date: '2024-03-08',
+      due_time: null,
+      due_timezone: null,
+    };
+    const conflicts = detectConflicts(columns, {}, server);
+
+    expect(
+      resolveConflicts(
+        columns,
+        conflicts,
+        { due_date: 'local', due_time: 'server', due_timezone: 'server' },
+        server
+      )
+    ).toEqual({
+      dueDate: '2024-03-08',
+      dueTime: '09:00:00',
+      timeZone: 'Europe/Zurich',
+    });
+  });
+
+  it('keeps our side of the section, assignee, reminders and collapsed', () => {
+    const row = {
+      section_id: 's2',
+      assignee_id: 'p2',
+      reminders: [{ id: 'before-60', type: 'relative', minutesBefore: 60 }],
+      collapsed: true,
+    };
+    // Collapsing has two values, so it only conflicts without a base
+    const base = { section_id: 's1', assignee_id: 'p1', reminders: [] };
+    const columns = {
+      section_id: 's3',
+      assignee_id: 'p3',
+      reminders: [{ id: 'before-15', type: 'relative', minutesBefore: 15 }],
+      collapsed: false,
+    };
+    const conflicts = detectConflicts(columns, base, row);
+
+    expect(conflicts.map(({ label }) => label)).toEqual([
+      'Section',
+      'Assignee',
+      'Reminders',
+      'Subtasks collapsed',
+    ]);
+    expect(
+      resolveConflicts(
+        columns,
+        conflicts,
+        {
+          section_id: 'local',
+          assignee_id: 'local',
+          reminders: 'local',
+          collapsed: 'local',
+        },
+        row
+      )
+    ).toEqual({
+      sectionId: 's3',
+      assigneeId: 'p3',
+      reminders: columns.reminders,
+      collapsed: false,
+    });
+  });
+
+  it('merges description edits to different lines', () => {
+    const base = 'Intro\nSteps\nNotes';
+    const local = 'Intro\nSteps, in order\nNotes';
+    const current = 'Intro\nSteps\nNotes\nLinks';
+
+    expect(mergeText(base, local, current)).toBe(
+      'Intro\nSteps, in order\nNotes\nLinks'
+    );
+    expect(
+      detectConflicts(
+        { description: local },
+        { description: base },
+        { description: current }
+      )
+    ).toEqual([]);
+    expect(
+      mergeTextUpdates(
+        { description: local, priority: 'low' },
+        { description: base },
+        { description: current }
+      )
+    ).toEqual({
+      description: 'Intro\nSteps, in order\nNotes\nLinks',
+      priority: 'low',
+    });
+  });
+
+  it('reports description edits to the same line', () => {
+    const base = { description: 'Call at 9' };
+    const columns = { description: 'Call at 10' };
+    const row = { description: 'Call at 11' };
+    const conflicts = detectConflicts(columns, base, row);
+
+    expect(mergeText(base.description, 'Call at 10', 'Call at 11')).toBeNull();
+    expect(conflicts.map(({ column }) => column)).toEqual(['description']);
+    expect(
+      resolveConflicts(columns, conflicts, { description: 'local' }, row)
+    ).toEqual({ description: 'Call at 10' });
+  });
+
+  it('recognises conflict errors', () => {
+    const error = new TaskConflictError({
+      taskId: 5,
+      updates: {},
+      server,
+      conflicts: [],
+    });
+    expect(isTaskConflictError(error)).toBe(true);
+    expect(isTaskConflictError(new Error('nope'))).toBe(false);
+  });
+});
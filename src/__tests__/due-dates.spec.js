@@ -0,0 +1,127 @@
+import {
+  toDueDate,
+  toDueTime,
+  parseDueDate,
+  resolveDueDate,
+  parseDueTime,
+  getDueInstant,
+  getToday,
+  isDueWithin,
+  formatDueDate,
+} from '../lib/due-dates';
+
+const today = '2024-03-06'; // Wednesday
+
+describe('due-dates', () => {
+  describe('toDueDate', () => {
+    it('normalises ISO, legacy and Date values', () => {
+      expect(toDueDate('2024-03-08')).toBe('2024-03-08');
+      expect(toDueDate('08/03/2024')).toBe('2024-03-08');
+      expect(toDueDate(new Date(2024, 2, 8))).toBe('2024-03-08');
+      expect(toDueDate('2024-03-08T10:00:00Z')).toBe('2024-03-08');
+    });
+
+    it('rejects invalid values', () => {
+      expect(toDueDate('31/02/2024')).toBeNull();
+      expect(toDueDate('next week')).toBeNull();
+      expect(toDueDate('')).toBeNull();
+      expect(toDueTime('25:00')).toBeNull();
+      expect(toDueTime('9:05:00')).toBe('09:05');
+    });
+  });
+
+  describe('parseDueDate', () => {
+    it('resolves relative phrases against the reference day', () => {
+      expect(parseDueDate('Call Sarah tomorrow', today)).toEqual({
+        dueDate: '2024-03-07',
+        match: 'tomorrow',
+      });
+      expect(resolveDueDate('next week', today)).toBe('2024-03-13');
+      expect(resolveDueDate('in 3 days', today)).toBe('2024-03-09');
+    });
+
+    it('resolves weekdays to the upcoming day, never today', () => {
+      expect(parseDueDate('Plan meeting next Friday', today)).toEqual({
+        dueDate: '2024-03-08',
+        match: 'next Friday',
+      });
+      expect(resolveDueDate('wednesday', today)).toBe('2024-03-13');
+    });
+
+    it('reads day-first numeric dates and month names', () => {
+      expect(parseDueDate('Pay rent on 5/4', today)).toEqual({
+        dueDate: '2024-04-05',
+        match: 'on 5/4',
+      });
+      expect(resolveDueDate('due 01/02', today)).toBe('2025-02-01');
+      expect(resolveDueDate('on March 10th', today)).toBe('2024-03-10');
+      expect(resolveDueDate('5 jan', today)).toBe('2025-01-05');
+    });
+
+    it('does not read words like "month" as weekdays', () => {
+      expect(parseDueDate('review budget monthly', today)).toBeNull();
+    });
+  });
+
+  describe('parseDueTime', () => {
+    it('parses clock times and named times', () => {
+      expect(parseDueTime('at 3pm')).toEqual({
+        dueTime: '15:00',
+        match: 'at 3pm',
+      });
+      expect(parseDueTime('standup 9:30').dueTime).toBe('09:30');
+      expect(parseDueTime('12am').dueTime).toBe('00:00');
+      expect(parseDueTime('gym in the morning').dueTime).toBe('09:00');
+      expect(parseDueTime('buy milk')).toBeNull();
+    });
+  });
+
+  describe('getDueInstant', () => {
+    it('converts wall-clock time in a zone to an instant', () => {
+      expect(
+        getDueInstant('2024-07-01', '09:00', 'America/New_York').toISOString()
+      ).toBe('2024-07-01T13:00:00.000Z');
+      expect(
+        getDueInstant('2024-01-15', '09:00', 'Europe/Zurich').toISOString()
+      ).toBe('2024-01-15T08:00:00.000Z');
+    });
+
+    it('handles the day a zone changes offset', () => {
+      // Clocks in New York jumped forward at 02:00 on 10 March 2024
+      expect(
+        getDueInstant('2024-03-10', '12:00', 'America/New_York').toISOString()
+      ).toBe('2024-03-10T16:00:00.000Z');
+    });
+
+    it('returns null for invalid dates', () => {
+      expect(getDueInstant(null)).toBeNull();
+    });
+  });
+
+  describe('getToday', () => {
+    it('uses the calendar day of the given zone', () => {
+      const now = new Date('2024-03-06T23:30:00Z');
+      expect(getToday('Asia/Tokyo', now)).toBe('2024-03-07');
+      expect(getToday('America/Los_Angeles', now)).toBe('2024-03-06');
+    });
+  });
+
+  describe('isDueWithin', () => {
+    it('includes today and the last day of the window', () => {
+      expect(isDueWithin('2024-03-06', 7, today)).toBe(true);
+      expect(isDueWithin('2024-03-13', 7, today)).toBe(true);
+      expect(isDueWithin('2024-03-14', 7, today)).toBe(false);
+      expect(isDueWithin('2024-03-05', 7, today)).toBe(false);
+    });
+  });
+
+  describe('formatDueDate', () => {
+    it('labels nearby days and appends the time', () => {
+      expect(formatDueDate('2024-03-06', '15:30', today)).toBe('Today 15:30');
+      expect(formatDueDate('2024-03-07', null, today)).toBe('Tomorrow');
+      expect(formatDueDate('2024-03-09', null, today)).toBe('Saturday');
+      expect(formatDueDate('2024-04-20', null, today)).toBe('20 Apr');
+      expect(formatDueDate('2025-04-20', null, today)).toBe('20 Apr 2025');
+    });
+  });
+});
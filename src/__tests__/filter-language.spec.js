@@ -0,0 +1,170 @@
+import {
+  FilterSyntaxError,
+  bindFilter,
+  getFilterViewId,
+  getUnresolvedNames,
+  matchesFilter,
+  parseFilter,
+  toFilterView,
+  toServerFilter,
+} from '../lib/filter-language';
+
+const today = '2024-03-15';
+
+const context = {
+  projects: [
+    { projectId: 'work', name: 'Work' },
+    { projectId: 'side', name: 'Side Projects' },
+  ],
+  labels: [{ id: 'waiting', name: 'Waiting' }],
+};
+
+const compile = (query) => bindFilter(parseFilter(query), context);
+
+const task = (extra = {}) => ({
+  dueDate: null,
+  priority: 'medium',
+  projectId: '1',
+  labelIds: [],
+  recurrence: null,
+  ...extra,
+});
+
+describe('filter-language', () => {
+  it('parses with & binding tighter than |', () => {
+    expect(parseFilter('today | p1 & #Work')).toEqual({
+      type: 'or',
+      children: [
+        { type: 'term', kind: 'date', value: 'today', position: 0 },
+        {
+          type: 'and',
+          children: [
+            { type: 'term', kind: 'priority', value: 'high', position: 8 },
+            { type: 'term', kind: 'project', name: 'Work', position: 13 },
+          ],
+        },
+      ],
+    });
+  });
+
+  it('reads names with spaces and multi-word terms', () => {
+    expect(parseFilter('#Side Projects & no date & next 3 days')).toEqual({
+      type: 'and',
+      children: [
+        { type: 'term', kind: 'project', name: 'Side Projects', position: 0 },
+        { type: 'term', kind: 'date', value: 'none', position: 17 },
+        { type: 'term', kind: 'days', value: 3, position: 27 },
+      ],
+    });
+  });
+
+  it('reports syntax errors with their position', () => {
+    const errorFor = (query) => {
+      try {
+        parseFilter(query);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    expect(errorFor('(today | p1')).toBeInstanceOf(FilterSyntaxError);
+    expect(errorFor('(today | p1').position).toBe(11);
+    expect(errorFor('today & someday').message).toBe('Unknown term "someday"');
+    expect(errorFor('today & someday').position).toBe(8);
+    expect(errorFor('p1 &').position).toBe(4);
+    expect(errorFor('#').message).toBe('Missing name after "#"');
+    expect(errorFor('')).toBeInstanceOf(FilterSyntaxError);
+  });
+
+  it('evaluates the example query', () => {
+    const filter = compile('(today | overdue) & p1 & #Work & !@waiting');
+
+    expect(
+      matchesFilter(
+        filter,
+        task({ dueDate: '2024-03-10', priority: 'high', projectId: 'work' }),
+        { today }
+      )
+    ).toBe(true);
+    expect(
+      matchesFilter(
+        filter,
+        task({
+          dueDate: today,
+          priority: 'high',
+          projectId: 'work',
+          labelIds: ['waiting'],
+        }),
+        { today }
+      )
+    ).toBe(false);
+    expect(
+      matchesFilter(
+        filter,
+        task({ dueDate: '2024-03-16', priority: 'high', projectId: 'work' }),
+        { today }
+      )
+    ).toBe(false);
+    expect(
+      matchesFilter(filter, task({ dueDate: today, projectId: 'work' }), {
+        today,
+      })
+    ).toBe(false);
+  });
+
+  it('matches dates, priorities and repeats', () => {
+    const matches = (query, extra) =>
+      matchesFilter(compile(query), task(extra), { today });
+
+    expect(matches('tomorrow', { dueDate: '2024-03-16' })).toBe(true);
+    expect(matches('7 days', { dueDate: '2024-03-22' })).toBe(true);
+    expect(matches('7 days', { dueDate: '2024-03-23' })).toBe(false);
+    expect(matches('no date', {})).toBe(true);
+    expect(matches('overdue', {})).toBe(false);
+    expect(matches('p2', { priority: undefined })).toBe(true);
+    expect(matches('recurring', { recurrence: { frequency: 'daily' } })).toBe(
+      true
+    );
+    expect(matches('!all', {})).toBe(false);
+  });
+
+  it('matches nothing for unknown names and lists them', () => {
+    const filter = compile('#Wrok | @waitng | @WAITING');
+
+    expect(getUnresolvedNames(filter)).toEqual(['#Wrok', '@waitng']);
+    expect(matchesFilter(filter, task({ projectId: null }), { today })).toBe(
+      false
+    );
+  });
+
+  it('compiles to a PostgREST condition', () => {
+    expect(
+      toServerFilter(compile('(today | overdue) & p1 & #Work & !@waiting'), {
+        today,
+      })
+    ).toBe(
+      'and(or(due_date.eq."2024-03-15",due_date.lt."2024-03-15"),priority.eq."high",project_id.eq."work")'
+    );
+    expect(toServerFilter(compile('next 2 days'), { today })).toBe(
+      'and(due_date.gte."2024-03-15",due_date.lte."2024-03-17")'
+    );
+    expect(toServerFilter(compile('p3'), { today })).toBe('priority.eq."low"');
+  });
+
+  it('leaves out what the server cannot narrow down exactly', () => {
+    // A label anywhere in an or, a negation or `all` can match any task
+    expect(toServerFilter(compile('today | @waiting'), { today })).toBeNull();
+    expect(toServerFilter(compile('!no date'), { today })).toBeNull();
+    expect(toServerFilter(compile('all'), { today })).toBeNull();
+    expect(toServerFilter(compile('@waiting & recurring'), { today })).toBe(
+      'recurrence.not.is.null'
+    );
+  });
+
+  it('round-trips filter views', () => {
+    expect(getFilterViewId(toFilterView('-Nabc_123'))).toBe('-Nabc_123');
+    expect(getFilterViewId('label:abc')).toBeNull();
+    expect(getFilterViewId('TODAY')).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+import {
+  LABEL_COLORS,
+  findLabelByName,
+  getLabelViewId,
+  parseLabels,
+  pickLabelColor,
+  sortLabels,
+  toLabelView,
+} from '../lib/labels';
+
+describe('labels', () => {
+  it('pulls @labels out of task text', () => {
+    expect(parseLabels('Buy milk @errands @home')).toEqual({
+      text: 'Buy milk',
+      labels: ['errands', 'home'],
+    });
+    expect(parseLabels('@work Review the Q3 deck @urgent today')).toEqual({
+      text: 'Review the Q3 deck today',
+      labels: ['work', 'urgent'],
+    });
+  });
+
+  it('ignores e-mail addresses and repeated labels', () => {
+    expect(parseLabels('Mail anna@example.com @Work @work')).toEqual({
+      text: 'Mail anna@example.com',
+      labels: ['Work'],
+    });
+    expect(parseLabels('No labels here')).toEqual({
+      text: 'No labels here',
+      labels: [],
+    });
+  });
+
+  it('accepts letters beyond ASCII, digits, dashes and underscores', () => {
+    expect(parseLabels('Plan @réunion @q4-2024 @deep_work').labels).toEqual([
+      'réunion',
+      'q4-2024',
+      'deep_work',
+    ]);
+  });
+
+  it('matches label names ignoring case', () => {
+    const labels = [{ id: 'a', name: 'Errands' }];
+
+    expect(findLabelByName(labels, 'errands')).toBe(labels[0]);
+    expect(findLabelByName(labels, ' ERRANDS ')).toBe(labels[0]);
+    expect(findLabelByName(labels, 'home')).toBeUndefined();
+  });
+
+  it('picks the same palette color for the same name', () => {
+    expect(LABEL_COLORS).toContain(pickLabelColor('errands'));
+    expect(pickLabelColor('Errands')).toBe(pickLabelColor('errands'));
+  });
+
+  it('round-trips label views', () => {
+    expect(getLabelViewId(toLabelView('-Nabc_123'))).toBe('-Nabc_123');
+    expect(getLabelViewId('INBOX')).toBeNull();
+    expect(getLabelViewId('1')).toBeNull();
+    expect(getLabelViewId(0)).toBeNull();
+  });
+
+  it('sorts labels by name', () => {
+    expect(
+      sortLabels([{ name: 'work' }, { name: 'Errands' }, { name: 'home' }]).map(
+        (label) => label.name
+      )
+    ).toEqual(['Errands', 'home', 'work']);
+  });
+});
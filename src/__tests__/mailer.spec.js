@@ -0,0 +1,72 @@
+import {
+  MAILBOX_KEY,
+  buildInvitationEmail,
+  createLocalMailbox,
+  sendMail,
+  setMailTransport,
+} from '../lib/mailer';
+
+const createStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+    removeItem: (key) => {
+      delete items[key];
+    },
+  };
+};
+
+describe('mailer', () => {
+  afterEach(() => setMailTransport(null));
+
+  it('keeps messages in the local mailbox, newest first', async () => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    const storage = createStorage();
+    const mailbox = createLocalMailbox(storage);
+
+    await mailbox.send({ to: 'a@example.com', subject: 'One', text: '' });
+    await mailbox.send({ to: 'b@example.com', subject: 'Two', text: '' });
+
+    expect(mailbox.list().map((message) => message.subject)).toEqual([
+      'Two',
+      'One',
+    ]);
+    mailbox.clear();
+    expect(storage.getItem(MAILBOX_KEY)).toBeNull();
+    console.info.mockRestore();
+  });
+
+  it('sends through the configured transport', async () => {
+    const send = jest.fn((message) => Promise.resolve(message));
+    setMailTransport({ send });
+
+    const sent = await sendMail({
+      to: 'a@example.com',
+      subject: 'Hi',
+      text: '',
+    });
+
+    expect(send).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'a@example.com', subject: 'Hi' })
+    );
+    expect(sent.sentAt).toEqual(expect.any(String));
+    await expect(sendMail({ subject: 'Nobody' })).rejects.toThrow();
+  });
+
+  it('builds invitations carrying their link', () => {
+    const email = buildInvitationEmail({
+      to: 'a@example.com',
+      projectName: 'Garden',
+      inviterEmail: 'max@example.com',
+      roleName: 'Can edit',
+      link: 'https://todo.example/?invite=abc',
+    });
+
+    expect(email.subject).toBe('max@example.com shared "Garden" with you');
+    expect(email.text).toContain('(can edit)');
+    expect(email.text).toContain('https://todo.example/?invite=abc');
+  });
+});
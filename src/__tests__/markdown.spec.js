@@ -0,0 +1,91 @@
+import { isSafeUrl, parseInline, parseMarkdown } from '../lib/markdown';
+
+describe('markdown', () => {
+  it('parses inline formatting', () => {
+    expect(parseInline('Call **Sarah** about *the* `deploy` now')).toEqual([
+      { type: 'text', text: 'Call ' },
+      { type: 'strong', children: [{ type: 'text', text: 'Sarah' }] },
+      { type: 'text', text: ' about ' },
+      { type: 'em', children: [{ type: 'text', text: 'the' }] },
+      { type: 'text', text: ' ' },
+      { type: 'code', text: 'deploy' },
+      { type: 'text', text: ' now' },
+    ]);
+  });
+
+  it('leaves formatting inside code spans and words alone', () => {
+    expect(parseInline('`**not bold**` and snake_case_name')).toEqual([
+      { type: 'code', text: '**not bold**' },
+      { type: 'text', text: ' and snake_case_name' },
+    ]);
+  });
+
+  it('keeps only safe links', () => {
+    expect(parseInline('[docs](https://example.com/a)')).toEqual([
+      {
+        type: 'link',
+        href: 'https://example.com/a',
+        children: [{ type: 'text', text: 'docs' }],
+      },
+    ]);
+    expect(parseInline('[click](javascript:void)')).toEqual([
+      { type: 'text', text: 'click' },
+    ]);
+    expect(isSafeUrl('mailto:anna@example.com')).toBe(true);
+    expect(isSafeUrl('data:text/html,hi')).toBe(false);
+  });
+
+  it('parses blocks', () => {
+    const source = [
+      '# Plan',
+      'First line',
+      'second line',
+      '',
+      '- one',
+      '- two',
+      '1. first',
+      '> quoted',
+      '```js',
+      'const a = 1;',
+      '```',
+      '---',
+    ].join('\n');
+
+    expect(parseMarkdown(source).map((block) => block.type)).toEqual([
+      'heading',
+      'paragraph',
+      'list',
+      'list',
+      'quote',
+      'code',
+      'rule',
+    ]);
+    const [heading, paragraph, bullets, numbered, quote, code] =
+      parseMarkdown(source);
+    expect(heading.level).toBe(1);
+    expect(paragraph.children).toEqual([
+      { type: 'text', text: 'First line' },
+      { type: 'break' },
+      { type: 'text', text: 'second line' },
+    ]);
+    expect(bullets).toMatchObject({
+      ordered: false,
+      items: [[{ text: 'one' }], [{ text: 'two' }]],
+    });
+    expect(numbered.ordered).toBe(true);
+    expect(quote.children[0].type).toBe('paragraph');
+    expect(code).toEqual({
+      type: 'code',
+      language: 'js',
+      text: 'const a = 1;',
+    });
+  });
+
+  it('handles empty and unclosed input', () => {
+    expect(parseMarkdown('')).toEqual([]);
+    expect(parseMarkdown(null)).toEqual([]);
+    expect(parseMarkdown('```\nno end')).toEqual([
+      { type: 'code', language: null, text: 'no end' },
+    ]);
+  });
+});
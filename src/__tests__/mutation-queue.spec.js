@@ -0,0 +1,306 @@
+import {
+  addMutation,
+  applyMutations,
+  applySynced,
+  createMutationQueue,
+  createTempId,
+  isTempId,
+  remapMutation,
+} from '../lib/mutation-queue';
+
+const create = (targetId, payload = {}, seq = 1) => ({
+  seq,
+  entity: 'task',
+  type: 'create',
+  targetId,
+  payload,
+  queuedAt: '2024-03-01T10:00:00.000Z',
+});
+
+const update = (targetId, payload, seq = 2) => ({
+  seq,
+  entity: 'task',
+  type: 'update',
+  targetId,
+  payload,
+  queuedAt: '2024-03-01T11:00:00.000Z',
+});
+
+const remove = (targetId, seq = 3) => ({
+  seq,
+  entity: 'task',
+  type: 'delete',
+  targetId,
+  payload: {},
+});
+
+const networkError = new TypeError('Failed to fetch');
+
+// In-memory persistence plus a fake server handing out numeric IDs
+const setup = (saved = null) => {
+  const storage = { saved };
+  const sent = [];
+  let nextId = 100;
+  const responses = [];
+
+  const execute = jest.fn(async (mutation) => {
+    const response = responses.shift();
+    if (response) throw response;
+    sent.push(mutation);
+    if (mutation.type === 'create') {
+      nextId += 1;
+      return { id: nextId };
+    }
+    return { id: mutation.targetId };
+  });
+
+  const queue = createMutationQueue({
+    load: async () => storage.saved,
+    save: async (state) => {
+      storage.saved = state;
+    },
+    execute,
+    isRetryable: (error) => error === networkError,
+  });
+
+  return { queue, storage, sent, execute, responses };
+};
+
+describe('mutation-queue', () => {
+  it('creates unique temp IDs', () => {
+    const first = createTempId();
+    expect(isTempId(first)).toBe(true);
+    expect(createTempId()).not.toBe(first);
+    expect(isTempId(42)).toBe(false);
+  });
+
+  it('remaps synced temp IDs in targets and parent links', () => {
+    const mutation = create('temp-2', { parentTaskId: 'temp-1' });
+    expect(remapMutation(mutation, { 'temp-1': 7 })).toMatchObject({
+      targetId: 'temp-2',
+      payload: { parentTaskId: 7 },
+    });
+    expect(remapMutation(update('temp-1', {}), { 'temp-1': 7 }).targetId).toBe(
+      7
+    );
+  });
+
+  it('remaps the task a comment is on', () => {
+    const comment = {
+      ...create('c1', { taskId: 'temp-1' }),
+      entity: 'comment',
+    };
+    expect(remapMutation(comment, { 'temp-1': 7 }).payload.taskId).toBe(7);
+    // Only comments reference tasks through taskId
+    expect(
+      remapMutation(create('temp-2', { taskId: 'temp-1' }), { 'temp-1': 7 })
+        .payload.taskId
+    ).toBe('temp-1');
+  });
+
+  describe('addMutation', () => {
+    it('folds updates into a pending create', () => {
+      const queue = addMutation(
+        [create('temp-1', { task: 'Draft' })],
+        update('temp-1', { task: 'Final' })
+      );
+      expect(queue).toHaveLength(1);
+      expect(queue[0].payload.task).toBe('Final');
+    });
+
+    it('leaves a create that is being sent alone', () => {
+      const queue = addMutation(
+        [create('temp-1', { task: 'Draft' })],
+        update('temp-1', { task: 'Final' }),
+        1
+      );
+      expect(queue).toHaveLength(2);
+    });
+
+    it('drops a never-synced task and its subtasks on delete', () => {
+      const queue = [
+        create('temp-1'),
+        create('temp-2', { parentTaskId: 'temp-1' }, 2),
+        create('temp-3', { parentTaskId: 'temp-2' }, 3),
+        create('temp-4', {}, 4),
+      ];
+      expect(addMutation(queue, remove('temp-1', 5))).toEqual([queue[3]]);
+    });
+
+    it('drops comments on a never-synced task along with it', () => {
+      const queue = [
+        create('temp-1'),
+        { ...create('c1', { taskId: 'temp-1' }, 2), entity: 'comment' },
+        { ...create('c2', { taskId: 5 }, 3), entity: 'comment' },
+      ];
+      expect(addMutation(queue, remove('temp-1', 4))).toEqual([queue[2]]);
+    });
+
+    it('merges updates to a row, keeping the first version seen', () => {
+      const first = {
+        ...update(5, { task: 'One' }),
+        expectedUpdatedAt: 'v1',
+        base: { task: 'Zero' },
+      };
+      const second = {
+        ...update(5, { task: 'Two', priority: 'high' }, 3),
+        expectedUpdatedAt: 'v1',
+        base: { task: 'One', priority: 'low' },
+      };
+      expect(addMutation([first], second)).toEqual([
+        {
+          ...first,
+          payload: { task: 'Two', priority: 'high' },
+          base: { task: 'Zero', priority: 'low' },
+        },
+      ]);
+    });
+
+    it('drops pending updates of a deleted server task', () => {
+      const queue = addMutation([update(5, { task: 'x' })], remove(5));
+      expect(queue).toEqual([remove(5)]);
+    });
+  });
+
+  it('applies pending mutations over server rows', () => {
+    const rows = [
+      { id: 5, task: 'Server' },
+      { id: 6, task: 'Gone' },
+    ];
+    const result = applyMutations(
+      rows,
+      [
+        create('temp-1', { task: 'Local' }),
+        update(5, { task: 'Edited' }),
+        remove(6),
+      ],
+      { toRow: ({ payload }) => payload }
+    );
+
+    expect(result.map((row) => [row.id, row.task])).toEqual([
+      ['temp-1', 'Local'],
+      [5, 'Edited'],
+    ]);
+    expect(result[0]._optimistic).toBe(true);
+  });
+
+  it('folds synced results into server rows', () => {
+    const rows = [{ id: 5, task: 'Old' }];
+    expect(
+      applySynced(rows, { mutation: create('temp-1'), result: { id: 9 } })
+    ).toEqual([{ id: 9 }, ...rows]);
+    expect(
+      applySynced(rows, {
+        mutation: update(5, {}),
+        result: { id: 5, task: 'New' },
+      })
+    ).toEqual([{ id: 5, task: 'New' }]);
+  });
+
+  describe('createMutationQueue', () => {
+    it('replays in order and remaps subtasks created offline', async () => {
+      const { queue, sent, storage } = setup();
+
+      await queue.enqueue({
+        entity: 'task',
+        type: 'create',
+        targetId: 'temp-1',
+        payload: { task: 'Parent' },
+      });
+      await queue.enqueue({
+        entity: 'task',
+        type: 'create',
+        targetId: 'temp-2',
+        payload: { task: 'Child', parentTaskId: 'temp-1' },
+      });
+      await queue.flush();
+
+      expect(sent.map((mutation) => mutation.payload)).toEqual([
+        { task: 'Parent' },
+        { task: 'Child', parentTaskId: 101 },
+      ]);
+      expect(queue.getPending()).toEqual([]);
+      expect(storage.saved.idMap).toEqual({ 'temp-1': 101, 'temp-2': 102 });
+    });
+
+    it('keeps mutations queued across a network failure and restarts', async () => {
+      const first = setup();
+      first.responses.push(networkError);
+
+      await first.queue.enqueue({
+        entity: 'task',
+        type: 'create',
+        targetId: 'temp-1',
+        payload: { task: 'Offline' },
+      });
+      await first.queue.flush();
+      expect(first.queue.getPending()).toHaveLength(1);
+
+      // A fresh queue (e.g. after a reload) picks up the persisted outbox
+      const second = setup(first.storage.saved);
+      await second.queue.flush();
+      expect(second.sent).toHaveLength(1);
+      expect(second.queue.getPending()).toEqual([]);
+    });
+
+    it('rebases later updates on the values an earlier one wrote', async () => {
+      const sent = [];
+      const queue = createMutationQueue({
+        load: async () => null,
+        save: async () => {},
+        execute: async (mutation) => {
+          sent.push(mutation);
+          return { id: mutation.targetId, ...mutation.payload };
+        },
+        isRetryable: () => false,
+      });
+
+      await queue.enqueue({
+        ...update(5, { task: 'One' }),
+        expectedUpdatedAt: 'v1',
+        base: { task: 'Zero' },
+      });
+      // Queued while the first is in flight, so it can't be merged
+      const flushing = queue.flush();
+      await queue.enqueue({
+        ...update(5, { task: 'Two' }),
+        expectedUpdatedAt: 'v1',
+        base: { task: 'Zero' },
+      });
+      await flushing;
+
+      expect(sent).toHaveLength(2);
+      expect(sent[1].base).toEqual({ task: 'One' });
+      expect(sent[1].expectedUpdatedAt).toBe('v1');
+    });
+
+    it('drops rejected mutations and those depending on them', async () => {
+      const sent = [];
+      const onChange = jest.fn();
+      const queue = createMutationQueue({
+        load: async () => null,
+        save: async () => {},
+        execute: async (mutation) => {
+          if (mutation.targetId === 'temp-1') {
+            throw new Error('violates row-level security policy');
+          }
+          sent.push(mutation);
+          return { id: mutation.targetId };
+        },
+        isRetryable: (error) => error === networkError,
+        onChange,
+      });
+
+      await queue.enqueue(create('temp-1'));
+      await queue.enqueue(create('temp-2', { parentTaskId: 'temp-1' }));
+      await queue.enqueue(update(5, { task: 'Unrelated' }));
+      await queue.flush();
+
+      expect(sent.map((mutation) => mutation.targetId)).toEqual([5]);
+      expect(
+        onChange.mock.calls.filter(([event]) => event.failed)
+      ).toHaveLength(1);
+      expect(queue.getPending()).toEqual([]);
+    });
+  });
+});
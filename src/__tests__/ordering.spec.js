@@ -0,0 +1,84 @@
+import {
+  applyOrder,
+  generateKeys,
+  keyBetween,
+  planMove,
+  planStep,
+} from '../lib/ordering';
+
+const row = (id, sortOrder = null) => ({ id, sort_order: sortOrder });
+
+describe('ordering', () => {
+  it('finds keys between neighbours', () => {
+    expect(keyBetween()).toBe('V');
+    expect(keyBetween('V', null) > 'V').toBe(true);
+    expect(keyBetween(null, 'V') < 'V').toBe(true);
+    expect(keyBetween('V', 'W')).toMatch(/^V.+/);
+    expect(keyBetween('z', null)).toBe('zV');
+    expect(keyBetween(null, '1')).toBe('0V');
+  });
+
+  it('keeps finding room between ever closer keys', () => {
+    let low = 'V';
+    let high = 'W';
+    for (let step = 0; step < 50; step += 1) {
+      const key = keyBetween(low, high);
+      expect(key > low && key < high).toBe(true);
+      if (step % 2) low = key;
+      else high = key;
+    }
+  });
+
+  it('rejects keys out of order', () => {
+    expect(() => keyBetween('W', 'V')).toThrow('out of order');
+    expect(() => keyBetween('V0', null)).toThrow('Invalid');
+  });
+
+  it('generates short, increasing keys for long runs', () => {
+    const keys = generateKeys(500);
+    expect(keys).toHaveLength(500);
+    expect(
+      keys.every((key, index) => index === 0 || keys[index - 1] < key)
+    ).toBe(true);
+    expect(Math.max(...keys.map((key) => key.length))).toBeLessThanOrEqual(3);
+  });
+
+  it('orders keyed rows and keeps unkeyed rows in place', () => {
+    const rows = [row(1), row(2, 'b'), row(3), row(4, 'a')];
+    expect(applyOrder(rows).map(({ id }) => id)).toEqual([4, 2, 1, 3]);
+    expect(
+      applyOrder(rows, { unkeyedFirst: true }).map(({ id }) => id)
+    ).toEqual([1, 3, 4, 2]);
+  });
+
+  it('only rekeys the moved row when neighbours are keyed', () => {
+    const list = [row(1, 'F'), row(2, 'M'), row(3, 'T')];
+    const [change, ...rest] = planMove(list, list[2], 1, 'after');
+    expect(rest).toEqual([]);
+    expect(change.id).toBe(3);
+    expect(change.sortOrder > 'F' && change.sortOrder < 'M').toBe(true);
+  });
+
+  it('rekeys the whole list when keys are missing', () => {
+    const list = [row(1), row(2), row(3, 'T')];
+    const changes = planMove(list, list[0], 3, 'after');
+    const byId = Object.fromEntries(
+      changes.map(({ id, sortOrder }) => [id, sortOrder])
+    );
+    const order = [2, 3, 1].map((id) => byId[id] || 'T');
+    expect([...order].sort()).toEqual(order);
+  });
+
+  it('moves rows coming from another list', () => {
+    const list = [row(1, 'F'), row(2, 'M')];
+    const [change] = planMove(list, row(9, 'a'), null, 'after');
+    expect(change.sortOrder > 'M').toBe(true);
+  });
+
+  it('steps rows up and down', () => {
+    const list = [row(1, 'F'), row(2, 'M'), row(3, 'T')];
+    expect(planStep(list, 1, -1)).toEqual([]);
+    const [change] = planStep(list, 1, 1);
+    expect(change.sortOrder > 'M' && change.sortOrder < 'T').toBe(true);
+  });
+});
@@ -0,0 +1,86 @@
+import {
+  isOverdue,
+  mergeSchedule,
+  planReschedule,
+  rescheduleTo,
+} from '../lib/overdue';
+
+// 15 March 2024, 10:30 local time
+const now = new Date(2024, 2, 15, 10, 30);
+
+describe('overdue', () => {
+  it('marks date-only tasks overdue from the next day', () => {
+    expect(isOverdue({ dueDate: '2024-03-14' }, now)).toBe(true);
+    expect(isOverdue({ dueDate: '2024-03-15' }, now)).toBe(false);
+    expect(isOverdue({ dueDate: null }, now)).toBe(false);
+  });
+
+  it('marks timed tasks overdue once their time has passed', () => {
+    expect(isOverdue({ dueDate: '2024-03-15', dueTime: '09:00' }, now)).toBe(
+      true
+    );
+    expect(isOverdue({ dueDate: '2024-03-15', dueTime: '11:00' }, now)).toBe(
+      false
+    );
+  });
+
+  it('keeps the time of day unless it has already passed', () => {
+    const task = { dueDate: '2024-03-10', dueTime: '09:00', timeZone: null };
+
+    expect(rescheduleTo(task, '2024-03-16', now)).toEqual({
+      dueDate: '2024-03-16',
+      dueTime: '09:00',
+      timeZone: null,
+    });
+    expect(rescheduleTo(task, '2024-03-15', now).dueTime).toBeNull();
+  });
+
+  it('spreads tasks by priority over the least busy days', () => {
+    const tasks = [
+      { id: 1, priority: 'low', dueDate: '2024-03-01' },
+      { id: 2, priority: 'high', dueDate: '2024-03-10' },
+      { id: 3, priority: 'high', dueDate: '2024-03-05' },
+      { id: 4, priority: 'medium', dueDate: '2024-03-12' },
+    ];
+    const plan = planReschedule(tasks, {
+      today: '2024-03-15',
+      load: { '2024-03-15': 2, '2024-03-16': 1, '2024-03-18': 1 },
+    });
+
+    expect(plan).toEqual([
+      { id: 1, dueDate: '2024-03-19' },
+      { id: 2, dueDate: '2024-03-15' },
+      // Longest overdue goes first, to the quieter of today and tomorrow
+      { id: 3, dueDate: '2024-03-16' },
+      { id: 4, dueDate: '2024-03-17' },
+    ]);
+  });
+
+  it('takes usable suggestions over the fallback plan', () => {
+    const fallback = [
+      { id: 1, dueDate: '2024-03-15' },
+      { id: 2, dueDate: '2024-03-16' },
+      { id: 3, dueDate: '2024-03-17' },
+    ];
+
+    expect(
+      mergeSchedule(
+        fallback,
+        [
+          { id: '1', dueDate: '2024-03-18' },
+          { id: 2, dueDate: '2024-03-01' },
+          { id: 3, dueDate: 'next week' },
+          { id: 9, dueDate: '2024-03-18' },
+        ],
+        { today: '2024-03-15' }
+      )
+    ).toEqual([
+      { id: 1, dueDate: '2024-03-18' },
+      { id: 2, dueDate: '2024-03-16' },
+      { id: 3, dueDate: '2024-03-17' },
+    ]);
+    expect(mergeSchedule(fallback, null, { today: '2024-03-15' })).toEqual(
+      fallback
+    );
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  MATCH_THRESHOLD,
+  getPersonViewId,
+  normalizeName,
+  resolvePerson,
+  scorePerson,
+  sortPeople,
+  toPersonView,
+} from '../lib/people';
+
+const sarahChen = { id: 'p1', name: 'Sarah Chen', email: 'sarah@example.com' };
+const sarahMiller = { id: 'p2', name: 'Sarah Miller', email: null };
+const alexandra = { id: 'p3', name: 'Alexandra Novák', email: null };
+const bob = { id: 'p4', name: 'Bob', email: null };
+const people = [sarahChen, sarahMiller, alexandra, bob];
+
+describe('people', () => {
+  it('round-trips person views', () => {
+    expect(toPersonView('p1')).toBe('person:p1');
+    expect(getPersonViewId(toPersonView('p1'))).toBe('p1');
+    expect(getPersonViewId('INBOX')).toBeNull();
+    expect(getPersonViewId('label:p1')).toBeNull();
+    expect(getPersonViewId(null)).toBeNull();
+  });
+
+  it('normalizes case, accents and spacing', () => {
+    expect(normalizeName('  José   ÁLVAREZ ')).toBe('jose alvarez');
+    expect(normalizeName(undefined)).toBe('');
+  });
+
+  it('scores full names, single names, prefixes and typos', () => {
+    expect(scorePerson('sarah chen', sarahChen)).toBe(1);
+    expect(scorePerson('sarah@example.com', sarahChen)).toBe(1);
+    expect(scorePerson('Sarah', sarahChen)).toBe(0.9);
+    expect(scorePerson('Alex', alexandra)).toBe(0.8);
+    expect(scorePerson('Novak', alexandra)).toBe(0.9);
+    expect(scorePerson('Sarha', sarahChen)).toBeGreaterThanOrEqual(
+      MATCH_THRESHOLD
+    );
+    expect(scorePerson('Tom', sarahChen)).toBeLessThan(MATCH_THRESHOLD);
+    expect(scorePerson('', sarahChen)).toBe(0);
+  });
+
+  it('resolves a name that fits one person', () => {
+    expect(resolvePerson('Alex', people)).toEqual({
+      person: alexandra,
+      candidates: [alexandra],
+    });
+    expect(resolvePerson('Alexnadra', people).person).toBe(alexandra);
+  });
+
+  it('asks which person is meant when several fit', () => {
+    const { person, candidates } = resolvePerson('Sarah', people);
+    expect(person).toBeNull();
+    expect(candidates).toEqual([sarahChen, sarahMiller]);
+  });
+
+  it('prefers an exact match over partial ones', () => {
+    expect(resolvePerson('Sarah Miller', people).person).toBe(sarahMiller);
+  });
+
+  it('finds nobody for unknown names', () => {
+    expect(resolvePerson('Priya', people)).toEqual({
+      person: null,
+      candidates: [],
+    });
+    expect(resolvePerson('Sarah', []).candidates).toEqual([]);
+  });
+
+  it('sorts people by name', () => {
+    expect(sortPeople(people).map((person) => person.id)).toEqual([
+      'p3',
+      'p4',
+      'p1',
+      'p2',
+    ]);
+  });
+});
@@ -0,0 +1,43 @@
+import { applyProjectDelete, toDeleteOptions } from '../lib/project-deletion';
+
+const rows = [
+  { id: 1, project_id: 'work', section_id: 's1', parent_task_id: null },
+  { id: 2, project_id: 'work', section_id: null, parent_task_id: 1 },
+  { id: 3, project_id: 'home', section_id: null, parent_task_id: 2 },
+  { id: 4, project_id: 'home', section_id: 's2', parent_task_id: null },
+];
+
+describe('project-deletion', () => {
+  it('moves tasks to the Inbox unless told otherwise', () => {
+    expect(toDeleteOptions()).toEqual({
+      taskAction: 'move',
+      targetProjectId: '1',
+    });
+    expect(
+      toDeleteOptions({ taskAction: 'delete', targetProjectId: null })
+    ).toEqual({ taskAction: 'delete', targetProjectId: '1' });
+  });
+
+  it('moves the tasks out of their sections', () => {
+    const moved = applyProjectDelete(rows, 'work', {
+      targetProjectId: 'home',
+    });
+
+    expect(
+      moved.map((row) => [row.id, row.project_id, row.section_id])
+    ).toEqual([
+      [1, 'home', null],
+      [2, 'home', null],
+      [3, 'home', null],
+      [4, 'home', 's2'],
+    ]);
+  });
+
+  it('deletes the tasks with their subtasks in other projects', () => {
+    expect(
+      applyProjectDelete(rows, 'work', { taskAction: 'delete' }).map(
+        (row) => row.id
+      )
+    ).toEqual([4]);
+  });
+});
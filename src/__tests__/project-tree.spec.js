@@ -0,0 +1,81 @@
+import {
+  flattenProjects,
+  getChildProjects,
+  getSubprojects,
+  isSubprojectOf,
+} from '../lib/project-tree';
+
+const projects = [
+  { projectId: 'work', parentProjectId: null },
+  { projectId: 'launch', parentProjectId: 'work' },
+  { projectId: 'home', parentProjectId: null },
+  { projectId: 'press', parentProjectId: 'launch' },
+  { projectId: 'hiring', parentProjectId: 'work' },
+  { projectId: 'orphan', parentProjectId: 'archived' },
+];
+
+const rowsOf = (rows) =>
+  rows.map(({ project, depth, childCount }) => [
+    project.projectId,
+    depth,
+    childCount,
+  ]);
+
+describe('project-tree', () => {
+  it('shows projects of missing parents at the top level', () => {
+    expect(
+      getChildProjects(projects, null).map((project) => project.projectId)
+    ).toEqual(['work', 'home', 'orphan']);
+    expect(
+      getChildProjects(projects, 'work').map((project) => project.projectId)
+    ).toEqual(['launch', 'hiring']);
+  });
+
+  it('finds every sub-project, depth first', () => {
+    expect(
+      getSubprojects(projects, 'work').map((project) => project.projectId)
+    ).toEqual(['launch', 'press', 'hiring']);
+    expect(isSubprojectOf(projects, 'press', 'work')).toBe(true);
+    expect(isSubprojectOf(projects, 'work', 'press')).toBe(false);
+  });
+
+  it('indents sub-projects and leaves out those of collapsed projects', () => {
+    expect(rowsOf(flattenProjects(projects))).toEqual([
+      ['work', 0, 2],
+      ['launch', 1, 1],
+      ['press', 2, 0],
+      ['hiring', 1, 0],
+      ['home', 0, 0],
+      ['orphan', 0, 0],
+    ]);
+
+    expect(
+      rowsOf(
+        flattenProjects(projects, {
+          isCollapsed: (project) => project.projectId === 'launch',
+        })
+      )
+    ).toEqual([
+      ['work', 0, 2],
+      ['launch', 1, 1],
+      ['hiring', 1, 0],
+      ['home', 0, 0],
+      ['orphan', 0, 0],
+    ]);
+  });
+
+  it('still shows projects on a parent cycle', () => {
+    const cycle = [
+      { projectId: 'a', parentProjectId: 'b' },
+      { projectId: 'b', parentProjectId: 'a' },
+    ];
+
+    expect(rowsOf(flattenProjects(cycle))).toEqual([
+      ['a', 0, 1],
+      ['b', 1, 0],
+    ]);
+    expect(
+      getSubprojects(cycle, 'a').map((project) => project.projectId)
+    ).toEqual(['b']);
+  });
+});
@@ -0,0 +1,109 @@
+import {
+  CATCH_UP_WINDOW,
+  planPushes,
+  toPushTask,
+} from '../../api/_lib/push-events';
+
+const ZONE = 'Europe/Berlin';
+
+const task = (id, dueDate, dueTime = null) => ({
+  id,
+  task: `Task ${id}`,
+  dueDate,
+  dueTime,
+  timeZone: null,
+});
+
+const plan = (tasks, now) =>
+  planPushes({ tasks, timeZone: ZONE, now: new Date(now) });
+
+describe('push events', () => {
+  it('reads task rows in the user zone unless they have their own', () => {
+    expect(
+      toPushTask(
+        { id: 1, task: 'Call', due_date: '2024-03-08', due_time: '14:30:00' },
+        ZONE
+      )
+    ).toEqual({
+      id: 1,
+      task: 'Call',
+      dueDate: '2024-03-08',
+      dueTime: '14:30',
+      timeZone: ZONE,
+    });
+    expect(toPushTask({ id: 2, due_timezone: 'UTC' }, ZONE).timeZone).toBe(
+      'UTC'
+    );
+  });
+
+  it('pushes timed tasks when they come due', () => {
+    const tasks = [task(1, '2024-03-08', '14:30')];
+
+    // 14:30 in Berlin is 13:30 UTC
+    expect(plan(tasks, '2024-03-08T13:29:00Z')).toEqual([]);
+    expect(plan(tasks, '2024-03-08T13:45:00Z')).toEqual([
+      {
+        key: 'due:1:2024-03-08T13:30:00.000Z',
+        payload: { title: 'Due now', body: 'Task 1', tag: 'task-1', url: '/' },
+        ttl: CATCH_UP_WINDOW / 1000,
+        urgency: 'high',
+      },
+    ]);
+    expect(
+      plan(
+        tasks,
+        new Date(Date.parse('2024-03-08T13:30:00Z') + CATCH_UP_WINDOW)
+      )
+    ).toEqual([]);
+  });
+
+  it('pushes open tasks on the morning after they were due', () => {
+    const events = plan([task(1, '2024-03-07')], '2024-03-08T07:15:00Z');
+    expect(events).toEqual([
+      expect.objectContaining({
+        key: 'overdue:1:2024-03-07',
+        payload: expect.objectContaining({
+          title: 'Overdue',
+          body: 'Task 1 (due Thu 7 Mar)',
+        }),
+      }),
+    ]);
+    // Not in the middle of the night
+    expect(plan([task(1, '2024-03-07')], '2024-03-07T23:30:00Z')).toEqual([]);
+  });
+
+  it('sends a morning digest of the TODAY list', () => {
+    const tasks = [
+      task(1, '2024-03-08'),
+      task(2, '2024-03-08', '16:00'),
+      task(3, '2024-03-08', '09:30'),
+      task(4, '2024-03-09'),
+    ];
+    const [digest] = plan(tasks, '2024-03-08T07:05:00Z');
+    expect(digest.key).toBe('digest:2024-03-08');
+    expect(digest.payload).toEqual({
+      title: 'Today: 3 tasks',
+      body: '09:30 Task 3\n16:00 Task 2\nTask 1',
+      tag: 'digest',
+      url: '/',
+    });
+
+    // Not before the morning, and not on an empty day
+    expect(plan(tasks, '2024-03-08T06:55:00Z')).toEqual([]);
+    expect(plan([task(4, '2024-03-09')], '2024-03-08T07:05:00Z')).toEqual([]);
+  });
+
+  it('names a few tasks in the digest and counts the rest', () => {
+    const tasks = [1, 2, 3, 4, 5, 6, 7].map((id) => task(id, '2024-03-08'));
+    const [digest] = plan(tasks, '2024-03-08T07:05:00Z');
+    expect(digest.payload.title).toBe('Today: 7 tasks');
+    expect(digest.payload.body.split('\n')).toEqual([
+      'Task 1',
+      'Task 2',
+      'Task 3',
+      'Task 4',
+      'Task 5',
+      'and 2 more',
+    ]);
+  });
+});
@@ -0,0 +1,30 @@
+import {
+  toApplicationServerKey,
+  toSubscriptionRecord,
+} from '../lib/push-notifications';
+
+describe('push notifications', () => {
+  it('decodes base64url keys for PushManager', () => {
+    expect(Array.from(toApplicationServerKey('BP8-_w'))).toEqual([
+      4, 255, 62, 255,
+    ]);
+  });
+
+  it('saves a subscription by endpoint and keys', () => {
+    const json = {
+      endpoint: 'https://push.example.com/abc',
+      expirationTime: null,
+      keys: { p256dh: 'key', auth: 'secret' },
+    };
+    const record = {
+      endpoint: 'https://push.example.com/abc',
+      p256dh: 'key',
+      auth: 'secret',
+      timeZone: 'Europe/Berlin',
+    };
+    expect(toSubscriptionRecord(json, 'Europe/Berlin')).toEqual(record);
+    expect(
+      toSubscriptionRecord({ toJSON: () => json }, 'Europe/Berlin')
+    ).toEqual(record);
+  });
+});
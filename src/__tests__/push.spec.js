@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+import { runPushes } from '../../api/push';
+import { createSupabase } from '../test-utils/supabase';
+
+const subscription = (endpoint, userId = 'u1') => ({
+  endpoint,
+  user_id: userId,
+  p256dh: 'key',
+  auth: 'secret',
+  time_zone: 'Europe/Berlin',
+  updated_at: '2024-03-01T00:00:00Z',
+});
+
+describe('runPushes', () => {
+  // 09:00 in New York; the user's own 09:00 in Berlin was hours ago
+  const task = {
+    id: 1,
+    task: 'Call Sarah',
+    user_id: 'u1',
+    due_date: '2024-03-08',
+    due_time: '09:00:00',
+    due_timezone: 'America/New_York',
+  };
+  const now = new Date('2024-03-08T14:10:00Z');
+
+  const createDatabase = (subscriptions) =>
+    createSupabase({
+      push_subscriptions: ({ calls }) =>
+        calls.delete ? { error: null } : { data: subscriptions, error: null },
+      tasks: () => ({ data: [task], error: null }),
+      push_deliveries: ({ calls }) =>
+        calls.upsert
+          ? { data: calls.upsert[0].map(({ key }) => ({ key })), error: null }
+          : { error: null },
+    });
+
+  it('pushes tasks coming due in their own time zone', async () => {
+    const supabase = createDatabase([subscription('https://push/a')]);
+    const send = jest.fn().mockResolvedValue(201);
+
+    await expect(
+      runPushes({ supabase, vapid: {}, now, send })
+    ).resolves.toEqual({ users: 1, sent: 1, failed: 0, removed: 0, errors: 0 });
+
+    const tasksQuery = supabase.queries.find(({ table }) => table === 'tasks');
+    expect(tasksQuery.calls.select).toEqual([
+      'id, task, user_id, due_date, due_time, due_timezone',
+    ]);
+    expect(send).toHaveBeenCalledWith(
+      { endpoint: 'https://push/a', keys: { p256dh: 'key', auth: 'secret' } },
+      expect.objectContaining({ title: 'Due now', body: 'Call Sarah' }),
+      expect.objectContaining({ urgency: 'high' })
+    );
+  });
+
+  it('removes subscriptions that are gone', async () => {
+    const supabase = createDatabase([
+      subscription('https://push/a'),
+      subscription('https://push/b'),
+    ]);
+    const send = jest.fn(async ({ endpoint }) => {
+      if (endpoint === 'https://push/b')
+        throw Object.assign(new Error(), { isGone: true });
+      return 201;
+    });
+
+    await expect(
+      runPushes({ supabase, vapid: {}, now, send })
+    ).resolves.toEqual({ users: 1, sent: 1, failed: 0, removed: 1, errors: 0 });
+    const removal = supabase.queries.find(
+      ({ table, calls }) => table === 'push_subscriptions' && calls.delete
+    );
+    expect(removal.calls.in).toEqual(['endpoint', ['https://push/b']]);
+  });
+
+  it("still pushes to other users when one user's fails", async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const supabase = createSupabase({
+      push_subscriptions: () => ({
+        data: [
+          subscription('https://push/a'),
+          subscription('https://push/b', 'u2'),
+        ],
+        error: null,
+      }),
+      tasks: () => ({
+        data: [task, { ...task, id: 2, user_id: 'u2' }],
+        error: null,
+      }),
+      push_deliveries: ({ calls }) => {
+        if (!calls.upsert) return { error: null };
+        const [rows] = calls.upsert;
+        return rows[0].user_id === 'u1'
+          ? { data: null, error: new Error('Claim failed') }
+          : { data: rows.map(({ key }) => ({ key })), error: null };
+      },
+    });
+    const send = jest.fn().mockResolvedValue(201);
+
+    await expect(
+      runPushes({ supabase, vapid: {}, now, send })
+    ).resolves.toEqual({ users: 2, sent: 1, failed: 0, removed: 0, errors: 1 });
+    expect(send).toHaveBeenCalledWith(
+      expect.objectContaining({ endpoint: 'https://push/b' }),
+      expect.anything(),
+      expect.anything()
+    );
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,148 @@
+import moment from 'moment';
+import {
+  parseRecurrence,
+  describeRecurrence,
+  getNextOccurrence,
+  getFirstOccurrence,
+  isValidRecurrence,
+} from '../lib/recurrence';
+
+const day = (iso) => moment(iso, 'YYYY-MM-DD');
+const format = (m) => m.format('YYYY-MM-DD');
+
+describe('recurrence', () => {
+  describe('parseRecurrence', () => {
+    it('parses every weekday', () => {
+      const { rule, match } = parseRecurrence('Standup every weekday at 9am');
+      expect(match).toBe('every weekday');
+      expect(rule).toEqual({
+        frequency: 'weekly',
+        interval: 1,
+        weekdays: [1, 2, 3, 4, 5],
+      });
+    });
+
+    it('parses an nth weekday of the month', () => {
+      const { rule } = parseRecurrence('Book club every 2nd Tuesday');
+      expect(rule).toEqual({
+        frequency: 'monthly',
+        interval: 1,
+        weekOfMonth: 2,
+        weekdays: [2],
+      });
+    });
+
+    it('parses a monthly interval with a day of month', () => {
+      const { rule, match } = parseRecurrence(
+        'Pay taxes every 3 months on the 1st'
+      );
+      expect(match).toBe('every 3 months on the 1st');
+      expect(rule).toEqual({ frequency: 'monthly', interval: 3, monthDay: 1 });
+    });
+
+    it('parses lists of weekdays and intervals', () => {
+      expect(parseRecurrence('gym every mon, wed and fri').rule).toEqual({
+        frequency: 'weekly',
+        interval: 1,
+        weekdays: [1, 3, 5],
+      });
+      expect(parseRecurrence('water plants every other day').rule).toEqual({
+        frequency: 'daily',
+        interval: 2,
+      });
+      expect(parseRecurrence('renew domain yearly').rule).toEqual({
+        frequency: 'yearly',
+        interval: 1,
+      });
+    });
+
+    it('does not mistake "every month" for a weekday', () => {
+      expect(parseRecurrence('review budget every month').rule).toEqual({
+        frequency: 'monthly',
+        interval: 1,
+      });
+    });
+
+    it('reads daily, weekly and the like only as a trailing phrase', () => {
+      expect(parseRecurrence('Standup daily at 9am')).toEqual({
+        rule: { frequency: 'daily', interval: 1 },
+        match: 'daily',
+      });
+      expect(parseRecurrence('Pay rent monthly, on the 1st').rule).toEqual({
+        frequency: 'monthly',
+        interval: 1,
+      });
+      expect(parseRecurrence('Write monthly report')).toBeNull();
+      expect(parseRecurrence('Read weekly newsletter')).toBeNull();
+      expect(parseRecurrence('Plan the daily standup')).toBeNull();
+      expect(parseRecurrence('Update yearly budget spreadsheet')).toBeNull();
+    });
+
+    it('returns null when there is no recurrence', () => {
+      expect(parseRecurrence('Call Sarah tomorrow')).toBeNull();
+      expect(parseRecurrence('')).toBeNull();
+    });
+  });
+
+  describe('describeRecurrence', () => {
+    it('describes rules', () => {
+      expect(describeRecurrence(parseRecurrence('every weekday').rule)).toBe(
+        'Every weekday'
+      );
+      expect(
+        describeRecurrence(parseRecurrence('every 2nd tuesday').rule)
+      ).toBe('Every 2nd Tuesday');
+      expect(
+        describeRecurrence(parseRecurrence('every 3 months on the 1st').rule)
+      ).toBe('Every 3 months on the 1st');
+      expect(describeRecurrence({ frequency: 'nope' })).toBe('');
+    });
+  });
+
+  describe('getNextOccurrence', () => {
+    const today = day('2024-03-06'); // Wednesday
+
+    it('skips the weekend for every weekday', () => {
+      const { rule } = parseRecurrence('every weekday');
+      expect(format(getNextOccurrence(rule, day('2024-03-08'), today))).toBe(
+        '2024-03-11'
+      );
+    });
+
+    it('finds the 2nd Tuesday of the next month', () => {
+      const { rule } = parseRecurrence('every 2nd tuesday');
+      expect(format(getNextOccurrence(rule, day('2024-03-12'), today))).toBe(
+        '2024-04-09'
+      );
+    });
+
+    it('steps a monthly interval and clamps the day of month', () => {
+      const rule = { frequency: 'monthly', interval: 3, monthDay: 31 };
+      expect(format(getNextOccurrence(rule, day('2024-03-31'), today))).toBe(
+        '2024-06-30'
+      );
+    });
+
+    it('catches overdue tasks up to today', () => {
+      const rule = { frequency: 'daily', interval: 1 };
+      expect(format(getNextOccurrence(rule, day('2024-02-01'), today))).toBe(
+        '2024-03-06'
+      );
+    });
+
+    it('starts from today when the task has no date', () => {
+      const rule = { frequency: 'weekly', interval: 1, weekdays: [1] };
+      expect(format(getNextOccurrence(rule, null, today))).toBe('2024-03-11');
+      expect(format(getFirstOccurrence(rule, day('2024-03-11')))).toBe(
+        '2024-03-11'
+      );
+    });
+
+    it('returns null for invalid rules', () => {
+      expect(isValidRecurrence({ frequency: 'weekly', weekdays: [9] })).toBe(
+        false
+      );
+      expect(getNextOccurrence(null, today, today)).toBeNull();
+    });
+  });
+});
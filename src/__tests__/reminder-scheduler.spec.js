@@ -0,0 +1,142 @@
+import {
+  CATCH_UP_WINDOW,
+  createReminderScheduler,
+  getScheduledReminders,
+} from '../lib/reminder-scheduler';
+import { absoluteReminder, relativeReminder } from '../lib/reminders';
+
+const HOUR = 60 * 60 * 1000;
+const START = Date.parse('2024-03-08T12:00:00Z');
+
+const createStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+  };
+};
+
+// A clock and timers that only move when told to
+const createClock = () => {
+  let time = START;
+  let pending = null;
+  return {
+    now: () => time,
+    setTimer: (callback, delay) => {
+      pending = { callback, at: time + delay };
+      return pending;
+    },
+    clearTimer: (timer) => {
+      if (timer === pending) pending = null;
+    },
+    advance(ms) {
+      time += ms;
+      while (pending && pending.at <= time) {
+        const { callback } = pending;
+        pending = null;
+        callback();
+      }
+    },
+  };
+};
+
+const taskAt = (id, at) => ({
+  id,
+  task: `Task ${id}`,
+  dueDate: null,
+  reminders: [absoluteReminder(new Date(at))],
+});
+
+describe('reminder scheduler', () => {
+  let storage;
+  let clock;
+  let fired;
+
+  // Each call is the app starting again, sharing storage with the last
+  const start = () =>
+    createReminderScheduler({
+      onFire: ({ task }) => fired.push(task.id),
+      storage,
+      storageKey: 'reminders:u1',
+      ...clock,
+    });
+
+  beforeEach(() => {
+    storage = createStorage();
+    clock = createClock();
+    fired = [];
+  });
+
+  it('lists reminders of open tasks earliest first', () => {
+    const scheduled = getScheduledReminders([
+      taskAt(1, START + 2 * HOUR),
+      taskAt(2, START + HOUR),
+      { ...taskAt(3, START), archived: true },
+      { id: 4, dueDate: null, reminders: [relativeReminder(15)] },
+    ]);
+    expect(scheduled.map(({ task }) => task.id)).toEqual([2, 1]);
+  });
+
+  it('fires reminders when they come due, once', () => {
+    const scheduler = start();
+    scheduler.update([taskAt(1, START + HOUR), taskAt(2, START + 2 * HOUR)]);
+
+    clock.advance(HOUR);
+    expect(fired).toEqual([1]);
+    scheduler.update([taskAt(1, START + HOUR), taskAt(2, START + 2 * HOUR)]);
+    clock.advance(HOUR);
+    expect(fired).toEqual([1, 2]);
+  });
+
+  it("doesn't fire reminders that had passed on first start", () => {
+    start().update([taskAt(1, START - HOUR)]);
+    expect(fired).toEqual([]);
+  });
+
+  it('catches up on reminders missed while closed', () => {
+    const tasks = [taskAt(1, START + HOUR), taskAt(2, START + 3 * HOUR)];
+    start().update(tasks);
+
+    // Reopened two hours later
+    clock.advance(2 * HOUR);
+    const scheduler = start();
+    scheduler.update(tasks);
+    expect(fired).toEqual([1]);
+
+    // and not again on the next reload
+    start().update(tasks);
+    expect(fired).toEqual([1]);
+    scheduler.stop();
+  });
+
+  it('skips missed reminders older than the catch-up window', () => {
+    const tasks = [
+      taskAt(1, START + HOUR),
+      taskAt(2, START + CATCH_UP_WINDOW + 2 * HOUR),
+    ];
+    start().update(tasks);
+
+    clock.advance(CATCH_UP_WINDOW + 3 * HOUR);
+    start().update(tasks);
+    expect(fired).toEqual([2]);
+  });
+
+  it('fires again once a reminder moves to a new time', () => {
+    const scheduler = start();
+    scheduler.update([taskAt(1, START + HOUR)]);
+    clock.advance(HOUR);
+    scheduler.update([taskAt(1, START + 2 * HOUR)]);
+    clock.advance(HOUR);
+    expect(fired).toEqual([1, 1]);
+  });
+
+  it('stops firing once stopped', () => {
+    const scheduler = start();
+    scheduler.update([taskAt(1, START + HOUR)]);
+    scheduler.stop();
+    clock.advance(HOUR);
+    expect(fired).toEqual([]);
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  absoluteReminder,
+  addReminder,
+  carryOverReminders,
+  describeReminder,
+  getReminderTime,
+  parseReminder,
+  relativeReminder,
+} from '../lib/reminders';
+
+const task = (dueDate, dueTime = null) => ({
+  dueDate,
+  dueTime,
+  timeZone: 'UTC',
+});
+
+describe('reminders', () => {
+  it('reads the suggestions the AI makes', () => {
+    expect(parseReminder('1 day before')).toEqual(relativeReminder(1440));
+    expect(parseReminder('1 hour before')).toEqual(relativeReminder(60));
+    expect(parseReminder('15 minutes before')).toEqual(relativeReminder(15));
+    expect(parseReminder('a week before due')).toEqual(
+      relativeReminder(7 * 1440)
+    );
+    expect(parseReminder('At due time')).toEqual(relativeReminder(0));
+    expect(parseReminder('1 fortnight before')).toBeNull();
+    expect(parseReminder('when I get home')).toBeNull();
+  });
+
+  it('times relative reminders from the due time', () => {
+    expect(
+      getReminderTime(relativeReminder(30), task('2024-03-08', '14:00'))
+    ).toEqual(new Date('2024-03-08T13:30:00Z'));
+  });
+
+  it('uses the morning for tasks due on a day without a time', () => {
+    expect(getReminderTime(relativeReminder(60), task('2024-03-08'))).toEqual(
+      new Date('2024-03-08T08:00:00Z')
+    );
+  });
+
+  it('has no time for relative reminders on undated tasks', () => {
+    expect(getReminderTime(relativeReminder(60), task(null))).toBeNull();
+    expect(
+      getReminderTime(absoluteReminder('2024-03-08T08:00:00Z'), task(null))
+    ).toEqual(new Date('2024-03-08T08:00:00Z'));
+  });
+
+  it('describes relative reminders in the largest whole unit', () => {
+    expect(describeReminder(relativeReminder(0))).toBe('At due time');
+    expect(describeReminder(relativeReminder(1440))).toBe('1 day before');
+    expect(describeReminder(relativeReminder(90))).toBe('90 minutes before');
+    expect(describeReminder(relativeReminder(120))).toBe('2 hours before');
+  });
+
+  it('adds each reminder once, in the order they go off', () => {
+    const at = absoluteReminder('2024-03-08T08:00:00Z');
+    let reminders = addReminder([], relativeReminder(15));
+    reminders = addReminder(reminders, at);
+    reminders = addReminder(reminders, relativeReminder(60));
+    expect(addReminder(reminders, relativeReminder(15))).toBe(reminders);
+    expect(reminders.map(({ id }) => id)).toEqual([
+      'before-60',
+      'before-15',
+      at.id,
+    ]);
+  });
+
+  it('carries only relative reminders to the next occurrence', () => {
+    expect(
+      carryOverReminders([
+        relativeReminder(15),
+        absoluteReminder('2024-03-08T08:00:00Z'),
+      ])
+    ).toEqual([relativeReminder(15)]);
+    expect(carryOverReminders()).toEqual([]);
+  });
+});
@@ -0,0 +1,39 @@
+import {
+  parseHighlights,
+  stripHighlights,
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+} from '../lib/search-highlight';
+
+const mark = (text) => `${HIGHLIGHT_START}${text}${HIGHLIGHT_STOP}`;
+
+describe('search-highlight', () => {
+  it('splits text into plain and matched segments', () => {
+    expect(parseHighlights(`Plan ${mark('meeting')} agenda`)).toEqual([
+      { text: 'Plan ', match: false },
+      { text: 'meeting', match: true },
+      { text: ' agenda', match: false },
+    ]);
+  });
+
+  it('handles several and adjacent matches', () => {
+    expect(parseHighlights(`${mark('team')} ${mark('meet')}`)).toEqual([
+      { text: 'team', match: true },
+      { text: ' ', match: false },
+      { text: 'meet', match: true },
+    ]);
+  });
+
+  it('keeps markup in task text as plain text', () => {
+    expect(parseHighlights(`<b>${mark('x')}</b>`)).toEqual([
+      { text: '<b>', match: false },
+      { text: 'x', match: true },
+      { text: '</b>', match: false },
+    ]);
+  });
+
+  it('returns no segments for empty input and strips markers', () => {
+    expect(parseHighlights('')).toEqual([]);
+    expect(stripHighlights(`Plan ${mark('meeting')}`)).toBe('Plan meeting');
+  });
+});
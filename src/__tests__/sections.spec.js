@@ -0,0 +1,54 @@
+import {
+  getLayout,
+  getSectionId,
+  groupBySection,
+  nextSectionKey,
+} from '../lib/sections';
+
+const sections = [
+  { id: 'done', name: 'Done', sort_order: 'k' },
+  { id: 'doing', name: 'Doing', sort_order: 'V' },
+];
+
+describe('sections', () => {
+  it('defaults projects to the list layout', () => {
+    expect(getLayout({ layout: 'board' })).toBe('board');
+    expect(getLayout({ layout: null })).toBe('list');
+    expect(getLayout(undefined)).toBe('list');
+  });
+
+  it('shows tasks of unknown sections outside any section', () => {
+    expect(getSectionId({ sectionId: 'doing' }, sections)).toBe('doing');
+    expect(getSectionId({ sectionId: 'deleted' }, sections)).toBeNull();
+    expect(getSectionId({ sectionId: null }, sections)).toBeNull();
+  });
+
+  it("groups tasks under their top-level task's section", () => {
+    const groups = groupBySection(
+      [
+        { id: 1, sectionId: 'done' },
+        { id: 2, sectionId: null },
+        { id: 3, parentTaskId: 1, sectionId: null },
+        { id: 4, parentTaskId: 3, sectionId: 'doing' },
+        { id: 5, sectionId: 'deleted' },
+      ],
+      sections
+    );
+
+    expect(
+      groups.map((group) => [
+        group.section && group.section.id,
+        group.tasks.map((task) => task.id),
+      ])
+    ).toEqual([
+      [null, [2, 5]],
+      ['doing', []],
+      ['done', [1, 3, 4]],
+    ]);
+  });
+
+  it('adds sections after the last one', () => {
+    expect(nextSectionKey([])).toBe('V');
+    expect(nextSectionKey([sections[1], sections[0]]) > 'k').toBe(true);
+  });
+});
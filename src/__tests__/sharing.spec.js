@@ -0,0 +1,47 @@
+import {
+  canEditTasks,
+  canManageProject,
+  getInvitationLink,
+  isValidEmail,
+  readInvitationToken,
+  sortMembers,
+} from '../lib/sharing';
+
+describe('sharing', () => {
+  it('lets editors change tasks and only owners manage the project', () => {
+    expect(canEditTasks({ role: 'editor' })).toBe(true);
+    expect(canEditTasks({ role: 'viewer' })).toBe(false);
+    expect(canManageProject({ role: 'editor' })).toBe(false);
+    // Views that aren't a project, and projects without a role, are the user's
+    expect(canEditTasks(null)).toBe(true);
+    expect(canManageProject({})).toBe(true);
+  });
+
+  it('round-trips invitation tokens through links', () => {
+    const link = getInvitationLink('abc123', 'https://todo.example');
+
+    expect(link).toBe('https://todo.example/?invite=abc123');
+    expect(readInvitationToken(new URL(link).search)).toBe('abc123');
+    expect(readInvitationToken('?project=1')).toBeNull();
+  });
+
+  it('checks addresses loosely', () => {
+    expect(isValidEmail(' Sam@Example.com ')).toBe(true);
+    expect(isValidEmail('sam@example')).toBe(false);
+    expect(isValidEmail('')).toBe(false);
+  });
+
+  it('lists the owner first, then everyone by address', () => {
+    const members = [
+      { email: 'zoe@example.com', role: 'editor' },
+      { email: 'max@example.com', role: 'owner' },
+      { email: 'ana@example.com', role: 'viewer' },
+    ];
+
+    expect(sortMembers(members).map((member) => member.email)).toEqual([
+      'max@example.com',
+      'ana@example.com',
+      'zoe@example.com',
+    ]);
+  });
+});
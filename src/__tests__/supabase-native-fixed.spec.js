@@ -0,0 +1,85 @@
+import { supabase, tasksService } from '../lib/supabase-native-fixed';
+import { createSupabase } from '../test-utils/supabase';
+
+const row = (updatedAt, extra = {}) => ({
+  id: 1,
+  task: 'Call Sarah',
+  priority: 1,
+  updated_at: updatedAt,
+  ...extra,
+});
+
+// Updates match nothing; the row reads back as each of `rows` in turn
+const stubTasks = (rows) => {
+  const stub = createSupabase({
+    tasks: ({ calls }) =>
+      calls.update
+        ? { data: [], error: null }
+        : { data: rows.shift(), error: null },
+  });
+  jest.spyOn(supabase, 'from').mockImplementation(stub.from);
+  return stub.queries;
+};
+
+const updates = (queries) => queries.filter(({ calls }) => calls.update);
+
+describe('tasksService.updateTask', () => {
+  const options = {
+    expectedUpdatedAt: '2024-03-01T10:00:00+00:00',
+    base: { task: 'Call Sarah' },
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refuses a write that matches nothing on an unchanged row', async () => {
+    const queries = stubTasks([row('2024-03-01T10:00:00+00:00')]);
+
+    await expect(
+      tasksService.updateTask(1, { task: 'Call Sam' }, options)
+    ).rejects.toThrow("You don't have permission to update task 1");
+    expect(updates(queries)).toHaveLength(1);
+  });
+
+  it('retries on top of an unrelated change only once', async () => {
+    const queries = stubTasks([
+      row('2024-03-01T11:00:00+00:00', { priority: 2 }),
+      row('2024-03-01T12:00:00+00:00', { priority: 3 }),
+    ]);
+
+    await expect(
+      tasksService.updateTask(1, { task: 'Call Sam' }, options)
+    ).rejects.toThrow('Task 1 could not be updated');
+    expect(updates(queries).map(({ calls }) => calls.eq)).toEqual([
+      ['updated_at', '2024-03-01T10:00:00+00:00'],
+      ['updated_at', '2024-03-01T11:00:00+00:00'],
+    ]);
+  });
+});
+
+describe('tasksService.purgeCompletedTasks', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("deletes only the confirmed tasks, not archived projects' ones", async () => {
+    // 2 is in an archived project, so it wasn't shown or confirmed; 3 is an
+    // open subtask of 1
+    const rows = [
+      { id: 2, parent_task_id: null, archived: true },
+      { id: 3, parent_task_id: 1, archived: false },
+    ];
+    const stub = createSupabase({
+      tasks: ({ calls }) => {
+        if (calls.delete) return { data: [{ id: 1 }], error: null };
+        if (calls.update) return { error: null };
+        return { data: rows, error: null };
+      },
+    });
+    jest.spyOn(supabase, 'from').mockImplementation(stub.from);
+
+    expect(await tasksService.purgeCompletedTasks([1])).toEqual([1]);
+
+    const [, detach, purge] = stub.queries;
+    expect(detach.calls.in).toEqual(['id', [3]]);
+    expect(purge.calls.in).toEqual(['id', [1]]);
+    expect(purge.calls.eq).toEqual(['archived', true]);
+  });
+});
@@ -0,0 +1,51 @@
+import { completeTask } from '../lib/task-completion';
+import { offlineSync } from '../lib/offline-sync';
+import { tasksService } from '../lib/supabase-native-fixed';
+
+jest.mock('../lib/offline-sync', () => ({
+  offlineSync: { updateTask: jest.fn(), createTask: jest.fn() },
+}));
+
+jest.mock('../lib/supabase-native-fixed', () => ({
+  tasksService: { buildNextOccurrence: jest.fn() },
+}));
+
+describe('task-completion', () => {
+  const task = { id: 1, task: 'Water plants', recurrence: 'every week' };
+  const nextTask = { task: 'Water plants', dueDate: '2024-03-15' };
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    tasksService.buildNextOccurrence.mockReturnValue(nextTask);
+  });
+
+  it('archives a one-off task', async () => {
+    const result = await completeTask(1, { id: 1, task: 'Call Bob' });
+
+    expect(result).toEqual({ nextTask: null, nextId: null });
+    expect(offlineSync.updateTask).toHaveBeenCalledWith(
+      1,
+      { archived: true },
+      { id: 1, task: 'Call Bob' }
+    );
+    expect(offlineSync.createTask).not.toHaveBeenCalled();
+  });
+
+  it('creates the next occurrence of a recurring task', async () => {
+    offlineSync.createTask.mockResolvedValue('temp-2');
+
+    expect(await completeTask(1, task)).toEqual({ nextTask, nextId: 'temp-2' });
+    expect(offlineSync.createTask).toHaveBeenCalledWith(nextTask);
+  });
+
+  it('reopens the task when its next occurrence fails', async () => {
+    const failure = new Error('Quota exceeded');
+    offlineSync.createTask.mockRejectedValue(failure);
+
+    await expect(completeTask(1, task)).rejects.toBe(failure);
+    expect(offlineSync.updateTask.mock.calls).toEqual([
+      [1, { archived: true }, task],
+      [1, { archived: false }],
+    ]);
+  });
+});
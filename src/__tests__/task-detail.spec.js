@@ -0,0 +1,189 @@
+import {
+  describeActivity,
+  getAiDetails,
+  getParentOptions,
+  planTaskEdit,
+  toDetailValues,
+  withAiDetails,
+} from '../lib/task-detail';
+
+const task = (id, fields = {}) => ({
+  id,
+  task: `Task ${id}`,
+  priority: 'medium',
+  projectId: 'p1',
+  parentTaskId: null,
+  dueDate: null,
+  dueTime: null,
+  timeZone: null,
+  archived: false,
+  metadata: {},
+  ...fields,
+});
+
+const parent = task(1);
+const child = task(2, { parentTaskId: 1 });
+const grandchild = task(3, { parentTaskId: 2 });
+const other = task(4, { projectId: 'p2' });
+const tasks = [parent, child, grandchild, task(5), other];
+
+describe('task detail', () => {
+  it('reads and writes the AI details', () => {
+    const aiTask = task(1, {
+      metadata: {
+        originalInput: 'plan trip',
+        aiParsed: {
+          category: 'travel',
+          people: ['Sam'],
+          suggestions: ['Book flights', { task: 'Pack', priority: 'low' }],
+        },
+      },
+    });
+    const details = getAiDetails(aiTask);
+    expect(details).toEqual({
+      category: 'travel',
+      estimatedDuration: '',
+      suggestions: 'Book flights\nPack',
+    });
+
+    expect(
+      withAiDetails(aiTask.metadata, {
+        category: ' ',
+        estimatedDuration: '2 hours',
+        suggestions: 'Pack\nRent a car\n',
+      })
+    ).toEqual({
+      originalInput: 'plan trip',
+      aiParsed: {
+        people: ['Sam'],
+        estimatedDuration: '2 hours',
+        suggestions: [{ task: 'Pack', priority: 'low' }, 'Rent a car'],
+      },
+    });
+    expect(
+      withAiDetails(
+        {},
+        { category: '', estimatedDuration: '', suggestions: '' }
+      )
+    ).toEqual({});
+  });
+
+  it('offers parents of the project, but not the task or its subtasks', () => {
+    expect(getParentOptions(child, tasks, 'p1').map((t) => t.id)).toEqual([
+      1, 5,
+    ]);
+    expect(getParentOptions(parent, tasks, 'p1').map((t) => t.id)).toEqual([5]);
+    expect(getParentOptions(parent, tasks, 'p2').map((t) => t.id)).toEqual([4]);
+  });
+
+  it('plans nothing for an unchanged form', () => {
+    expect(planTaskEdit(child, toDetailValues(child), tasks)).toEqual([]);
+    // Parents that aren't loaded are kept
+    expect(planTaskEdit(child, toDetailValues(child), [])).toEqual([]);
+  });
+
+  it('plans field edits on the task', () => {
+    const values = {
+      ...toDetailValues(parent),
+      task: ' Renamed ',
+      description: '**Notes**',
+      priority: 'high',
+      dueDate: '2026-10-20',
+      dueTime: '09:30',
+    };
+    expect(planTaskEdit(parent, values, tasks)).toEqual([
+      {
+        id: 1,
+        before: {
+          task: 'Task 1',
+          description: null,
+          priority: 'medium',
+          dueDate: null,
+          dueTime: null,
+          timeZone: null,
+        },
+        after: {
+          task: 'Renamed',
+          description: '**Notes**',
+          priority: 'high',
+          dueDate: '2026-10-20',
+          dueTime: '09:30',
+          timeZone: null,
+        },
+      },
+    ]);
+  });
+
+  it('plans reminder edits', () => {
+    const reminders = [
+      { id: 'before-15', type: 'relative', minutesBefore: 15 },
+    ];
+    expect(
+      planTaskEdit(parent, { ...toDetailValues(parent), reminders }, tasks)
+    ).toEqual([{ id: 1, before: { reminders: [] }, after: { reminders } }]);
+  });
+
+  it('moves subtasks along to another project', () => {
+    const values = { ...toDetailValues(parent), projectId: 'p2' };
+    expect(planTaskEdit({ ...parent, sectionId: 's1' }, values, tasks)).toEqual(
+      [
+        {
+          id: 1,
+          before: { projectId: 'p1', sectionId: 's1' },
+          after: { projectId: 'p2', sectionId: null },
+        },
+        { id: 2, before: { projectId: 'p1' }, after: { projectId: 'p2' } },
+        { id: 3, before: { projectId: 'p1' }, after: { projectId: 'p2' } },
+      ]
+    );
+  });
+
+  it('moves a task under a parent of another project', () => {
+    const values = { ...toDetailValues(task(5)), parentTaskId: 4 };
+    expect(planTaskEdit(task(5), values, tasks)).toEqual([
+      {
+        id: 5,
+        before: { parentTaskId: null, projectId: 'p1' },
+        after: { parentTaskId: 4, projectId: 'p2' },
+      },
+    ]);
+  });
+
+  it('describes activity', () => {
+    const context = {
+      projects: [{ projectId: 'p2', name: 'Work' }],
+      people: [{ id: 'a', name: 'Sam' }],
+      tasks,
+    };
+    expect(describeActivity({ action: 'created', changes: {} })).toEqual([
+      'Created the task',
+    ]);
+    expect(
+      describeActivity(
+        {
+          action: 'updated',
+          changes: {
+            priority: { from: 'medium', to: 'high' },
+            project_id: { from: '1', to: 'p2' },
+            parent_task_id: { from: null, to: 1 },
+            assignee_id: { from: null, to: 'a' },
+            description: { from: null, to: 'Notes' },
+          },
+        },
+        context
+      )
+    ).toEqual([
+      'Changed priority from medium to high',
+      'Moved to Work',
+      'Moved under "Task 1"',
+      'Assigned to Sam',
+      'Added a description',
+    ]);
+    expect(
+      describeActivity({
+        action: 'completed',
+        changes: { project_id: { from: 'p2', to: '1' } },
+      })
+    ).toEqual(['Completed the task', 'Moved to Inbox']);
+  });
+});
@@ -0,0 +1,167 @@
+import {
+  buildTaskTree,
+  cascadeArchived,
+  flattenTaskTree,
+  getDescendants,
+  getProgress,
+  getSubtasksToDetach,
+  isDescendantOf,
+} from '../lib/task-tree';
+import { applyMutations } from '../lib/mutation-queue';
+
+const task = (id, parentTaskId = null, extra = {}) => ({
+  id,
+  parentTaskId,
+  archived: false,
+  ...extra,
+});
+
+const row = (id, parentTaskId = null, archived = false) => ({
+  id,
+  parent_task_id: parentTaskId,
+  archived,
+  completed_at: archived ? '2024-03-01T00:00:00.000Z' : null,
+});
+
+const ids = (rows) => rows.map((entry) => (entry.task || entry).id);
+
+describe('task-tree', () => {
+  const tasks = [
+    task('a'),
+    task('a1', 'a'),
+    task('a1x', 'a1'),
+    task('a1y', 'a1'),
+    task('b'),
+    task('a2', 'a'),
+  ];
+
+  it('finds descendants at any depth, parents first', () => {
+    expect(ids(getDescendants(tasks, 'a'))).toEqual(['a1', 'a1x', 'a1y', 'a2']);
+    expect(ids(getDescendants(tasks, 'b'))).toEqual([]);
+    expect(isDescendantOf(tasks, 'a1y', 'a')).toBe(true);
+    expect(isDescendantOf(tasks, 'a', 'a1y')).toBe(false);
+  });
+
+  it('flattens the tree in display order with depths', () => {
+    const rows = flattenTaskTree(buildTaskTree(tasks));
+
+    expect(ids(rows)).toEqual(['a', 'a1', 'a1x', 'a1y', 'a2', 'b']);
+    expect(rows.map((entry) => entry.depth)).toEqual([0, 1, 2, 2, 1, 0]);
+    expect(rows[0].childCount).toBe(2);
+  });
+
+  it('leaves out subtasks of collapsed tasks', () => {
+    const collapsed = tasks.map((entry) =>
+      entry.id === 'a1' ? { ...entry, collapsed: true } : entry
+    );
+
+    expect(ids(flattenTaskTree(buildTaskTree(collapsed)))).toEqual([
+      'a',
+      'a1',
+      'a2',
+      'b',
+    ]);
+  });
+
+  it('shows tasks whose parent is missing or on a cycle as roots', () => {
+    const roots = buildTaskTree([
+      task('orphan', 'elsewhere'),
+      task('x', 'y'),
+      task('y', 'x'),
+    ]);
+
+    expect(ids(roots)).toEqual(['orphan', 'x', 'y']);
+  });
+
+  it('rolls progress up from all descendants', () => {
+    const withDone = [
+      ...tasks,
+      task('a1z', 'a1', { archived: true }),
+      task('a3', 'a', { archived: true }),
+    ];
+
+    expect(getProgress(withDone, 'a')).toEqual({ done: 2, total: 6 });
+    expect(getProgress(withDone, 'a1')).toEqual({ done: 1, total: 3 });
+    expect(getProgress(withDone, 'b')).toEqual({ done: 0, total: 0 });
+  });
+
+  it('completes open subtasks with their parent, like the trigger', () => {
+    const rows = [
+      row(1, null, true),
+      row(2, 1),
+      row(3, 2),
+      row(4, 1, true),
+      row(5, 4),
+    ];
+    const result = cascadeArchived(rows, 1, true, '2024-03-02T00:00:00.000Z');
+
+    expect(result.map((entry) => entry.archived)).toEqual([
+      true,
+      true,
+      true,
+      true,
+      false,
+    ]);
+    expect(result[2].completed_at).toBe('2024-03-02T00:00:00.000Z');
+    // Already completed subtasks keep their completion time
+    expect(result[3]).toBe(rows[3]);
+  });
+
+  it('reopens completed subtasks with their parent', () => {
+    const rows = [row(1), row(2, 1, true), row(3, 2, true), row(4, 1)];
+    const result = cascadeArchived(rows, 1, false);
+
+    expect(result.map((entry) => entry.archived)).toEqual([
+      false,
+      false,
+      false,
+      false,
+    ]);
+    expect(result[1].completed_at).toBeNull();
+  });
+
+  it('detaches open subtasks before a completed parent is deleted', () => {
+    const rows = [
+      row(1, null, true),
+      row(2, 1),
+      row(3, 2, true),
+      row(4, 1, true),
+      row(5, 4),
+      row(6),
+    ];
+    const detached = getSubtasksToDetach(rows, [1], (entry) => !entry.archived);
+
+    // 4 goes with its parent; 2 and 5 stay, 3 along with 2
+    expect(detached).toEqual([2, 5]);
+  });
+
+  it('detaches every subtask that is not deleted itself', () => {
+    const rows = [row(1, null, true), row(2, 1, true), row(3, 1), row(4, 3)];
+
+    expect(getSubtasksToDetach(rows, [1, 2], () => true)).toEqual([3]);
+    expect(getSubtasksToDetach(rows, [4], () => true)).toEqual([]);
+  });
+
+  it('cascades pending completions in the offline view', () => {
+    const pending = {
+      seq: 1,
+      entity: 'task',
+      type: 'update',
+      targetId: 1,
+      payload: { archived: true },
+      queuedAt: '2024-03-02T00:00:00.000Z',
+    };
+    const result = applyMutations([row(1), row(2, 1)], [pending], {
+      toRow: (mutation) => ({ archived: mutation.payload.archived }),
+      cascade: (rows, mutation) =>
+        cascadeArchived(
+          rows,
+          mutation.targetId,
+          mutation.payload.archived,
+          mutation.queuedAt
+        ),
+    });
+
+    expect(result.map((entry) => entry.archived)).toEqual([true, true]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @jest-environment node
+ */
+import {
+  createVapidAuthorization,
+  generateVapidKeys,
+  sendNotification,
+} from '../../api/_lib/web-push';
+import { startPushService } from '../test-utils/push-service';
+
+describe('web push', () => {
+  const vapid = { ...generateVapidKeys(), subject: 'mailto:push@example.com' };
+  let service;
+
+  beforeEach(async () => {
+    service = await startPushService({ vapidPublicKey: vapid.publicKey });
+  });
+
+  afterEach(() => service.close());
+
+  it('delivers encrypted payloads the subscriber can read', async () => {
+    const subscription = service.subscribe();
+    const payload = { title: 'Due now', body: 'Call Sarah ☎️', tag: 'task-1' };
+
+    await expect(
+      sendNotification(subscription, payload, {
+        vapid,
+        ttl: 60,
+        urgency: 'high',
+      })
+    ).resolves.toBe(201);
+    expect(service.received).toEqual([
+      { subscription, payload, ttl: 60, urgency: 'high' },
+    ]);
+  });
+
+  it('signs for the push service it sends to', () => {
+    const authorization = createVapidAuthorization({
+      endpoint: 'https://push.example.com/send/abc',
+      vapid,
+      now: 1000,
+    });
+    const [, token, key] = /^vapid t=(\S+), k=(\S+)$/.exec(authorization);
+    const claims = JSON.parse(
+      Buffer.from(token.split('.')[1], 'base64url').toString()
+    );
+    expect(key).toBe(vapid.publicKey);
+    expect(claims).toEqual({
+      aud: 'https://push.example.com',
+      exp: 1000 + 12 * 60 * 60,
+      sub: vapid.subject,
+    });
+  });
+
+  it('is turned down when signed with other keys', async () => {
+    const subscription = service.subscribe();
+    const other = { ...generateVapidKeys(), subject: vapid.subject };
+
+    await expect(
+      sendNotification(subscription, 'Hi', { vapid: other })
+    ).rejects.toMatchObject({ statusCode: 403, isGone: false });
+    expect(service.received).toEqual([]);
+  });
+
+  it('reports subscriptions that are gone', async () => {
+    const subscription = service.subscribe();
+    service.unsubscribe(subscription);
+
+    await expect(
+      sendNotification(subscription, 'Hi', { vapid })
+    ).rejects.toMatchObject({ statusCode: 410, isGone: true });
+  });
+
+  it('refuses payloads too large for one record', async () => {
+    await expect(
+      sendNotification(service.subscribe(), 'x'.repeat(4000), { vapid })
+    ).rejects.toThrow('too large');
+  });
+});
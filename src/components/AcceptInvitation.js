@@ -0,0 +1,37 @@
+import { useEffect } from 'react';
+import { useSelectedProjectValue } from '../context';
+import { useNotifications } from '../context/notification-context';
+import { membersService } from '../lib/supabase-native-fixed';
+import { INVITE_PARAM, readInvitationToken } from '../lib/sharing';
+
+/**
+ * Joins the project of an invitation link (?invite=…) once signed in, then
+ * opens it; the token is dropped from the address either way
+ */
+export const AcceptInvitation = () => {
+  const { setSelectedProject } = useSelectedProjectValue();
+  const { showSuccess, showError } = useNotifications();
+
+  useEffect(() => {
+    const token = readInvitationToken(window.location.search);
+    if (!token) return;
+
+    const url = new URL(window.location.href);
+    url.searchParams.delete(INVITE_PARAM);
+    window.history.replaceState(null, '', url.toString());
+
+    membersService
+      .acceptInvitation(token)
+      .then((projectId) => {
+        showSuccess('You joined a shared project');
+        setSelectedProject(projectId);
+      })
+      .catch((error) => {
+        console.error('Error accepting invitation:', error);
+        showError(error.message || 'This invitation could not be accepted.');
+      });
+    // Runs once, for the address the app was opened with
+  }, []);
+
+  return null;
+};
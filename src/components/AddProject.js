@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
-import { projectsService } from '../lib/supabase-native-fixed';
+import { offlineSync } from '../lib/offline-sync';
 import { generatePushId } from '../helpers';
 import { useProjectsValue } from '../context';
 import { useAuth } from '../context/auth-context';
@@ -17,7 +17,7 @@ export const AddProject = ({ shouldShow = false }) => {
     if (!projectName) return;
 
     try {
-      await projectsService.createProject({
+      await offlineSync.createProject({
         id: projectId,
         name: projectName,
         userId: user?.id,
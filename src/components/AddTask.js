@@ -2,9 +2,14 @@ import React, { useState } from 'react';
 import { FaRegListAlt, FaRegCalendarAlt } from 'react-icons/fa';
 import moment from 'moment';
 import PropTypes from 'prop-types';
-import { tasksService } from '../lib/supabase-native-fixed';
-import { useSelectedProjectValue } from '../context';
+import { offlineSync } from '../lib/offline-sync';
+import { createTaskCommand } from '../lib/history-commands';
+import { useSelectedProjectValue, useLabelsValue } from '../context';
 import { useAuth } from '../context/auth-context';
+import { useHistory } from '../context/history-context';
+import { DUE_DATE_FORMAT, getLocalTimeZone } from '../lib/due-dates';
+import { getLabelViewId, parseLabels } from '../lib/labels';
+import { getFilterViewId } from '../lib/filter-language';
 import { ProjectOverlay } from './ProjectOverlay';
 import { TaskDate } from './TaskDate';
 
@@ -16,6 +21,7 @@ export const AddTask = ({
 }) => {
   const [task, setTask] = useState('');
   const [taskDate, setTaskDate] = useState('');
+  const [taskTime, setTaskTime] = useState('');
   const [project, setProject] = useState('');
   const [showMain, setShowMain] = useState(shouldShowMain);
   const [showProjectOverlay, setShowProjectOverlay] = useState(false);
@@ -23,24 +29,34 @@ export const AddTask = ({
 
   const { selectedProject } = useSelectedProjectValue();
   const { user } = useAuth();
+  const { record } = useHistory();
+  const { ensureLabels } = useLabelsValue();
 
   const addTask = () => {
-    const projectId = project || selectedProject;
+    // A label's list adds to the Inbox, with that label; so does a saved filter
+    const viewLabelId = getLabelViewId(project || selectedProject);
+    const projectId =
+      viewLabelId || getFilterViewId(project || selectedProject)
+        ? '1'
+        : project || selectedProject;
+    const { text, labels } = parseLabels(task);
     let collatedDate = '';
 
     if (projectId === 'TODAY') {
-      collatedDate = moment().format('DD/MM/YYYY');
+      collatedDate = moment().format(DUE_DATE_FORMAT);
     } else if (projectId === 'NEXT_7') {
-      collatedDate = moment().add(7, 'days').format('DD/MM/YYYY');
+      collatedDate = moment().add(7, 'days').format(DUE_DATE_FORMAT);
     }
 
-    if (!task || !projectId || !user) return;
+    if (!text || !projectId || !user) return;
 
     const taskData = {
       archived: false,
       projectId,
-      task,
-      date: collatedDate || taskDate,
+      task: text,
+      dueDate: collatedDate || taskDate || null,
+      dueTime: taskTime || null,
+      timeZone: getLocalTimeZone(),
       userId: user.id,
       priority: 'medium',
       aiEnhanced: false,
@@ -48,9 +64,19 @@ export const AddTask = ({
       createdAt: new Date().toISOString(),
     };
 
-    return tasksService.createTask(taskData)
-      .then(() => {
+    return ensureLabels(labels)
+      .then((labelIds) => {
+        taskData.labelIds =
+          viewLabelId && !labelIds.includes(viewLabelId)
+            ? [...labelIds, viewLabelId]
+            : labelIds;
+        return offlineSync.createTask(taskData);
+      })
+      .then((id) => {
+        record(createTaskCommand({ id, taskData }));
         setTask('');
+        setTaskDate('');
+        setTaskTime('');
         setProject('');
         setShowMain('');
         setShowProjectOverlay(false);
@@ -119,6 +145,8 @@ export const AddTask = ({
           />
           <TaskDate
             setTaskDate={setTaskDate}
+            taskTime={taskTime}
+            setTaskTime={setTaskTime}
             showTaskDate={showTaskDate}
             setShowTaskDate={setShowTaskDate}
           />
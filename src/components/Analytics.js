@@ -0,0 +1,334 @@
+import React, { useEffect, useRef, useState } from 'react';
+import moment from 'moment';
+import {
+  FiBarChart2,
+  FiCheckCircle,
+  FiClock,
+  FiPlusCircle,
+  FiTrendingUp,
+} from 'react-icons/fi';
+import { analyticsService } from '../lib/supabase-native-fixed';
+import { RANGE_PRESETS, getPresetRange } from '../lib/analytics';
+import { DUE_DATE_FORMAT } from '../lib/due-dates';
+import { useAuth } from '../context/auth-context';
+import { useNotifications } from '../context/notification-context';
+
+const DEFAULT_PRESET = '30';
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 180;
+const CHART_PADDING = 24;
+
+const formatDays = (days) => {
+  if (days === null || days === undefined) return '—';
+  if (days < 1) return `${Math.round(days * 24)}h`;
+  return `${days} ${days === 1 ? 'day' : 'days'}`;
+};
+
+const formatHour = (hour) =>
+  hour === null || hour === undefined ? '—' : moment({ hour }).format('HH:00');
+
+const formatWeekday = (day) =>
+  day === null || day === undefined ? '—' : moment.weekdays(day);
+
+const formatVelocity = (velocity) =>
+  `${velocity > 0 ? '+' : ''}${velocity.toFixed(2)} / day`;
+
+const StatCard = ({ icon, label, value, detail }) => (
+  <div className="analytics__stat" data-testid="analytics-stat">
+    <span className="analytics__stat-icon">{icon}</span>
+    <span className="analytics__stat-value">{value}</span>
+    <span className="analytics__stat-label">{label}</span>
+    {detail && <span className="analytics__stat-detail">{detail}</span>}
+  </div>
+);
+
+const toPoints = (values, max) => {
+  const step =
+    values.length > 1
+      ? (CHART_WIDTH - CHART_PADDING * 2) / (values.length - 1)
+      : 0;
+  return values
+    .map((value, index) => {
+      const x = CHART_PADDING + index * step;
+      const y =
+        CHART_HEIGHT -
+        CHART_PADDING -
+        (value / max) * (CHART_HEIGHT - CHART_PADDING * 2);
+      return `${x},${y}`;
+    })
+    .join(' ');
+};
+
+const TrendChart = ({ trend }) => {
+  const max = Math.max(
+    1,
+    ...trend.map((point) => Math.max(point.created, point.completed))
+  );
+  const first = trend[0];
+  const last = trend[trend.length - 1];
+
+  return (
+    <figure className="analytics__chart" data-testid="analytics-trend">
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        role="img"
+        aria-label="Tasks created and completed per day"
+        preserveAspectRatio="none"
+      >
+        <line
+          className="analytics__axis"
+          x1={CHART_PADDING}
+          x2={CHART_WIDTH - CHART_PADDING}
+          y1={CHART_HEIGHT - CHART_PADDING}
+          y2={CHART_HEIGHT - CHART_PADDING}
+        />
+        <polyline
+          className="analytics__line analytics__line--created"
+          points={toPoints(
+            trend.map((point) => point.created),
+            max
+          )}
+        />
+        <polyline
+          className="analytics__line analytics__line--completed"
+          points={toPoints(
+            trend.map((point) => point.completed),
+            max
+          )}
+        />
+      </svg>
+      <figcaption className="analytics__chart-caption">
+        <span>{first && moment(first.date).format('D MMM')}</span>
+        <span className="analytics__legend">
+          <span className="analytics__legend-item analytics__legend-item--created">
+            Created
+          </span>
+          <span className="analytics__legend-item analytics__legend-item--completed">
+            Completed
+          </span>
+          <span>Peak {max} / day</span>
+        </span>
+        <span>{last && moment(last.date).format('D MMM')}</span>
+      </figcaption>
+    </figure>
+  );
+};
+
+const BarList = ({ rows, getLabel, getKey, testId }) => {
+  const max = Math.max(1, ...rows.map((row) => row.total));
+
+  if (rows.length === 0) {
+    return <p className="analytics__empty">No tasks in this range</p>;
+  }
+
+  return (
+    <ul className="analytics__bars" data-testid={testId}>
+      {rows.map((row) => (
+        <li key={getKey(row)} className="analytics__bar">
+          <span className="analytics__bar-label">{getLabel(row)}</span>
+          <span className="analytics__bar-track">
+            <span
+              className="analytics__bar-fill"
+              style={{ width: `${(row.total / max) * 100}%` }}
+            >
+              <span
+                className="analytics__bar-completed"
+                style={{
+                  width: `${
+                    row.total ? (row.completed / row.total) * 100 : 0
+                  }%`,
+                }}
+              />
+            </span>
+          </span>
+          <span className="analytics__bar-value">
+            {row.completed}/{row.total}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export const Analytics = () => {
+  const [preset, setPreset] = useState(DEFAULT_PRESET);
+  const [range, setRange] = useState(() =>
+    getPresetRange(Number(DEFAULT_PRESET))
+  );
+  const [analytics, setAnalytics] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const requestRef = useRef(0);
+
+  const { user } = useAuth();
+  const { showError } = useNotifications();
+
+  useEffect(() => {
+    document.title = 'Analytics: Todoist';
+  }, []);
+
+  useEffect(() => {
+    if (!user || range.from > range.to) return;
+
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+    setIsLoading(true);
+
+    analyticsService
+      .getDashboard(user.id, range)
+      .then((data) => {
+        if (requestRef.current === requestId) setAnalytics(data);
+      })
+      .catch((error) => {
+        if (requestRef.current !== requestId) return;
+        console.error('Error loading analytics:', error);
+        showError('Could not load analytics. Please try again.');
+      })
+      .finally(() => {
+        if (requestRef.current === requestId) setIsLoading(false);
+      });
+  }, [user, range, showError]);
+
+  const selectPreset = ({ key, days }) => {
+    setPreset(key);
+    setRange(getPresetRange(days));
+  };
+
+  const changeRangeDate = (field, value) => {
+    if (!moment(value, DUE_DATE_FORMAT, true).isValid()) return;
+    setPreset('custom');
+    setRange((current) => ({ ...current, [field]: value }));
+  };
+
+  const totals = analytics?.totals;
+  const insights = analytics?.insights;
+
+  return (
+    <div className="analytics" data-testid="analytics">
+      <div className="analytics__header">
+        <h2 data-testid="project-name">
+          <FiBarChart2 className="tasks-icon" />
+          Analytics
+        </h2>
+
+        <div className="analytics__range" data-testid="analytics-range">
+          {RANGE_PRESETS.map((option) => (
+            <button
+              key={option.key}
+              type="button"
+              className={`analytics__preset${
+                preset === option.key ? ' active' : ''
+              }`}
+              aria-pressed={preset === option.key}
+              onClick={() => selectPreset(option)}
+            >
+              {option.label}
+            </button>
+          ))}
+          <input
+            type="date"
+            className="analytics__date"
+            aria-label="From"
+            value={range.from}
+            max={range.to}
+            onChange={(e) => changeRangeDate('from', e.target.value)}
+          />
+          <span className="analytics__date-separator">–</span>
+          <input
+            type="date"
+            className="analytics__date"
+            aria-label="To"
+            value={range.to}
+            min={range.from}
+            onChange={(e) => changeRangeDate('to', e.target.value)}
+          />
+        </div>
+      </div>
+
+      {!analytics && isLoading && (
+        <p className="analytics__loading">Loading analytics…</p>
+      )}
+
+      {analytics && (
+        <div
+          className={`analytics__body${isLoading ? ' loading' : ''}`}
+          aria-busy={isLoading}
+        >
+          <div className="analytics__stats">
+            <StatCard
+              icon={<FiPlusCircle />}
+              label="Created"
+              value={totals.created}
+              detail={`${totals.aiEnhancedRate}% AI enhanced`}
+            />
+            <StatCard
+              icon={<FiCheckCircle />}
+              label="Completed"
+              value={totals.completed}
+              detail={`${totals.completionRate}% of created`}
+            />
+            <StatCard
+              icon={<FiClock />}
+              label="Avg. time to complete"
+              value={formatDays(totals.averageCompletionDays)}
+            />
+            <StatCard
+              icon={<FiTrendingUp />}
+              label="Completion velocity"
+              value={formatVelocity(insights.velocity)}
+              detail="Last 7 days vs the 7 before"
+            />
+          </div>
+
+          <section className="analytics__section">
+            <h3>Completion trend</h3>
+            <TrendChart trend={analytics.trend} />
+          </section>
+
+          <div className="analytics__columns">
+            <section className="analytics__section">
+              <h3>By project</h3>
+              <BarList
+                rows={analytics.byProject}
+                getKey={(row) => row.projectId || 'inbox'}
+                getLabel={(row) => row.name}
+                testId="analytics-projects"
+              />
+            </section>
+
+            <section className="analytics__section">
+              <h3>By priority</h3>
+              <BarList
+                rows={analytics.byPriority.filter((row) => row.total > 0)}
+                getKey={(row) => row.priority}
+                getLabel={(row) =>
+                  row.priority.charAt(0).toUpperCase() + row.priority.slice(1)
+                }
+                testId="analytics-priorities"
+              />
+            </section>
+          </div>
+
+          <section className="analytics__section analytics__insights">
+            <h3>Insights</h3>
+            <dl>
+              <dt>Most productive day</dt>
+              <dd>{formatWeekday(insights.peakDay)}</dd>
+              <dt>Most productive hour</dt>
+              <dd>{formatHour(insights.peakHour)}</dd>
+              <dt>AI-enhanced tasks completed</dt>
+              <dd>{insights.aiSuccessRate}%</dd>
+            </dl>
+          </section>
+
+          {analytics.source === 'client' && (
+            <p className="analytics__note">
+              Computed in the browser — install the analytics functions from
+              supabase-complete-setup.sql for faster results.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
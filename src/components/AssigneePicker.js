@@ -0,0 +1,43 @@
+import React from 'react';
+import { FiUser } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+
+/**
+ * Who a task is assigned to, picked from the people directory; unassigned
+ * tasks only show it on hover
+ */
+export const AssigneePicker = ({ task, people, onChange }) => {
+  const assignee = people.find((person) => person.id === task.assigneeId);
+
+  return (
+    <label
+      className={`task-assignee${assignee ? '' : ' task-assignee--empty'}`}
+      htmlFor={`task-assignee-${task.id}`}
+      title={assignee ? `Assigned to ${assignee.name}` : 'Assign to someone'}
+    >
+      <FiUser size={12} />
+      <select
+        id={`task-assignee-${task.id}`}
+        value={assignee ? assignee.id : ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        aria-label={`Assignee of ${task.task}`}
+        data-testid="task-assignee"
+      >
+        <option value="">
+          {people.length > 0 ? 'Unassigned' : 'No people yet'}
+        </option>
+        {people.map((person) => (
+          <option key={person.id} value={person.id}>
+            {person.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+AssigneePicker.propTypes = {
+  task: PropTypes.object.isRequired,
+  people: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onChange: PropTypes.func.isRequired,
+};
@@ -1,10 +1,14 @@
 import React from 'react';
 import PropTypes from 'prop-types';
-import { tasksService } from '../lib/supabase-native-fixed';
+import { completeTask } from '../lib/task-completion';
 import { useNotifications } from '../context/notification-context';
+import { useHistory } from '../context/history-context';
+import { completeTaskCommand } from '../lib/history-commands';
+import { formatDueDate } from '../lib/due-dates';
 
-export const Checkbox = ({ id, taskDesc, onOptimisticArchive }) => {
-  const { showSuccess, showError } = useNotifications();
+export const Checkbox = ({ id, taskDesc, task, onOptimisticArchive }) => {
+  const { showError } = useNotifications();
+  const { record } = useHistory();
   
   const archiveTask = async () => {
     // Immediate UI update
@@ -13,11 +17,16 @@ export const Checkbox = ({ id, taskDesc, onOptimisticArchive }) => {
     }
 
     try {
-      // Background database update
-      await tasksService.updateTask(id, {
-        archived: true,
-      });
-      showSuccess('Task completed successfully');
+      // Queued; syncs in the background. Recurring tasks roll forward to
+      // their next occurrence
+      const { nextTask, nextId } = await completeTask(id, task);
+
+      record(
+        completeTaskCommand({ task: task || { id }, nextTask, nextId }),
+        nextTask
+          ? `Task completed. Next occurrence: ${formatDueDate(nextTask.dueDate, nextTask.dueTime)}`
+          : 'Task completed'
+      );
     } catch (error) {
       console.error('Error archiving task:', error);
       showError('Failed to complete task. Please try again.');
@@ -45,5 +54,6 @@ export const Checkbox = ({ id, taskDesc, onOptimisticArchive }) => {
 Checkbox.propTypes = {
   id: PropTypes.string.isRequired,
   taskDesc: PropTypes.string.isRequired,
+  task: PropTypes.object,
   onOptimisticArchive: PropTypes.func,
 };
@@ -0,0 +1,243 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { FiCheckCircle, FiRotateCcw, FiTrash2 } from 'react-icons/fi';
+import moment from 'moment';
+import { useTasks } from '../hooks';
+import { useProjectsValue, useSelectedProjectValue } from '../context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { offlineSync, isNetworkError } from '../lib/offline-sync';
+import { tasksService } from '../lib/supabase-native-fixed';
+import {
+  PURGE_PRESETS,
+  getCompletedAt,
+  getPurgeCutoff,
+  getPurgeable,
+  groupByCompletionDay,
+} from '../lib/completed-tasks';
+import { deleteTaskCommand, updateTaskCommand } from '../lib/history-commands';
+import { getDescendants } from '../lib/task-tree';
+import { getTitle } from '../helpers';
+
+const describeTasks = (count) => `${count} ${count === 1 ? 'task' : 'tasks'}`;
+
+export const CompletedTasks = () => {
+  const { projects = [], archivedProjectIds } = useProjectsValue();
+  const { archivedTasks, deleteTaskOptimistic } = useTasks(
+    'COMPLETED',
+    null,
+    archivedProjectIds
+  );
+  const { highlightedTaskId, setHighlightedTaskId } = useSelectedProjectValue();
+  const { record } = useHistory();
+  const { showSuccess, showError } = useNotifications();
+  const [purgeDays, setPurgeDays] = useState(PURGE_PRESETS[1]);
+  const [confirmPurge, setConfirmPurge] = useState(false);
+  const [purging, setPurging] = useState(false);
+
+  const groups = useMemo(
+    () => groupByCompletionDay(archivedTasks),
+    [archivedTasks]
+  );
+  const purgeable = useMemo(
+    () => getPurgeable(archivedTasks, getPurgeCutoff(purgeDays)),
+    [archivedTasks, purgeDays]
+  );
+
+  // Scroll to a task picked in search. Tasks of archived projects aren't
+  // listed, so the highlight is cleared whether or not it's found.
+  useEffect(() => {
+    if (!highlightedTaskId) return undefined;
+
+    const element = document.getElementById(`task-${highlightedTaskId}`);
+    if (element)
+      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timeout = setTimeout(() => setHighlightedTaskId(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [highlightedTaskId, archivedTasks, setHighlightedTaskId]);
+
+  const projectName = (projectId) => {
+    const project = getTitle(projects, projectId);
+    return project ? project.name : 'Inbox';
+  };
+
+  const handleRestore = async (task) => {
+    deleteTaskOptimistic(task.id);
+    try {
+      await offlineSync.updateTask(task.id, { archived: false }, task);
+      record(
+        updateTaskCommand({
+          id: task.id,
+          before: { archived: true },
+          after: { archived: false },
+          label: 'Restore task',
+        }),
+        'Task restored'
+      );
+    } catch (error) {
+      console.error('Error restoring task:', error);
+      showError('Failed to restore task. Please try again.');
+    }
+  };
+
+  const handleDelete = async (task) => {
+    deleteTaskOptimistic(task.id);
+    try {
+      await offlineSync.deleteTask(task.id);
+      record(
+        deleteTaskCommand({
+          task,
+          descendants: getDescendants(archivedTasks, task.id),
+        }),
+        'Task deleted permanently'
+      );
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      showError('Failed to delete task. Please try again.');
+    }
+  };
+
+  const handlePurge = async () => {
+    setPurging(true);
+    try {
+      // Exactly what the user confirmed; archived projects' tasks aren't
+      // in view and come back with their project
+      const deleted = await tasksService.purgeCompletedTasks(
+        purgeable.map((task) => task.id)
+      );
+      deleted.forEach((id) => deleteTaskOptimistic(id));
+      showSuccess(`Purged ${describeTasks(deleted.length)}`);
+    } catch (error) {
+      console.error('Error purging completed tasks:', error);
+      showError(
+        isNetworkError(error)
+          ? 'Purging needs a connection. Please try again once online.'
+          : 'Failed to purge completed tasks. Please try again.'
+      );
+    } finally {
+      setPurging(false);
+      setConfirmPurge(false);
+    }
+  };
+
+  return (
+    <div className="completed-tasks" data-testid="completed-tasks">
+      <div className="completed-tasks__header">
+        <h2 data-testid="project-name">
+          <FiCheckCircle className="tasks-icon" />
+          Completed
+        </h2>
+
+        <div className="completed-tasks__purge">
+          <label htmlFor="completed-purge-days">
+            Purge completed more than
+            <select
+              id="completed-purge-days"
+              value={purgeDays}
+              onChange={(e) => {
+                setPurgeDays(Number(e.target.value));
+                setConfirmPurge(false);
+              }}
+            >
+              {PURGE_PRESETS.map((days) => (
+                <option key={days} value={days}>
+                  {days} days ago
+                </option>
+              ))}
+            </select>
+          </label>
+
+          {confirmPurge ? (
+            <>
+              <span className="completed-tasks__purge-warning">
+                Delete {describeTasks(purgeable.length)} permanently?
+              </span>
+              <button
+                type="button"
+                className="completed-tasks__purge-confirm"
+                data-testid="purge-confirm"
+                onClick={handlePurge}
+                disabled={purging}
+              >
+                Delete
+              </button>
+              <button
+                type="button"
+                className="completed-tasks__purge-cancel"
+                onClick={() => setConfirmPurge(false)}
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              className="completed-tasks__purge-button"
+              data-testid="purge"
+              onClick={() => setConfirmPurge(true)}
+              disabled={purgeable.length === 0}
+            >
+              Purge
+            </button>
+          )}
+        </div>
+      </div>
+
+      {groups.length === 0 && (
+        <div className="empty-state">
+          <FiCheckCircle size={48} />
+          <h3>Nothing completed yet</h3>
+          <p>Tasks you check off show up here, grouped by day.</p>
+        </div>
+      )}
+
+      {groups.map((group) => (
+        <section
+          key={group.day}
+          className="completed-tasks__day"
+          data-testid="completed-day"
+        >
+          <h3>{group.label}</h3>
+          <ul className="completed-tasks__list">
+            {group.tasks.map((task) => (
+              <li
+                key={task.id}
+                id={`task-${task.id}`}
+                className={`completed-tasks__item${
+                  task.id === highlightedTaskId ? ' highlighted' : ''
+                }`}
+                data-testid="completed-task"
+              >
+                <div className="completed-tasks__content">
+                  <span className="completed-tasks__text">{task.task}</span>
+                  <span className="completed-tasks__meta">
+                    {projectName(task.projectId)}
+                    {getCompletedAt(task) &&
+                      ` · ${moment(getCompletedAt(task)).format('HH:mm')}`}
+                  </span>
+                </div>
+                <div className="completed-tasks__actions">
+                  <button
+                    type="button"
+                    title="Restore task"
+                    aria-label="Restore task"
+                    onClick={() => handleRestore(task)}
+                  >
+                    <FiRotateCcw size={14} />
+                  </button>
+                  <button
+                    type="button"
+                    title="Delete permanently"
+                    aria-label="Delete permanently"
+                    onClick={() => handleDelete(task)}
+                  >
+                    <FiTrash2 size={14} />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,205 @@
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { FiAlertTriangle } from 'react-icons/fi';
+import { offlineSync } from '../lib/offline-sync';
+import { toTaskColumns } from '../lib/supabase-native-fixed';
+import { resolveConflicts } from '../lib/conflicts';
+import { describeRecurrence } from '../lib/recurrence';
+import { describeReminder } from '../lib/reminders';
+import { formatDueDate } from '../lib/due-dates';
+import { getTitle } from '../helpers';
+import { useProjectsValue } from '../context';
+import { usePeople, useSections } from '../hooks';
+import { useNotifications } from '../context/notification-context';
+
+const EMPTY = '—';
+
+const nameOf = (items, id) => {
+  const item = items.find((candidate) => candidate.id === id);
+  return item ? item.name : id;
+};
+
+const formatValue = (column, value, { projects, sections, people }) => {
+  if (value === undefined || value === null || value === '') return EMPTY;
+
+  switch (column) {
+    case 'project_id': {
+      const project = getTitle(projects, value);
+      return project ? project.name : value;
+    }
+    case 'section_id':
+      return nameOf(sections, value);
+    case 'assignee_id':
+      return nameOf(people, value);
+    case 'reminders':
+      return value.length > 0 ? value.map(describeReminder).join(', ') : EMPTY;
+    case 'collapsed':
+      return value ? 'Collapsed' : 'Expanded';
+    case 'due_date':
+      return formatDueDate(value);
+    case 'due_time':
+      return String(value).slice(0, 5);
+    case 'recurrence':
+      return describeRecurrence(value);
+    case 'archived':
+      return value ? 'Completed' : 'Open';
+    case 'ai_enhanced':
+      return value ? 'Yes' : 'No';
+    case 'metadata':
+      return JSON.stringify(value);
+    default:
+      return String(value);
+  }
+};
+
+const defaultChoices = (conflicts) =>
+  conflicts.reduce(
+    (choices, { column }) => ({ ...choices, [column]: 'local' }),
+    {}
+  );
+
+export const ConflictDialog = ({ conflict }) => {
+  const { projects = [] } = useProjectsValue();
+  const { sections } = useSections(conflict.server.project_id || null);
+  const { people } = usePeople();
+  const { showSuccess, showError } = useNotifications();
+  const [choices, setChoices] = useState(() =>
+    defaultChoices(conflict.conflicts)
+  );
+
+  useEffect(() => {
+    setChoices(defaultChoices(conflict.conflicts));
+  }, [conflict]);
+
+  const taskName = conflict.server.task;
+
+  const settle = async (updates) => {
+    try {
+      await offlineSync.resolveConflict(conflict, updates);
+      showSuccess(
+        Object.keys(updates).length > 0
+          ? 'Conflict resolved'
+          : 'Kept the other version'
+      );
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      showError('Failed to resolve conflict. Please try again.');
+    }
+  };
+
+  const handleApply = () =>
+    settle(
+      resolveConflicts(
+        toTaskColumns(conflict.updates),
+        conflict.conflicts,
+        choices,
+        conflict.server
+      )
+    );
+
+  return (
+    <div
+      className="edit-task-overlay conflict-dialog"
+      data-testid="conflict-dialog"
+    >
+      <div
+        className="edit-task-modal conflict-dialog__modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="conflict-dialog-title"
+      >
+        <div className="edit-task-header">
+          <h3 id="conflict-dialog-title">
+            <FiAlertTriangle /> Edit conflict
+          </h3>
+        </div>
+        <div className="edit-task-content">
+          <p className="conflict-dialog__intro">
+            &ldquo;{taskName}&rdquo; was changed somewhere else while you were
+            editing it. Choose which version to keep for each field.
+          </p>
+
+          <table className="conflict-dialog__table">
+            <thead>
+              <tr>
+                <th scope="col">Field</th>
+                <th scope="col">Yours</th>
+                <th scope="col">Theirs</th>
+              </tr>
+            </thead>
+            <tbody>
+              {conflict.conflicts.map(({ column, label, local, server }) => (
+                <tr key={column} data-testid={`conflict-${column}`}>
+                  <th scope="row">{label}</th>
+                  {[
+                    ['local', local],
+                    ['server', server],
+                  ].map(([side, value]) => (
+                    <td key={side}>
+                      <label
+                        htmlFor={`conflict-${column}-${side}`}
+                        className={`conflict-dialog__option${
+                          choices[column] === side
+                            ? ' conflict-dialog__option--selected'
+                            : ''
+                        }`}
+                      >
+                        <input
+                          type="radio"
+                          id={`conflict-${column}-${side}`}
+                          name={`conflict-${column}`}
+                          checked={choices[column] === side}
+                          onChange={() =>
+                            setChoices((current) => ({
+                              ...current,
+                              [column]: side,
+                            }))
+                          }
+                        />
+                        <span>
+                          {formatValue(column, value, {
+                            projects,
+                            sections,
+                            people,
+                          })}
+                        </span>
+                      </label>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="edit-task-actions">
+            <button
+              type="button"
+              className="save-btn"
+              data-testid="conflict-apply"
+              onClick={handleApply}
+            >
+              Apply
+            </button>
+            <button
+              type="button"
+              className="cancel-btn"
+              data-testid="conflict-keep-theirs"
+              onClick={() => settle({})}
+            >
+              Keep theirs
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ConflictDialog.propTypes = {
+  conflict: PropTypes.shape({
+    taskId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    updates: PropTypes.object,
+    server: PropTypes.object,
+    conflicts: PropTypes.arrayOf(PropTypes.object),
+  }).isRequired,
+};
@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useProjectsValue, useSelectedProjectValue } from '../context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { useProjectTasks } from '../hooks';
+import { offlineSync } from '../lib/offline-sync';
+import { deleteProjectCommand } from '../lib/history-commands';
+import { getChildProjects } from '../lib/project-tree';
+import { INBOX_PROJECT_ID, TASK_ACTIONS } from '../lib/project-deletion';
+
+const countTasks = (count) => `${count} ${count === 1 ? 'task' : 'tasks'}`;
+
+/**
+ * Confirms deleting a project and asks what happens to its tasks: moved to
+ * the Inbox or another project, or deleted too
+ */
+export const DeleteProjectDialog = ({ project, onClose }) => {
+  const [taskAction, setTaskAction] = useState(TASK_ACTIONS.move);
+  const [targetProjectId, setTargetProjectId] = useState(INBOX_PROJECT_ID);
+  const [isDeleting, setIsDeleting] = useState(false);
+  const { projects } = useProjectsValue();
+  const { selectedProject, setSelectedProject } = useSelectedProjectValue();
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+  const tasks = useProjectTasks(project.projectId);
+
+  const completedCount = tasks
+    ? tasks.filter((task) => task.archived).length
+    : 0;
+  const targets = (projects || []).filter(
+    (candidate) =>
+      candidate.projectId !== project.projectId &&
+      candidate.projectId !== INBOX_PROJECT_ID
+  );
+  const targetName =
+    targetProjectId === INBOX_PROJECT_ID
+      ? 'Inbox'
+      : (targets.find((target) => target.projectId === targetProjectId) || {})
+          .name;
+
+  const remove = async () => {
+    const options = { taskAction, targetProjectId };
+    const subprojectIds = getChildProjects(
+      projects || [],
+      project.projectId
+    ).map((subproject) => subproject.projectId);
+    let message = `Project "${project.name}" deleted`;
+    if (tasks.length > 0) {
+      message +=
+        taskAction === TASK_ACTIONS.delete
+          ? ` with its ${countTasks(tasks.length)}`
+          : `; ${countTasks(tasks.length)} moved to ${targetName}`;
+    }
+
+    setIsDeleting(true);
+    try {
+      await offlineSync.deleteProject(project.projectId, options);
+      record(
+        deleteProjectCommand({ project, subprojectIds, options, tasks }),
+        message
+      );
+      onClose();
+      if (selectedProject === project.projectId) setSelectedProject('INBOX');
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      showError('Failed to delete project. Please try again.');
+      setIsDeleting(false);
+    }
+  };
+
+  let summary = 'Counting its tasks…';
+  if (tasks && tasks.length === 0) summary = 'It has no tasks.';
+  if (tasks && tasks.length > 0) {
+    summary = `It has ${countTasks(tasks.length)}${
+      completedCount > 0 ? ` (${completedCount} completed)` : ''
+    }.`;
+  }
+
+  return (
+    // Keeps clicks and keys from reaching the sidebar row underneath
+    <div
+      className="edit-task-overlay delete-project"
+      role="presentation"
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') onClose();
+      }}
+    >
+      <div
+        className="edit-task-modal delete-project__modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="delete-project-title"
+      >
+        <div className="edit-task-header">
+          <h3 id="delete-project-title">Delete “{project.name}”</h3>
+          <button
+            type="button"
+            className="close-btn"
+            aria-label="Close"
+            onClick={onClose}
+          >
+            ×
+          </button>
+        </div>
+        <div className="edit-task-content">
+          <p>Are you sure you want to delete this project?</p>
+          <p
+            className="delete-project__count"
+            data-testid="delete-project-count"
+          >
+            {summary}
+          </p>
+
+          {tasks && tasks.length > 0 && (
+            <fieldset className="delete-project__options">
+              <legend>Its tasks</legend>
+              <label
+                className="delete-project__option"
+                htmlFor="delete-project-move"
+              >
+                <input
+                  id="delete-project-move"
+                  type="radio"
+                  name="delete-project-tasks"
+                  checked={taskAction === TASK_ACTIONS.move}
+                  onChange={() => setTaskAction(TASK_ACTIONS.move)}
+                />
+                <span>Move them to</span>
+                <select
+                  value={targetProjectId}
+                  onChange={(e) => {
+                    setTargetProjectId(e.target.value);
+                    setTaskAction(TASK_ACTIONS.move);
+                  }}
+                  aria-label="Project to move the tasks to"
+                  data-testid="delete-project-target"
+                >
+                  <option value={INBOX_PROJECT_ID}>Inbox</option>
+                  {targets.map((target) => (
+                    <option key={target.projectId} value={target.projectId}>
+                      {target.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label
+                className="delete-project__option"
+                htmlFor="delete-project-delete"
+              >
+                <input
+                  id="delete-project-delete"
+                  type="radio"
+                  name="delete-project-tasks"
+                  checked={taskAction === TASK_ACTIONS.delete}
+                  onChange={() => setTaskAction(TASK_ACTIONS.delete)}
+                  data-testid="delete-project-delete-tasks"
+                />
+                <span>Delete them too</span>
+              </label>
+            </fieldset>
+          )}
+
+          <div className="edit-task-actions">
+            <button
+              type="button"
+              className="delete-project__confirm"
+              onClick={remove}
+              disabled={!tasks || isDeleting}
+              data-testid="delete-project-confirm"
+            >
+              Delete
+            </button>
+            <button type="button" className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+DeleteProjectDialog.propTypes = {
+  project: PropTypes.object.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
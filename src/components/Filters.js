@@ -0,0 +1,241 @@
+import React, { useState } from 'react';
+import { FaFilter, FaPen, FaTrashAlt } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import {
+  useFiltersValue,
+  useLabelsValue,
+  useProjectsValue,
+  useSelectedProjectValue,
+} from '../context';
+import { useAuth } from '../context/auth-context';
+import { useHistory } from '../context/history-context';
+import { offlineSync } from '../lib/offline-sync';
+import {
+  deleteFilterCommand,
+  updateFilterCommand,
+} from '../lib/history-commands';
+import {
+  bindFilter,
+  getUnresolvedNames,
+  parseFilter,
+  toFilterView,
+} from '../lib/filter-language';
+import { generatePushId } from '../helpers';
+
+/**
+ * Create or edit a saved filter; the query is checked before saving
+ */
+const FilterForm = ({ filter, onDone }) => {
+  const [name, setName] = useState(filter ? filter.name : '');
+  const [query, setQuery] = useState(filter ? filter.query : '');
+  const [error, setError] = useState('');
+  const { projects } = useProjectsValue();
+  const { labels } = useLabelsValue();
+  const { setSelectedProject } = useSelectedProjectValue();
+  const { user } = useAuth();
+  const { record } = useHistory();
+
+  const validate = () => {
+    if (!name.trim()) return 'Name your filter';
+    try {
+      const unresolved = getUnresolvedNames(
+        bindFilter(parseFilter(query), { projects, labels })
+      );
+      return unresolved.length > 0 ? `Unknown ${unresolved.join(', ')}` : '';
+    } catch (parseError) {
+      return `${parseError.message} at position ${parseError.position + 1}`;
+    }
+  };
+
+  const save = async () => {
+    const problem = validate();
+    setError(problem);
+    if (problem) return;
+
+    const values = { name: name.trim(), query: query.trim() };
+    try {
+      if (filter) {
+        await offlineSync.updateFilter(filter.id, values);
+        record(
+          updateFilterCommand({
+            id: filter.id,
+            before: { name: filter.name, query: filter.query },
+            after: values,
+          })
+        );
+      } else {
+        const id = generatePushId();
+        await offlineSync.createFilter({ id, ...values, userId: user.id });
+        setSelectedProject(toFilterView(id));
+      }
+      onDone();
+    } catch (saveError) {
+      console.error('Error saving filter:', saveError);
+      setError('Failed to save filter. Please try again.');
+    }
+  };
+
+  return (
+    <div className="filter-form" data-testid="filter-form">
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        className="filter-form__name"
+        data-testid="filter-name"
+        type="text"
+        aria-label="Filter name"
+        placeholder="Name your filter"
+      />
+      <input
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setError('');
+        }}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') save();
+        }}
+        className="filter-form__query"
+        data-testid="filter-query-input"
+        type="text"
+        aria-label="Filter query"
+        placeholder="(today | overdue) & p1 & #Work"
+      />
+      {error && (
+        <p className="filter-form__error" role="alert">
+          {error}
+        </p>
+      )}
+      <button
+        className="filter-form__submit"
+        type="button"
+        onClick={save}
+        data-testid="filter-submit"
+      >
+        {filter ? 'Save' : 'Add Filter'}
+      </button>
+      <span
+        className="filter-form__cancel"
+        onClick={onDone}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') onDone();
+        }}
+        role="button"
+        tabIndex={0}
+      >
+        Cancel
+      </span>
+    </div>
+  );
+};
+
+FilterForm.propTypes = {
+  filter: PropTypes.object,
+  onDone: PropTypes.func.isRequired,
+};
+
+FilterForm.defaultProps = {
+  filter: null,
+};
+
+export const Filters = () => {
+  const { filters } = useFiltersValue();
+  const { selectedProject, setSelectedProject } = useSelectedProjectValue();
+  const { record } = useHistory();
+  // Filter ID being edited, or 'new'
+  const [editing, setEditing] = useState(null);
+
+  const deleteFilter = async (filter) => {
+    try {
+      await offlineSync.deleteFilter(filter.id);
+      record(
+        deleteFilterCommand({ filter }),
+        `Filter "${filter.name}" deleted`
+      );
+      if (selectedProject === toFilterView(filter.id)) {
+        setSelectedProject('INBOX');
+      }
+    } catch (error) {
+      console.error('Error deleting filter:', error);
+    }
+  };
+
+  return (
+    <>
+      {filters.map((filter) => {
+        const view = toFilterView(filter.id);
+
+        if (editing === filter.id) {
+          return (
+            <li key={filter.id} className="sidebar__filter">
+              <FilterForm filter={filter} onDone={() => setEditing(null)} />
+            </li>
+          );
+        }
+
+        return (
+          <li
+            key={filter.id}
+            data-testid="filter-action-parent"
+            className={
+              selectedProject === view
+                ? 'active sidebar__filter'
+                : 'sidebar__filter'
+            }
+          >
+            <div
+              role="button"
+              data-testid="filter-action"
+              tabIndex={0}
+              aria-label={`Show tasks matching ${filter.name}`}
+              title={filter.query}
+              onClick={() => setSelectedProject(view)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') setSelectedProject(view);
+              }}
+            >
+              <FaFilter className="sidebar__filter-icon" />
+              <span className="sidebar__filter-name">{filter.name}</span>
+            </div>
+            <button
+              type="button"
+              className="sidebar__filter-button"
+              aria-label={`Edit filter ${filter.name}`}
+              onClick={() => setEditing(filter.id)}
+            >
+              <FaPen />
+            </button>
+            <button
+              type="button"
+              className="sidebar__filter-button"
+              data-testid="delete-filter"
+              aria-label={`Delete filter ${filter.name}`}
+              onClick={() => deleteFilter(filter)}
+            >
+              <FaTrashAlt />
+            </button>
+          </li>
+        );
+      })}
+      <li className="sidebar__filter-add">
+        {editing === 'new' ? (
+          <FilterForm onDone={() => setEditing(null)} />
+        ) : (
+          <span
+            className="add-project__text"
+            data-testid="add-filter-action"
+            onClick={() => setEditing('new')}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') setEditing('new');
+            }}
+            role="button"
+            tabIndex={0}
+          >
+            <span className="add-project__plus">+</span>
+            Add Filter
+          </span>
+        )}
+      </li>
+    </>
+  );
+};
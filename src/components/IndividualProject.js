@@ -1,69 +1,76 @@
 import React, { useState } from 'react';
-import { FaTrashAlt } from 'react-icons/fa';
+import { FaCog, FaTrashAlt } from 'react-icons/fa';
+import { FiUsers } from 'react-icons/fi';
 import PropTypes from 'prop-types';
-import { useProjectsValue, useSelectedProjectValue } from '../context';
-import { projectsService } from '../lib/supabase-native-fixed';
+import { canManageProject } from '../lib/sharing';
+import { DeleteProjectDialog } from './DeleteProjectDialog';
 
-export const IndividualProject = ({ project }) => {
+export const IndividualProject = ({ project, onOpenSettings }) => {
   const [showConfirm, setShowConfirm] = useState(false);
-  const { projects, setProjects } = useProjectsValue();
-  const { setSelectedProject } = useSelectedProjectValue();
-
-  const deleteProject = async (docId) => {
-    try {
-      await projectsService.deleteProject(docId);
-      setProjects([...projects]);
-      setSelectedProject('INBOX');
-    } catch (error) {
-      console.error('Error deleting project:', error);
-    }
-  };
 
   return (
     <>
-      <span className="sidebar__dot">•</span>
-      <span className="sidebar__project-name">{project.name}</span>
       <span
-        className="sidebar__project-delete"
-        data-testid="delete-project"
-        onClick={() => setShowConfirm(!showConfirm)}
-        onKeyDown={(e) => {
-          if (e.key === 'Enter') setShowConfirm(!showConfirm);
-        }}
-        tabIndex={0}
-        role="button"
-        aria-label="Confirm deletion of project"
+        className="sidebar__dot"
+        style={project.color ? { color: project.color } : undefined}
       >
-        <FaTrashAlt />
-        {showConfirm && (
-          <div className="project-delete-modal">
-            <div className="project-delete-modal__inner">
-              <p>Are you sure you want to delete this project?</p>
-              <button
-                type="button"
-                onClick={() => deleteProject(project.docId)}
-              >
-                Delete
-              </button>
-              <span
-                onClick={() => setShowConfirm(!showConfirm)}
-                onKeyDown={(e) => {
-                  if (e.key === 'Enter') setShowConfirm(!showConfirm);
-                }}
-                tabIndex={0}
-                role="button"
-                aria-label="Cancel adding project, do not delete"
-              >
-                Cancel
-              </span>
-            </div>
-          </div>
-        )}
+        •
       </span>
+      <span className="sidebar__project-name">{project.name}</span>
+      {project.isShared && (
+        <span
+          className="sidebar__project-shared"
+          title="Shared project"
+          aria-label="Shared project"
+        >
+          <FiUsers size={12} />
+        </span>
+      )}
+      {onOpenSettings && (
+        <button
+          type="button"
+          className="sidebar__project-settings"
+          data-testid="project-settings-button"
+          aria-label={`Edit ${project.name}`}
+          onClick={(e) => {
+            // Opening the settings doesn't select the project
+            e.stopPropagation();
+            onOpenSettings();
+          }}
+        >
+          <FaCog />
+        </button>
+      )}
+      {canManageProject(project) && (
+        <span
+          className="sidebar__project-delete"
+          data-testid="delete-project"
+          onClick={() => setShowConfirm(!showConfirm)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') setShowConfirm(!showConfirm);
+          }}
+          tabIndex={0}
+          role="button"
+          aria-label="Confirm deletion of project"
+        >
+          <FaTrashAlt />
+          {showConfirm && (
+            <DeleteProjectDialog
+              project={project}
+              onClose={() => setShowConfirm(false)}
+            />
+          )}
+        </span>
+      )}
     </>
   );
 };
 
 IndividualProject.propTypes = {
   project: PropTypes.object.isRequired,
+  onOpenSettings: PropTypes.func,
+};
+
+IndividualProject.defaultProps = {
+  onOpenSettings: null,
 };
@@ -0,0 +1,47 @@
+import React from 'react';
+import { useLabelsValue, useSelectedProjectValue } from '../context';
+import { toLabelView } from '../lib/labels';
+
+export const Labels = () => {
+  const { labels } = useLabelsValue();
+  const { selectedProject, setSelectedProject } = useSelectedProjectValue();
+
+  if (labels.length === 0) {
+    return (
+      <li className="sidebar__labels-empty">
+        Type @name when adding a task to label it
+      </li>
+    );
+  }
+
+  return labels.map((label) => {
+    const view = toLabelView(label.id);
+
+    return (
+      <li
+        key={label.id}
+        data-testid="label-action-parent"
+        className={
+          selectedProject === view ? 'active sidebar__label' : 'sidebar__label'
+        }
+      >
+        <div
+          role="button"
+          data-testid="label-action"
+          tabIndex={0}
+          aria-label={`Show tasks labelled ${label.name}`}
+          onClick={() => setSelectedProject(view)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') setSelectedProject(view);
+          }}
+        >
+          <span
+            className="sidebar__label-dot"
+            style={{ backgroundColor: label.color }}
+          />
+          <span className="sidebar__label-name">{label.name}</span>
+        </div>
+      </li>
+    );
+  });
+};
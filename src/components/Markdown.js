@@ -0,0 +1,87 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { parseMarkdown } from '../lib/markdown';
+
+const renderInline = (nodes) =>
+  nodes.map((node, index) => {
+    const key = `${node.type}-${index}`;
+    switch (node.type) {
+      case 'code':
+        return <code key={key}>{node.text}</code>;
+      case 'strong':
+        return <strong key={key}>{renderInline(node.children)}</strong>;
+      case 'em':
+        return <em key={key}>{renderInline(node.children)}</em>;
+      case 'link':
+        return (
+          <a
+            key={key}
+            href={node.href}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            {renderInline(node.children)}
+          </a>
+        );
+      case 'break':
+        return <br key={key} />;
+      default:
+        return <React.Fragment key={key}>{node.text}</React.Fragment>;
+    }
+  });
+
+const renderBlocks = (blocks) =>
+  blocks.map((block, index) => {
+    const key = `${block.type}-${index}`;
+    switch (block.type) {
+      case 'heading': {
+        // Headings in a task are never the page's own
+        const Heading = `h${Math.min(block.level + 3, 6)}`;
+        return <Heading key={key}>{renderInline(block.children)}</Heading>;
+      }
+      case 'list': {
+        const List = block.ordered ? 'ol' : 'ul';
+        return (
+          <List key={key}>
+            {block.items.map((item, itemIndex) => (
+              // Items have no identity of their own
+              <li key={itemIndex}>{renderInline(item)}</li>
+            ))}
+          </List>
+        );
+      }
+      case 'quote':
+        return (
+          <blockquote key={key}>{renderBlocks(block.children)}</blockquote>
+        );
+      case 'code':
+        return (
+          <pre key={key} data-language={block.language || undefined}>
+            <code>{block.text}</code>
+          </pre>
+        );
+      case 'rule':
+        return <hr key={key} />;
+      default:
+        return <p key={key}>{renderInline(block.children)}</p>;
+    }
+  });
+
+/**
+ * Markdown text as formatted content; see lib/markdown for what's supported
+ */
+export const Markdown = ({ source, className }) => (
+  <div className={`markdown ${className}`.trim()} data-testid="markdown">
+    {renderBlocks(parseMarkdown(source))}
+  </div>
+);
+
+Markdown.propTypes = {
+  source: PropTypes.string,
+  className: PropTypes.string,
+};
+
+Markdown.defaultProps = {
+  source: '',
+  className: '',
+};
@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { FaLink, FaPen, FaTrashAlt, FaUser } from 'react-icons/fa';
+import PropTypes from 'prop-types';
+import { usePeopleValue, useSelectedProjectValue } from '../context';
+import { useAuth } from '../context/auth-context';
+import { useHistory } from '../context/history-context';
+import { offlineSync } from '../lib/offline-sync';
+import { tasksService } from '../lib/supabase-native-fixed';
+import {
+  deletePersonCommand,
+  updatePersonCommand,
+} from '../lib/history-commands';
+import { normalizeName, toPersonView } from '../lib/people';
+import { isValidEmail, normalizeEmail } from '../lib/sharing';
+
+/**
+ * Add someone to the directory or edit them; an address links them to the
+ * registered user who has it
+ */
+const PersonForm = ({ person, onDone }) => {
+  const [name, setName] = useState(person ? person.name : '');
+  const [email, setEmail] = useState((person && person.email) || '');
+  const [error, setError] = useState('');
+  const { people, addPerson } = usePeopleValue();
+  const { setSelectedProject } = useSelectedProjectValue();
+  const { record } = useHistory();
+
+  const validate = () => {
+    if (!name.trim()) return 'Enter a name';
+    if (email.trim() && !isValidEmail(email)) return 'Enter a valid email';
+    const duplicate = people.find(
+      (other) =>
+        other.id !== (person && person.id) &&
+        normalizeName(other.name) === normalizeName(name)
+    );
+    return duplicate ? `${duplicate.name} is already in your people` : '';
+  };
+
+  const save = async () => {
+    const problem = validate();
+    setError(problem);
+    if (problem) return;
+
+    const values = {
+      name: name.trim(),
+      email: email.trim() ? normalizeEmail(email) : null,
+    };
+    try {
+      if (person) {
+        await offlineSync.updatePerson(person.id, values);
+        record(
+          updatePersonCommand({
+            id: person.id,
+            before: { name: person.name, email: person.email || null },
+            after: values,
+          })
+        );
+      } else {
+        const id = await addPerson(values);
+        setSelectedProject(toPersonView(id));
+      }
+      onDone();
+    } catch (saveError) {
+      console.error('Error saving person:', saveError);
+      setError('Failed to save. Please try again.');
+    }
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Enter') save();
+    if (e.key === 'Escape') onDone();
+  };
+
+  return (
+    <div className="person-form" data-testid="person-form">
+      <input
+        value={name}
+        onChange={(e) => {
+          setName(e.target.value);
+          setError('');
+        }}
+        onKeyDown={onKeyDown}
+        data-testid="person-name"
+        type="text"
+        aria-label="Name"
+        placeholder="Name"
+      />
+      <input
+        value={email}
+        onChange={(e) => {
+          setEmail(e.target.value);
+          setError('');
+        }}
+        onKeyDown={onKeyDown}
+        data-testid="person-email"
+        type="email"
+        aria-label="Email (optional)"
+        placeholder="Email (optional)"
+      />
+      {error && (
+        <p className="person-form__error" role="alert">
+          {error}
+        </p>
+      )}
+      <button
+        className="person-form__submit"
+        type="button"
+        onClick={save}
+        data-testid="person-submit"
+      >
+        {person ? 'Save' : 'Add Person'}
+      </button>
+      <button className="person-form__cancel" type="button" onClick={onDone}>
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+PersonForm.propTypes = {
+  person: PropTypes.object,
+  onDone: PropTypes.func.isRequired,
+};
+
+PersonForm.defaultProps = {
+  person: null,
+};
+
+/**
+ * The people directory in the sidebar; each person opens the tasks waiting
+ * on them
+ */
+export const People = () => {
+  const { people } = usePeopleValue();
+  const { selectedProject, setSelectedProject } = useSelectedProjectValue();
+  const { user } = useAuth();
+  const { record } = useHistory();
+  // Person ID being edited, or 'new'
+  const [editing, setEditing] = useState(null);
+
+  const deletePerson = async (person) => {
+    // Their tasks are left unassigned; undo needs to know which they were
+    const rows = await tasksService
+      .getTasksWithRelations(user.id, { assigneeId: person.id })
+      .catch(() => offlineSync.getCachedRows('tasks', user.id));
+    const taskIds = rows
+      .filter((row) => row.assignee_id === person.id)
+      .map((row) => row.id);
+
+    try {
+      await offlineSync.deletePerson(person.id);
+      record(
+        deletePersonCommand({ person, taskIds }),
+        `${person.name} removed from your people`
+      );
+      if (selectedProject === toPersonView(person.id)) {
+        setSelectedProject('INBOX');
+      }
+    } catch (error) {
+      console.error('Error deleting person:', error);
+    }
+  };
+
+  return (
+    <>
+      {people.map((person) => {
+        const view = toPersonView(person.id);
+
+        if (editing === person.id) {
+          return (
+            <li key={person.id} className="sidebar__person">
+              <PersonForm person={person} onDone={() => setEditing(null)} />
+            </li>
+          );
+        }
+
+        return (
+          <li
+            key={person.id}
+            data-testid="person-action-parent"
+            className={
+              selectedProject === view
+                ? 'active sidebar__person'
+                : 'sidebar__person'
+            }
+          >
+            <div
+              role="button"
+              data-testid="person-action"
+              tabIndex={0}
+              aria-label={`Show tasks waiting on ${person.name}`}
+              title={person.email || undefined}
+              onClick={() => setSelectedProject(view)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') setSelectedProject(view);
+              }}
+            >
+              <FaUser className="sidebar__person-icon" />
+              <span className="sidebar__person-name">{person.name}</span>
+              {person.linkedUserId && (
+                <FaLink
+                  className="sidebar__person-linked"
+                  title="Shares a project with you"
+                  aria-label="Shares a project with you"
+                />
+              )}
+            </div>
+            <button
+              type="button"
+              className="sidebar__person-button"
+              aria-label={`Edit ${person.name}`}
+              onClick={() => setEditing(person.id)}
+            >
+              <FaPen />
+            </button>
+            <button
+              type="button"
+              className="sidebar__person-button"
+              data-testid="delete-person"
+              aria-label={`Delete ${person.name}`}
+              onClick={() => deletePerson(person)}
+            >
+              <FaTrashAlt />
+            </button>
+          </li>
+        );
+      })}
+      <li className="sidebar__person-add">
+        {editing === 'new' ? (
+          <PersonForm onDone={() => setEditing(null)} />
+        ) : (
+          <span
+            className="add-project__text"
+            data-testid="add-person-action"
+            onClick={() => setEditing('new')}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') setEditing('new');
+            }}
+            role="button"
+            tabIndex={0}
+          >
+            <span className="add-project__plus">+</span>
+            Add Person
+          </span>
+        )}
+      </li>
+    </>
+  );
+};
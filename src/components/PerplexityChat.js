@@ -9,14 +9,15 @@ import {
   FiStar,
 } from 'react-icons/fi';
 import { useTasks } from '../hooks';
-import { useSelectedProjectValue } from '../context';
+import { useProjectsValue, useSelectedProjectValue } from '../context';
 import { chatClient, AIClientError, AI_ERROR_TYPES } from '../lib/ai-client';
 
 const PerplexityChat = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [isMinimized, setIsMinimized] = useState(false);
   const { selectedProject } = useSelectedProjectValue();
-  const { tasks } = useTasks(selectedProject);
+  const { archivedProjectIds } = useProjectsValue();
+  const { tasks } = useTasks(selectedProject, null, archivedProjectIds);
   const [messages, setMessages] = useState([
     {
       role: 'assistant',
@@ -61,7 +62,8 @@ const PerplexityChat = () => {
           id: task.id,
           task: task.task,
           priority: task.priority,
-          date: task.date,
+          dueDate: task.dueDate,
+          dueTime: task.dueTime,
           projectId: task.projectId,
           archived: task.archived
         }))
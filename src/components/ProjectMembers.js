@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { useSelectedProjectValue } from '../context';
+import { useAuth } from '../context/auth-context';
+import { useNotifications } from '../context/notification-context';
+import { useProjectMembers } from '../hooks';
+import { membersService } from '../lib/supabase-native-fixed';
+import { buildInvitationEmail, sendMail } from '../lib/mailer';
+import {
+  INVITE_ROLES,
+  ROLE_NAMES,
+  ROLES,
+  canManageProject,
+  getInvitationLink,
+  isValidEmail,
+  normalizeEmail,
+  sortMembers,
+} from '../lib/sharing';
+
+/**
+ * People a project is shared with; its owner invites them by email, changes
+ * their role or removes them, everyone else can leave
+ */
+export const ProjectMembers = ({ project, onLeave }) => {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState(ROLES.editor);
+  const [isInviting, setIsInviting] = useState(false);
+  const { user } = useAuth();
+  const { selectedProject, setSelectedProject } = useSelectedProjectValue();
+  const { showSuccess, showError, showWarning } = useNotifications();
+  const { members, invitations, isLoading } = useProjectMembers(
+    project.projectId
+  );
+  const isOwner = canManageProject(project);
+
+  const invite = async (e) => {
+    e.preventDefault();
+    const address = normalizeEmail(email);
+    if (!isValidEmail(address)) {
+      showError('Enter a valid email address.');
+      return;
+    }
+    if (members.some((member) => normalizeEmail(member.email) === address)) {
+      showError(`${address} is already a member of this project.`);
+      return;
+    }
+    if (invitations.some((open) => normalizeEmail(open.email) === address)) {
+      showError(`${address} has already been invited.`);
+      return;
+    }
+
+    setIsInviting(true);
+    let invitation;
+    try {
+      invitation = await membersService.createInvitation({
+        projectId: project.projectId,
+        email: address,
+        role,
+        invitedBy: user.id,
+      });
+    } catch (error) {
+      console.error('Error inviting member:', error);
+      showError('Failed to invite. Please try again.');
+      setIsInviting(false);
+      return;
+    }
+
+    setEmail('');
+    setIsInviting(false);
+    try {
+      await sendMail(
+        buildInvitationEmail({
+          to: address,
+          projectName: project.name,
+          inviterEmail: user.email,
+          roleName: ROLE_NAMES[role],
+          link: getInvitationLink(invitation.token, window.location.origin),
+        })
+      );
+      showSuccess(`Invitation sent to ${address}`);
+    } catch (error) {
+      console.error('Error sending invitation:', error);
+      showWarning(
+        `Invited ${address}, but the email couldn't be sent. Revoke and invite again to retry.`
+      );
+    }
+  };
+
+  const revoke = async (invitation) => {
+    try {
+      await membersService.deleteInvitation(invitation.id);
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+      showError('Failed to revoke the invitation. Please try again.');
+    }
+  };
+
+  const changeRole = async (member, nextRole) => {
+    try {
+      await membersService.updateMemberRole(
+        project.projectId,
+        member.user_id,
+        nextRole
+      );
+    } catch (error) {
+      console.error('Error changing member role:', error);
+      showError('Failed to change the role. Please try again.');
+    }
+  };
+
+  const remove = async (member) => {
+    const isSelf = member.user_id === user.id;
+    try {
+      await membersService.removeMember(project.projectId, member.user_id);
+    } catch (error) {
+      console.error('Error removing member:', error);
+      showError(
+        isSelf
+          ? 'Failed to leave the project. Please try again.'
+          : 'Failed to remove the member. Please try again.'
+      );
+      return;
+    }
+    if (!isSelf) return;
+
+    showSuccess(`You left "${project.name}"`);
+    if (selectedProject === project.projectId) setSelectedProject('INBOX');
+    onLeave();
+  };
+
+  return (
+    <section className="project-members" data-testid="project-members">
+      <h4 className="project-members__title">Members</h4>
+
+      {isLoading ? (
+        <p className="project-members__empty">Loading members…</p>
+      ) : (
+        <ul className="project-members__list">
+          {sortMembers(members).map((member) => {
+            const isSelf = member.user_id === user.id;
+            const isMemberOwner = member.role === ROLES.owner;
+            return (
+              <li key={member.user_id} className="project-members__item">
+                <span className="project-members__email">
+                  {member.email || 'Unknown'}
+                  {isSelf && ' (you)'}
+                </span>
+                {isOwner && !isMemberOwner ? (
+                  <select
+                    value={member.role}
+                    onChange={(e) => changeRole(member, e.target.value)}
+                    aria-label={`Role of ${member.email}`}
+                  >
+                    {INVITE_ROLES.map((option) => (
+                      <option key={option} value={option}>
+                        {ROLE_NAMES[option]}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="project-members__role">
+                    {ROLE_NAMES[member.role]}
+                  </span>
+                )}
+                {!isMemberOwner && (isOwner || isSelf) && (
+                  <button
+                    type="button"
+                    className="project-members__remove"
+                    onClick={() => remove(member)}
+                    data-testid={isSelf ? 'project-members-leave' : undefined}
+                  >
+                    {isSelf ? 'Leave' : 'Remove'}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {isOwner && invitations.length > 0 && (
+        <ul className="project-members__list project-members__list--pending">
+          {invitations.map((invitation) => (
+            <li key={invitation.id} className="project-members__item">
+              <span className="project-members__email">{invitation.email}</span>
+              <span className="project-members__role">
+                Invited · {ROLE_NAMES[invitation.role]}
+              </span>
+              <button
+                type="button"
+                className="project-members__remove"
+                onClick={() => revoke(invitation)}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isOwner && (
+        <form className="project-members__invite" onSubmit={invite}>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Invite by email"
+            aria-label="Email address to invite"
+            className="edit-task-input"
+            data-testid="project-members-email"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            aria-label="Role of the invited person"
+          >
+            {INVITE_ROLES.map((option) => (
+              <option key={option} value={option}>
+                {ROLE_NAMES[option]}
+              </option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            className="project-members__send"
+            disabled={!email.trim() || isInviting}
+            data-testid="project-members-invite"
+          >
+            Invite
+          </button>
+        </form>
+      )}
+    </section>
+  );
+};
+
+ProjectMembers.propTypes = {
+  project: PropTypes.object.isRequired,
+  onLeave: PropTypes.func.isRequired,
+};
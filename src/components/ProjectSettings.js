@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { FiArchive } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import { useSelectedProjectValue } from '../context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { useProjectArchive } from '../hooks';
+import { offlineSync } from '../lib/offline-sync';
+import { batchUpdateCommand } from '../lib/history-commands';
+import { LABEL_COLORS } from '../lib/labels';
+import { canManageProject } from '../lib/sharing';
+import { ProjectMembers } from './ProjectMembers';
+
+/**
+ * Name, color and favorite of a project, its members, plus archiving it;
+ * members other than the owner only see who it's shared with
+ */
+export const ProjectSettings = ({ project, onClose }) => {
+  const [name, setName] = useState(project.name);
+  const [color, setColor] = useState(project.color || null);
+  const [favorite, setFavorite] = useState(project.favorite);
+  const { selectedProject, setSelectedProject } = useSelectedProjectValue();
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+  const { archiveProject } = useProjectArchive();
+  const isOwner = canManageProject(project);
+
+  const save = async () => {
+    const values = { name: name.trim(), color, favorite };
+    const before = {};
+    const after = {};
+    Object.entries(values).forEach(([key, value]) => {
+      const current = key === 'color' ? project.color || null : project[key];
+      if (value !== current) {
+        before[key] = current;
+        after[key] = value;
+      }
+    });
+
+    onClose();
+    if (Object.keys(after).length === 0) return;
+
+    try {
+      await offlineSync.updateProject(project.projectId, after);
+      record(
+        batchUpdateCommand({
+          entity: 'project',
+          changes: [{ id: project.projectId, before, after }],
+          label: 'Edit project',
+        }),
+        'Project updated'
+      );
+    } catch (error) {
+      console.error('Error updating project:', error);
+      showError('Failed to update project. Please try again.');
+    }
+  };
+
+  const archive = () => {
+    onClose();
+    archiveProject(project);
+    if (selectedProject === project.projectId) setSelectedProject('INBOX');
+  };
+
+  return (
+    <div
+      className="edit-task-overlay project-settings"
+      data-testid="project-settings"
+    >
+      <div
+        className="edit-task-modal project-settings__modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="project-settings-title"
+      >
+        <div className="edit-task-header">
+          <h3 id="project-settings-title">
+            {isOwner ? 'Edit project' : project.name}
+          </h3>
+          <button
+            type="button"
+            className="close-btn"
+            aria-label="Close"
+            onClick={onClose}
+          >
+            ×
+          </button>
+        </div>
+        <div className="edit-task-content">
+          {isOwner && (
+            <>
+              <label className="project-settings__field" htmlFor="project-name">
+                <span>Name</span>
+                <input
+                  id="project-name"
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' && name.trim()) save();
+                    if (e.key === 'Escape') onClose();
+                  }}
+                  className="edit-task-input"
+                  data-testid="project-settings-name"
+                />
+              </label>
+
+              <fieldset className="project-settings__colors">
+                <legend>Color</legend>
+                {[null, ...LABEL_COLORS].map((option) => (
+                  <button
+                    type="button"
+                    key={option || 'default'}
+                    className={`project-settings__swatch${
+                      option === color
+                        ? ' project-settings__swatch--selected'
+                        : ''
+                    }`}
+                    style={option ? { '--swatch-color': option } : undefined}
+                    aria-label={option ? `Color ${option}` : 'Default color'}
+                    aria-pressed={option === color}
+                    onClick={() => setColor(option)}
+                  />
+                ))}
+              </fieldset>
+
+              <label
+                className="project-settings__favorite"
+                htmlFor="project-favorite"
+              >
+                <input
+                  id="project-favorite"
+                  type="checkbox"
+                  checked={favorite}
+                  onChange={(e) => setFavorite(e.target.checked)}
+                  data-testid="project-settings-favorite"
+                />
+                <span>Add to favorites</span>
+              </label>
+            </>
+          )}
+
+          <ProjectMembers project={project} onLeave={onClose} />
+
+          {isOwner ? (
+            <div className="edit-task-actions">
+              <button
+                type="button"
+                className="save-btn"
+                onClick={save}
+                disabled={!name.trim()}
+                data-testid="project-settings-save"
+              >
+                Save Changes
+              </button>
+              <button type="button" className="cancel-btn" onClick={onClose}>
+                Cancel
+              </button>
+              <button
+                type="button"
+                className="project-settings__archive"
+                onClick={archive}
+                data-testid="project-settings-archive"
+                title="Hide the project and its tasks until it's restored"
+              >
+                <FiArchive size={14} />
+                Archive
+              </button>
+            </div>
+          ) : (
+            <div className="edit-task-actions">
+              <button type="button" className="cancel-btn" onClick={onClose}>
+                Close
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+ProjectSettings.propTypes = {
+  project: PropTypes.object.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
@@ -1,49 +1,416 @@
 import React, { useState } from 'react';
+import { FiChevronDown, FiChevronRight } from 'react-icons/fi';
 import PropTypes from 'prop-types';
 import { useSelectedProjectValue, useProjectsValue } from '../context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { useProjectArchive, useTaskDropTarget } from '../hooks';
+import { offlineSync } from '../lib/offline-sync';
+import { batchUpdateCommand } from '../lib/history-commands';
+import { planMove, planStep } from '../lib/ordering';
+import { canManageProject } from '../lib/sharing';
+import {
+  flattenProjects,
+  getChildProjects,
+  isSubprojectOf,
+} from '../lib/project-tree';
+import {
+  DRAG_TYPES,
+  getDragData,
+  getDropPosition,
+  hasDragType,
+  setDragData,
+} from '../lib/drag-and-drop';
 import { IndividualProject } from './IndividualProject';
+import { ProjectSettings } from './ProjectSettings';
+
+const ProjectItem = ({
+  project,
+  depth,
+  childCount,
+  isActive,
+  onSelect,
+  onMove,
+  onStep,
+  onToggleCollapsed,
+  isFirst,
+  isLast,
+}) => {
+  // Projects dragged over this one; tasks are handled by useTaskDropTarget
+  const [projectDrop, setProjectDrop] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  // Only the owner moves a project around
+  const isOwner = canManageProject(project);
+  const { isOver, dropProps } = useTaskDropTarget(
+    project.projectId,
+    project.name
+  );
+
+  const classNames = ['sidebar__project'];
+  if (isActive) classNames.unshift('active');
+  if (isOver) classNames.push('sidebar__project--drop-task');
+  if (projectDrop) classNames.push(`sidebar__project--drop-${projectDrop}`);
+
+  return (
+    <li
+      data-testid="project-action-parent"
+      data-doc-id={project.docId}
+      className={classNames.join(' ')}
+      style={{ '--project-depth': depth }}
+      draggable={isOwner && !showSettings}
+      onDragStart={(e) =>
+        setDragData(e, DRAG_TYPES.project, { id: project.projectId })
+      }
+      onDragOver={(e) => {
+        if (hasDragType(e, DRAG_TYPES.project)) {
+          e.preventDefault();
+          setProjectDrop(getDropPosition(e, { allowInside: true }));
+          return;
+        }
+        dropProps.onDragOver(e);
+      }}
+      onDragLeave={() => {
+        setProjectDrop(null);
+        dropProps.onDragLeave();
+      }}
+      onDrop={(e) => {
+        if (hasDragType(e, DRAG_TYPES.project)) {
+          e.preventDefault();
+          const dragged = getDragData(e, DRAG_TYPES.project);
+          const position =
+            projectDrop || getDropPosition(e, { allowInside: true });
+          setProjectDrop(null);
+          if (dragged) onMove(dragged.id, project.projectId, position);
+          return;
+        }
+        dropProps.onDrop(e);
+      }}
+    >
+      <span className="sidebar__project-toggle">
+        {childCount > 0 && isOwner && (
+          <button
+            type="button"
+            data-testid="project-toggle"
+            title={
+              project.collapsed ? 'Show sub-projects' : 'Hide sub-projects'
+            }
+            aria-label={
+              project.collapsed ? 'Show sub-projects' : 'Hide sub-projects'
+            }
+            aria-expanded={!project.collapsed}
+            onClick={onToggleCollapsed}
+          >
+            {project.collapsed ? (
+              <FiChevronRight size={14} />
+            ) : (
+              <FiChevronDown size={14} />
+            )}
+          </button>
+        )}
+      </span>
+      <div
+        role="button"
+        data-testid="project-action"
+        tabIndex={0}
+        aria-label={`Select ${project.name} as the task project`}
+        aria-keyshortcuts="Alt+ArrowUp Alt+ArrowDown"
+        onClick={onSelect}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            onSelect();
+          } else if (e.altKey && e.key === 'ArrowUp' && isOwner && !isFirst) {
+            e.preventDefault();
+            onStep(-1);
+          } else if (e.altKey && e.key === 'ArrowDown' && isOwner && !isLast) {
+            e.preventDefault();
+            onStep(1);
+          }
+        }}
+      >
+        <IndividualProject
+          project={project}
+          onOpenSettings={() => setShowSettings(true)}
+        />
+      </div>
+      {showSettings && (
+        <ProjectSettings
+          project={project}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
+    </li>
+  );
+};
+
+ProjectItem.propTypes = {
+  project: PropTypes.object.isRequired,
+  depth: PropTypes.number.isRequired,
+  childCount: PropTypes.number.isRequired,
+  isActive: PropTypes.bool.isRequired,
+  onSelect: PropTypes.func.isRequired,
+  onMove: PropTypes.func.isRequired,
+  onStep: PropTypes.func.isRequired,
+  onToggleCollapsed: PropTypes.func.isRequired,
+  isFirst: PropTypes.bool.isRequired,
+  isLast: PropTypes.bool.isRequired,
+};
 
 export const Projects = ({ activeValue = null }) => {
   const [active, setActive] = useState(activeValue);
   const { setSelectedProject } = useSelectedProjectValue();
   const { projects } = useProjectsValue();
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+  const list = projects || [];
 
-  return (
-    projects &&
-    projects.map((project) => (
-      <li
+  // Projects are rows keyed by id for lib/ordering; only siblings are
+  // ordered against each other
+  const toRow = (project) => ({
+    id: project.projectId,
+    sort_order: project.sort_order || null,
+  });
+  const findProject = (id) => list.find((project) => project.projectId === id);
+  const getSiblings = (parentId) => getChildProjects(list, parentId).map(toRow);
+  // A parent that isn't shown (e.g. archived) leaves the project at the top
+  const parentIdOf = (project) =>
+    project.parentProjectId && findProject(project.parentProjectId)
+      ? project.parentProjectId
+      : null;
+
+  // Projects shared with the user keep their place: only owners change them
+  const applyChanges = async (allChanges, label) => {
+    const changes = allChanges.filter(({ id }) =>
+      canManageProject(findProject(id))
+    );
+    if (changes.length === 0) return;
+    try {
+      await Promise.all(
+        changes.map(({ id, after }) => offlineSync.updateProject(id, after))
+      );
+      record(batchUpdateCommand({ entity: 'project', changes, label }));
+    } catch (error) {
+      console.error('Error moving projects:', error);
+      showError('Failed to move project. Please try again.');
+    }
+  };
+
+  const toChanges = (keys) =>
+    keys.map(({ id, sortOrder }) => ({
+      id,
+      before: { sortOrder: findProject(id).sort_order || null },
+      after: { sortOrder },
+    }));
+
+  // View state only: persisted, but not worth an undo step
+  const toggleCollapsed = async (project) => {
+    try {
+      await offlineSync.updateProject(project.projectId, {
+        collapsed: !project.collapsed,
+      });
+    } catch (error) {
+      console.error('Error saving collapsed state:', error);
+    }
+  };
+
+  // Dropping onto the middle of a project nests the dragged one at the end of
+  // its sub-projects; its edges place it next to it, under the same parent
+  const moveProject = (draggedId, targetId, position) => {
+    const dragged = findProject(draggedId);
+    const target = findProject(targetId);
+    if (!dragged || !target || draggedId === targetId) return;
+    if (!canManageProject(dragged)) return;
+    // A project can't go inside its own subtree
+    if (isSubprojectOf(list, targetId, draggedId)) return;
+
+    const parentId = position === 'inside' ? targetId : parentIdOf(target);
+    const keys =
+      position === 'inside'
+        ? planMove(getSiblings(parentId), toRow(dragged), null, 'after')
+        : planMove(getSiblings(parentId), toRow(dragged), targetId, position);
+    const changes = toChanges(keys);
+
+    if (parentId !== parentIdOf(dragged)) {
+      const change = changes.find(({ id }) => id === draggedId);
+      const before = { parentProjectId: dragged.parentProjectId || null };
+      const after = { parentProjectId: parentId };
+      if (change) {
+        Object.assign(change.before, before);
+        Object.assign(change.after, after);
+      } else {
+        changes.push({ id: draggedId, before, after });
+      }
+      if (position === 'inside' && target.collapsed) toggleCollapsed(target);
+      applyChanges(changes, 'Move project');
+      return;
+    }
+
+    applyChanges(changes, 'Reorder projects');
+  };
+
+  // Collapsing is saved on the project, so shared ones stay expanded
+  const isCollapsed = (project) =>
+    canManageProject(project) && Boolean(project.collapsed);
+
+  return flattenProjects(list, { isCollapsed }).map((row) => {
+    const { project, depth, childCount } = row;
+    const siblings = getSiblings(parentIdOf(project));
+    const index = siblings.findIndex(
+      (sibling) => sibling.id === project.projectId
+    );
+
+    return (
+      <ProjectItem
         key={project.projectId}
-        data-testid="project-action-parent"
-        data-doc-id={project.docId}
-        className={
-          active === project.projectId
-            ? 'active sidebar__project'
-            : 'sidebar__project'
+        project={project}
+        depth={depth}
+        childCount={childCount}
+        isActive={active === project.projectId}
+        isFirst={index === 0}
+        isLast={index === siblings.length - 1}
+        onSelect={() => {
+          setActive(project.projectId);
+          setSelectedProject(project.projectId);
+        }}
+        onMove={moveProject}
+        onStep={(offset) =>
+          applyChanges(
+            toChanges(planStep(siblings, project.projectId, offset)),
+            'Reorder projects'
+          )
         }
+        onToggleCollapsed={() => toggleCollapsed(project)}
+      />
+    );
+  });
+};
+
+Projects.propTypes = {
+  activeValue: PropTypes.bool,
+};
+
+const FavoriteProject = ({ project }) => {
+  const { selectedProject, setSelectedProject } = useSelectedProjectValue();
+  const { isOver, dropProps } = useTaskDropTarget(
+    project.projectId,
+    project.name
+  );
+  const select = () => setSelectedProject(project.projectId);
+
+  return (
+    <li
+      data-testid="favorite-project"
+      className={
+        [
+          'sidebar__project',
+          selectedProject === project.projectId && 'active',
+          isOver && 'sidebar__project--drop-task',
+        ]
+          .filter(Boolean)
+          .join(' ') || undefined
+      }
+      onDragOver={dropProps.onDragOver}
+      onDragLeave={dropProps.onDragLeave}
+      onDrop={dropProps.onDrop}
+    >
+      <div
+        role="button"
+        tabIndex={0}
+        aria-label={`Select ${project.name} as the task project`}
+        onClick={select}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') select();
+        }}
       >
-        <div
-          role="button"
-          data-testid="project-action"
-          tabIndex={0}
-          aria-label={`Select ${project.name} as the task project`}
-          onClick={() => {
-            setActive(project.projectId);
-            setSelectedProject(project.projectId);
-          }}
-          onKeyDown={(e) => {
-            if (e.key === 'Enter') {
-              setActive(project.projectId);
-              setSelectedProject(project.projectId);
-            }
-          }}
+        <span
+          className="sidebar__dot"
+          style={project.color ? { color: project.color } : undefined}
         >
-          <IndividualProject project={project} />
-        </div>
-      </li>
-    ))
+          •
+        </span>
+        <span className="sidebar__project-name">{project.name}</span>
+      </div>
+    </li>
   );
 };
 
-Projects.propTypes = {
-  activeValue: PropTypes.bool,
+FavoriteProject.propTypes = {
+  project: PropTypes.object.isRequired,
+};
+
+/**
+ * Favorite projects, pinned to the top of the sidebar in project order
+ */
+export const FavoriteProjects = () => {
+  const { projects } = useProjectsValue();
+  const favorites = (projects || []).filter((project) => project.favorite);
+
+  if (favorites.length === 0) return null;
+
+  return (
+    <>
+      <div className="sidebar__middle sidebar__middle--static">
+        <h2>Favorites</h2>
+      </div>
+      <ul className="sidebar__projects sidebar__favorites">
+        {favorites.map((project) => (
+          <FavoriteProject key={project.projectId} project={project} />
+        ))}
+      </ul>
+    </>
+  );
+};
+
+/**
+ * Collapsible list of archived projects, most recently archived first
+ */
+export const ArchivedProjects = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const { archivedProjects = [] } = useProjectsValue();
+  const { selectedProject, setSelectedProject } = useSelectedProjectValue();
+  const { restoreProject } = useProjectArchive();
+
+  if (archivedProjects.length === 0) return null;
+
+  return (
+    <div className="sidebar__archived" data-testid="archived-projects">
+      <button
+        type="button"
+        className="sidebar__archived-toggle"
+        aria-expanded={isOpen}
+        onClick={() => setIsOpen(!isOpen)}
+      >
+        Archived projects ({archivedProjects.length})
+      </button>
+
+      {isOpen && (
+        <ul className="sidebar__archived-list">
+          {archivedProjects.map((project) => (
+            <li
+              key={project.projectId}
+              className={
+                selectedProject === project.projectId ? 'active' : undefined
+              }
+            >
+              <button
+                type="button"
+                className="sidebar__archived-name"
+                title="Show its tasks"
+                onClick={() => setSelectedProject(project.projectId)}
+              >
+                {project.name}
+              </button>
+              <button
+                type="button"
+                className="sidebar__archived-restore"
+                data-testid="restore-project"
+                onClick={() => restoreProject(project)}
+              >
+                Restore
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 };
@@ -0,0 +1,9 @@
+import { useReminders } from '../hooks';
+
+/**
+ * Fires the user's task reminders while the app is open; renders nothing
+ */
+export const Reminders = () => {
+  useReminders();
+  return null;
+};
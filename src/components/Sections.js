@@ -0,0 +1,279 @@
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  FiArrowDown,
+  FiArrowLeft,
+  FiArrowRight,
+  FiArrowUp,
+  FiEdit2,
+  FiPlus,
+  FiTrash2,
+} from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import { useAuth } from '../context/auth-context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { offlineSync } from '../lib/offline-sync';
+import {
+  batchUpdateCommand,
+  deleteSectionCommand,
+} from '../lib/history-commands';
+import { planStep } from '../lib/ordering';
+import { PROJECT_LAYOUTS, nextSectionKey } from '../lib/sections';
+import { generatePushId } from '../helpers';
+
+/**
+ * Inline name input; Enter saves, Escape cancels
+ */
+const SectionNameInput = ({ initialName, submitLabel, onSave, onCancel }) => {
+  const [name, setName] = useState(initialName);
+  const inputRef = useRef(null);
+
+  // The form only mounts when it's opened
+  useEffect(() => {
+    inputRef.current.focus();
+  }, []);
+
+  const save = () => {
+    if (name.trim()) onSave(name.trim());
+  };
+
+  return (
+    <div className="section-form" data-testid="section-form">
+      <input
+        ref={inputRef}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') save();
+          if (e.key === 'Escape') onCancel();
+        }}
+        className="section-form__name"
+        data-testid="section-name"
+        type="text"
+        aria-label="Section name"
+        placeholder="Name this section"
+      />
+      <button
+        type="button"
+        className="section-form__submit"
+        onClick={save}
+        disabled={!name.trim()}
+      >
+        {submitLabel}
+      </button>
+      <button type="button" className="section-form__cancel" onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  );
+};
+
+SectionNameInput.propTypes = {
+  initialName: PropTypes.string,
+  submitLabel: PropTypes.string.isRequired,
+  onSave: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+SectionNameInput.defaultProps = {
+  initialName: '',
+};
+
+/**
+ * Heading of a section (a column on the board) with its actions; read-only
+ * for viewers of a shared project
+ */
+export const SectionHeader = ({
+  section,
+  sections,
+  layout,
+  taskIds,
+  onAddTask,
+  readOnly,
+}) => {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+  const index = sections.findIndex((candidate) => candidate.id === section.id);
+  const isBoard = layout === PROJECT_LAYOUTS.board;
+
+  const applyChanges = async (changes, label) => {
+    try {
+      await Promise.all(
+        changes.map(({ id, after }) => offlineSync.updateSection(id, after))
+      );
+      record(batchUpdateCommand({ entity: 'section', changes, label }));
+    } catch (error) {
+      console.error('Error updating section:', error);
+      showError('Failed to update section. Please try again.');
+    }
+  };
+
+  const rename = (name) => {
+    setIsRenaming(false);
+    if (name === section.name) return;
+    applyChanges(
+      [{ id: section.id, before: { name: section.name }, after: { name } }],
+      'Rename section'
+    );
+  };
+
+  const move = (offset) => {
+    const changes = planStep(sections, section.id, offset).map(
+      ({ id, sortOrder }) => ({
+        id,
+        before: {
+          sortOrder: sections.find((candidate) => candidate.id === id)
+            .sort_order,
+        },
+        after: { sortOrder },
+      })
+    );
+    applyChanges(changes, 'Reorder sections');
+  };
+
+  // Its tasks stay in the project, outside any section
+  const remove = async () => {
+    try {
+      await offlineSync.deleteSection(section.id);
+      record(
+        deleteSectionCommand({ section, taskIds }),
+        `Section "${section.name}" deleted`
+      );
+    } catch (error) {
+      console.error('Error deleting section:', error);
+      showError('Failed to delete section. Please try again.');
+    }
+  };
+
+  if (isRenaming) {
+    return (
+      <div className="task-section__header">
+        <SectionNameInput
+          initialName={section.name}
+          submitLabel="Save"
+          onSave={rename}
+          onCancel={() => setIsRenaming(false)}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="task-section__header" data-testid="section-header">
+      <h3 className="task-section__name">{section.name}</h3>
+      <span className="task-section__count">{taskIds.length}</span>
+
+      {!readOnly && (
+        <div className="task-section__actions">
+          <button
+            type="button"
+            title="Add task"
+            aria-label={`Add task to ${section.name}`}
+            onClick={onAddTask}
+          >
+            <FiPlus size={14} />
+          </button>
+          <button
+            type="button"
+            title={isBoard ? 'Move left' : 'Move up'}
+            aria-label={`Move ${section.name} ${isBoard ? 'left' : 'up'}`}
+            onClick={() => move(-1)}
+            disabled={index <= 0}
+          >
+            {isBoard ? <FiArrowLeft size={14} /> : <FiArrowUp size={14} />}
+          </button>
+          <button
+            type="button"
+            title={isBoard ? 'Move right' : 'Move down'}
+            aria-label={`Move ${section.name} ${isBoard ? 'right' : 'down'}`}
+            onClick={() => move(1)}
+            disabled={index === sections.length - 1}
+          >
+            {isBoard ? <FiArrowRight size={14} /> : <FiArrowDown size={14} />}
+          </button>
+          <button
+            type="button"
+            title="Rename section"
+            aria-label={`Rename ${section.name}`}
+            onClick={() => setIsRenaming(true)}
+          >
+            <FiEdit2 size={14} />
+          </button>
+          <button
+            type="button"
+            title="Delete section"
+            aria-label={`Delete ${section.name}`}
+            onClick={remove}
+          >
+            <FiTrash2 size={14} />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+SectionHeader.propTypes = {
+  section: PropTypes.object.isRequired,
+  sections: PropTypes.arrayOf(PropTypes.object).isRequired,
+  layout: PropTypes.oneOf(Object.values(PROJECT_LAYOUTS)).isRequired,
+  taskIds: PropTypes.array.isRequired,
+  onAddTask: PropTypes.func.isRequired,
+  readOnly: PropTypes.bool,
+};
+
+SectionHeader.defaultProps = {
+  readOnly: false,
+};
+
+/**
+ * "Add section" button, opening an inline name input
+ */
+export const AddSection = ({ projectId, sections }) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const { user } = useAuth();
+  const { showError } = useNotifications();
+
+  const add = async (name) => {
+    setIsAdding(false);
+    try {
+      await offlineSync.createSection({
+        id: generatePushId(),
+        projectId,
+        name,
+        sortOrder: nextSectionKey(sections),
+        userId: user.id,
+      });
+    } catch (error) {
+      console.error('Error adding section:', error);
+      showError('Failed to add section. Please try again.');
+    }
+  };
+
+  return (
+    <div className="add-section" data-testid="add-section">
+      {isAdding ? (
+        <SectionNameInput
+          submitLabel="Add section"
+          onSave={add}
+          onCancel={() => setIsAdding(false)}
+        />
+      ) : (
+        <button
+          type="button"
+          className="add-section__button"
+          onClick={() => setIsAdding(true)}
+        >
+          <FiPlus size={14} />
+          Add section
+        </button>
+      )}
+    </div>
+  );
+};
+
+AddSection.propTypes = {
+  projectId: PropTypes.string.isRequired,
+  sections: PropTypes.arrayOf(PropTypes.object).isRequired,
+};
@@ -7,18 +7,43 @@ import {
   FiTag,
   FiClock,
   FiTarget,
+  FiRepeat,
+  FiPaperclip,
+  FiX,
+  FiBell,
 } from 'react-icons/fi';
 import { taskProcessor, AIClientError, AI_ERROR_TYPES } from '../lib/ai-client';
-
-const SmartTaskInput = ({ onAddTask, projectId }) => {
-  const [isExpanded, setIsExpanded] = useState(false);
+import { describeRecurrence } from '../lib/recurrence';
+import { formatDueDate } from '../lib/due-dates';
+import { parseLabels } from '../lib/labels';
+import { resolvePerson } from '../lib/people';
+import { formatFileSize } from '../lib/attachments';
+import { addReminder, describeReminder, parseReminder } from '../lib/reminders';
+import { getDroppedFiles, hasFiles } from '../lib/drag-and-drop';
+import { usePeopleValue } from '../context';
+import { useAttachFiles } from '../hooks';
+
+// defaultDueDate pre-fills the date (e.g. a day picked in the calendar) for
+// tasks whose text doesn't name one
+const SmartTaskInput = ({ onAddTask, projectId, defaultDueDate = null, startExpanded = false }) => {
+  const [isExpanded, setIsExpanded] = useState(startExpanded);
   const [input, setInput] = useState('');
   const [aiSuggestions, setAiSuggestions] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [parsedTask, setParsedTask] = useState(null);
   const [showAIFeatures, setShowAIFeatures] = useState(false);
   const [selectedSuggestions, setSelectedSuggestions] = useState(new Set());
+  // Assignee the user picked in the preview ({ personId }, null for nobody);
+  // until then the first name that matches a single person is used
+  const [assigneeChoice, setAssigneeChoice] = useState(null);
+  // Files dropped on the input, attached to the task once it's added
+  const [files, setFiles] = useState([]);
+  const [isDroppingFiles, setIsDroppingFiles] = useState(false);
+  // IDs of the suggested reminders the user picked
+  const [reminderChoices, setReminderChoices] = useState([]);
   const inputRef = useRef(null);
+  const { people, addPerson } = usePeopleValue();
+  const { attachFiles } = useAttachFiles();
 
   const aiFeatures = [
     {
@@ -141,6 +166,14 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
     }
   }, [isExpanded]);
 
+  useEffect(() => {
+    setAssigneeChoice(null);
+  }, [parsedTask]);
+
+  useEffect(() => {
+    setReminderChoices([]);
+  }, [aiSuggestions]);
+
   const handleInputChange = async (e) => {
     const { value } = e.target;
     setInput(value);
@@ -167,6 +200,84 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
     }
   };
 
+  // @labels typed in the input plus the tags the AI suggested
+  const getLabelNames = () => [
+    ...parseLabels(input).labels,
+    ...((parsedTask && parsedTask.tags) || []),
+  ];
+
+  const withLabels = (taskData) => ({
+    ...taskData,
+    task: parseLabels(taskData.task).text || taskData.task,
+    labels: getLabelNames(),
+  });
+
+  // Names the AI found in the text, with the people each may refer to
+  const getPeopleMatches = () =>
+    ((parsedTask && parsedTask.people) || []).map((name) => ({
+      name,
+      ...resolvePerson(name, people),
+    }));
+
+  const getAssigneeId = () => {
+    if (assigneeChoice) return assigneeChoice.personId;
+    const match = getPeopleMatches().find(({ person }) => person);
+    return match ? match.person.id : null;
+  };
+
+  const withAssignee = (taskData) => ({
+    ...taskData,
+    assigneeId: getAssigneeId(),
+  });
+
+  // Reminders the AI suggested that read as ones a task can have
+  const getSuggestedReminders = () =>
+    ((aiSuggestions && aiSuggestions.reminders) || [])
+      .map(parseReminder)
+      .filter(Boolean)
+      .reduce(addReminder, []);
+
+  const toggleReminder = (id) =>
+    setReminderChoices(
+      reminderChoices.includes(id)
+        ? reminderChoices.filter((choice) => choice !== id)
+        : [...reminderChoices, id]
+    );
+
+  const withReminders = (taskData) => ({
+    ...taskData,
+    reminders: getSuggestedReminders().filter(({ id }) =>
+      reminderChoices.includes(id)
+    ),
+  });
+
+  const addToPeople = async (name) => {
+    try {
+      const personId = await addPerson({ name });
+      setAssigneeChoice({ personId });
+    } catch (error) {
+      console.error('Error adding person:', error);
+    }
+  };
+
+  const attachDroppedFiles = (createdTask) => {
+    if (files.length > 0 && createdTask?.id) attachFiles(createdTask.id, files);
+    setFiles([]);
+  };
+
+  const handleFileDragOver = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    setIsDroppingFiles(true);
+  };
+
+  const handleFileDrop = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    setIsDroppingFiles(false);
+    setFiles([...files, ...getDroppedFiles(e)]);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -175,7 +286,7 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
     let taskData = {
       task: input,
       projectId: projectId || '1',
-      date: '',
+      dueDate: defaultDueDate || null,
       priority: 'medium',
     };
 
@@ -184,8 +295,11 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
       taskData = {
         task: parsedTask.taskName || input,
         projectId: projectId || '1',
-        date: parsedTask.date || '',
+        dueDate: parsedTask.dueDate || defaultDueDate || null,
+        dueTime: parsedTask.dueTime || null,
+        timeZone: parsedTask.timeZone,
         priority: parsedTask.priority || 'medium',
+        recurrence: parsedTask.recurrence || null,
         aiEnhanced: true,
         metadata: {
           originalInput: input,
@@ -195,7 +309,11 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
       };
     }
 
-    onAddTask(taskData);
+    // A failed add is reported by onAddTask; its files are dropped
+    Promise.resolve(onAddTask(withReminders(withAssignee(withLabels(taskData))))).then(
+      attachDroppedFiles,
+      () => setFiles([])
+    );
 
     // Reset form
     setInput('');
@@ -237,7 +355,7 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
     let mainTaskData = {
       task: input.trim(),
       projectId: projectId || '1',
-      date: '',
+      dueDate: defaultDueDate || null,
       priority: 'medium',
     };
 
@@ -246,8 +364,11 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
       mainTaskData = {
         task: parsedTask.taskName || input.trim(),
         projectId: projectId || '1',
-        date: parsedTask.date || '',
+        dueDate: parsedTask.dueDate || defaultDueDate || null,
+        dueTime: parsedTask.dueTime || null,
+        timeZone: parsedTask.timeZone,
         priority: parsedTask.priority || 'medium',
+        recurrence: parsedTask.recurrence || null,
         aiEnhanced: true,
         metadata: {
           originalInput: input,
@@ -258,7 +379,8 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
 
     try {
       // Add main task first and wait for its ID
-      const createdMainTask = await onAddTask(mainTaskData);
+      const createdMainTask = await onAddTask(withReminders(withAssignee(withLabels(mainTaskData))));
+      attachDroppedFiles(createdMainTask);
 
       if (createdMainTask?.id) {
         // Get the suggestions from either parsedTask or aiSuggestions
@@ -280,7 +402,7 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
               return {
                 task: subtaskText,
                 projectId: projectId || '1',
-                date: '',
+                dueDate: null,
                 priority: subtaskPriority,
                 aiEnhanced: true,
                 parentTaskId: createdMainTask.id, // Properly set parent task ID
@@ -330,7 +452,7 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
       let mainTaskData = {
         task: input.trim(),
         projectId: projectId || '1',
-        date: '',
+        dueDate: defaultDueDate || null,
         priority: 'medium',
       };
 
@@ -338,8 +460,11 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
         mainTaskData = {
           task: parsedTask.taskName || input.trim(),
           projectId: projectId || '1',
-          date: parsedTask.date || '',
+          dueDate: parsedTask.dueDate || defaultDueDate || null,
+        dueTime: parsedTask.dueTime || null,
+        timeZone: parsedTask.timeZone,
           priority: parsedTask.priority || 'medium',
+          recurrence: parsedTask.recurrence || null,
           aiEnhanced: true,
           metadata: {
             originalInput: input,
@@ -349,13 +474,14 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
       }
 
       try {
-        const createdMainTask = await onAddTask(mainTaskData);
+        const createdMainTask = await onAddTask(withReminders(withAssignee(withLabels(mainTaskData))));
+        attachDroppedFiles(createdMainTask);
 
         if (createdMainTask?.id) {
           const suggestionTaskData = {
             task: suggestion,
             projectId: projectId || '1',
-            date: '',
+            dueDate: null,
             priority: 'low',
             aiEnhanced: true,
             parentTaskId: createdMainTask.id, // Properly set parent task ID
@@ -399,19 +525,31 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
             <span className="detail-value">{parsedTask.taskName}</span>
           </div>
 
-          {parsedTask.date && (
+          {parsedTask.dueDate && (
             <div className="detail-item">
               <FiCalendar className="detail-icon" />
               <span className="detail-label">Date:</span>
-              <span className="detail-value">{parsedTask.date}</span>
+              <span className="detail-value">
+                {formatDueDate(parsedTask.dueDate)}
+              </span>
             </div>
           )}
 
-          {parsedTask.time && (
+          {parsedTask.dueTime && (
             <div className="detail-item">
               <FiClock className="detail-icon" />
               <span className="detail-label">Time:</span>
-              <span className="detail-value">{parsedTask.time}</span>
+              <span className="detail-value">{parsedTask.dueTime}</span>
+            </div>
+          )}
+
+          {parsedTask.recurrence && (
+            <div className="detail-item">
+              <FiRepeat className="detail-icon" />
+              <span className="detail-label">Repeats:</span>
+              <span className="detail-value">
+                {describeRecurrence(parsedTask.recurrence)}
+              </span>
             </div>
           )}
 
@@ -423,12 +561,77 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
             </span>
           </div>
 
-          {parsedTask.people && parsedTask.people.length > 0 && (
-            <div className="detail-item">
+          {getPeopleMatches().length > 0 && (
+            <div className="detail-item" data-testid="people-matches">
               <FiUser className="detail-icon" />
               <span className="detail-label">People:</span>
+              <span className="detail-value people-matches">
+                {getPeopleMatches().map(({ name, person, candidates }) => {
+                  const assigneeId = getAssigneeId();
+                  if (person) {
+                    const isAssigned = assigneeId === person.id;
+                    return (
+                      <button
+                        key={name}
+                        type="button"
+                        className={`people-match${isAssigned ? ' people-match--assigned' : ''}`}
+                        onClick={() =>
+                          setAssigneeChoice({
+                            personId: isAssigned ? null : person.id,
+                          })
+                        }
+                        title={isAssigned ? 'Unassign' : `Assign to ${person.name}`}
+                      >
+                        {person.name}
+                      </button>
+                    );
+                  }
+                  if (candidates.length > 0) {
+                    // More than one person fits: ask which one is meant
+                    return (
+                      <span key={name} className="people-match__question">
+                        Which {name}?
+                        {candidates.map((candidate) => (
+                          <button
+                            key={candidate.id}
+                            type="button"
+                            className={`people-match${assigneeId === candidate.id ? ' people-match--assigned' : ''}`}
+                            onClick={() =>
+                              setAssigneeChoice({ personId: candidate.id })
+                            }
+                          >
+                            {candidate.name}
+                          </button>
+                        ))}
+                      </span>
+                    );
+                  }
+                  return (
+                    <span key={name} className="people-match__question">
+                      {name}
+                      <button
+                        type="button"
+                        className="people-match people-match--add"
+                        onClick={() => addToPeople(name)}
+                        title={`Add ${name} to your people and assign the task`}
+                      >
+                        + Add to people
+                      </button>
+                    </span>
+                  );
+                })}
+              </span>
+            </div>
+          )}
+
+          {getLabelNames().length > 0 && (
+            <div className="detail-item">
+              <FiTag className="detail-icon" />
+              <span className="detail-label">Labels:</span>
               <span className="detail-value">
-                {parsedTask.people.join(', ')}
+                {getLabelNames()
+                  .map((name) => `@${name}`)
+                  .join(' ')}
               </span>
             </div>
           )}
@@ -536,7 +739,12 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
   return (
     <div className="smart-task-input-expanded">
       <form onSubmit={handleSubmit} className="task-form">
-        <div className="input-container">
+        <div
+          className={`input-container ${isDroppingFiles ? 'dropping-files' : ''}`}
+          onDragOver={handleFileDragOver}
+          onDragLeave={() => setIsDroppingFiles(false)}
+          onDrop={handleFileDrop}
+        >
           <input
             ref={inputRef}
             type="text"
@@ -577,6 +785,7 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
                 setAiSuggestions(null);
                 setSelectedSuggestions(new Set());
                 setShowAIFeatures(false);
+                setFiles([]);
               }}
             >
               Cancel
@@ -584,6 +793,33 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
           </div>
         </div>
 
+        {files.length > 0 && (
+          <ul className="dropped-files" data-testid="dropped-files">
+            {files.map((file, index) => (
+              // Files have no ID of their own
+              <li key={`${file.name}-${index}`} className="dropped-file">
+                <FiPaperclip />
+                <span className="dropped-file__name">{file.name}</span>
+                <span className="dropped-file__size">{formatFileSize(file.size)}</span>
+                <button
+                  type="button"
+                  aria-label={`Don't attach ${file.name}`}
+                  onClick={() => setFiles(files.filter((other) => other !== file))}
+                >
+                  <FiX />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {defaultDueDate && !(parsedTask && parsedTask.dueDate) && (
+          <div className="default-due-date" title="Due date for the new task">
+            <FiCalendar />
+            <span>{formatDueDate(defaultDueDate)}</span>
+          </div>
+        )}
+
         {isProcessing && (
           <div className="ai-processing">
             <FiZap className="processing-icon" />
@@ -682,6 +918,26 @@ const SmartTaskInput = ({ onAddTask, projectId }) => {
                 </div>
               </div>
             )}
+
+            {getSuggestedReminders().length > 0 && (
+              <div className="suggestion-item suggested-reminders">
+                <FiBell className="suggestion-icon" />
+                <span className="suggestion-label">Remind me:</span>
+                {getSuggestedReminders().map((reminder) => (
+                  <button
+                    key={reminder.id}
+                    type="button"
+                    className={`reminder-chip ${
+                      reminderChoices.includes(reminder.id) ? 'selected' : ''
+                    }`}
+                    aria-pressed={reminderChoices.includes(reminder.id)}
+                    onClick={() => toggleReminder(reminder.id)}
+                  >
+                    {describeReminder(reminder)}
+                  </button>
+                ))}
+              </div>
+            )}
             
           </div>
         )}
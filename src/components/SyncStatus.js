@@ -0,0 +1,62 @@
+import React, { useEffect } from 'react';
+import { FiCloudOff, FiRefreshCw, FiUploadCloud } from 'react-icons/fi';
+import { offlineSync } from '../lib/offline-sync';
+import { isTaskConflictError } from '../lib/conflicts';
+import { useSyncStatus } from '../hooks';
+import { useNotifications } from '../context/notification-context';
+
+const describeChanges = (count) =>
+  `${count} ${count === 1 ? 'change' : 'changes'}`;
+
+export const SyncStatus = () => {
+  const { pending = [], syncing, online } = useSyncStatus();
+  const { showError } = useNotifications();
+
+  // Changes the server rejected are dropped from the outbox; say so
+  useEffect(
+    () =>
+      offlineSync.subscribe(({ failed }) => {
+        if (!failed) return;
+        const { mutation, error } = failed;
+        // Conflicts are kept for the resolution dialog instead
+        if (isTaskConflictError(error)) return;
+        console.error(
+          `Error syncing ${mutation.entity} ${mutation.type}:`,
+          error
+        );
+        showError(
+          `Failed to ${mutation.type} ${mutation.entity}. Your change has been discarded.`
+        );
+      }),
+    [showError]
+  );
+
+  if (online && pending.length === 0) return null;
+
+  let icon = <FiUploadCloud />;
+  let label = `${describeChanges(pending.length)} waiting to sync`;
+
+  if (!online) {
+    icon = <FiCloudOff />;
+    label =
+      pending.length > 0
+        ? `Offline · ${describeChanges(pending.length)} saved locally`
+        : 'Offline';
+  } else if (syncing) {
+    icon = <FiRefreshCw className="sync-status__spinner" />;
+    label = `Syncing ${describeChanges(pending.length)}`;
+  }
+
+  return (
+    <div
+      className={`sync-status${online ? '' : ' sync-status--offline'}`}
+      data-testid="sync-status"
+      role="status"
+      aria-live="polite"
+      title={label}
+    >
+      {icon}
+      <span className="sync-status__label">{label}</span>
+    </div>
+  );
+};
@@ -0,0 +1,132 @@
+import React, { useRef, useState } from 'react';
+import { FiFile, FiPaperclip, FiX } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import { useAttachFiles, useTaskAttachments } from '../hooks';
+import { formatFileSize, isImage } from '../lib/attachments';
+import { getDroppedFiles, hasFiles } from '../lib/drag-and-drop';
+
+/**
+ * The user's files on a task: images as previews, other files by name.
+ * Files are added from a picker or dropped onto the list.
+ */
+export const TaskAttachments = ({ taskId }) => {
+  const [isDropping, setIsDropping] = useState(false);
+  const inputRef = useRef(null);
+  const { attachments, isLoading, isUnavailable, removeAttachment } =
+    useTaskAttachments(taskId);
+  const { attachFiles, uploading } = useAttachFiles();
+
+  const handleDragOver = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    setIsDropping(true);
+  };
+
+  const handleDrop = (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    setIsDropping(false);
+    attachFiles(taskId, getDroppedFiles(e));
+  };
+
+  const renderList = () => {
+    if (isUnavailable) {
+      return (
+        <p className="task-detail__empty">
+          Files show once the task has synced and you&apos;re online.
+        </p>
+      );
+    }
+    if (isLoading) {
+      return <p className="task-detail__empty">Loading files…</p>;
+    }
+    if (attachments.length === 0 && uploading === 0) {
+      return <p className="task-detail__empty">Drop files here to attach</p>;
+    }
+    return (
+      <ul className="task-attachments__list" data-testid="task-attachments">
+        {attachments.map((attachment) => (
+          <li key={attachment.id} className="task-attachments__item">
+            {isImage(attachment) && attachment.url ? (
+              <a
+                href={attachment.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="task-attachments__preview"
+              >
+                <img src={attachment.url} alt={attachment.name} />
+              </a>
+            ) : (
+              <span className="task-attachments__icon">
+                <FiFile size={16} />
+              </span>
+            )}
+            <span className="task-attachments__details">
+              {attachment.url ? (
+                <a
+                  href={attachment.url}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  {attachment.name}
+                </a>
+              ) : (
+                attachment.name
+              )}
+              <span className="task-attachments__size">
+                {formatFileSize(attachment.size)}
+              </span>
+            </span>
+            <button
+              type="button"
+              className="task-attachments__remove"
+              aria-label={`Remove ${attachment.name}`}
+              title="Remove"
+              onClick={() => removeAttachment(attachment)}
+            >
+              <FiX size={14} />
+            </button>
+          </li>
+        ))}
+        {uploading > 0 && (
+          <li className="task-attachments__item task-attachments__uploading">
+            Uploading {uploading} file{uploading === 1 ? '' : 's'}…
+          </li>
+        )}
+      </ul>
+    );
+  };
+
+  return (
+    <div
+      className={`task-attachments ${isDropping ? 'dropping' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDropping(false)}
+      onDrop={handleDrop}
+    >
+      {renderList()}
+      <input
+        ref={inputRef}
+        type="file"
+        multiple
+        hidden
+        onChange={(e) => {
+          attachFiles(taskId, Array.from(e.target.files));
+          e.target.value = '';
+        }}
+        data-testid="task-attachment-input"
+      />
+      <button
+        type="button"
+        className="task-attachments__add"
+        onClick={() => inputRef.current.click()}
+      >
+        <FiPaperclip size={14} /> Attach files
+      </button>
+    </div>
+  );
+};
+
+TaskAttachments.propTypes = {
+  taskId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+};
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import moment from 'moment';
+import PropTypes from 'prop-types';
+import { useAuth } from '../context/auth-context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { useTaskComments } from '../hooks';
+import { offlineSync } from '../lib/offline-sync';
+import {
+  deleteCommentCommand,
+  updateCommentCommand,
+} from '../lib/history-commands';
+import { canModifyComment, isEdited, validateComment } from '../lib/comments';
+import { Markdown } from './Markdown';
+
+// Ctrl+Enter, or Cmd+Enter on a Mac, sends what's being written
+const isSubmitKey = (e) => e.key === 'Enter' && (e.ctrlKey || e.metaKey);
+
+/**
+ * A comment box that posts on Ctrl/Cmd+Enter
+ */
+const CommentEditor = ({
+  initialBody,
+  submitLabel,
+  onSubmit,
+  onCancel,
+  testId,
+}) => {
+  const [body, setBody] = useState(initialBody);
+  const [error, setError] = useState('');
+
+  const submit = async () => {
+    const problem = validateComment(body);
+    setError(problem || '');
+    if (problem) return;
+
+    try {
+      await onSubmit(body.trim());
+      setBody('');
+    } catch (submitError) {
+      console.error('Error saving comment:', submitError);
+      setError('Failed to save. Please try again.');
+    }
+  };
+
+  return (
+    <div className="task-comments__editor">
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        onKeyDown={(e) => {
+          if (isSubmitKey(e)) {
+            e.preventDefault();
+            submit();
+          }
+        }}
+        className="task-detail__textarea"
+        rows={3}
+        aria-label={submitLabel}
+        placeholder="Write a comment… Markdown works here"
+        data-testid={testId}
+      />
+      {error && <p className="task-comments__error">{error}</p>}
+      <div className="task-comments__editor-actions">
+        {onCancel && (
+          <button type="button" className="cancel-btn" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+        <button
+          type="button"
+          className="save-btn"
+          onClick={submit}
+          disabled={!body.trim()}
+          title="Ctrl+Enter"
+        >
+          {submitLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+CommentEditor.propTypes = {
+  initialBody: PropTypes.string,
+  submitLabel: PropTypes.string.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func,
+  testId: PropTypes.string,
+};
+
+CommentEditor.defaultProps = {
+  initialBody: '',
+  onCancel: null,
+  testId: undefined,
+};
+
+/**
+ * A task's discussion: comments oldest first, each in Markdown, and a box to
+ * add one. Anyone who can see the task can comment, viewers of a shared
+ * project included; people edit and delete only their own comments.
+ */
+export const TaskComments = ({ taskId }) => {
+  const [editing, setEditing] = useState(null);
+  const { comments, addComment } = useTaskComments(taskId);
+  const { user } = useAuth();
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+  const userId = user ? user.id : null;
+
+  const updateComment = async (comment, body) => {
+    if (body !== comment.body) {
+      await offlineSync.updateComment(comment.id, { body });
+      record(
+        updateCommentCommand({
+          id: comment.id,
+          before: { body: comment.body },
+          after: { body },
+        })
+      );
+    }
+    setEditing(null);
+  };
+
+  const deleteComment = async (comment) => {
+    try {
+      await offlineSync.deleteComment(comment.id);
+      record(deleteCommentCommand({ comment }), 'Comment deleted');
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      showError('Failed to delete comment. Please try again.');
+    }
+  };
+
+  return (
+    <>
+      {comments.length === 0 && (
+        <p className="task-detail__empty">No comments yet</p>
+      )}
+      <ol className="task-comments" data-testid="task-comments">
+        {comments.map((comment) => (
+          <li key={comment.id} className="task-comments__comment">
+            <div className="task-comments__meta">
+              <span>
+                {comment.userId === userId
+                  ? 'You'
+                  : comment.userEmail || 'A member'}
+                {' · '}
+                <time
+                  dateTime={comment.createdAt}
+                  title={moment(comment.createdAt).format('LLL')}
+                >
+                  {moment(comment.createdAt).fromNow()}
+                </time>
+                {isEdited(comment) && ' · edited'}
+              </span>
+              {canModifyComment(comment, userId) && editing !== comment.id && (
+                <span className="task-comments__actions">
+                  <button type="button" onClick={() => setEditing(comment.id)}>
+                    Edit
+                  </button>
+                  <button type="button" onClick={() => deleteComment(comment)}>
+                    Delete
+                  </button>
+                </span>
+              )}
+            </div>
+            {editing === comment.id ? (
+              <CommentEditor
+                initialBody={comment.body}
+                submitLabel="Save"
+                onSubmit={(body) => updateComment(comment, body)}
+                onCancel={() => setEditing(null)}
+              />
+            ) : (
+              <Markdown source={comment.body} />
+            )}
+          </li>
+        ))}
+      </ol>
+      {user && (
+        <CommentEditor
+          submitLabel="Comment"
+          onSubmit={addComment}
+          testId="task-comment-input"
+        />
+      )}
+    </>
+  );
+};
+
+TaskComments.propTypes = {
+  taskId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+};
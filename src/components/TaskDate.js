@@ -2,21 +2,43 @@ import React from 'react';
 import moment from 'moment';
 import { FaSpaceShuttle, FaSun, FaRegPaperPlane } from 'react-icons/fa';
 import PropTypes from 'prop-types';
+import { DUE_DATE_FORMAT } from '../lib/due-dates';
 
-export const TaskDate = ({ setTaskDate, showTaskDate, setShowTaskDate }) =>
+export const TaskDate = ({
+  setTaskDate,
+  showTaskDate,
+  setShowTaskDate,
+  taskTime = '',
+  setTaskTime = null,
+}) =>
   showTaskDate && (
     <div className="task-date" data-testid="task-date-overlay">
       <ul className="task-date__list">
+        {setTaskTime && (
+          <li className="task-date__time">
+            <label htmlFor="task-date-time">
+              <span>Time</span>
+              <input
+                id="task-date-time"
+                type="time"
+                value={taskTime}
+                onChange={(e) => setTaskTime(e.target.value)}
+                data-testid="task-date-time"
+                aria-label="Select a time for the task"
+              />
+            </label>
+          </li>
+        )}
         <li>
           <div
             onClick={() => {
               setShowTaskDate(false);
-              setTaskDate(moment().format('DD/MM/YYYY'));
+              setTaskDate(moment().format(DUE_DATE_FORMAT));
             }}
             onKeyDown={(e) => {
               if (e.key === 'Enter') {
                 setShowTaskDate(false);
-                setTaskDate(moment().format('DD/MM/YYYY'));
+                setTaskDate(moment().format(DUE_DATE_FORMAT));
               }
             }}
             data-testid="task-date-today"
@@ -34,12 +56,12 @@ export const TaskDate = ({ setTaskDate, showTaskDate, setShowTaskDate }) =>
           <div
             onClick={() => {
               setShowTaskDate(false);
-              setTaskDate(moment().add(1, 'day').format('DD/MM/YYYY'));
+              setTaskDate(moment().add(1, 'day').format(DUE_DATE_FORMAT));
             }}
             onKeyDown={(e) => {
               if (e.key === 'Enter') {
                 setShowTaskDate(false);
-                setTaskDate(moment().add(1, 'day').format('DD/MM/YYYY'));
+                setTaskDate(moment().add(1, 'day').format(DUE_DATE_FORMAT));
               }
             }}
             data-testid="task-date-tomorrow"
@@ -57,12 +79,12 @@ export const TaskDate = ({ setTaskDate, showTaskDate, setShowTaskDate }) =>
           <div
             onClick={() => {
               setShowTaskDate(false);
-              setTaskDate(moment().add(7, 'days').format('DD/MM/YYYY'));
+              setTaskDate(moment().add(7, 'days').format(DUE_DATE_FORMAT));
             }}
             onKeyDown={(e) => {
               if (e.key === 'Enter') {
                 setShowTaskDate(false);
-                setTaskDate(moment().add(7, 'days').format('DD/MM/YYYY'));
+                setTaskDate(moment().add(7, 'days').format(DUE_DATE_FORMAT));
               }
             }}
             data-testid="task-date-next-week"
@@ -84,4 +106,6 @@ TaskDate.propTypes = {
   setTaskDate: PropTypes.func.isRequired,
   showTaskDate: PropTypes.bool.isRequired,
   setShowTaskDate: PropTypes.func.isRequired,
+  taskTime: PropTypes.string,
+  setTaskTime: PropTypes.func,
 };
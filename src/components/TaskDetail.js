@@ -0,0 +1,430 @@
+import React, { useEffect, useState } from 'react';
+import moment from 'moment';
+import { FiZap } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import { usePeopleValue, useProjectsValue } from '../context';
+import { useAuth } from '../context/auth-context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { useProjectTasks, useTaskActivity } from '../hooks';
+import { offlineSync } from '../lib/offline-sync';
+import { batchUpdateCommand } from '../lib/history-commands';
+import { PRIORITIES } from '../lib/analytics';
+import { canEditTasks } from '../lib/sharing';
+import {
+  describeActivity,
+  getParentOptions,
+  planTaskEdit,
+  toDetailValues,
+} from '../lib/task-detail';
+import { Markdown } from './Markdown';
+import { TaskAttachments } from './TaskAttachments';
+import { TaskComments } from './TaskComments';
+import { TaskReminders } from './TaskReminders';
+
+const NO_TASKS = [];
+
+/**
+ * Who did something, and when
+ */
+const ActivityEntry = ({ entry, userId, context }) => (
+  <li className="task-detail__activity-entry">
+    <span className="task-detail__activity-meta">
+      {entry.user_id === userId ? 'You' : entry.user_email || 'A member'}
+      {' · '}
+      <time
+        dateTime={entry.created_at}
+        title={moment(entry.created_at).format('LLL')}
+      >
+        {moment(entry.created_at).fromNow()}
+      </time>
+    </span>
+    {describeActivity(entry, context).map((line) => (
+      <span key={line} className="task-detail__activity-line">
+        {line}
+      </span>
+    ))}
+  </li>
+);
+
+ActivityEntry.propTypes = {
+  entry: PropTypes.object.isRequired,
+  userId: PropTypes.string,
+  context: PropTypes.object.isRequired,
+};
+
+ActivityEntry.defaultProps = {
+  userId: null,
+};
+
+/**
+ * Everything about a task in a side panel: its name and Markdown
+ * description, date, priority, project and parent, reminders, the AI's
+ * reading of it, files, its discussion and what happened to it so far.
+ * Viewers of a shared project only read it, but can still comment.
+ */
+export const TaskDetail = ({ task, readOnly, onClose }) => {
+  const [values, setValues] = useState(() => toDetailValues(task));
+  const [isPreview, setIsPreview] = useState(readOnly);
+  const { projects } = useProjectsValue();
+  const { people } = usePeopleValue();
+  const { user } = useAuth();
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+  const { activity, isLoading, isUnavailable } = useTaskActivity(task.id);
+
+  // The task's own project holds its subtasks; a parent may come from the
+  // project it's being moved to
+  const ownTasks = useProjectTasks(task.projectId);
+  const isMoving = values.projectId !== task.projectId;
+  const targetTasks = useProjectTasks(isMoving ? values.projectId : null);
+  const tasks = [...(ownTasks || NO_TASKS), ...(targetTasks || NO_TASKS)];
+  // Subtasks have to be known before the task can be moved with them
+  const isLoadingTasks = !ownTasks || (isMoving && !targetTasks);
+  const parentOptions = getParentOptions(task, tasks, values.projectId);
+  const projectOptions = (projects || []).filter(
+    (project) =>
+      project.projectId !== '1' &&
+      (canEditTasks(project) || project.projectId === task.projectId)
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const setValue = (field) => (e) =>
+    setValues({ ...values, [field]: e.target.value });
+
+  // The rows as loaded, so the server can tell what changed since
+  const snapshotFor = (id) =>
+    [task, ...tasks].find((candidate) => candidate.id === id);
+
+  const save = async () => {
+    const changes = planTaskEdit(task, values, tasks);
+    onClose();
+    if (changes.length === 0) return;
+
+    try {
+      await Promise.all(
+        changes.map(({ id, after }) =>
+          offlineSync.updateTask(id, after, snapshotFor(id))
+        )
+      );
+      record(
+        batchUpdateCommand({ entity: 'task', changes, label: 'Edit task' }),
+        'Task updated'
+      );
+    } catch (error) {
+      console.error('Error updating task:', error);
+      showError('Failed to update task. Please try again.');
+    }
+  };
+
+  const renderActivity = () => {
+    if (isUnavailable) {
+      return (
+        <p className="task-detail__empty">
+          History shows once the task has synced and you&apos;re online.
+        </p>
+      );
+    }
+    if (isLoading) {
+      return <p className="task-detail__empty">Loading history…</p>;
+    }
+    return (
+      <ol className="task-detail__activity" data-testid="task-activity">
+        {[...activity].reverse().map((entry) => (
+          <ActivityEntry
+            key={entry.id}
+            entry={entry}
+            userId={user && user.id}
+            context={{ projects, people, tasks }}
+          />
+        ))}
+      </ol>
+    );
+  };
+
+  return (
+    <div
+      className="task-detail-overlay"
+      role="presentation"
+      onClick={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+    >
+      <aside
+        className="task-detail"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="task-detail-title"
+        data-testid="task-detail"
+      >
+        <div className="edit-task-header">
+          <h3 id="task-detail-title">Task details</h3>
+          <button
+            type="button"
+            className="close-btn"
+            aria-label="Close"
+            onClick={onClose}
+          >
+            ×
+          </button>
+        </div>
+
+        <div className="task-detail__body">
+          <input
+            type="text"
+            value={values.task}
+            onChange={setValue('task')}
+            className="edit-task-input task-detail__name"
+            aria-label="Task name"
+            readOnly={readOnly}
+            data-testid="task-detail-name"
+          />
+
+          <section className="task-detail__section">
+            <div className="task-detail__section-header">
+              <h4>Description</h4>
+              {!readOnly && (
+                <div className="task-detail__tabs" role="group">
+                  <button
+                    type="button"
+                    aria-pressed={!isPreview}
+                    onClick={() => setIsPreview(false)}
+                  >
+                    Write
+                  </button>
+                  <button
+                    type="button"
+                    aria-pressed={isPreview}
+                    onClick={() => setIsPreview(true)}
+                  >
+                    Preview
+                  </button>
+                </div>
+              )}
+            </div>
+            {isPreview ? (
+              <Markdown
+                source={values.description}
+                className="task-detail__description"
+              />
+            ) : (
+              <textarea
+                value={values.description}
+                onChange={setValue('description')}
+                className="task-detail__textarea"
+                rows={6}
+                aria-label="Description"
+                placeholder="Notes, links, checklists… Markdown works here"
+                data-testid="task-detail-description"
+              />
+            )}
+            {isPreview && !values.description.trim() && (
+              <p className="task-detail__empty">No description</p>
+            )}
+          </section>
+
+          <div className="task-detail__fields">
+            <label htmlFor="task-detail-priority">
+              <span>Priority</span>
+              <select
+                id="task-detail-priority"
+                value={values.priority}
+                onChange={setValue('priority')}
+                disabled={readOnly}
+              >
+                {PRIORITIES.map((priority) => (
+                  <option key={priority} value={priority}>
+                    {priority}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label htmlFor="task-detail-date">
+              <span>Date</span>
+              <input
+                id="task-detail-date"
+                type="date"
+                value={values.dueDate}
+                onChange={setValue('dueDate')}
+                readOnly={readOnly}
+                data-testid="task-detail-date"
+              />
+            </label>
+            <label htmlFor="task-detail-time">
+              <span>Time</span>
+              <input
+                id="task-detail-time"
+                type="time"
+                value={values.dueTime}
+                onChange={setValue('dueTime')}
+                readOnly={readOnly}
+                disabled={!values.dueDate}
+              />
+            </label>
+            <label htmlFor="task-detail-project">
+              <span>Project</span>
+              <select
+                id="task-detail-project"
+                value={values.projectId}
+                // Parents are tasks of the same project
+                onChange={(e) =>
+                  setValues({
+                    ...values,
+                    projectId: e.target.value,
+                    parentTaskId: null,
+                  })
+                }
+                disabled={readOnly}
+                data-testid="task-detail-project"
+              >
+                <option value="1">Inbox</option>
+                {projectOptions.map((project) => (
+                  <option key={project.projectId} value={project.projectId}>
+                    {project.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label htmlFor="task-detail-parent">
+              <span>Parent task</span>
+              <select
+                id="task-detail-parent"
+                value={values.parentTaskId || ''}
+                onChange={(e) =>
+                  setValues({
+                    ...values,
+                    parentTaskId:
+                      parentOptions.find(
+                        (option) => String(option.id) === e.target.value
+                      )?.id || null,
+                  })
+                }
+                disabled={readOnly}
+                data-testid="task-detail-parent"
+              >
+                <option value="">None</option>
+                {parentOptions.map((option) => (
+                  <option key={option.id} value={option.id}>
+                    {option.task}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <section className="task-detail__section">
+            <div className="task-detail__section-header">
+              <h4>Reminders</h4>
+            </div>
+            <TaskReminders
+              reminders={values.reminders}
+              hasDueDate={Boolean(values.dueDate)}
+              readOnly={readOnly}
+              onChange={(reminders) => setValues({ ...values, reminders })}
+            />
+          </section>
+
+          <section className="task-detail__section">
+            <div className="task-detail__section-header">
+              <h4>
+                <FiZap size={14} /> AI details
+              </h4>
+            </div>
+            <div className="task-detail__fields">
+              <label htmlFor="task-detail-category">
+                <span>Category</span>
+                <input
+                  id="task-detail-category"
+                  type="text"
+                  value={values.category}
+                  onChange={setValue('category')}
+                  readOnly={readOnly}
+                />
+              </label>
+              <label htmlFor="task-detail-duration">
+                <span>Estimated duration</span>
+                <input
+                  id="task-detail-duration"
+                  type="text"
+                  value={values.estimatedDuration}
+                  onChange={setValue('estimatedDuration')}
+                  readOnly={readOnly}
+                  placeholder="e.g. 30 minutes"
+                />
+              </label>
+            </div>
+            <label
+              className="task-detail__suggestions"
+              htmlFor="task-detail-suggestions"
+            >
+              <span>Suggestions, one per line</span>
+              <textarea
+                id="task-detail-suggestions"
+                value={values.suggestions}
+                onChange={setValue('suggestions')}
+                className="task-detail__textarea"
+                rows={3}
+                readOnly={readOnly}
+              />
+            </label>
+          </section>
+
+          {!readOnly && (
+            <div className="edit-task-actions">
+              <button
+                type="button"
+                className="save-btn"
+                onClick={save}
+                disabled={!values.task.trim() || isLoadingTasks}
+                data-testid="task-detail-save"
+              >
+                Save Changes
+              </button>
+              <button type="button" className="cancel-btn" onClick={onClose}>
+                Cancel
+              </button>
+            </div>
+          )}
+
+          <section className="task-detail__section">
+            <div className="task-detail__section-header">
+              <h4>Files</h4>
+            </div>
+            <TaskAttachments taskId={task.id} />
+          </section>
+
+          <section className="task-detail__section">
+            <div className="task-detail__section-header">
+              <h4>Comments</h4>
+            </div>
+            <TaskComments taskId={task.id} />
+          </section>
+
+          <section className="task-detail__section">
+            <div className="task-detail__section-header">
+              <h4>Activity</h4>
+            </div>
+            {renderActivity()}
+          </section>
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+TaskDetail.propTypes = {
+  task: PropTypes.object.isRequired,
+  readOnly: PropTypes.bool,
+  onClose: PropTypes.func.isRequired,
+};
+
+TaskDetail.defaultProps = {
+  readOnly: false,
+};
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import moment from 'moment';
+import { FiBell, FiX } from 'react-icons/fi';
+import PropTypes from 'prop-types';
+import {
+  REMINDER_PRESETS,
+  absoluteReminder,
+  addReminder,
+  describeReminder,
+  relativeReminder,
+  requestNotificationPermission,
+} from '../lib/reminders';
+
+const DATETIME_FORMAT = 'YYYY-MM-DDTHH:mm';
+
+/**
+ * A task's reminders as removable chips, with a picker for presets relative
+ * to the due date and one for a fixed time
+ */
+export const TaskReminders = ({
+  reminders,
+  hasDueDate,
+  readOnly,
+  onChange,
+}) => {
+  const [at, setAt] = useState('');
+
+  const add = (reminder) => {
+    onChange(addReminder(reminders, reminder));
+    requestNotificationPermission();
+  };
+
+  return (
+    <div className="task-reminders" data-testid="task-reminders">
+      {reminders.length === 0 && (
+        <p className="task-detail__empty">No reminders</p>
+      )}
+      {reminders.length > 0 && (
+        <ul className="task-reminders__list">
+          {reminders.map((reminder) => (
+            <li key={reminder.id} className="task-reminders__item">
+              <FiBell size={12} />
+              {describeReminder(reminder)}
+              {reminder.type === 'relative' && !hasDueDate && (
+                <span className="task-reminders__note"> (needs a date)</span>
+              )}
+              {!readOnly && (
+                <button
+                  type="button"
+                  aria-label={`Remove reminder ${describeReminder(reminder)}`}
+                  onClick={() =>
+                    onChange(reminders.filter(({ id }) => id !== reminder.id))
+                  }
+                >
+                  <FiX size={12} />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {!readOnly && (
+        <div className="task-reminders__add">
+          <select
+            value=""
+            onChange={(e) => add(relativeReminder(Number(e.target.value)))}
+            disabled={!hasDueDate}
+            aria-label="Add a reminder before the due time"
+            title={hasDueDate ? undefined : 'Set a date first'}
+            data-testid="task-reminder-preset"
+          >
+            <option value="" disabled>
+              Remind me…
+            </option>
+            {REMINDER_PRESETS.map((minutes) => (
+              <option key={minutes} value={minutes}>
+                {describeReminder(relativeReminder(minutes))}
+              </option>
+            ))}
+          </select>
+          <input
+            type="datetime-local"
+            value={at}
+            min={moment().format(DATETIME_FORMAT)}
+            onChange={(e) => setAt(e.target.value)}
+            aria-label="Reminder time"
+          />
+          <button
+            type="button"
+            disabled={!at || moment(at, DATETIME_FORMAT).isBefore(moment())}
+            onClick={() => {
+              add(absoluteReminder(moment(at, DATETIME_FORMAT).toDate()));
+              setAt('');
+            }}
+          >
+            Add
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+TaskReminders.propTypes = {
+  reminders: PropTypes.arrayOf(PropTypes.object).isRequired,
+  hasDueDate: PropTypes.bool,
+  readOnly: PropTypes.bool,
+  onChange: PropTypes.func.isRequired,
+};
+
+TaskReminders.defaultProps = {
+  hasDueDate: false,
+  readOnly: false,
+};
@@ -0,0 +1,248 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FiSearch, FiX, FiCheckCircle } from 'react-icons/fi';
+import { tasksService } from '../lib/supabase-native-fixed';
+import { parseHighlights } from '../lib/search-highlight';
+import { formatDueDate } from '../lib/due-dates';
+import { useSelectedProjectValue } from '../context';
+import { useAuth } from '../context/auth-context';
+import { useNotifications } from '../context/notification-context';
+
+const SEARCH_DEBOUNCE = 250;
+const MIN_QUERY_LENGTH = 2;
+
+const HighlightedText = ({ text }) =>
+  parseHighlights(text).map((segment, index) =>
+    segment.match ? (
+      <mark key={index}>{segment.text}</mark>
+    ) : (
+      <span key={index}>{segment.text}</span>
+    )
+  );
+
+export const TaskSearch = () => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSearching, setIsSearching] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const inputRef = useRef(null);
+  const requestRef = useRef(0);
+
+  const { setSelectedProject, setHighlightedTaskId } =
+    useSelectedProjectValue();
+  const { user } = useAuth();
+  const { showError, showInfo } = useNotifications();
+
+  // Debounced search; stale responses are ignored via the request counter
+  useEffect(() => {
+    const searchQuery = query.trim();
+    if (!user || searchQuery.length < MIN_QUERY_LENGTH) {
+      setResults([]);
+      setIsSearching(false);
+      return undefined;
+    }
+
+    setIsSearching(true);
+    const requestId = requestRef.current + 1;
+    requestRef.current = requestId;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const found = await tasksService.searchTasks(user.id, searchQuery);
+        if (requestRef.current !== requestId) return;
+        setResults(found);
+        setActiveIndex(found.length > 0 ? 0 : -1);
+      } catch (error) {
+        if (requestRef.current !== requestId) return;
+        console.error('Error searching tasks:', error);
+        setResults([]);
+        showError('Search failed. Please try again.');
+      } finally {
+        if (requestRef.current === requestId) setIsSearching(false);
+      }
+    }, SEARCH_DEBOUNCE);
+
+    return () => clearTimeout(timeout);
+  }, [query, user, showError]);
+
+  // "/" focuses search from anywhere outside a text field
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      const tag = e.target.tagName;
+      if (
+        e.key !== '/' ||
+        tag === 'INPUT' ||
+        tag === 'TEXTAREA' ||
+        e.target.isContentEditable
+      ) {
+        return;
+      }
+      e.preventDefault();
+      inputRef.current?.focus();
+    };
+
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const clear = () => {
+    setQuery('');
+    setResults([]);
+    close();
+  };
+
+  const selectResult = (result) => {
+    // Completed tasks only show in the Completed view
+    setSelectedProject(
+      result.archived ? 'COMPLETED' : result.project_id || 'INBOX'
+    );
+    setHighlightedTaskId(result.id);
+
+    if (result.archived) {
+      showInfo(`"${result.task}" is already completed`);
+    }
+
+    clear();
+    inputRef.current?.blur();
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        setIsOpen(true);
+        if (results.length > 0) {
+          setActiveIndex((index) => (index + 1) % results.length);
+        }
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        if (results.length > 0) {
+          setActiveIndex(
+            (index) => (index - 1 + results.length) % results.length
+          );
+        }
+        break;
+      case 'Enter':
+        if (isOpen && results[activeIndex]) {
+          e.preventDefault();
+          selectResult(results[activeIndex]);
+        }
+        break;
+      case 'Escape':
+        if (query) {
+          clear();
+        } else {
+          inputRef.current?.blur();
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const showDropdown = isOpen && query.trim().length >= MIN_QUERY_LENGTH;
+  const activeId =
+    activeIndex >= 0 && results[activeIndex]
+      ? `task-search-option-${results[activeIndex].id}`
+      : undefined;
+
+  return (
+    <div className="task-search" data-testid="task-search">
+      <FiSearch className="task-search__icon" />
+      <input
+        ref={inputRef}
+        type="text"
+        className="task-search__input"
+        data-testid="task-search-input"
+        placeholder="Search tasks"
+        aria-label="Search tasks"
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="task-search-results"
+        aria-autocomplete="list"
+        aria-activedescendant={showDropdown ? activeId : undefined}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={close}
+        onKeyDown={handleKeyDown}
+      />
+      {query && (
+        <button
+          type="button"
+          className="task-search__clear"
+          aria-label="Clear search"
+          // Keep focus in the input
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={clear}
+        >
+          <FiX />
+        </button>
+      )}
+
+      {showDropdown && (
+        <ul
+          id="task-search-results"
+          className="task-search__results"
+          data-testid="task-search-results"
+          role="listbox"
+          // Keep focus in the input so the blur handler doesn't close the list
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          {results.length === 0 && (
+            <li className="task-search__empty" role="presentation">
+              {isSearching ? 'Searching…' : 'No matching tasks'}
+            </li>
+          )}
+          {results.map((result, index) => (
+            // Keyboard selection is handled by the combobox input
+            // eslint-disable-next-line jsx-a11y/click-events-have-key-events
+            <li
+              key={result.id}
+              id={`task-search-option-${result.id}`}
+              className={`task-search__result${
+                index === activeIndex ? ' active' : ''
+              }${result.archived ? ' archived' : ''}`}
+              data-testid="task-search-result"
+              role="option"
+              aria-selected={index === activeIndex}
+              onMouseEnter={() => setActiveIndex(index)}
+              onClick={() => selectResult(result)}
+            >
+              <span className="task-search__text">
+                <HighlightedText
+                  text={result.highlighted_task || result.task}
+                />
+              </span>
+              <span className="task-search__meta">
+                <span className="task-search__project">
+                  {result.project_name}
+                </span>
+                {result.due_date && (
+                  <span className="task-search__date">
+                    {formatDueDate(result.due_date)}
+                  </span>
+                )}
+                {result.archived && (
+                  <span className="task-search__completed">
+                    <FiCheckCircle size={12} />
+                    Completed
+                  </span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
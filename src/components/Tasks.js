@@ -1,33 +1,149 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import { Checkbox } from './Checkbox';
 import { AddTask } from './AddTask';
 import SmartTaskInput from './SmartTaskInput';
-import { useTasks } from '../hooks';
+import { ConflictDialog } from './ConflictDialog';
+import { AddSection, SectionHeader } from './Sections';
+import { AssigneePicker } from './AssigneePicker';
+import { TaskDetail } from './TaskDetail';
+import { useTasks, useSyncStatus, useNow, useSections, useProjectArchive, useAttachFiles } from '../hooks';
 import { collatedTasks } from '../constants';
-import { getTitle, getCollatedTitle, collatedTasksExist } from '../helpers';
-import { useSelectedProjectValue, useProjectsValue } from '../context';
+import { getCollatedTitle, collatedTasksExist } from '../helpers';
+import { useSelectedProjectValue, useProjectsValue, useLabelsValue, useFiltersValue, usePeopleValue } from '../context';
 import { useAuth } from '../context/auth-context';
 import { useNotifications } from '../context/notification-context';
+import { useHistory } from '../context/history-context';
+import { offlineSync } from '../lib/offline-sync';
+import {
+  batchUpdateCommand,
+  createTaskCommand,
+  deleteTaskCommand,
+  updateTaskCommand,
+} from '../lib/history-commands';
+import { planMove, planStep } from '../lib/ordering';
+import { getLabelViewId, toLabelView } from '../lib/labels';
+import { bindFilter, getFilterViewId, parseFilter } from '../lib/filter-language';
+import { isOverdue, mergeSchedule, planReschedule, rescheduleTo } from '../lib/overdue';
+import { PROJECT_LAYOUTS, getLayout, getSectionId, groupBySection } from '../lib/sections';
 import { tasksService } from '../lib/supabase-native-fixed';
+import { taskProcessor } from '../lib/ai-client';
+import { buildTaskTree, flattenTaskTree, getDescendants, getProgress, isDescendantOf } from '../lib/task-tree';
+import { getSubprojects } from '../lib/project-tree';
+import { canEditTasks, canManageProject } from '../lib/sharing';
+import { getPersonViewId } from '../lib/people';
+import { DRAG_TYPES, getDropPosition, getDroppedFiles, hasDragType, hasFiles, setDragData } from '../lib/drag-and-drop';
+import { describeRecurrence, getFirstOccurrence } from '../lib/recurrence';
+import { DUE_DATE_FORMAT, formatDueDate, getLocalTimeZone } from '../lib/due-dates';
+import { formatCommentCount } from '../lib/comments';
 import moment from 'moment';
-import { FiZap, FiList, FiClock, FiUser, FiTag, FiEdit2, FiTrash2 } from 'react-icons/fi';
+import { FiZap, FiList, FiClock, FiUser, FiTag, FiEdit2, FiTrash2, FiAlignLeft, FiMessageSquare, FiPaperclip, FiRepeat, FiArrowUp, FiArrowDown, FiChevronDown, FiChevronRight, FiColumns, FiFolder } from 'react-icons/fi';
+
+/**
+ * Days for overdue tasks, spread around what's already due this week
+ * The AI service's schedule is used where it's usable; offline (or when it
+ * fails) the local plan stands.
+ */
+const planSmartReschedule = async (tasks, { userId, today }) => {
+  const lastDay = moment(today, DUE_DATE_FORMAT).add(6, 'days').format(DUE_DATE_FORMAT);
+  const load = await tasksService.getDueDateCounts(userId, today, lastDay).catch(() => ({}));
+  const plan = planReschedule(tasks, { today, load });
+
+  try {
+    const { schedule } = await taskProcessor.getSmartScheduling('Reschedule overdue tasks', {
+      today,
+      timeZone: getLocalTimeZone(),
+      tasks: tasks.map(({ id, task, priority, dueDate }) => ({ id, task, priority, dueDate })),
+      load
+    });
+    return mergeSchedule(plan, schedule, { today });
+  } catch (error) {
+    console.error('Smart scheduling unavailable, using local plan:', error);
+    return plan;
+  }
+};
+
+const NO_SUBPROJECTS = [];
 
 export const Tasks = () => {
-  const { selectedProject } = useSelectedProjectValue();
-  const { projects } = useProjectsValue();
+  const { selectedProject, setSelectedProject, highlightedTaskId, setHighlightedTaskId } = useSelectedProjectValue();
+  const { projects, archivedProjects = [], archivedProjectIds } = useProjectsValue();
+  const { labels, ensureLabels } = useLabelsValue();
+  const { filters } = useFiltersValue();
+  const { people } = usePeopleValue();
+  const viewLabelId = getLabelViewId(selectedProject);
+  const viewFilterId = getFilterViewId(selectedProject);
+  const viewPersonId = getPersonViewId(selectedProject);
+  const savedFilter = viewFilterId ? filters.find(filter => filter.id === viewFilterId) : null;
+  // Bound to the current project and label names; a query that no longer
+  // parses shows its error instead of tasks
+  const { viewFilter, viewFilterError } = useMemo(() => {
+    if (!savedFilter) return { viewFilter: null, viewFilterError: null };
+    try {
+      return {
+        viewFilter: bindFilter(parseFilter(savedFilter.query), { projects, labels }),
+        viewFilterError: null
+      };
+    } catch (error) {
+      return { viewFilter: null, viewFilterError: error.message };
+    }
+  }, [savedFilter, projects, labels]);
+  // Projects (not collated, label or filter views) have sections and a
+  // layout; archived ones can still be opened from the archive
+  const viewProject = selectedProject && !collatedTasksExist(selectedProject) && !viewLabelId && !viewFilterId && !viewPersonId
+    ? [...(projects || []), ...archivedProjects].find(project => project.projectId === selectedProject) || null
+    : null;
+  const { sections } = useSections(viewProject ? viewProject.projectId : null);
+  const layout = getLayout(viewProject);
+  // A project view can take in the tasks of everything below it
+  const viewProjectId = viewProject ? viewProject.projectId : null;
+  const subprojects = useMemo(
+    () => (viewProjectId ? getSubprojects(projects || [], viewProjectId) : NO_SUBPROJECTS),
+    [projects, viewProjectId]
+  );
+  const includeSubprojects = Boolean(viewProject && viewProject.showSubprojectTasks && subprojects.length > 0);
+  const subprojectIds = useMemo(
+    () => (includeSubprojects ? subprojects.map(project => project.projectId) : NO_SUBPROJECTS),
+    [includeSubprojects, subprojects]
+  );
+  // Viewers of a shared project read its tasks without changing them
+  const canEditView = canEditTasks(viewProject);
+  const readOnlyProjectIds = useMemo(
+    () => (projects || []).filter(project => !canEditTasks(project)).map(project => project.projectId),
+    [projects]
+  );
+  const canEditTask = task => !readOnlyProjectIds.includes(task.projectId);
+  const { restoreProject } = useProjectArchive();
   const { user } = useAuth();
-  const { showSuccess, showError, showOptimisticUpdateError } = useNotifications();
+  const { showError, showOptimisticUpdateError } = useNotifications();
+  const { record } = useHistory();
+  const { attachFiles } = useAttachFiles();
   const { 
     tasks, 
+    archivedTasks,
     addTaskOptimistic, 
     updateTaskOptimistic, 
     deleteTaskOptimistic, 
     archiveTaskOptimistic,
     revertOptimisticUpdate 
-  } = useTasks(selectedProject);
+  } = useTasks(selectedProject, viewFilter, archivedProjectIds, subprojectIds);
+  const { conflicts = [] } = useSyncStatus();
+  const now = useNow();
+  const overdueTasks = tasks.filter(task => isOverdue(task, now));
+  const [isRescheduling, setIsRescheduling] = useState(false);
+  // Completed subtasks still count towards their parents' progress
+  const allTasks = [...tasks, ...archivedTasks];
   const [useSmartInput, setUseSmartInput] = useState(true);
-  const [editingTask, setEditingTask] = useState(null);
-  const [editingTaskText, setEditingTaskText] = useState('');
+  // Task shown in the detail panel
+  const [detailTaskId, setDetailTaskId] = useState(null);
+  const detailTask = allTasks.find(t => t.id === detailTaskId);
+  const [draggingId, setDraggingId] = useState(null);
+  // { id, position: 'before' | 'after' | 'inside' | 'files' } while dragging
+  // over a task; files are attached to it
+  const [dropTarget, setDropTarget] = useState(null);
+  // { sectionId } while dragging over a section outside its tasks
+  const [dropSection, setDropSection] = useState(null);
+  // Section the add-task input is open in
+  const [addingToSection, setAddingToSection] = useState(null);
 
   let projectName = '';
 
@@ -35,39 +151,82 @@ export const Tasks = () => {
     projectName = getCollatedTitle(collatedTasks, selectedProject).name;
   }
 
-  if (
-    projects &&
-    projects.length > 0 &&
-    selectedProject &&
-    !collatedTasksExist(selectedProject)
-  ) {
-    projectName = getTitle(projects, selectedProject).name;
+  if (viewProject) {
+    projectName = viewProject.name;
+  }
+
+  if (viewLabelId) {
+    const viewLabel = labels.find(label => label.id === viewLabelId);
+    projectName = viewLabel ? `@${viewLabel.name}` : '';
+  }
+
+  if (viewFilterId) {
+    projectName = savedFilter ? savedFilter.name : '';
+  }
+
+  if (viewPersonId) {
+    const viewPerson = people.find(person => person.id === viewPersonId);
+    projectName = viewPerson ? `Waiting on ${viewPerson.name}` : '';
   }
 
   useEffect(() => {
     document.title = `${projectName}: Todoist`;
   });
 
+  // Scroll to a task picked elsewhere (e.g. search) once it has loaded
+  useEffect(() => {
+    if (!highlightedTaskId) return undefined;
+
+    const element = document.getElementById(`task-${highlightedTaskId}`);
+    if (!element) return undefined;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timeout = setTimeout(() => setHighlightedTaskId(null), 2000);
+    return () => clearTimeout(timeout);
+  }, [highlightedTaskId, tasks, setHighlightedTaskId]);
+
   const handleAddTask = async (taskData) => {
-    const projectId = taskData.projectId || selectedProject;
+    // A label's list adds to the Inbox, with that label; so do saved filters,
+    // the Overdue view and a person's list, assigned to them
+    const requestedProjectId = taskData.projectId || selectedProject;
+    const projectId = getLabelViewId(requestedProjectId) || getFilterViewId(requestedProjectId) || getPersonViewId(requestedProjectId) || requestedProjectId === 'OVERDUE'
+      ? '1'
+      : requestedProjectId;
+    const labelIds = await ensureLabels(taskData.labels || []);
+    [...(taskData.labelIds || []), viewLabelId].forEach(labelId => {
+      if (labelId && !labelIds.includes(labelId)) labelIds.push(labelId);
+    });
     let collatedDate = '';
 
     if (projectId === 'TODAY') {
-      collatedDate = moment().format('DD/MM/YYYY');
+      collatedDate = moment().format(DUE_DATE_FORMAT);
     } else if (projectId === 'NEXT_7') {
-      collatedDate = moment().add(7, 'days').format('DD/MM/YYYY');
+      collatedDate = moment().add(7, 'days').format(DUE_DATE_FORMAT);
+    }
+
+    // Recurring tasks without a date start on their first occurrence
+    let recurringDate = '';
+    if (taskData.recurrence && !collatedDate && !taskData.dueDate) {
+      const firstOccurrence = getFirstOccurrence(taskData.recurrence);
+      recurringDate = firstOccurrence ? firstOccurrence.format(DUE_DATE_FORMAT) : '';
     }
 
     const finalTaskData = {
       archived: false,
       projectId,
       task: taskData.task,
-      date: collatedDate || taskData.date || '',
+      dueDate: collatedDate || taskData.dueDate || recurringDate || null,
+      dueTime: taskData.dueTime || null,
+      timeZone: taskData.timeZone || getLocalTimeZone(),
       priority: taskData.priority || 'medium',
       userId: user?.id,
       aiEnhanced: taskData.aiEnhanced || false,
       metadata: taskData.metadata || {},
       parentTaskId: taskData.parentTaskId || null, // For subtasks
+      recurrence: taskData.recurrence || null,
+      sectionId: taskData.sectionId || null,
+      assigneeId: taskData.assigneeId || viewPersonId || null,
+      labelIds,
       createdAt: new Date().toISOString(),
     };
 
@@ -76,17 +235,16 @@ export const Tasks = () => {
     const originalTasks = tasks;
 
     try {
-      // Background database update
-      const createdTask = await tasksService.createTask(finalTaskData);
-      
-      // Update the temp task with real ID when database responds
-      updateTaskOptimistic(tempId, { id: createdTask.id, _optimistic: false });
-      
-      // Return the created task data for parent-child relationships
+      // Queue the create; it syncs in the background (or once back online)
+      // and the temp ID is swapped for the server ID when it does
+      await offlineSync.createTask(finalTaskData, tempId);
+      record(createTaskCommand({ id: tempId, taskData: finalTaskData }));
+
+      // Subtasks can point at the temp ID; it's remapped before they sync
       return {
-        id: createdTask.id,
+        id: tempId,
         tempId: tempId,
-        task: createdTask
+        task: { ...finalTaskData, id: tempId }
       };
     } catch (error) {
       console.error('Error adding task:', error);
@@ -103,99 +261,474 @@ export const Tasks = () => {
   };
 
   const handleDeleteTask = async (taskId) => {
-    if (window.confirm('Are you sure you want to delete this task?')) {
-      const originalTasks = tasks;
-      const taskToDelete = tasks.find(t => t.id === taskId);
-      
-      // Optimistic update - remove immediately
-      deleteTaskOptimistic(taskId);
-
-      try {
-        // Background database update
-        await tasksService.deleteTask(taskId);
-        showSuccess('Task deleted successfully');
-      } catch (error) {
-        console.error('Error deleting task:', error);
-        // Revert optimistic update on error
-        revertOptimisticUpdate(originalTasks);
-        
-        // Show error notification with retry option
-        showOptimisticUpdateError('delete task', originalTasks, () => {
-          handleDeleteTask(taskId);
-        });
+    const originalTasks = tasks;
+    const taskToDelete = tasks.find(t => t.id === taskId);
+    if (!taskToDelete) return;
+
+    // Optimistic update - remove immediately
+    deleteTaskOptimistic(taskId);
+
+    try {
+      // Queued; syncs in the background. No confirmation: it can be undone
+      await offlineSync.deleteTask(taskId);
+      record(
+        deleteTaskCommand({
+          task: taskToDelete,
+          descendants: getDescendants(allTasks, taskId)
+        }),
+        'Task deleted'
+      );
+    } catch (error) {
+      console.error('Error deleting task:', error);
+      // Revert optimistic update on error
+      revertOptimisticUpdate(originalTasks);
+
+      // Show error notification with retry option
+      showOptimisticUpdateError('delete task', originalTasks, () => {
+        handleDeleteTask(taskId);
+      });
+    }
+  };
+
+  // Section a top-level task is shown in; null outside projects
+  const sectionIdOf = (task) => (viewProject ? getSectionId(task, sections) : null);
+
+  // Tasks sharing a parent, in display order; top-level tasks also share
+  // their section
+  const getSiblings = (parentTaskId, sectionId = null) =>
+    tasks.filter(t =>
+      (t.parentTaskId || null) === (parentTaskId || null) &&
+      (Boolean(parentTaskId) || sectionIdOf(t) === sectionId)
+    );
+
+  // A task can go under any task but itself or one of its own subtasks
+  const canNest = (dragged, target) =>
+    dragged.id !== target.id && !isDescendantOf(tasks, target.id, dragged.id);
+
+  // Planned sort keys plus the moved task's new parent (or, at the top
+  // level, section) as history changes
+  const toChanges = (keys, moved, parent, sectionId = null) => {
+    const changes = keys.map(({ id, sortOrder }) => {
+      const task = tasks.find(t => t.id === id);
+      return {
+        id,
+        before: { sortOrder: task.sort_order || null },
+        after: { sortOrder }
+      };
+    });
+    const changeFor = (id) => {
+      let change = changes.find(c => c.id === id);
+      if (!change) {
+        change = { id, before: {}, after: {} };
+        changes.push(change);
       }
+      return change;
+    };
+
+    const parentTaskId = parent ? parent.id : null;
+    if ((moved.parentTaskId || null) !== parentTaskId) {
+      const change = changeFor(moved.id);
+      change.before.parentTaskId = moved.parentTaskId || null;
+      change.after.parentTaskId = parentTaskId;
+    }
+
+    if (!parent && sectionIdOf(moved) !== sectionId) {
+      const change = changeFor(moved.id);
+      change.before.sectionId = moved.sectionId || null;
+      change.after.sectionId = sectionId;
     }
+
+    // Subtasks live in their parent's project, all the way down; sections
+    // belong to the viewed project, so a sub-project's task moved into one
+    // comes along to the project
+    let projectId = parent ? parent.projectId : null;
+    if (!parent && sectionId && viewProject) projectId = viewProject.projectId;
+    if (projectId && projectId !== moved.projectId) {
+      [moved, ...getDescendants(tasks, moved.id)].forEach(task => {
+        const change = changeFor(task.id);
+        change.before.projectId = task.projectId;
+        change.after.projectId = projectId;
+      });
+    }
+    return changes;
   };
 
-  const handleEditTask = (taskId, currentTask) => {
-    setEditingTask(taskId);
-    setEditingTaskText(currentTask);
+  const applyTaskChanges = async (changes, label, message) => {
+    if (changes.length === 0) return;
+    try {
+      await Promise.all(changes.map(({ id, after }) =>
+        offlineSync.updateTask(id, after, tasks.find(task => task.id === id))
+      ));
+      record(batchUpdateCommand({ entity: 'task', changes, label }), message);
+    } catch (error) {
+      console.error('Error moving task:', error);
+      showError('Failed to move task. Please try again.');
+    }
   };
 
-  const handleSaveEdit = async () => {
-    if (editingTaskText.trim() && editingTaskText !== '') {
-      const originalTasks = tasks;
-      const currentTask = tasks.find(t => t.id === editingTask);
-      
-      // Optimistic update - show changes immediately
-      updateTaskOptimistic(editingTask, { task: editingTaskText.trim() });
-      setEditingTask(null);
-      setEditingTaskText('');
-
-      try {
-        // Background database update
-        await tasksService.updateTask(editingTask, {
-          task: editingTaskText.trim()
-        });
-        showSuccess('Task updated successfully');
-      } catch (error) {
-        console.error('Error updating task:', error);
-        // Revert optimistic update on error
-        revertOptimisticUpdate(originalTasks);
-        
-        // Show error notification with retry option
-        const currentTaskData = tasks.find(t => t.id === editingTask);
-        showOptimisticUpdateError('update task', originalTasks, () => {
-          if (currentTaskData) {
-            handleEditTask(editingTask, currentTaskData.task);
-            setEditingTaskText(editingTaskText.trim());
-          }
-        });
-        
-        // Reopen edit modal with original text
-        setEditingTask(editingTask);
-        setEditingTaskText(currentTask.task);
+  const handleDropOnTask = (dragged, target, position) => {
+    if (dragged.id === target.id) return;
+
+    if (position === 'inside') {
+      if (!canNest(dragged, target)) return;
+      const nestKeys = planMove(getSiblings(target.id), dragged, null, 'after');
+      applyTaskChanges(
+        toChanges(nestKeys, dragged, target),
+        'Make subtask',
+        `Task is now a subtask of "${target.task}"`
+      );
+      return;
+    }
+
+    const parent = target.parentTaskId
+      ? tasks.find(t => t.id === target.parentTaskId)
+      : null;
+    if (parent && !canNest(dragged, parent)) return;
+
+    const sectionId = sectionIdOf(target);
+    const keys = planMove(getSiblings(target.parentTaskId, sectionId), dragged, target.id, position);
+    applyTaskChanges(toChanges(keys, dragged, parent, sectionId), 'Reorder tasks');
+  };
+
+  // Dropped on a section itself: to the end of it, at the top level
+  const handleDropOnSection = (dragged, section) => {
+    const sectionId = section ? section.id : null;
+    const keys = planMove(getSiblings(null, sectionId), dragged, null, 'after');
+    applyTaskChanges(
+      toChanges(keys, dragged, null, sectionId),
+      'Move task',
+      `Task moved to ${section ? section.name : 'no section'}`
+    );
+  };
+
+  // Keyboard alternative to dragging
+  const handleStep = (task, offset) => {
+    const sectionId = sectionIdOf(task);
+    const keys = planStep(getSiblings(task.parentTaskId, sectionId), task.id, offset);
+    const parent = task.parentTaskId ? { id: task.parentTaskId } : null;
+    applyTaskChanges(toChanges(keys, task, parent, sectionId), 'Reorder tasks');
+  };
+
+  // View state only: persisted, but not worth an undo step
+  const handleToggleCollapsed = async (task) => {
+    const collapsed = !task.collapsed;
+    updateTaskOptimistic(task.id, { collapsed });
+    try {
+      await offlineSync.updateTask(task.id, { collapsed });
+    } catch (error) {
+      console.error('Error saving collapsed state:', error);
+      updateTaskOptimistic(task.id, { collapsed: !collapsed });
+    }
+  };
+
+  const handleAssign = async (task, assigneeId) => {
+    const before = { assigneeId: task.assigneeId || null };
+    const after = { assigneeId };
+    updateTaskOptimistic(task.id, after);
+    try {
+      await offlineSync.updateTask(task.id, after, task);
+      const assignee = people.find(person => person.id === assigneeId);
+      record(
+        updateTaskCommand({ id: task.id, before, after, label: 'Assign task' }),
+        assignee ? `Task assigned to ${assignee.name}` : 'Task unassigned'
+      );
+    } catch (error) {
+      console.error('Error assigning task:', error);
+      updateTaskOptimistic(task.id, before);
+      showError('Failed to assign task. Please try again.');
+    }
+  };
+
+  const handleDragStart = (e, task) => {
+    e.stopPropagation();
+    setDragData(e, DRAG_TYPES.task, {
+      id: task.id,
+      projectId: task.projectId,
+      parentTaskId: task.parentTaskId || null,
+      updatedAt: task.updatedAt,
+      descendants: getDescendants(tasks, task.id).map(({ id, projectId, updatedAt }) => ({ id, projectId, updatedAt }))
+    });
+    setDraggingId(task.id);
+  };
+
+  const handleDragEnd = () => {
+    setDraggingId(null);
+    setDropTarget(null);
+    setDropSection(null);
+  };
+
+  const handleDragOver = (e, task) => {
+    if (hasFiles(e)) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (dropTarget?.id !== task.id || dropTarget?.position !== 'files') {
+        setDropTarget({ id: task.id, position: 'files' });
       }
+      return;
+    }
+
+    const dragged = tasks.find(t => t.id === draggingId);
+    if (!dragged || !hasDragType(e, DRAG_TYPES.task)) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    // Nothing can be dropped into its own subtree
+    const position = canNest(dragged, task)
+      ? getDropPosition(e, { allowInside: true })
+      : null;
+
+    if (dropTarget?.id !== task.id || dropTarget?.position !== position) {
+      setDropTarget(position ? { id: task.id, position } : null);
     }
   };
 
-  const handleCancelEdit = () => {
-    setEditingTask(null);
-    setEditingTaskText('');
+  const handleDrop = (e, task) => {
+    if (hasFiles(e)) {
+      e.preventDefault();
+      e.stopPropagation();
+      setDropTarget(null);
+      attachFiles(task.id, getDroppedFiles(e));
+      return;
+    }
+
+    const dragged = tasks.find(t => t.id === draggingId);
+    if (!dragged) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+    const position = dropTarget?.id === task.id ? dropTarget.position : null;
+    handleDragEnd();
+    if (position) handleDropOnTask(dragged, task, position);
+  };
+
+  const handleSectionDragOver = (e, sectionId) => {
+    if (!draggingId || !hasDragType(e, DRAG_TYPES.task)) return;
+    e.preventDefault();
+    if (dropSection?.sectionId !== sectionId) setDropSection({ sectionId });
+  };
+
+  const handleSectionDrop = (e, section) => {
+    const dragged = tasks.find(t => t.id === draggingId);
+    if (!dragged) return;
+
+    e.preventDefault();
+    handleDragEnd();
+    handleDropOnSection(dragged, section);
   };
 
-  const renderTaskItem = (task, isSubtask = false) => {
+  // View state only: persisted, but not worth an undo step
+  const handleSetLayout = async (nextLayout) => {
+    if (!viewProject || nextLayout === layout) return;
+    try {
+      await offlineSync.updateProject(viewProject.projectId, { layout: nextLayout });
+    } catch (error) {
+      console.error('Error saving layout:', error);
+      showError('Failed to switch layout. Please try again.');
+    }
+  };
+
+  const handleToggleSubprojects = async () => {
+    if (!viewProject) return;
+    try {
+      await offlineSync.updateProject(viewProject.projectId, { showSubprojectTasks: !includeSubprojects });
+    } catch (error) {
+      console.error('Error saving sub-project setting:', error);
+      showError('Failed to update the view. Please try again.');
+    }
+  };
+
+  // Move every overdue task in view to today, tomorrow or a smart plan, as
+  // one undoable step
+  const handleRescheduleOverdue = async (mode) => {
+    if (overdueTasks.length === 0 || isRescheduling) return;
+
+    const today = moment(now).format(DUE_DATE_FORMAT);
+    setIsRescheduling(true);
+    try {
+      const plan = mode === 'smart'
+        ? await planSmartReschedule(overdueTasks, { userId: user.id, today })
+        : overdueTasks.map(task => ({
+            id: task.id,
+            dueDate: mode === 'today' ? today : moment(now).add(1, 'day').format(DUE_DATE_FORMAT)
+          }));
+
+      const changes = plan.map(({ id, dueDate }) => {
+        const task = overdueTasks.find(candidate => candidate.id === id);
+        return {
+          id,
+          before: { dueDate: task.dueDate, dueTime: task.dueTime, timeZone: task.timeZone },
+          after: rescheduleTo(task, dueDate, now)
+        };
+      });
+
+      await Promise.all(changes.map(({ id, after }) =>
+        offlineSync.updateTask(id, after, overdueTasks.find(task => task.id === id))
+      ));
+      record(
+        batchUpdateCommand({ entity: 'task', changes, label: 'Reschedule overdue tasks' }),
+        `${changes.length} overdue ${changes.length === 1 ? 'task' : 'tasks'} rescheduled`
+      );
+    } catch (error) {
+      console.error('Error rescheduling overdue tasks:', error);
+      showError('Failed to reschedule overdue tasks. Please try again.');
+    } finally {
+      setIsRescheduling(false);
+    }
+  };
+
+  const renderTaskItem = ({ task, depth, childCount }) => {
     const isAIEnhanced = task.aiEnhanced;
     const metadata = task.metadata || {};
+    const siblings = getSiblings(task.parentTaskId, sectionIdOf(task));
+    const siblingIndex = siblings.findIndex(t => t.id === task.id);
+    const dropClass = dropTarget?.id === task.id ? `drop-${dropTarget.position}` : '';
+    const progress = getProgress(allTasks, task.id);
+    const taskLabels = labels.filter(label => (task.labelIds || []).includes(label.id));
+    const overdue = isOverdue(task, now);
+    const subproject = includeSubprojects
+      ? subprojects.find(project => project.projectId === task.projectId)
+      : null;
+    const editable = canEditTask(task);
+    const assignee = people.find(person => person.id === task.assigneeId);
     
     return (
-      <li key={`${task.id}`} className={`task-item ${isAIEnhanced ? 'ai-enhanced' : ''} ${isSubtask ? 'subtask' : ''}`}>
+      <li
+        key={`${task.id}`}
+        id={`task-${task.id}`}
+        className={`task-item ${isAIEnhanced ? 'ai-enhanced' : ''} ${depth > 0 ? 'subtask' : ''} ${task.id === highlightedTaskId ? 'highlighted' : ''} ${task.id === draggingId ? 'dragging' : ''} ${overdue ? 'overdue' : ''} ${dropClass}`}
+        style={{ '--task-depth': depth }}
+        data-testid="task-item"
+        draggable={editable}
+        onDragStart={(e) => handleDragStart(e, task)}
+        onDragEnd={handleDragEnd}
+        onDragOver={(e) => handleDragOver(e, task)}
+        onDragLeave={(e) => {
+          // Files come from outside the page, so no dragend clears them
+          if (dropTarget?.position === 'files' && !e.currentTarget.contains(e.relatedTarget)) {
+            setDropTarget(null);
+          }
+        }}
+        onDrop={(e) => handleDrop(e, task)}
+      >
+        <div className="task-toggle">
+          {childCount > 0 && (
+            <button
+              type="button"
+              title={task.collapsed ? 'Show subtasks' : 'Hide subtasks'}
+              aria-label={task.collapsed ? 'Show subtasks' : 'Hide subtasks'}
+              aria-expanded={!task.collapsed}
+              onClick={() => handleToggleCollapsed(task)}
+            >
+              {task.collapsed ? <FiChevronRight size={14} /> : <FiChevronDown size={14} />}
+            </button>
+          )}
+        </div>
+
         <div className="checkbox-holder">
-          <Checkbox 
-            id={task.id} 
-            taskDesc={task.task} 
-            onOptimisticArchive={archiveTaskOptimistic}
-          />
+          {editable ? (
+            <Checkbox 
+              id={task.id} 
+              taskDesc={task.task} 
+              task={task}
+              onOptimisticArchive={archiveTaskOptimistic}
+            />
+          ) : (
+            <span className="checkbox checkbox--disabled" title="You can view this project's tasks" />
+          )}
         </div>
         
         <div className="task-content">
-          <div className="task-text">{task.task}</div>
+          <div
+            className="task-text"
+            role="button"
+            tabIndex={0}
+            title="Open task details"
+            onClick={() => setDetailTaskId(task.id)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') setDetailTaskId(task.id);
+            }}
+          >
+            {task.task}
+          </div>
           
           <div className="task-meta">
-            {task.date && (
-              <span className="task-date">
+            {progress.total > 0 && (
+              <span
+                className={`task-progress ${progress.done === progress.total ? 'complete' : ''}`}
+                title="Completed subtasks"
+                data-testid="task-progress"
+              >
+                <FiList size={12} />
+                {progress.done}/{progress.total} done
+              </span>
+            )}
+
+            {task.description && (
+              <span className="task-has-description" title="Has a description">
+                <FiAlignLeft size={12} />
+              </span>
+            )}
+
+            {task.commentCount > 0 && (
+              <button
+                type="button"
+                className="task-comment-count"
+                title={formatCommentCount(task.commentCount)}
+                onClick={() => setDetailTaskId(task.id)}
+                data-testid="task-comment-count"
+              >
+                <FiMessageSquare size={12} />
+                {task.commentCount}
+              </button>
+            )}
+
+            {task.attachmentCount > 0 && (
+              <button
+                type="button"
+                className="task-comment-count"
+                title={`${task.attachmentCount} file${task.attachmentCount === 1 ? '' : 's'}`}
+                onClick={() => setDetailTaskId(task.id)}
+                data-testid="task-attachment-count"
+              >
+                <FiPaperclip size={12} />
+                {task.attachmentCount}
+              </button>
+            )}
+
+            {subproject && (
+              <span className="task-project" title="Task of a sub-project" data-testid="task-subproject">
+                <FiFolder size={12} />
+                {subproject.name}
+              </span>
+            )}
+
+            {taskLabels.map(label => (
+              <button
+                type="button"
+                key={label.id}
+                className="task-label"
+                style={{ '--label-color': label.color }}
+                title={`Show tasks labelled ${label.name}`}
+                onClick={() => setSelectedProject(toLabelView(label.id))}
+              >
+                @{label.name}
+              </button>
+            ))}
+
+            {task.dueDate && (
+              <span
+                className={`task-date ${overdue ? 'overdue' : ''}`}
+                title={overdue ? 'Overdue' : (task.dueTime && task.timeZone) || undefined}
+              >
                 <FiClock size={12} />
-                {task.date}
+                {formatDueDate(task.dueDate, task.dueTime)}
+              </span>
+            )}
+
+            {task.recurrence && (
+              <span className="task-recurrence" title="Recurring task">
+                <FiRepeat size={12} />
+                {describeRecurrence(task.recurrence)}
               </span>
             )}
             
@@ -213,7 +746,17 @@ export const Tasks = () => {
               </span>
             )}
             
-            {metadata.aiParsed?.people && metadata.aiParsed.people.length > 0 && (
+            {editable ? (
+              <AssigneePicker task={task} people={people} onChange={assigneeId => handleAssign(task, assigneeId)} />
+            ) : assignee && (
+              <span className="task-people">
+                <FiUser size={12} />
+                {assignee.name}
+              </span>
+            )}
+
+            {/* Names the AI found that aren't in the directory */}
+            {!assignee && metadata.aiParsed?.people && metadata.aiParsed.people.length > 0 && (
               <span className="task-people">
                 <FiUser size={12} />
                 {metadata.aiParsed.people.join(', ')}
@@ -236,54 +779,159 @@ export const Tasks = () => {
           </div>
         </div>
         
+        {editable && (
         <div className="task-actions">
-          <button 
+          <button
+            type="button"
+            title="Move up"
+            aria-label="Move task up"
+            onClick={() => handleStep(task, -1)}
+            disabled={siblingIndex <= 0}
+          >
+            <FiArrowUp size={14} />
+          </button>
+          <button
+            type="button"
+            title="Move down"
+            aria-label="Move task down"
+            onClick={() => handleStep(task, 1)}
+            disabled={siblingIndex === siblings.length - 1}
+          >
+            <FiArrowDown size={14} />
+          </button>
+          <button
+            type="button"
             title="Edit task"
-            onClick={() => handleEditTask(task.id, task.task)}
+            onClick={() => setDetailTaskId(task.id)}
           >
             <FiEdit2 size={14} />
           </button>
-          <button 
+          <button
+            type="button"
             title="Delete task"
             onClick={() => handleDeleteTask(task.id)}
           >
             <FiTrash2 size={14} />
           </button>
         </div>
+        )}
       </li>
     );
   };
 
-  const renderTasksWithSubtasks = () => {
-    // Group tasks by parent-child relationships
-    const parentTasks = tasks.filter(task => !task.parentTaskId || task.parentTaskId === null);
-    const subtasks = tasks.filter(task => task.parentTaskId && task.parentTaskId !== null);
-    
-    const taskElements = [];
-    
-    parentTasks.forEach(parentTask => {
-      // Add the parent task
-      taskElements.push(renderTaskItem(parentTask, false));
-      
-      // Add its subtasks
-      const childTasks = subtasks.filter(subtask => 
-        subtask.parentTaskId === parentTask.id || 
-        (subtask.parentTaskId === 'pending' && subtask.metadata?.parentTask === parentTask.task)
-      );
-      
-      childTasks.forEach(subtask => {
-        taskElements.push(renderTaskItem(subtask, true));
-      });
-    });
-    
-    return taskElements;
-  };
+  // Nested subtasks of any depth, minus those under collapsed tasks
+  const renderTaskTree = (list = tasks) =>
+    flattenTaskTree(buildTaskTree(list)).map(renderTaskItem);
+
+  // Headings in the list layout, columns on the board. Tasks outside any
+  // section come first; on the board they get a column while there are any
+  // (or no sections yet).
+  const renderSections = () => (
+    <div className={`task-sections task-sections--${layout}`} data-testid="task-sections">
+      {groupBySection(tasks, sections).map(({ section, tasks: sectionTasks }) => {
+        const sectionId = section ? section.id : null;
+        const topLevelIds = sectionTasks
+          .filter(task => !sectionTasks.some(parent => parent.id === task.parentTaskId))
+          .map(task => task.id);
+        if (!section && layout === PROJECT_LAYOUTS.board && sectionTasks.length === 0 && sections.length > 0) {
+          return null;
+        }
+
+        return (
+          <section
+            key={sectionId || 'none'}
+            className={`task-section ${dropSection && dropSection.sectionId === sectionId ? 'task-section--drop' : ''}`}
+            data-testid="task-section"
+            onDragOver={(e) => handleSectionDragOver(e, sectionId)}
+            onDragLeave={() => setDropSection(null)}
+            onDrop={(e) => handleSectionDrop(e, section)}
+          >
+            {section && (
+              <SectionHeader
+                section={section}
+                sections={sections}
+                layout={layout}
+                taskIds={topLevelIds}
+                readOnly={!canEditView}
+                onAddTask={() => setAddingToSection(current => (current === sectionId ? null : sectionId))}
+              />
+            )}
+            {!section && layout === PROJECT_LAYOUTS.board && (
+              <div className="task-section__header">
+                <h3 className="task-section__name">No section</h3>
+                <span className="task-section__count">{topLevelIds.length}</span>
+              </div>
+            )}
+
+            {section && addingToSection === sectionId && (
+              <SmartTaskInput
+                key={sectionId}
+                projectId={selectedProject}
+                startExpanded
+                onAddTask={async (taskData) => {
+                  const added = await handleAddTask({ ...taskData, sectionId });
+                  if (!taskData.parentTaskId) setAddingToSection(null);
+                  return added;
+                }}
+              />
+            )}
+
+            <ul className="tasks__list">
+              {renderTaskTree(sectionTasks)}
+            </ul>
+          </section>
+        );
+      })}
+
+      {canEditView && <AddSection projectId={viewProject.projectId} sections={sections} />}
+    </div>
+  );
 
   return (
     <div className="tasks" data-testid="tasks">
       <div className="tasks-header">
         <h2 data-testid="project-name">{projectName}</h2>
+
+        {viewProject && canManageProject(viewProject) && (
+          <div className="layout-toggle" role="group" aria-label="Layout">
+            <button
+              type="button"
+              className={`toggle-btn ${layout === PROJECT_LAYOUTS.list ? 'active' : ''}`}
+              aria-pressed={layout === PROJECT_LAYOUTS.list}
+              onClick={() => handleSetLayout(PROJECT_LAYOUTS.list)}
+              title="Show as a list"
+            >
+              <FiList size={16} />
+              List
+            </button>
+            <button
+              type="button"
+              className={`toggle-btn ${layout === PROJECT_LAYOUTS.board ? 'active' : ''}`}
+              aria-pressed={layout === PROJECT_LAYOUTS.board}
+              onClick={() => handleSetLayout(PROJECT_LAYOUTS.board)}
+              title="Show as a board"
+            >
+              <FiColumns size={16} />
+              Board
+            </button>
+          </div>
+        )}
+
+        {viewProject && canManageProject(viewProject) && subprojects.length > 0 && (
+          <button
+            type="button"
+            className={`toggle-btn subproject-toggle ${includeSubprojects ? 'active' : ''}`}
+            aria-pressed={includeSubprojects}
+            onClick={handleToggleSubprojects}
+            title="Also show the tasks of every sub-project"
+            data-testid="subproject-toggle"
+          >
+            <FiFolder size={16} />
+            Include sub-projects
+          </button>
+        )}
         
+        {canEditView && (
         <div className="input-toggle">
           <button 
             className={`toggle-btn ${useSmartInput ? 'active' : ''}`}
@@ -302,19 +950,68 @@ export const Tasks = () => {
             Classic
           </button>
         </div>
+        )}
       </div>
 
-      {useSmartInput ? (
+      {viewProject && viewProject.archivedAt && (
+        <div className="archived-project-notice" data-testid="archived-project-notice">
+          <span>This project is archived; its tasks are hidden everywhere else.</span>
+          <button type="button" onClick={() => restoreProject(viewProject)}>
+            Restore
+          </button>
+        </div>
+      )}
+
+      {savedFilter && (
+        <p className="tasks__filter-query" data-testid="filter-query">
+          <code>{savedFilter.query}</code>
+          {viewFilterError && (
+            <span className="tasks__filter-error" role="alert">{viewFilterError}</span>
+          )}
+        </p>
+      )}
+
+      {selectedProject === 'OVERDUE' && overdueTasks.length > 0 && (
+        <div className="overdue-actions" data-testid="overdue-actions">
+          <span>
+            Reschedule {overdueTasks.length} overdue {overdueTasks.length === 1 ? 'task' : 'tasks'} to
+          </span>
+          <button type="button" disabled={isRescheduling} onClick={() => handleRescheduleOverdue('today')}>
+            Today
+          </button>
+          <button type="button" disabled={isRescheduling} onClick={() => handleRescheduleOverdue('tomorrow')}>
+            Tomorrow
+          </button>
+          <button
+            type="button"
+            disabled={isRescheduling}
+            title="Spread over the week by priority and how busy each day is"
+            onClick={() => handleRescheduleOverdue('smart')}
+          >
+            <FiZap size={14} />
+            Smart
+          </button>
+        </div>
+      )}
+
+      {!canEditView && (
+        <div className="shared-project-notice" data-testid="shared-project-notice">
+          This project is shared with you to view; only its editors can change its tasks.
+        </div>
+      )}
+
+      {canEditView && useSmartInput && (
         <SmartTaskInput onAddTask={handleAddTask} projectId={selectedProject} />
-      ) : (
-        <AddTask />
       )}
+      {canEditView && !useSmartInput && <AddTask />}
 
-      <ul className="tasks__list">
-        {renderTasksWithSubtasks()}
-      </ul>
+      {viewProject ? renderSections() : (
+        <ul className="tasks__list">
+          {renderTaskTree()}
+        </ul>
+      )}
       
-      {tasks.length === 0 && (
+      {tasks.length === 0 && sections.length === 0 && layout === PROJECT_LAYOUTS.list && (
         <div className="empty-state">
           <FiZap size={48} />
           <h3>Ready to get organized?</h3>
@@ -322,52 +1019,15 @@ export const Tasks = () => {
         </div>
       )}
 
-      {editingTask && (
-        <div className="edit-task-overlay">
-          <div className="edit-task-modal">
-            <div className="edit-task-header">
-              <h3>Edit Task</h3>
-              <button 
-                className="close-btn"
-                onClick={handleCancelEdit}
-              >
-                ×
-              </button>
-            </div>
-            <div className="edit-task-content">
-              <input
-                type="text"
-                value={editingTaskText}
-                onChange={(e) => setEditingTaskText(e.target.value)}
-                className="edit-task-input"
-                placeholder="Enter task description..."
-                autoFocus
-                onKeyPress={(e) => {
-                  if (e.key === 'Enter') {
-                    handleSaveEdit();
-                  } else if (e.key === 'Escape') {
-                    handleCancelEdit();
-                  }
-                }}
-              />
-              <div className="edit-task-actions">
-                <button 
-                  className="save-btn"
-                  onClick={handleSaveEdit}
-                  disabled={!editingTaskText.trim()}
-                >
-                  Save Changes
-                </button>
-                <button 
-                  className="cancel-btn"
-                  onClick={handleCancelEdit}
-                >
-                  Cancel
-                </button>
-              </div>
-            </div>
-          </div>
-        </div>
+      {conflicts.length > 0 && <ConflictDialog conflict={conflicts[0]} />}
+
+      {detailTask && (
+        <TaskDetail
+          key={detailTask.id}
+          task={detailTask}
+          readOnly={!canEditTask(detailTask)}
+          onClose={() => setDetailTaskId(null)}
+        />
       )}
     </div>
   );
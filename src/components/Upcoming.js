@@ -0,0 +1,285 @@
+import React, { useMemo, useState } from 'react';
+import {
+  FiCalendar,
+  FiChevronLeft,
+  FiChevronRight,
+  FiPlus,
+  FiX,
+} from 'react-icons/fi';
+import moment from 'moment';
+import SmartTaskInput from './SmartTaskInput';
+import { useNow, useTasks } from '../hooks';
+import { useLabelsValue, useProjectsValue } from '../context';
+import { useAuth } from '../context/auth-context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { offlineSync } from '../lib/offline-sync';
+import { createTaskCommand, updateTaskCommand } from '../lib/history-commands';
+import {
+  CALENDAR_MODES,
+  getMonthGrid,
+  getRangeTitle,
+  getWeekDays,
+  groupByDueDate,
+  shiftAnchor,
+} from '../lib/calendar';
+import {
+  DRAG_TYPES,
+  getDragData,
+  hasDragType,
+  setDragData,
+} from '../lib/drag-and-drop';
+import {
+  DUE_DATE_FORMAT,
+  formatDueDate,
+  getLocalTimeZone,
+} from '../lib/due-dates';
+import { isOverdue } from '../lib/overdue';
+import { getDescendants } from '../lib/task-tree';
+
+export const Upcoming = () => {
+  const { archivedProjectIds } = useProjectsValue();
+  const { tasks } = useTasks('UPCOMING', null, archivedProjectIds);
+  const { ensureLabels } = useLabelsValue();
+  const { user } = useAuth();
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+  const now = useNow();
+  const today = moment(now).format(DUE_DATE_FORMAT);
+  const [mode, setMode] = useState(CALENDAR_MODES.week);
+  const [anchor, setAnchor] = useState(today);
+  // Day the add-task input is open for
+  const [addingOn, setAddingOn] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+
+  const byDay = useMemo(() => groupByDueDate(tasks), [tasks]);
+  const weeks = useMemo(
+    () =>
+      mode === CALENDAR_MODES.week
+        ? [getWeekDays(anchor).map((date) => ({ date, inMonth: true }))]
+        : getMonthGrid(anchor),
+    [mode, anchor]
+  );
+
+  const handleAddTask = async (taskData) => {
+    const finalTaskData = {
+      archived: false,
+      projectId: '1',
+      task: taskData.task,
+      dueDate: taskData.dueDate || addingOn,
+      dueTime: taskData.dueTime || null,
+      timeZone: taskData.timeZone || getLocalTimeZone(),
+      priority: taskData.priority || 'medium',
+      userId: user.id,
+      aiEnhanced: taskData.aiEnhanced || false,
+      metadata: taskData.metadata || {},
+      parentTaskId: taskData.parentTaskId || null,
+      recurrence: taskData.recurrence || null,
+      assigneeId: taskData.assigneeId || null,
+      labelIds: [
+        ...new Set([
+          ...(taskData.labelIds || []),
+          ...(await ensureLabels(taskData.labels || [])),
+        ]),
+      ],
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      const id = await offlineSync.createTask(finalTaskData);
+      record(createTaskCommand({ id, taskData: finalTaskData }));
+      if (!finalTaskData.parentTaskId) setAddingOn(null);
+      return { id, task: { ...finalTaskData, id } };
+    } catch (error) {
+      console.error('Error adding task:', error);
+      showError('Failed to add task. Please try again.');
+      return null;
+    }
+  };
+
+  // Same payload as the task list, so sidebar projects accept it too
+  const handleDragStart = (e, task) => {
+    setDragData(e, DRAG_TYPES.task, {
+      id: task.id,
+      projectId: task.projectId,
+      parentTaskId: task.parentTaskId || null,
+      updatedAt: task.updatedAt,
+      descendants: getDescendants(tasks, task.id).map(
+        ({ id, projectId, updatedAt }) => ({ id, projectId, updatedAt })
+      ),
+    });
+  };
+
+  const handleDragOver = (e, date) => {
+    if (!hasDragType(e, DRAG_TYPES.task)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropDay(date);
+  };
+
+  // Rescheduling keeps the time of day
+  const handleDrop = async (e, date) => {
+    setDropDay(null);
+    const dragged = getDragData(e, DRAG_TYPES.task);
+    const task =
+      dragged && tasks.find((candidate) => candidate.id === dragged.id);
+    if (!task) return;
+    e.preventDefault();
+    if (task.dueDate === date) return;
+
+    const before = {
+      dueDate: task.dueDate,
+      dueTime: task.dueTime,
+      timeZone: task.timeZone,
+    };
+    const after = { ...before, dueDate: date };
+    try {
+      await offlineSync.updateTask(task.id, after, task);
+      record(
+        updateTaskCommand({
+          id: task.id,
+          before,
+          after,
+          label: 'Reschedule task',
+        }),
+        `Task moved to ${formatDueDate(date, null, today)}`
+      );
+    } catch (error) {
+      console.error('Error rescheduling task:', error);
+      showError('Failed to reschedule task. Please try again.');
+    }
+  };
+
+  const renderDay = ({ date, inMonth }) => {
+    const dayTasks = byDay[date] || [];
+    const day = moment(date, DUE_DATE_FORMAT);
+    const classes = [
+      'upcoming__day',
+      date === today && 'upcoming__day--today',
+      date < today && 'upcoming__day--past',
+      !inMonth && 'upcoming__day--outside',
+      dropDay === date && 'upcoming__day--drop',
+    ];
+
+    return (
+      <div
+        key={date}
+        className={classes.filter(Boolean).join(' ')}
+        data-testid="upcoming-day"
+        onDragOver={(e) => handleDragOver(e, date)}
+        onDragLeave={() => setDropDay(null)}
+        onDrop={(e) => handleDrop(e, date)}
+      >
+        <div className="upcoming__day-header">
+          <span className="upcoming__weekday">{day.format('ddd')}</span>
+          <span className="upcoming__date">{day.format('D')}</span>
+        </div>
+
+        <ul className="upcoming__tasks">
+          {dayTasks.map((task) => (
+            <li
+              key={task.id}
+              className={`upcoming__task priority-${
+                task.priority || 'medium'
+              } ${isOverdue(task, now) ? 'overdue' : ''}`}
+              data-testid="upcoming-task"
+              draggable
+              onDragStart={(e) => handleDragStart(e, task)}
+              title={task.task}
+            >
+              {task.dueTime && (
+                <span className="upcoming__time">{task.dueTime}</span>
+              )}
+              <span className="upcoming__text">{task.task}</span>
+            </li>
+          ))}
+        </ul>
+
+        <button
+          type="button"
+          className="upcoming__add"
+          data-testid="upcoming-add"
+          aria-label={`Add task on ${day.format('dddd D MMMM')}`}
+          onClick={() => setAddingOn(date)}
+        >
+          {dayTasks.length === 0 && <FiPlus />}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="upcoming" data-testid="upcoming">
+      <div className="upcoming__header">
+        <h2 data-testid="project-name">
+          <FiCalendar className="tasks-icon" />
+          Upcoming
+        </h2>
+
+        <div className="upcoming__controls">
+          <div className="upcoming__modes" role="group" aria-label="Calendar">
+            {Object.values(CALENDAR_MODES).map((value) => (
+              <button
+                type="button"
+                key={value}
+                className={mode === value ? 'active' : undefined}
+                aria-pressed={mode === value}
+                onClick={() => setMode(value)}
+              >
+                {value === CALENDAR_MODES.week ? 'Week' : 'Month'}
+              </button>
+            ))}
+          </div>
+          <button
+            type="button"
+            aria-label={`Previous ${mode}`}
+            onClick={() => setAnchor(shiftAnchor(anchor, mode, -1))}
+          >
+            <FiChevronLeft />
+          </button>
+          <button type="button" onClick={() => setAnchor(today)}>
+            Today
+          </button>
+          <button
+            type="button"
+            aria-label={`Next ${mode}`}
+            onClick={() => setAnchor(shiftAnchor(anchor, mode, 1))}
+          >
+            <FiChevronRight />
+          </button>
+          <span className="upcoming__range">{getRangeTitle(anchor, mode)}</span>
+        </div>
+      </div>
+
+      {addingOn && (
+        <div className="upcoming__add-panel" data-testid="upcoming-add-panel">
+          <div className="upcoming__add-panel-header">
+            <span>New task for {formatDueDate(addingOn, null, today)}</span>
+            <button
+              type="button"
+              aria-label="Close"
+              onClick={() => setAddingOn(null)}
+            >
+              <FiX />
+            </button>
+          </div>
+          <SmartTaskInput
+            key={addingOn}
+            onAddTask={handleAddTask}
+            projectId="1"
+            defaultDueDate={addingOn}
+            startExpanded
+          />
+        </div>
+      )}
+
+      <div className={`upcoming__grid upcoming__grid--${mode}`}>
+        {weeks.map((week) => (
+          <div key={week[0].date} className="upcoming__week">
+            {week.map(renderDay)}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
@@ -1,10 +1,26 @@
 import React from 'react';
 import { Sidebar } from './Sidebar';
 import { Tasks } from '../Tasks';
+import { Analytics } from '../Analytics';
+import { CompletedTasks } from '../CompletedTasks';
+import { Upcoming } from '../Upcoming';
+import { useSelectedProjectValue } from '../../context';
 
-export const Content = () => (
-  <section className="content">
-    <Sidebar />
-    <Tasks />
-  </section>
-);
+// Views with their own screen; everything else is a task list
+const VIEWS = {
+  ANALYTICS: Analytics,
+  COMPLETED: CompletedTasks,
+  UPCOMING: Upcoming,
+};
+
+export const Content = () => {
+  const { selectedProject } = useSelectedProjectValue();
+  const View = VIEWS[selectedProject] || Tasks;
+
+  return (
+    <section className="content">
+      <Sidebar />
+      <View />
+    </section>
+  );
+};
@@ -1,13 +1,30 @@
 import React, { useState } from 'react';
-import { FiSun, FiMoon, FiCheckSquare, FiLogOut } from 'react-icons/fi';
+import {
+  FiSun,
+  FiMoon,
+  FiCheckSquare,
+  FiLogOut,
+  FiBell,
+  FiBellOff,
+} from 'react-icons/fi';
 import PropTypes from 'prop-types';
 import { AddTask } from '../AddTask';
+import { TaskSearch } from '../TaskSearch';
+import { SyncStatus } from '../SyncStatus';
 import { useAuth } from '../../context/auth-context';
+import { usePushNotifications } from '../../hooks';
 
 export const Header = ({ darkMode, setDarkMode }) => {
   const [shouldShowMain, setShouldShowMain] = useState(false);
   const [showQuickAddTask, setShowQuickAddTask] = useState(false);
   const { user, signOut } = useAuth();
+  const push = usePushNotifications();
+
+  // A signed-out browser shouldn't keep getting the user's tasks
+  const handleSignOut = async () => {
+    if (push.isEnabled) await push.disable();
+    signOut();
+  };
 
   return (
     <header className="header" data-testid="header">
@@ -16,6 +33,8 @@ export const Header = ({ darkMode, setDarkMode }) => {
           <FiCheckSquare className="logo-icon" />
           <span>AI Todoist</span>
         </div>
+        <TaskSearch />
+        <SyncStatus />
         <div className="settings">
           <ul>
             <li className="settings__add">
@@ -41,13 +60,38 @@ export const Header = ({ darkMode, setDarkMode }) => {
                 {darkMode ? <FiSun /> : <FiMoon />}
               </button>
             </li>
+            {push.isSupported && (
+              <li className="settings__push">
+                <button
+                  data-testid="push-action"
+                  aria-label={
+                    push.isEnabled
+                      ? 'Turn off notifications'
+                      : 'Turn on notifications'
+                  }
+                  aria-pressed={push.isEnabled}
+                  title={
+                    push.isEnabled
+                      ? 'Notifications are on in this browser'
+                      : 'Get notified of due tasks and a morning digest'
+                  }
+                  type="button"
+                  disabled={push.isBusy}
+                  onClick={() =>
+                    push.isEnabled ? push.disable() : push.enable()
+                  }
+                >
+                  {push.isEnabled ? <FiBell /> : <FiBellOff />}
+                </button>
+              </li>
+            )}
             <li className="settings__user">
               <span className="user-email">{user?.email}</span>
               <button
                 data-testid="logout-action"
                 aria-label="Logout"
                 type="button"
-                onClick={() => signOut()}
+                onClick={handleSignOut}
                 className="logout-btn"
               >
                 <FiLogOut />
@@ -1,25 +1,51 @@
 import React, { useState } from 'react';
 import {
+  FaCalendarWeek,
+  FaChartBar,
+  FaCheckCircle,
   FaChevronDown,
+  FaExclamationCircle,
   FaInbox,
   FaRegCalendarAlt,
   FaRegCalendar,
 } from 'react-icons/fa';
-import { Projects } from '../Projects';
-import { useSelectedProjectValue } from '../../context';
+import { ArchivedProjects, FavoriteProjects, Projects } from '../Projects';
+import { Labels } from '../Labels';
+import { Filters } from '../Filters';
+import { People } from '../People';
+import { useProjectsValue, useSelectedProjectValue } from '../../context';
+import { useTaskDropTarget, useTasks } from '../../hooks';
 import { AddProject } from '../AddProject';
 
 export const Sidebar = () => {
   const { setSelectedProject } = useSelectedProjectValue();
   const [active, setActive] = useState('inbox');
   const [showProjects, setShowProjects] = useState(true);
+  const [showLabels, setShowLabels] = useState(true);
+  const [showFilters, setShowFilters] = useState(true);
+  const [showPeople, setShowPeople] = useState(true);
+  const inboxDrop = useTaskDropTarget('1', 'Inbox');
+  const { archivedProjectIds } = useProjectsValue();
+  const { tasks: overdueTasks } = useTasks('OVERDUE', null, archivedProjectIds);
 
   return (
     <div className="sidebar" data-testid="sidebar">
+      <FavoriteProjects />
+
       <ul className="sidebar__generic">
         <li
           data-testid="inbox"
-          className={active === 'inbox' ? 'active' : undefined}
+          className={
+            [
+              active === 'inbox' && 'active',
+              inboxDrop.isOver && 'sidebar__generic--drop-task',
+            ]
+              .filter(Boolean)
+              .join(' ') || undefined
+          }
+          onDragOver={inboxDrop.dropProps.onDragOver}
+          onDragLeave={inboxDrop.dropProps.onDragLeave}
+          onDrop={inboxDrop.dropProps.onDrop}
         >
           <div
             data-testid="inbox-action"
@@ -69,6 +95,41 @@ export const Sidebar = () => {
             <span>Today</span>
           </div>
         </li>
+        <li
+          data-testid="overdue"
+          className={active === 'overdue' ? 'active' : undefined}
+        >
+          <div
+            data-testid="overdue-action"
+            aria-label="Show overdue tasks"
+            tabIndex={0}
+            role="button"
+            onClick={() => {
+              setActive('overdue');
+              setSelectedProject('OVERDUE');
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                setActive('overdue');
+                setSelectedProject('OVERDUE');
+              }
+            }}
+          >
+            <span>
+              <FaExclamationCircle />
+            </span>
+            <span>Overdue</span>
+          </div>
+          {overdueTasks.length > 0 && (
+            <span
+              className="sidebar__count"
+              data-testid="overdue-count"
+              aria-label={`${overdueTasks.length} overdue`}
+            >
+              {overdueTasks.length}
+            </span>
+          )}
+        </li>
         <li
           data-testid="next_7"
           className={active === 'next_7' ? 'active' : undefined}
@@ -95,6 +156,84 @@ export const Sidebar = () => {
             <span>Next 7 days</span>
           </div>
         </li>
+        <li
+          data-testid="upcoming"
+          className={active === 'upcoming' ? 'active' : undefined}
+        >
+          <div
+            data-testid="upcoming-action"
+            aria-label="Show the upcoming calendar"
+            tabIndex={0}
+            role="button"
+            onClick={() => {
+              setActive('upcoming');
+              setSelectedProject('UPCOMING');
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                setActive('upcoming');
+                setSelectedProject('UPCOMING');
+              }
+            }}
+          >
+            <span>
+              <FaCalendarWeek />
+            </span>
+            <span>Upcoming</span>
+          </div>
+        </li>
+        <li
+          data-testid="completed"
+          className={active === 'completed' ? 'active' : undefined}
+        >
+          <div
+            data-testid="completed-action"
+            aria-label="Show completed tasks"
+            tabIndex={0}
+            role="button"
+            onClick={() => {
+              setActive('completed');
+              setSelectedProject('COMPLETED');
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                setActive('completed');
+                setSelectedProject('COMPLETED');
+              }
+            }}
+          >
+            <span>
+              <FaCheckCircle />
+            </span>
+            <span>Completed</span>
+          </div>
+        </li>
+        <li
+          data-testid="analytics"
+          className={active === 'analytics' ? 'active' : undefined}
+        >
+          <div
+            data-testid="analytics-action"
+            aria-label="Show productivity analytics"
+            tabIndex={0}
+            role="button"
+            onClick={() => {
+              setActive('analytics');
+              setSelectedProject('ANALYTICS');
+            }}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter') {
+                setActive('analytics');
+                setSelectedProject('ANALYTICS');
+              }
+            }}
+          >
+            <span>
+              <FaChartBar />
+            </span>
+            <span>Analytics</span>
+          </div>
+        </li>
       </ul>
       <div
         className="sidebar__middle"
@@ -117,6 +256,68 @@ export const Sidebar = () => {
       <ul className="sidebar__projects">{showProjects && <Projects />}</ul>
 
       {showProjects && <AddProject />}
+
+      {showProjects && <ArchivedProjects />}
+
+      <div
+        className="sidebar__middle"
+        aria-label="Show/hide labels"
+        onClick={() => setShowLabels(!showLabels)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') setShowLabels(!showLabels);
+        }}
+        role="button"
+        tabIndex={0}
+      >
+        <span>
+          <FaChevronDown
+            className={!showLabels ? 'hidden-projects' : undefined}
+          />
+        </span>
+        <h2>Labels</h2>
+      </div>
+
+      <ul className="sidebar__labels">{showLabels && <Labels />}</ul>
+
+      <div
+        className="sidebar__middle"
+        aria-label="Show/hide filters"
+        onClick={() => setShowFilters(!showFilters)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') setShowFilters(!showFilters);
+        }}
+        role="button"
+        tabIndex={0}
+      >
+        <span>
+          <FaChevronDown
+            className={!showFilters ? 'hidden-projects' : undefined}
+          />
+        </span>
+        <h2>Filters</h2>
+      </div>
+
+      <ul className="sidebar__filters">{showFilters && <Filters />}</ul>
+
+      <div
+        className="sidebar__middle"
+        aria-label="Show/hide people"
+        onClick={() => setShowPeople(!showPeople)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') setShowPeople(!showPeople);
+        }}
+        role="button"
+        tabIndex={0}
+      >
+        <span>
+          <FaChevronDown
+            className={!showPeople ? 'hidden-projects' : undefined}
+          />
+        </span>
+        <h2>People</h2>
+      </div>
+
+      <ul className="sidebar__people">{showPeople && <People />}</ul>
     </div>
   );
 };
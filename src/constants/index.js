@@ -1,5 +1,8 @@
 export const collatedTasks = [
   { key: 'INBOX', name: 'Inbox' },
   { key: 'TODAY', name: 'Today' },
+  { key: 'OVERDUE', name: 'Overdue' },
   { key: 'NEXT_7', name: 'Next 7 Days' },
+  { key: 'UPCOMING', name: 'Upcoming' },
+  { key: 'COMPLETED', name: 'Completed' },
 ];
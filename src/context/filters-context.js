@@ -0,0 +1,20 @@
+import React, { createContext, useContext } from 'react';
+import PropTypes from 'prop-types';
+import { useFilters } from '../hooks';
+
+export const FiltersContext = createContext();
+export const FiltersProvider = ({ children }) => {
+  const { filters } = useFilters();
+
+  return (
+    <FiltersContext.Provider value={{ filters }}>
+      {children}
+    </FiltersContext.Provider>
+  );
+};
+
+export const useFiltersValue = () => useContext(FiltersContext);
+
+FiltersProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
@@ -0,0 +1,143 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react';
+import PropTypes from 'prop-types';
+import { createCommandHistory } from '../lib/command-history';
+import { useAuth } from './auth-context';
+import { useNotifications } from './notification-context';
+
+const HistoryContext = createContext();
+
+export const useHistory = () => {
+  const context = useContext(HistoryContext);
+  if (!context) {
+    throw new Error('useHistory must be used within a HistoryProvider');
+  }
+  return context;
+};
+
+// Leave Ctrl+Z in text fields to the browser's own text undo
+const isEditable = (target) =>
+  Boolean(target) &&
+  (target.isContentEditable ||
+    ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+export const HistoryProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { showSuccess, showInfo, showError } = useNotifications();
+  const historyRef = useRef(null);
+  const [state, setState] = useState({
+    canUndo: false,
+    canRedo: false,
+    undoLabel: null,
+    redoLabel: null,
+    running: false,
+  });
+
+  if (!historyRef.current) {
+    historyRef.current = createCommandHistory({ onChange: setState });
+  }
+
+  const userId = user?.id;
+  useEffect(() => {
+    historyRef.current.clear();
+  }, [userId]);
+
+  const redo = useCallback(async () => {
+    try {
+      const command = await historyRef.current.redo();
+      if (command) showInfo(`Redone: ${command.label.toLowerCase()}`);
+    } catch (error) {
+      console.error('Error redoing change:', error);
+      showError('Failed to redo. Please try again.');
+    }
+  }, [showInfo, showError]);
+
+  const undo = useCallback(async () => {
+    try {
+      const command = await historyRef.current.undo();
+      if (command) {
+        showInfo(`Undone: ${command.label.toLowerCase()}`, {
+          actions: [{ label: 'Redo', onClick: redo }],
+        });
+      }
+    } catch (error) {
+      console.error('Error undoing change:', error);
+      showError('Failed to undo. Please try again.');
+    }
+  }, [showInfo, showError, redo]);
+
+  /**
+   * Record a performed operation and confirm it with an Undo toast
+   * @param {Object} command - lib/command-history command
+   * @param {string} [message] - Toast text; no toast without it
+   */
+  const record = useCallback(
+    (command, message) => {
+      historyRef.current.record(command);
+      if (!message) return;
+
+      showSuccess(message, {
+        actions: [
+          {
+            label: 'Undo',
+            onClick: () => {
+              // The toast only speaks for its own change
+              if (historyRef.current.isLatest(command)) {
+                undo();
+              } else {
+                showInfo('Newer changes have to be undone first (Ctrl+Z).');
+              }
+            },
+          },
+        ],
+      });
+    },
+    [showSuccess, showInfo, undo]
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditable(event.target)) {
+        return;
+      }
+      const key = event.key.toLowerCase();
+
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const value = useMemo(
+    () => ({
+      ...state,
+      record,
+      undo,
+      redo,
+      resolveId: (id) => historyRef.current.resolveId(id),
+    }),
+    [state, record, undo, redo]
+  );
+
+  return (
+    <HistoryContext.Provider value={value}>{children}</HistoryContext.Provider>
+  );
+};
+
+HistoryProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
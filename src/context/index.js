@@ -4,6 +4,24 @@ import {
   useProjectsValue,
 } from './projects-context';
 
+import {
+  LabelsContext,
+  LabelsProvider,
+  useLabelsValue,
+} from './labels-context';
+
+import {
+  FiltersContext,
+  FiltersProvider,
+  useFiltersValue,
+} from './filters-context';
+
+import {
+  PeopleContext,
+  PeopleProvider,
+  usePeopleValue,
+} from './people-context';
+
 import {
   SelectedProjectContext,
   SelectedProjectProvider,
@@ -14,6 +32,15 @@ export {
   ProjectsContext,
   ProjectsProvider,
   useProjectsValue,
+  LabelsContext,
+  LabelsProvider,
+  useLabelsValue,
+  FiltersContext,
+  FiltersProvider,
+  useFiltersValue,
+  PeopleContext,
+  PeopleProvider,
+  usePeopleValue,
   SelectedProjectContext,
   SelectedProjectProvider,
   useSelectedProjectValue,
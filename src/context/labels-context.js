@@ -0,0 +1,20 @@
+import React, { createContext, useContext } from 'react';
+import PropTypes from 'prop-types';
+import { useLabels } from '../hooks';
+
+export const LabelsContext = createContext();
+export const LabelsProvider = ({ children }) => {
+  const { labels, ensureLabels } = useLabels();
+
+  return (
+    <LabelsContext.Provider value={{ labels, ensureLabels }}>
+      {children}
+    </LabelsContext.Provider>
+  );
+};
+
+export const useLabelsValue = () => useContext(LabelsContext);
+
+LabelsProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
@@ -0,0 +1,20 @@
+import React, { createContext, useContext } from 'react';
+import PropTypes from 'prop-types';
+import { usePeople } from '../hooks';
+
+export const PeopleContext = createContext();
+export const PeopleProvider = ({ children }) => {
+  const { people, addPerson } = usePeople();
+
+  return (
+    <PeopleContext.Provider value={{ people, addPerson }}>
+      {children}
+    </PeopleContext.Provider>
+  );
+};
+
+export const usePeopleValue = () => useContext(PeopleContext);
+
+PeopleProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
@@ -4,10 +4,13 @@ import { useProjects } from '../hooks';
 
 export const ProjectsContext = createContext();
 export const ProjectsProvider = ({ children }) => {
-  const { projects, setProjects } = useProjects();
+  const { projects, setProjects, archivedProjects, archivedProjectIds } =
+    useProjects();
 
   return (
-    <ProjectsContext.Provider value={{ projects, setProjects }}>
+    <ProjectsContext.Provider
+      value={{ projects, setProjects, archivedProjects, archivedProjectIds }}
+    >
       {children}
     </ProjectsContext.Provider>
   );
@@ -4,10 +4,17 @@ import PropTypes from 'prop-types';
 export const SelectedProjectContext = createContext();
 export const SelectedProjectProvider = ({ children }) => {
   const [selectedProject, setSelectedProject] = useState('INBOX');
+  // Task to scroll to and flash once it renders, e.g. after picking a search result
+  const [highlightedTaskId, setHighlightedTaskId] = useState(null);
 
   return (
     <SelectedProjectContext.Provider
-      value={{ selectedProject, setSelectedProject }}
+      value={{
+        selectedProject,
+        setSelectedProject,
+        highlightedTaskId,
+        setHighlightedTaskId,
+      }}
     >
       {children}
     </SelectedProjectContext.Provider>
@@ -1,19 +1,179 @@
 /* eslint-disable no-nested-ternary */
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import moment from 'moment';
-import { tasksService, projectsService } from '../lib/supabase-native-fixed';
-import { collatedTasksExist } from '../helpers';
+import { tasksService, projectsService, labelsService, filtersService, sectionsService, membersService, peopleService, activityService, commentsService, attachmentsService, attachmentStorage, pushSubscriptionsService } from '../lib/supabase-native-fixed';
+import { offlineSync } from '../lib/offline-sync';
+import { applySynced, createTempId, isTempId } from '../lib/mutation-queue';
+import { collatedTasksExist, generatePushId } from '../helpers';
 import { useAuth } from '../context/auth-context';
+import { useHistory } from '../context/history-context';
+import { useNotifications } from '../context/notification-context';
+import { applyOrder } from '../lib/ordering';
+import { getDescendants } from '../lib/task-tree';
+import { findLabelByName, getLabelViewId, pickLabelColor, sortLabels } from '../lib/labels';
+import { DRAG_TYPES, getDragData, hasDragType } from '../lib/drag-and-drop';
+import { batchUpdateCommand } from '../lib/history-commands';
+import { DUE_DATE_FORMAT, formatDueDate, getLocalTimeZone, isDueWithin } from '../lib/due-dates';
+import { getFilterViewId, matchesFilter } from '../lib/filter-language';
+import { isOverdue } from '../lib/overdue';
+import { getPersonViewId, sortPeople } from '../lib/people';
+import { sortComments } from '../lib/comments';
+import { createAttachmentManager, validateAttachment } from '../lib/attachments';
+import { createReminderScheduler } from '../lib/reminder-scheduler';
+import { requestNotificationPermission } from '../lib/reminders';
+import { getPushSubscription, isPushSupported, subscribeToPush, toSubscriptionRecord } from '../lib/push-notifications';
 
-export const useTasks = selectedProject => {
+// Transform task rows for backward compatibility with camelCase consumers
+const transformTask = task => ({
+  ...task,
+  projectId: task.project_id,
+  parentTaskId: task.parent_task_id,
+  aiEnhanced: task.ai_enhanced,
+  userId: task.user_id,
+  dueDate: task.due_date,
+  // Postgres TIME comes back as HH:mm:ss
+  dueTime: task.due_time ? task.due_time.slice(0, 5) : null,
+  timeZone: task.due_timezone,
+  createdAt: task.created_at,
+  updatedAt: task.updated_at,
+  completedAt: task.completed_at,
+  sectionId: task.section_id || null,
+  assigneeId: task.assignee_id || null,
+  reminders: task.reminders || [],
+  labelIds: (task.task_labels || []).map(link => link.label_id),
+  // Embedded as task_comments(count)
+  commentCount: (task.task_comments && task.task_comments[0] && task.task_comments[0].count) || 0,
+  attachmentCount: (task.task_attachments && task.task_attachments[0] && task.task_attachments[0].count) || 0
+});
+
+const transformProject = project => ({
+  ...project,
+  docId: project.id,
+  projectId: project.id,
+  taskCount: 0, // Will be calculated client-side if needed
+  userId: project.user_id,
+  favorite: Boolean(project.favorite),
+  archivedAt: project.archived_at || null,
+  parentProjectId: project.parent_project_id || null,
+  collapsed: Boolean(project.collapsed),
+  showSubprojectTasks: Boolean(project.show_subproject_tasks),
+  // The signed-in user's role, see lib/sharing; rows cached or created
+  // locally are the user's own
+  role: project.role || 'owner',
+  isShared: (project.member_count || 1) > 1,
+  createdAt: project.created_at,
+  updatedAt: project.updated_at
+});
+
+const NO_PROJECTS = [];
+
+// Whether a task belongs in a view; mirrors the server-side filters so cached
+// and locally created tasks land in the same views. Saved filter views pass
+// their bound expression as viewFilter; project views may take in the tasks
+// of their sub-projects.
+const matchesView = (task, selectedProject, viewFilter, subprojectIds = NO_PROJECTS) => {
+  const today = moment().format(DUE_DATE_FORMAT);
+  const labelId = getLabelViewId(selectedProject);
+  const personId = getPersonViewId(selectedProject);
+
+  if (getFilterViewId(selectedProject)) {
+    return Boolean(viewFilter) && matchesFilter(viewFilter, task, { today });
+  }
+  if (labelId) return task.labelIds.includes(labelId);
+  if (personId) return task.assigneeId === personId;
+  if (selectedProject && !collatedTasksExist(selectedProject)) {
+    return task.projectId === selectedProject || subprojectIds.includes(task.projectId);
+  }
+  if (selectedProject === 'TODAY') return task.dueDate === today;
+  if (selectedProject === 'NEXT_7') return isDueWithin(task.dueDate, 7, today);
+  if (selectedProject === 'OVERDUE') return isOverdue(task);
+  if (selectedProject === 'UPCOMING') return Boolean(task.dueDate);
+  if (selectedProject === 'INBOX' || selectedProject === 0) {
+    return task.projectId === '1' && !task.dueDate;
+  }
+  return true;
+};
+
+// Newest first, like the server query
+const byCreatedAtDesc = (a, b) =>
+  String(b.created_at || '').localeCompare(String(a.created_at || ''));
+
+// The Completed view lists archived tasks; every other view active ones,
+// plus completed subtasks for their parents' progress
+const showsArchived = selectedProject => selectedProject === 'COMPLETED';
+
+// Rows a view loads from the server
+const isInScope = (row, selectedProject, viewFilter, subprojectIds) =>
+  (showsArchived(selectedProject)
+    ? Boolean(row.archived)
+    : !row.archived || Boolean(row.parent_task_id)) &&
+  matchesView(transformTask(row), selectedProject, viewFilter, subprojectIds);
+
+/**
+ * Current time, updated every `interval` ms
+ * Lets overdue state and date-based views follow the clock.
+ * @param {number} [interval]
+ * @returns {Date}
+ */
+export const useNow = (interval = 60000) => {
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  return now;
+};
+
+/**
+ * Offline sync status for the header indicator
+ * Starts replaying the signed-in user's outbox.
+ */
+export const useSyncStatus = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState(() => offlineSync.getStatus());
+
+  useEffect(() => offlineSync.subscribe(setStatus), []);
+
+  useEffect(() => {
+    if (!user) return undefined;
+    return offlineSync.start(user.id);
+  }, [user]);
+
+  return status;
+};
+
+/**
+ * Tasks of a view
+ * @param {*} selectedProject
+ * @param {Object} [viewFilter] - Bound filter expression for saved filter
+ *   views, see lib/filter-language
+ * @param {string[]} [hiddenProjectIds] - Archived projects; their tasks are
+ *   left out of every view but the project's own
+ * @param {string[]} [subprojectIds] - Sub-projects whose tasks a project
+ *   view includes
+ */
+export const useTasks = (
+  selectedProject,
+  viewFilter = null,
+  hiddenProjectIds = NO_PROJECTS,
+  subprojectIds = NO_PROJECTS
+) => {
   const [tasks, setTasks] = useState([]);
   const [archivedTasks, setArchivedTasks] = useState([]);
+  // Last rows seen from the server (or the local mirror while offline)
+  const [serverTasks, setServerTasks] = useState(null);
+  const [pending, setPending] = useState(() => offlineSync.getPending());
   const { user } = useAuth();
+  // Views are re-evaluated as the clock moves on and reloaded each new day
+  const now = useNow();
+  const today = moment(now).format(DUE_DATE_FORMAT);
 
   // Native optimistic update functions with relational data
   const addTaskOptimistic = (taskData) => {
     const optimisticTask = {
-      id: 'temp-' + Date.now(),
+      id: createTempId(),
       ...taskData,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
@@ -33,7 +193,6 @@ export const useTasks = selectedProject => {
           ? { 
               ...task, 
               ...updates, 
-              updated_at: new Date().toISOString(),
               _optimistic: true 
             }
           : task
@@ -41,17 +200,25 @@ export const useTasks = selectedProject => {
     );
   };
 
+  // Subtasks go with their parent (ON DELETE CASCADE)
   const deleteTaskOptimistic = (taskId) => {
-    setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
-    setArchivedTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
+    const ids = new Set([
+      taskId,
+      ...getDescendants([...tasks, ...archivedTasks], taskId).map(task => task.id)
+    ]);
+    setTasks(prevTasks => prevTasks.filter(task => !ids.has(task.id)));
+    setArchivedTasks(prevTasks => prevTasks.filter(task => !ids.has(task.id)));
   };
 
+  // Open subtasks are completed along with their parent, as on the server
   const archiveTaskOptimistic = (taskId) => {
     const taskToArchive = tasks.find(task => task.id === taskId);
     if (taskToArchive) {
-      const archivedTask = { ...taskToArchive, archived: true, _optimistic: true };
-      setTasks(prevTasks => prevTasks.filter(task => task.id !== taskId));
-      setArchivedTasks(prevTasks => [archivedTask, ...prevTasks]);
+      const archived = [taskToArchive, ...getDescendants(tasks, taskId)]
+        .map(task => ({ ...task, archived: true, _optimistic: true }));
+      const ids = new Set(archived.map(task => task.id));
+      setTasks(prevTasks => prevTasks.filter(task => !ids.has(task.id)));
+      setArchivedTasks(prevTasks => [...archived, ...prevTasks]);
     }
   };
 
@@ -60,22 +227,88 @@ export const useTasks = selectedProject => {
     setArchivedTasks(originalArchived);
   };
 
+  // Track queued mutations and fold synced results into the server rows
+  useEffect(() => offlineSync.subscribe(({ pending: queued, synced }) => {
+    setPending(queued);
+    if (synced && synced.mutation.entity === 'task') {
+      setServerTasks(rows => (rows ? applySynced(rows, synced) : rows));
+    }
+  }), []);
+
+  // What's shown is always the server rows plus whatever hasn't synced yet
+  useEffect(() => {
+    if (!serverTasks) return;
+
+    // Manually ordered tasks follow the unordered ones, which stay newest first
+    const transformedTasks = applyOrder(
+      offlineSync.applyPending('task', serverTasks, pending).sort(byCreatedAtDesc),
+      { unkeyedFirst: true }
+    )
+      .map(transformTask)
+      .filter(task => matchesView(task, selectedProject, viewFilter, subprojectIds))
+      .filter(task => task.projectId === selectedProject || !hiddenProjectIds.includes(task.projectId));
+
+    setTasks(transformedTasks.filter(task => !task.archived));
+    setArchivedTasks(transformedTasks.filter(task => task.archived));
+  }, [serverTasks, pending, selectedProject, viewFilter, hiddenProjectIds, subprojectIds, now]);
+
+  // Bound filters are rebuilt whenever projects or labels change; only
+  // resubscribe when the expression itself does. The same goes for the
+  // sub-project list.
+  const filterKey = viewFilter ? JSON.stringify(viewFilter) : null;
+  const subprojectKey = subprojectIds.join(',');
+
   useEffect(() => {
     if (!user) {
+      setServerTasks(null);
       setTasks([]);
       setArchivedTasks([]);
       return;
     }
 
+    // A saved filter that doesn't parse (or hasn't loaded) shows nothing
+    const filterId = getFilterViewId(selectedProject);
+    const expression = filterKey ? JSON.parse(filterKey) : null;
+    const includedProjectIds = subprojectKey ? subprojectKey.split(',') : [];
+    if (filterId && !expression) {
+      setServerTasks([]);
+      return;
+    }
+
+    // Show the local mirror until the server answers
+    let hasServerRows = false;
+    let isCurrent = true;
+    offlineSync.getCachedRows('tasks', user.id).then(cached => {
+      if (isCurrent && !hasServerRows) setServerTasks(cached);
+    });
+
     // Build filters for the subscription
-    const filters = { archived: false };
+    const filters = {
+      archived: showsArchived(selectedProject),
+      withCompletedSubtasks: true
+    };
     
-    if (selectedProject && !collatedTasksExist(selectedProject)) {
+    // Label views load every open task and saved filters a superset of their
+    // matches; matchesView narrows them down
+    const labelId = getLabelViewId(selectedProject);
+    const personId = getPersonViewId(selectedProject);
+    if (filterId) {
+      filters.expression = expression;
+    } else if (personId) {
+      filters.assigneeId = personId;
+    } else if (selectedProject && !collatedTasksExist(selectedProject) && !labelId) {
       filters.projectId = selectedProject;
+      if (includedProjectIds.length > 0) {
+        filters.projectIds = [selectedProject, ...includedProjectIds];
+      }
     } else if (selectedProject === 'TODAY') {
       filters.dateFilter = 'TODAY';
     } else if (selectedProject === 'NEXT_7') {
       filters.dateFilter = 'NEXT_7';
+    } else if (selectedProject === 'OVERDUE') {
+      filters.dateFilter = 'OVERDUE';
+    } else if (selectedProject === 'UPCOMING') {
+      filters.dateFilter = 'UPCOMING';
     } else if (selectedProject === 'INBOX' || selectedProject === 0) {
       filters.projectId = '1';
     }
@@ -88,40 +321,20 @@ export const useTasks = selectedProject => {
     try {
       unsubscribeFunction = tasksService.subscribeToTasks(user.id, filters, (allTasks) => {
         console.log('Received tasks from native subscription:', allTasks.length);
-        
-        // Separate active and archived tasks
-        const activeTasks = allTasks.filter(task => !task.archived);
-        const archived = allTasks.filter(task => task.archived);
-        
-        // Apply client-side filtering for special collections
-        let filteredActiveTasks = activeTasks;
-        
-        if (selectedProject === 'NEXT_7') {
-          const today = new Date();
-          const nextWeek = new Date();
-          nextWeek.setDate(today.getDate() + 7);
-          
-          filteredActiveTasks = activeTasks.filter(task => {
-            if (!task.date) return false;
-            try {
-              const taskDate = new Date(task.date.split('/').reverse().join('-'));
-              return taskDate >= today && taskDate <= nextWeek;
-            } catch (e) {
-              return false;
-            }
-          });
-        } else if (selectedProject === 'INBOX' || selectedProject === 0) {
-          filteredActiveTasks = activeTasks.filter(task => !task.date || task.date === '');
-        }
+        hasServerRows = true;
+        setServerTasks(allTasks);
 
-        setTasks(filteredActiveTasks);
-        setArchivedTasks(archived);
+        // Tasks in this view that the server no longer returns are gone
+        offlineSync.cacheRows('tasks', user.id, allTasks, row =>
+          isInScope(row, selectedProject, expression, includedProjectIds)
+        );
       });
     } catch (error) {
       console.error('Error setting up subscription:', error);
     }
 
     return () => {
+      isCurrent = false;
       console.log('Unsubscribing from native Supabase subscription');
       if (unsubscribeFunction) {
         try {
@@ -131,7 +344,7 @@ export const useTasks = selectedProject => {
         }
       }
     };
-  }, [selectedProject, user]);
+  }, [selectedProject, user, filterKey, subprojectKey, today]);
 
   return { 
     tasks, 
@@ -144,16 +357,53 @@ export const useTasks = selectedProject => {
   };
 };
 
+// Most recently archived first
+const byArchivedAtDesc = (a, b) => String(b.archivedAt).localeCompare(String(a.archivedAt));
+
+/**
+ * The user's projects in order, with archived ones apart
+ */
 export const useProjects = () => {
   const [projects, setProjects] = useState([]);
+  const [archivedProjects, setArchivedProjects] = useState([]);
+  const [serverProjects, setServerProjects] = useState(null);
+  const [pending, setPending] = useState(() => offlineSync.getPending());
   const { user } = useAuth();
 
+  useEffect(() => offlineSync.subscribe(({ pending: queued, synced }) => {
+    setPending(queued);
+    if (synced && synced.mutation.entity === 'project') {
+      setServerProjects(rows => (rows ? applySynced(rows, synced) : rows));
+    }
+  }), []);
+
+  useEffect(() => {
+    if (!serverProjects) return;
+
+    // Pending creates are prepended; keep the server's oldest-first order
+    const merged = offlineSync.applyPending('project', serverProjects, pending);
+    const created = merged.filter(project => project._optimistic && !serverProjects.some(row => row.id === project.id));
+    const existing = merged.filter(project => !created.includes(project));
+
+    const ordered = applyOrder([...existing, ...created.reverse()]).map(transformProject);
+    setProjects(ordered.filter(project => !project.archivedAt));
+    setArchivedProjects(ordered.filter(project => project.archivedAt).sort(byArchivedAtDesc));
+  }, [serverProjects, pending]);
+
   useEffect(() => {
     if (!user) {
+      setServerProjects(null);
       setProjects([]);
+      setArchivedProjects([]);
       return;
     }
 
+    let hasServerRows = false;
+    let isCurrent = true;
+    offlineSync.getCachedRows('projects', user.id).then(cached => {
+      if (isCurrent && !hasServerRows) setServerProjects(cached);
+    });
+
     console.log('Setting up native Supabase projects subscription for user:', user.id);
     
     let unsubscribeFunction = null;
@@ -162,25 +412,16 @@ export const useProjects = () => {
       // Use native Supabase projects service
       unsubscribeFunction = projectsService.subscribeToProjects(user.id, (allProjects) => {
         console.log('Received projects from native subscription:', allProjects.length);
-        
-        // Transform for backward compatibility
-        const transformedProjects = allProjects.map(project => ({
-          ...project,
-          docId: project.id,
-          projectId: project.id,
-          taskCount: 0, // Will be calculated client-side if needed
-          userId: project.user_id,
-          createdAt: project.created_at,
-          updatedAt: project.updated_at
-        }));
-        
-        setProjects(transformedProjects);
+        hasServerRows = true;
+        setServerProjects(allProjects);
+        offlineSync.cacheRows('projects', user.id, allProjects);
       });
     } catch (error) {
       console.error('Error setting up projects subscription:', error);
     }
 
     return () => {
+      isCurrent = false;
       console.log('Unsubscribing from native Supabase projects subscription');
       if (unsubscribeFunction) {
         try {
@@ -192,5 +433,952 @@ export const useProjects = () => {
     };
   }, [user]);
 
-  return { projects, setProjects };
+  const archivedProjectIds = useMemo(
+    () => archivedProjects.map(project => project.projectId),
+    [archivedProjects]
+  );
+
+  return { projects, setProjects, archivedProjects, archivedProjectIds };
+};
+
+export const useLabels = () => {
+  const [labels, setLabels] = useState([]);
+  const [serverLabels, setServerLabels] = useState(null);
+  const [pending, setPending] = useState(() => offlineSync.getPending());
+  const { user } = useAuth();
+
+  useEffect(() => offlineSync.subscribe(({ pending: queued, synced }) => {
+    setPending(queued);
+    if (synced && synced.mutation.entity === 'label') {
+      setServerLabels(rows => (rows ? applySynced(rows, synced) : rows));
+    }
+  }), []);
+
+  useEffect(() => {
+    if (!serverLabels) return;
+    setLabels(sortLabels(offlineSync.applyPending('label', serverLabels, pending)));
+  }, [serverLabels, pending]);
+
+  useEffect(() => {
+    if (!user) {
+      setServerLabels(null);
+      setLabels([]);
+      return;
+    }
+
+    let hasServerRows = false;
+    let isCurrent = true;
+    offlineSync.getCachedRows('labels', user.id).then(cached => {
+      if (isCurrent && !hasServerRows) setServerLabels(cached);
+    });
+
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = labelsService.subscribeToLabels(user.id, (allLabels) => {
+        hasServerRows = true;
+        setServerLabels(allLabels);
+        offlineSync.cacheRows('labels', user.id, allLabels);
+      });
+    } catch (error) {
+      console.error('Error setting up labels subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from labels:', error);
+        }
+      }
+    };
+  }, [user]);
+
+  /**
+   * IDs for label names, creating the labels that don't exist yet
+   * @param {string[]} names
+   * @returns {Promise<string[]>}
+   */
+  const ensureLabels = useCallback(async names => {
+    const known = [...labels];
+    const ids = [];
+
+    // One at a time, so a create is queued before tasks that use it
+    await names.reduce((previous, name) => previous.then(async () => {
+      let label = findLabelByName(known, name);
+      if (!label) {
+        label = { id: generatePushId(), name, color: pickLabelColor(name), userId: user.id };
+        await offlineSync.createLabel(label);
+        known.push(label);
+      }
+      if (!ids.includes(label.id)) ids.push(label.id);
+    }), Promise.resolve());
+
+    return ids;
+  }, [labels, user]);
+
+  return { labels, ensureLabels };
+};
+
+const transformFilter = filter => ({
+  ...filter,
+  userId: filter.user_id,
+  createdAt: filter.created_at,
+  updatedAt: filter.updated_at
+});
+
+const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+
+/**
+ * Saved filters, see lib/filter-language
+ */
+export const useFilters = () => {
+  const [filters, setFilters] = useState([]);
+  const [serverFilters, setServerFilters] = useState(null);
+  const [pending, setPending] = useState(() => offlineSync.getPending());
+  const { user } = useAuth();
+
+  useEffect(() => offlineSync.subscribe(({ pending: queued, synced }) => {
+    setPending(queued);
+    if (synced && synced.mutation.entity === 'filter') {
+      setServerFilters(rows => (rows ? applySynced(rows, synced) : rows));
+    }
+  }), []);
+
+  useEffect(() => {
+    if (!serverFilters) return;
+    setFilters(
+      offlineSync.applyPending('filter', serverFilters, pending).map(transformFilter).sort(byName)
+    );
+  }, [serverFilters, pending]);
+
+  useEffect(() => {
+    if (!user) {
+      setServerFilters(null);
+      setFilters([]);
+      return;
+    }
+
+    let hasServerRows = false;
+    let isCurrent = true;
+    offlineSync.getCachedRows('filters', user.id).then(cached => {
+      if (isCurrent && !hasServerRows) setServerFilters(cached);
+    });
+
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = filtersService.subscribeToFilters(user.id, (allFilters) => {
+        hasServerRows = true;
+        setServerFilters(allFilters);
+        offlineSync.cacheRows('filters', user.id, allFilters);
+      });
+    } catch (error) {
+      console.error('Error setting up filters subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from filters:', error);
+        }
+      }
+    };
+  }, [user]);
+
+  return { filters };
+};
+
+const transformPerson = person => ({
+  ...person,
+  userId: person.user_id,
+  linkedUserId: person.linked_user_id || null,
+  createdAt: person.created_at,
+  updatedAt: person.updated_at
+});
+
+/**
+ * The user's people directory, see lib/people
+ * @returns {{ people: Object[], addPerson: Function }}
+ */
+export const usePeople = () => {
+  const [people, setPeople] = useState([]);
+  const [serverPeople, setServerPeople] = useState(null);
+  const [pending, setPending] = useState(() => offlineSync.getPending());
+  const { user } = useAuth();
+
+  useEffect(() => offlineSync.subscribe(({ pending: queued, synced }) => {
+    setPending(queued);
+    if (synced && synced.mutation.entity === 'person') {
+      setServerPeople(rows => (rows ? applySynced(rows, synced) : rows));
+    }
+  }), []);
+
+  useEffect(() => {
+    if (!serverPeople) return;
+    setPeople(sortPeople(offlineSync.applyPending('person', serverPeople, pending).map(transformPerson)));
+  }, [serverPeople, pending]);
+
+  useEffect(() => {
+    if (!user) {
+      setServerPeople(null);
+      setPeople([]);
+      return;
+    }
+
+    let hasServerRows = false;
+    let isCurrent = true;
+    offlineSync.getCachedRows('people', user.id).then(cached => {
+      if (isCurrent && !hasServerRows) setServerPeople(cached);
+    });
+
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = peopleService.subscribeToPeople(user.id, (allPeople) => {
+        hasServerRows = true;
+        setServerPeople(allPeople);
+        offlineSync.cacheRows('people', user.id, allPeople);
+      });
+    } catch (error) {
+      console.error('Error setting up people subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from people:', error);
+        }
+      }
+    };
+  }, [user]);
+
+  /**
+   * Add someone to the directory
+   * @param {{name: string, email?: string}} details
+   * @returns {Promise<string>} Their ID
+   */
+  const addPerson = useCallback(async ({ name, email = null }) => {
+    const id = generatePushId();
+    await offlineSync.createPerson({ id, name: name.trim(), email, userId: user.id });
+    return id;
+  }, [user]);
+
+  return { people, addPerson };
+};
+
+const transformSection = section => ({
+  ...section,
+  projectId: section.project_id,
+  userId: section.user_id,
+  createdAt: section.created_at,
+  updatedAt: section.updated_at
+});
+
+/**
+ * A project's sections in order, see lib/sections
+ * @param {string|null} projectId - null for views that aren't a project
+ */
+export const useSections = (projectId) => {
+  const [sections, setSections] = useState([]);
+  const [serverSections, setServerSections] = useState(null);
+  const [pending, setPending] = useState(() => offlineSync.getPending());
+  const { user } = useAuth();
+
+  useEffect(() => offlineSync.subscribe(({ pending: queued, synced }) => {
+    setPending(queued);
+    if (synced && synced.mutation.entity === 'section') {
+      setServerSections(rows => (rows ? applySynced(rows, synced) : rows));
+    }
+  }), []);
+
+  useEffect(() => {
+    if (!serverSections) {
+      setSections([]);
+      return;
+    }
+    // Pending creates may be for other projects
+    const merged = offlineSync.applyPending('section', serverSections, pending)
+      .filter(section => section.project_id === projectId);
+    setSections(applyOrder(merged).map(transformSection));
+  }, [serverSections, pending, projectId]);
+
+  useEffect(() => {
+    setServerSections(null);
+    if (!user || !projectId) return undefined;
+
+    const isInProject = row => row.project_id === projectId;
+    let hasServerRows = false;
+    let isCurrent = true;
+    offlineSync.getCachedRows('sections', user.id).then(cached => {
+      if (isCurrent && !hasServerRows) setServerSections(cached.filter(isInProject));
+    });
+
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = sectionsService.subscribeToSections(user.id, projectId, (projectSections) => {
+        // The initial load can land after switching projects
+        if (!isCurrent) return;
+        hasServerRows = true;
+        setServerSections(projectSections);
+        offlineSync.cacheRows('sections', user.id, projectSections, isInProject);
+      });
+    } catch (error) {
+      console.error('Error setting up sections subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from sections:', error);
+        }
+      }
+    };
+  }, [user, projectId]);
+
+  return { sections };
+};
+
+/**
+ * Archive and restore projects as undoable steps
+ * Archived projects keep their tasks, which are hidden from every view until
+ * the project is restored.
+ * @returns {{ archiveProject: Function, restoreProject: Function }}
+ */
+export const useProjectArchive = () => {
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+
+  const setArchived = useCallback(async (project, archived) => {
+    const change = {
+      id: project.projectId,
+      before: { archivedAt: project.archivedAt || null },
+      after: { archivedAt: archived ? new Date().toISOString() : null }
+    };
+
+    try {
+      await offlineSync.updateProject(change.id, change.after);
+      record(
+        batchUpdateCommand({
+          entity: 'project',
+          changes: [change],
+          label: archived ? 'Archive project' : 'Restore project'
+        }),
+        `Project "${project.name}" ${archived ? 'archived' : 'restored'}`
+      );
+    } catch (error) {
+      console.error('Error archiving project:', error);
+      showError(`Failed to ${archived ? 'archive' : 'restore'} project. Please try again.`);
+    }
+  }, [record, showError]);
+
+  return {
+    archiveProject: useCallback(project => setArchived(project, true), [setArchived]),
+    restoreProject: useCallback(project => setArchived(project, false), [setArchived])
+  };
+};
+
+/**
+ * Members and open invitations of a shared project, kept live
+ * @param {string|null} projectId
+ * @returns {{ members: Object[], invitations: Object[], isLoading: boolean }}
+ */
+export const useProjectMembers = (projectId) => {
+  const [state, setState] = useState({ members: [], invitations: [], isLoading: true });
+  const { user } = useAuth();
+
+  useEffect(() => {
+    setState({ members: [], invitations: [], isLoading: true });
+    if (!user || !projectId) return undefined;
+
+    let isCurrent = true;
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = membersService.subscribeToMembers(projectId, ({ members, invitations }) => {
+        if (isCurrent) setState({ members, invitations, isLoading: false });
+      });
+    } catch (error) {
+      console.error('Error setting up members subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from members:', error);
+        }
+      }
+    };
+  }, [user, projectId]);
+
+  return state;
+};
+
+/**
+ * History of a task, see lib/task-detail
+ * Only the server has it: tasks that haven't synced yet have none, and it
+ * can't be loaded offline.
+ * @param {*} taskId
+ * @returns {{ activity: Object[], isLoading: boolean, isUnavailable: boolean }}
+ */
+export const useTaskActivity = (taskId) => {
+  const [state, setState] = useState({ activity: [], isLoading: true, isUnavailable: false });
+  const { user } = useAuth();
+
+  useEffect(() => {
+    if (!user || !taskId || isTempId(taskId)) {
+      setState({ activity: [], isLoading: false, isUnavailable: Boolean(taskId) });
+      return undefined;
+    }
+    setState({ activity: [], isLoading: true, isUnavailable: false });
+
+    let isCurrent = true;
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = activityService.subscribeToTaskActivity(
+        taskId,
+        activity => {
+          if (isCurrent) setState({ activity, isLoading: false, isUnavailable: false });
+        },
+        () => {
+          if (isCurrent) setState(current => ({ ...current, isLoading: false, isUnavailable: true }));
+        }
+      );
+    } catch (error) {
+      console.error('Error setting up task activity subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from task activity:', error);
+        }
+      }
+    };
+  }, [user, taskId]);
+
+  return state;
+};
+
+const transformComment = comment => ({
+  ...comment,
+  taskId: comment.task_id,
+  userId: comment.user_id,
+  userEmail: comment.user_email || null,
+  createdAt: comment.created_at,
+  updatedAt: comment.updated_at
+});
+
+/**
+ * A task's comments, oldest first, see lib/comments
+ * Tasks that haven't synced yet can already be commented on; the comments
+ * are sent after the task.
+ * @param {*} taskId
+ * @returns {{ comments: Object[], addComment: Function }}
+ */
+export const useTaskComments = (taskId) => {
+  const [comments, setComments] = useState([]);
+  const [serverComments, setServerComments] = useState(null);
+  const [pending, setPending] = useState(() => offlineSync.getPending());
+  const { user } = useAuth();
+
+  useEffect(() => offlineSync.subscribe(({ pending: queued, synced }) => {
+    setPending(queued);
+    if (synced && synced.mutation.entity === 'comment') {
+      setServerComments(rows => (rows ? applySynced(rows, synced) : rows));
+    }
+  }), []);
+
+  useEffect(() => {
+    if (!serverComments) {
+      setComments([]);
+      return;
+    }
+    // Pending comments may be on other tasks
+    const merged = offlineSync.applyPending('comment', serverComments, pending)
+      .filter(comment => comment.task_id === taskId);
+    setComments(sortComments(merged.map(transformComment)));
+  }, [serverComments, pending, taskId]);
+
+  useEffect(() => {
+    setServerComments(null);
+    if (!user || !taskId) return undefined;
+    if (isTempId(taskId)) {
+      setServerComments([]);
+      return undefined;
+    }
+
+    const isOnTask = row => row.task_id === taskId;
+    let hasServerRows = false;
+    let isCurrent = true;
+    offlineSync.getCachedRows('comments', user.id).then(cached => {
+      if (isCurrent && !hasServerRows) setServerComments(cached.filter(isOnTask));
+    });
+
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = commentsService.subscribeToComments(taskId, (taskComments) => {
+        // The initial load can land after switching tasks
+        if (!isCurrent) return;
+        hasServerRows = true;
+        setServerComments(taskComments);
+        offlineSync.cacheRows('comments', user.id, taskComments, isOnTask);
+      });
+    } catch (error) {
+      console.error('Error setting up comments subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from comments:', error);
+        }
+      }
+    };
+  }, [user, taskId]);
+
+  /**
+   * Post a comment as the current user
+   * @param {string} body - Markdown
+   * @returns {Promise<string>} Its ID
+   */
+  const addComment = useCallback(async (body) => {
+    const id = generatePushId();
+    await offlineSync.createComment({ id, taskId, userId: user.id, body: body.trim() });
+    return id;
+  }, [user, taskId]);
+
+  return { comments, addComment };
+};
+
+const attachmentManager = createAttachmentManager({
+  storage: attachmentStorage,
+  records: attachmentsService,
+  createId: generatePushId
+});
+
+const transformAttachment = attachment => ({
+  ...attachment,
+  taskId: attachment.task_id,
+  userId: attachment.user_id,
+  mimeType: attachment.mime_type,
+  createdAt: attachment.created_at
+});
+
+/**
+ * The user's files on a task, with URLs to open them by, see lib/attachments
+ * Like the task's history they're only on the server: tasks that haven't
+ * synced yet have none, and they can't be loaded offline.
+ * @param {*} taskId
+ * @returns {{ attachments: Object[], isLoading: boolean, isUnavailable: boolean, removeAttachment: Function }}
+ */
+export const useTaskAttachments = (taskId) => {
+  const [state, setState] = useState({ attachments: [], isLoading: true, isUnavailable: false });
+  const { user } = useAuth();
+  const { showError } = useNotifications();
+
+  useEffect(() => {
+    if (!user || !taskId || isTempId(taskId)) {
+      setState({ attachments: [], isLoading: false, isUnavailable: Boolean(taskId) });
+      return undefined;
+    }
+    setState({ attachments: [], isLoading: true, isUnavailable: false });
+
+    let isCurrent = true;
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = attachmentsService.subscribeToAttachments(
+        taskId,
+        async rows => {
+          const attachments = await attachmentManager.withUrls(rows.map(transformAttachment));
+          if (isCurrent) setState({ attachments, isLoading: false, isUnavailable: false });
+        },
+        () => {
+          if (isCurrent) setState(current => ({ ...current, isLoading: false, isUnavailable: true }));
+        }
+      );
+    } catch (error) {
+      console.error('Error setting up attachments subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from attachments:', error);
+        }
+      }
+    };
+  }, [user, taskId]);
+
+  const removeAttachment = useCallback(async (attachment) => {
+    try {
+      await attachmentManager.remove(attachment);
+    } catch (error) {
+      console.error('Error removing attachment:', error);
+      showError('Failed to remove the file. Please try again.');
+    }
+  }, [showError]);
+
+  return { ...state, removeAttachment };
+};
+
+/**
+ * Upload files to a task, from a drop or a file picker
+ * Files for a task that hasn't synced yet wait for it, as long as the page
+ * stays open.
+ * @returns {{ attachFiles: Function, uploading: number }} Files in flight
+ */
+export const useAttachFiles = () => {
+  const [uploading, setUploading] = useState(0);
+  const { user } = useAuth();
+  const { showSuccess, showError } = useNotifications();
+
+  /**
+   * @param {*} taskId - Temp IDs are fine
+   * @param {File[]} files
+   * @returns {Promise<number>} How many were attached
+   */
+  const attachFiles = useCallback(async (taskId, files) => {
+    if (!user) return 0;
+    const valid = files.filter(file => {
+      const problem = validateAttachment(file);
+      if (problem) showError(problem);
+      return !problem;
+    });
+    if (valid.length === 0) return 0;
+
+    setUploading(count => count + valid.length);
+    let attached = 0;
+    try {
+      const serverId = await offlineSync.whenSynced(taskId);
+      // One at a time, so a large batch doesn't saturate the connection
+      await valid.reduce((previous, file) => previous.then(async () => {
+        try {
+          await attachmentManager.upload(file, { taskId: serverId, userId: user.id });
+          attached += 1;
+        } catch (error) {
+          console.error('Error attaching file:', error);
+          showError(`Couldn't attach ${file.name}. Check your connection and try again.`);
+        } finally {
+          setUploading(count => count - 1);
+        }
+      }), Promise.resolve());
+    } catch (error) {
+      console.error('Error attaching files:', error);
+      setUploading(count => count - valid.length);
+      showError('Files could not be attached because the task was not saved.');
+    }
+
+    if (attached > 0) showSuccess(`Attached ${attached} file${attached === 1 ? '' : 's'}`);
+    return attached;
+  }, [user, showSuccess, showError]);
+
+  return { attachFiles, uploading };
+};
+
+const hasReminders = row => !row.archived && (row.reminders || []).length > 0;
+
+/**
+ * Fire reminders of the user's own open tasks, see lib/reminder-scheduler
+ * Each shows as an in-app notification and, once the user has allowed it,
+ * a system notification. Pending edits count; a reminder added offline to a
+ * task that had none is picked up once it syncs.
+ */
+export const useReminders = () => {
+  const [serverTasks, setServerTasks] = useState(null);
+  const [pending, setPending] = useState(() => offlineSync.getPending());
+  const { user } = useAuth();
+  const { showInfo } = useNotifications();
+  const schedulerRef = useRef(null);
+
+  const fire = useRef(null);
+  fire.current = ({ task, reminder, time }) => {
+    const due = task.dueDate ? ` (due ${formatDueDate(task.dueDate, task.dueTime)})` : '';
+    showInfo(`Reminder: ${task.task}${due}`, { persistent: true });
+
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      try {
+        const notification = new Notification('Reminder', {
+          body: `${task.task}${due}`,
+          tag: `${task.id}:${reminder.id}:${time}`
+        });
+        notification.onclick = () => window.focus();
+      } catch (error) {
+        // Some browsers only allow notifications from a service worker
+        console.error('Error showing notification:', error);
+      }
+    }
+  };
+
+  useEffect(() => offlineSync.subscribe(({ pending: queued, synced }) => {
+    setPending(queued);
+    if (synced && synced.mutation.entity === 'task') {
+      setServerTasks(rows => (rows ? applySynced(rows, synced) : rows));
+    }
+  }), []);
+
+  useEffect(() => {
+    setServerTasks(null);
+    if (!user) return undefined;
+
+    let hasServerRows = false;
+    let isCurrent = true;
+    // Stale rows could skip reminders set elsewhere, so only offline
+    if (!offlineSync.getStatus().online) {
+      offlineSync.getCachedRows('tasks', user.id).then(cached => {
+        if (isCurrent && !hasServerRows) setServerTasks(cached.filter(hasReminders));
+      });
+    }
+
+    let unsubscribeFunction = null;
+
+    try {
+      unsubscribeFunction = tasksService.subscribeToTasks(
+        user.id,
+        { archived: false, withReminders: true },
+        (rows) => {
+          hasServerRows = true;
+          if (isCurrent) setServerTasks(rows);
+        }
+      );
+    } catch (error) {
+      console.error('Error setting up reminders subscription:', error);
+    }
+
+    return () => {
+      isCurrent = false;
+      if (unsubscribeFunction) {
+        try {
+          unsubscribeFunction();
+        } catch (error) {
+          console.error('Error unsubscribing from reminders:', error);
+        }
+      }
+    };
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return undefined;
+    const scheduler = createReminderScheduler({
+      storageKey: `reminders:${user.id}`,
+      onFire: event => fire.current(event)
+    });
+    schedulerRef.current = scheduler;
+    return () => {
+      scheduler.stop();
+      schedulerRef.current = null;
+    };
+  }, [user]);
+
+  useEffect(() => {
+    // Until the tasks are in, missed reminders can't be told apart
+    if (!serverTasks || !schedulerRef.current) return;
+    const tasks = offlineSync.applyPending('task', serverTasks, pending)
+      .filter(row => hasReminders(row) && row.user_id === user.id)
+      .map(transformTask);
+    schedulerRef.current.update(tasks);
+  }, [serverTasks, pending, user]);
+};
+
+/**
+ * Web Push in this browser, see lib/push-notifications
+ * A subscription the browser already has is saved again for the signed-in
+ * user, which picks up renewed subscriptions and a changed time zone.
+ */
+export const usePushNotifications = () => {
+  const [isEnabled, setIsEnabled] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const { user } = useAuth();
+  const { showError } = useNotifications();
+  const isSupported = isPushSupported();
+
+  useEffect(() => {
+    setIsEnabled(false);
+    if (!user || !isSupported || Notification.permission !== 'granted') return undefined;
+
+    let isCurrent = true;
+    getPushSubscription()
+      .then(async (subscription) => {
+        if (!subscription) return;
+        await pushSubscriptionsService.saveSubscription(
+          toSubscriptionRecord(subscription, getLocalTimeZone())
+        );
+        if (isCurrent) setIsEnabled(true);
+      })
+      .catch(error => console.error('Error restoring push subscription:', error));
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [user, isSupported]);
+
+  const enable = useCallback(async () => {
+    setIsBusy(true);
+    try {
+      if (!(await requestNotificationPermission())) {
+        showError('Allow notifications for this site in your browser to turn them on');
+        return;
+      }
+      const subscription = await subscribeToPush();
+      await pushSubscriptionsService.saveSubscription(
+        toSubscriptionRecord(subscription, getLocalTimeZone())
+      );
+      setIsEnabled(true);
+    } catch (error) {
+      console.error('Error turning on push notifications:', error);
+      showError('Failed to turn on notifications');
+    } finally {
+      setIsBusy(false);
+    }
+  }, [showError]);
+
+  const disable = useCallback(async () => {
+    setIsBusy(true);
+    try {
+      const subscription = await getPushSubscription();
+      if (subscription) {
+        await pushSubscriptionsService.deleteSubscription(subscription.endpoint);
+        await subscription.unsubscribe();
+      }
+      setIsEnabled(false);
+    } catch (error) {
+      console.error('Error turning off push notifications:', error);
+      showError('Failed to turn off notifications');
+    } finally {
+      setIsBusy(false);
+    }
+  }, [showError]);
+
+  return { isSupported, isEnabled, isBusy, enable, disable };
+};
+
+/**
+ * Every task of a project, open and completed, loaded once; the local mirror
+ * stands in while offline
+ * @param {string|null} projectId
+ * @returns {Object[]|null} Null while loading
+ */
+export const useProjectTasks = (projectId) => {
+  const [tasks, setTasks] = useState(null);
+  const { user } = useAuth();
+
+  useEffect(() => {
+    setTasks(null);
+    if (!user || !projectId) return undefined;
+
+    let isCurrent = true;
+    tasksService.getTasksWithRelations(user.id, { projectId })
+      .catch(error => {
+        console.error('Error loading project tasks, using local copy:', error);
+        return offlineSync.getCachedRows('tasks', user.id);
+      })
+      .then(rows => {
+        if (!isCurrent) return;
+        setTasks(
+          offlineSync.applyPending('task', rows)
+            .filter(row => row.project_id === projectId)
+            .map(transformTask)
+        );
+      });
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [user, projectId]);
+
+  return tasks;
+};
+
+/**
+ * Drop target for moving tasks into a project (sidebar entries)
+ * Dragged tasks carry their subtasks along; a subtask dropped on its own
+ * leaves its parent behind and becomes a top-level task.
+ * @param {string} projectId
+ * @param {string} projectName
+ * @returns {{ isOver: boolean, dropProps: Object }}
+ */
+export const useTaskDropTarget = (projectId, projectName) => {
+  const [isOver, setIsOver] = useState(false);
+  const { record } = useHistory();
+  const { showError } = useNotifications();
+
+  const onDragOver = useCallback(e => {
+    if (!hasDragType(e, DRAG_TYPES.task)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setIsOver(true);
+  }, []);
+
+  const onDragLeave = useCallback(() => setIsOver(false), []);
+
+  const onDrop = useCallback(async e => {
+    setIsOver(false);
+    const dragged = getDragData(e, DRAG_TYPES.task);
+    if (!dragged) return;
+    e.preventDefault();
+    if (dragged.projectId === projectId) return;
+
+    const moved = [dragged, ...(dragged.descendants || [])];
+    const changes = moved.map(task => ({
+      id: task.id,
+      before: { projectId: task.projectId },
+      after: { projectId }
+    }));
+    if (dragged.parentTaskId) {
+      changes[0].before.parentTaskId = dragged.parentTaskId;
+      changes[0].after.parentTaskId = null;
+    }
+
+    // The dragged rows as they were, for conflict detection
+    const snapshotFor = id => {
+      const task = moved.find(candidate => candidate.id === id);
+      return {
+        updated_at: task.updatedAt,
+        project_id: task.projectId,
+        parent_task_id: task.parentTaskId || null
+      };
+    };
+
+    try {
+      await Promise.all(changes.map(({ id, after }) =>
+        offlineSync.updateTask(id, after, snapshotFor(id))
+      ));
+      record(
+        batchUpdateCommand({ entity: 'task', changes, label: 'Move task' }),
+        `Task moved to ${projectName}`
+      );
+    } catch (error) {
+      console.error('Error moving task:', error);
+      showError('Failed to move task. Please try again.');
+    }
+  }, [projectId, projectName, record, showError]);
+
+  return { isOver, dropProps: { onDragOver, onDragLeave, onDrop } };
 };
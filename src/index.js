@@ -1,6 +1,9 @@
 import React from 'react';
 import { render } from 'react-dom';
 import { App } from './App';
+import { registerServiceWorker } from './lib/push-notifications';
 import './styles/main.scss';
 
 render(<App />, document.getElementById('root'));
+
+registerServiceWorker();
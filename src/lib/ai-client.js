@@ -3,6 +3,8 @@
  * Provides a clean interface to server-side AI endpoints with error handling and retry logic
  */
 
+import { getLocalTimeZone, getToday, resolveDueDate, resolveDueTime } from './due-dates';
+
 // Configuration - Always use relative URLs for security
 const API_BASE_URL = '/api';
 
@@ -150,12 +152,20 @@ export const taskProcessor = {
       throw new AIClientError('User input is required and must be a string', AI_ERROR_TYPES.VALIDATION_ERROR);
     }
 
+    // Relative dates ("tomorrow") resolve against the user's own day and zone
+    const timeZone = getLocalTimeZone();
+    const context = {
+      today: getToday(timeZone),
+      timeZone,
+      ...options.context
+    };
+
     const response = await makeRequest(`${API_BASE_URL}/ai-task-processor`, {
       method: 'POST',
       body: JSON.stringify({
         userInput: userInput.trim(),
         feature: 'smart-parse',
-        context: options.context || {}
+        context
       }),
       timeout: options.timeout
     });
@@ -166,10 +176,18 @@ export const taskProcessor = {
       throw new AIClientError('Failed to parse task', AI_ERROR_TYPES.API_ERROR, null, data);
     }
 
+    // Older or model-generated responses may only carry free-text date/time;
+    // a time without a date means today (recurring tasks start on their first occurrence)
+    const dueTime = resolveDueTime(data.parsed?.dueTime || data.parsed?.time);
+    const dueDate = resolveDueDate(data.parsed?.dueDate || data.parsed?.date, context.today) ||
+      (dueTime && !data.parsed?.recurrence ? context.today : null);
+
     return {
       taskName: data.parsed?.taskName || userInput,
-      date: data.parsed?.date,
-      time: data.parsed?.time,
+      dueDate,
+      dueTime,
+      timeZone: data.parsed?.timeZone || timeZone,
+      recurrence: data.parsed?.recurrence || null,
       priority: data.parsed?.priority || 'medium',
       people: data.parsed?.people || [],
       category: data.parsed?.category || 'general',
@@ -288,7 +306,9 @@ export const taskProcessor = {
   /**
    * Get smart scheduling recommendations
    * @param {string} input - The task to schedule
-   * @param {Object} context - Additional context including existing tasks
+   * @param {Object} context - Additional context including existing tasks;
+   *   with `tasks` ({ id, task, priority, dueDate }), `today` and `load`
+   *   (open tasks per day) the response includes a day for each task
    * @returns {Promise<Object>} Scheduling recommendations
    */
   async getSmartScheduling(input, context = {}) {
@@ -319,6 +339,7 @@ export const taskProcessor = {
       conflicts: data.scheduling?.conflicts,
       bufferTime: data.scheduling?.bufferTime,
       reminders: data.recommendations?.reminders || [],
+      schedule: data.schedule || [],
       aiPowered: data.aiPowered || false
     };
   }
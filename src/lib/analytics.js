@@ -0,0 +1,285 @@
+/**
+ * Productivity analytics
+ * One dashboard shape, filled either from the get_user_analytics /
+ * get_productivity_insights SQL functions or computed here from raw task rows
+ * when those functions aren't installed. Both paths use the same definitions:
+ *
+ *   created    tasks created in the range
+ *   completed  tasks completed (archived) in the range, by updated_at
+ *   rates      share of tasks created in the range that are completed / AI enhanced
+ *
+ * Ranges are inclusive calendar days ({ from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }).
+ */
+
+import moment from 'moment';
+import { DUE_DATE_FORMAT } from './due-dates';
+
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+export const RANGE_PRESETS = [
+  { key: '7', label: '7 days', days: 7 },
+  { key: '30', label: '30 days', days: 30 },
+  { key: '90', label: '90 days', days: 90 },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDay = (timestamp) => moment(timestamp).format(DUE_DATE_FORMAT);
+
+const percentage = (part, total) =>
+  total > 0 ? Math.round((part / total) * 1000) / 10 : 0;
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// Most frequent value, ties resolved towards the smaller value like SQL mode()
+const mode = (values) => {
+  if (values.length === 0) return null;
+  const counts = {};
+  values.forEach((value) => {
+    counts[value] = (counts[value] || 0) + 1;
+  });
+  return Number(
+    Object.keys(counts).sort(
+      (a, b) => counts[b] - counts[a] || Number(a) - Number(b)
+    )[0]
+  );
+};
+
+/**
+ * The last `days` days up to and including today
+ * @param {number} days
+ * @param {moment.Moment|string} [today]
+ * @returns {{from: string, to: string}}
+ */
+export const getPresetRange = (days, today = moment()) => {
+  const to = moment(today).startOf('day');
+  return {
+    from: to
+      .clone()
+      .subtract(days - 1, 'days')
+      .format(DUE_DATE_FORMAT),
+    to: to.format(DUE_DATE_FORMAT),
+  };
+};
+
+/**
+ * Every day in a range, inclusive
+ * @param {{from: string, to: string}} range
+ * @returns {string[]}
+ */
+export const getRangeDays = ({ from, to }) => {
+  const days = [];
+  const end = moment(to, DUE_DATE_FORMAT);
+  for (
+    let day = moment(from, DUE_DATE_FORMAT);
+    !day.isAfter(end, 'day');
+    day.add(1, 'day')
+  ) {
+    days.push(day.format(DUE_DATE_FORMAT));
+  }
+  return days;
+};
+
+/**
+ * Earliest instant whose rows are needed to compute a range, including the
+ * two weeks completion velocity looks back over
+ * @param {{from: string, to: string}} range
+ * @returns {string} ISO timestamp
+ */
+export const getFetchStart = ({ from, to }) =>
+  moment
+    .min(
+      moment(from, DUE_DATE_FORMAT),
+      moment(to, DUE_DATE_FORMAT).subtract(13, 'days')
+    )
+    .startOf('day')
+    .toISOString();
+
+// Make sure the trend has an entry for every day in the range
+const fillTrend = (range, trend = []) => {
+  const byDay = {};
+  trend.forEach((point) => {
+    byDay[String(point.date).slice(0, 10)] = point;
+  });
+  return getRangeDays(range).map((date) => ({
+    date,
+    created: Number(byDay[date]?.created) || 0,
+    completed: Number(byDay[date]?.completed) || 0,
+  }));
+};
+
+const sortPriorities = (rows) =>
+  PRIORITIES.map(
+    (priority) =>
+      rows.find((row) => row.priority === priority) || {
+        priority,
+        total: 0,
+        completed: 0,
+      }
+  );
+
+const toNumberOrNull = (value) =>
+  value === null || value === undefined ? null : Number(value);
+
+/**
+ * Compute dashboard analytics from raw task rows
+ * @param {Object[]} tasks - Task rows (snake_case columns)
+ * @param {Object[]} projects - Project rows, used for names
+ * @param {{from: string, to: string}} range
+ * @returns {Object} Dashboard analytics
+ */
+export const computeAnalytics = (tasks, projects, range) => {
+  const inRange = (day) => day >= range.from && day <= range.to;
+  const projectNames = {};
+  (projects || []).forEach((project) => {
+    projectNames[project.id] = project.name;
+  });
+
+  const created = tasks.filter((task) => inRange(toDay(task.created_at)));
+  const completed = tasks.filter(
+    (task) => task.archived && inRange(toDay(task.updated_at))
+  );
+  const createdCompleted = created.filter((task) => task.archived);
+
+  const trendCounts = {};
+  created.forEach((task) => {
+    const day = toDay(task.created_at);
+    trendCounts[day] = trendCounts[day] || {
+      date: day,
+      created: 0,
+      completed: 0,
+    };
+    trendCounts[day].created += 1;
+  });
+  completed.forEach((task) => {
+    const day = toDay(task.updated_at);
+    trendCounts[day] = trendCounts[day] || {
+      date: day,
+      created: 0,
+      completed: 0,
+    };
+    trendCounts[day].completed += 1;
+  });
+
+  const groupBy = (key, label) => {
+    const groups = {};
+    created.forEach((task) => {
+      const id = task[key];
+      groups[id] = groups[id] || { ...label(id), total: 0, completed: 0 };
+      groups[id].total += 1;
+      if (task.archived) groups[id].completed += 1;
+    });
+    return Object.values(groups);
+  };
+
+  const byProject = groupBy('project_id', (projectId) => ({
+    projectId,
+    name: projectNames[projectId] || 'Inbox',
+  })).sort((a, b) => b.total - a.total);
+
+  const completionDays = completed.map(
+    (task) => (new Date(task.updated_at) - new Date(task.created_at)) / DAY_MS
+  );
+
+  // Velocity: completions per day in the last week of the range vs the week before
+  const allCompleted = tasks.filter((task) => task.archived);
+  const end = moment(range.to, DUE_DATE_FORMAT);
+  const countBetween = (startOffset, endOffset) =>
+    allCompleted.filter((task) => {
+      const daysBefore = end.diff(
+        moment(toDay(task.updated_at), DUE_DATE_FORMAT),
+        'days'
+      );
+      return daysBefore >= startOffset && daysBefore < endOffset;
+    }).length;
+
+  const aiCreated = created.filter((task) => task.ai_enhanced);
+
+  return {
+    range,
+    totals: {
+      created: created.length,
+      completed: completed.length,
+      completionRate: percentage(createdCompleted.length, created.length),
+      aiEnhancedRate: percentage(aiCreated.length, created.length),
+      averageCompletionDays:
+        completionDays.length > 0
+          ? round(
+              completionDays.reduce((sum, days) => sum + days, 0) /
+                completionDays.length,
+              1
+            )
+          : null,
+    },
+    trend: fillTrend(range, Object.values(trendCounts)),
+    byProject,
+    byPriority: sortPriorities(
+      groupBy('priority', (priority) => ({ priority }))
+    ),
+    insights: {
+      peakDay: mode(completed.map((task) => moment(task.updated_at).day())),
+      peakHour: mode(completed.map((task) => moment(task.updated_at).hour())),
+      velocity: round((countBetween(0, 7) - countBetween(7, 14)) / 7, 2),
+      aiSuccessRate: percentage(
+        aiCreated.filter((task) => task.archived).length,
+        aiCreated.length
+      ),
+    },
+  };
+};
+
+/**
+ * Map the SQL functions' output onto the dashboard shape
+ * @param {Object} analytics - get_user_analytics() result
+ * @param {Object} insights - get_productivity_insights() result
+ * @param {{from: string, to: string}} range
+ * @returns {Object} Dashboard analytics
+ */
+export const normalizeServerAnalytics = (analytics, insights, range) => {
+  const data = analytics || {};
+  const extra = insights || {};
+
+  return {
+    range,
+    totals: {
+      created: Number(data.total_tasks) || 0,
+      completed: Number(data.completed_tasks) || 0,
+      completionRate: Number(data.completion_rate) || 0,
+      aiEnhancedRate: Number(data.ai_enhanced_percentage) || 0,
+      averageCompletionDays: toNumberOrNull(data.average_completion_time_days),
+    },
+    trend: fillTrend(range, data.productivity_trend || []),
+    byProject: (data.tasks_by_project || []).map((row) => ({
+      projectId: row.project_id,
+      name: row.project_name,
+      total: Number(row.total) || 0,
+      completed: Number(row.completed) || 0,
+    })),
+    byPriority: sortPriorities(
+      (data.tasks_by_priority || []).map((row) => ({
+        priority: row.priority,
+        total: Number(row.total) || 0,
+        completed: Number(row.completed) || 0,
+      }))
+    ),
+    insights: {
+      peakDay: toNumberOrNull(extra.peak_productivity_day),
+      peakHour: toNumberOrNull(extra.peak_productivity_hour),
+      velocity: Number(extra.completion_velocity) || 0,
+      aiSuccessRate: Number(extra.ai_task_success_rate) || 0,
+    },
+  };
+};
+
+export default {
+  PRIORITIES,
+  RANGE_PRESETS,
+  getPresetRange,
+  getRangeDays,
+  getFetchStart,
+  computeAnalytics,
+  normalizeServerAnalytics,
+};
@@ -0,0 +1,111 @@
+/**
+ * Attachment storage
+ * Files attached to tasks are kept in a storage backend behind a small
+ * interface, so the rest of the app doesn't depend on Supabase Storage:
+ *
+ *   upload(path, file, { contentType }) → Promise<path>
+ *   remove(paths) → Promise
+ *   getUrl(path) → Promise<string> - a URL the browser can load
+ *
+ * Paths are `<user id>/<task id>/<file>`; the bucket's policies only let
+ * people reach their own folder (see supabase-complete-setup.sql). The
+ * file-system backend stands in for the bucket in tests.
+ */
+
+// Signed URLs only last this long; they're fetched each time a task is opened
+const SIGNED_URL_TTL_SECONDS = 60 * 60;
+
+/**
+ * The bytes of a File or Blob
+ * @param {Blob|Uint8Array} file
+ * @returns {Promise<Uint8Array>}
+ */
+export const readBytes = async (file) => {
+  if (file instanceof Uint8Array) return file;
+  if (typeof file.arrayBuffer === 'function') {
+    return new Uint8Array(await file.arrayBuffer());
+  }
+  // Older browsers (and jsdom) only read blobs through a FileReader
+  const buffer = await new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+  return new Uint8Array(buffer);
+};
+
+/**
+ * Supabase Storage backend; the bucket is private, so URLs are signed
+ * @param {Object} client - Supabase client
+ * @param {string} bucket
+ */
+export const createSupabaseStorage = (client, bucket) => ({
+  async upload(path, file, { contentType } = {}) {
+    const { error } = await client.storage
+      .from(bucket)
+      .upload(path, file, { contentType, upsert: false });
+
+    if (error) throw error;
+    return path;
+  },
+
+  async remove(paths) {
+    if (paths.length === 0) return;
+    const { error } = await client.storage.from(bucket).remove(paths);
+
+    if (error) throw error;
+  },
+
+  async getUrl(path) {
+    const { data, error } = await client.storage
+      .from(bucket)
+      .createSignedUrl(path, SIGNED_URL_TTL_SECONDS);
+
+    if (error) throw error;
+    return data.signedUrl;
+  },
+});
+
+/**
+ * Local file-system backend, e.g. for tests; Node's modules are passed in
+ * so the browser bundle never pulls them in
+ * @param {Object} options
+ * @param {Object} options.fs - fs.promises
+ * @param {Object} options.path - Node's path module
+ * @param {string} options.root - Directory standing in for the bucket
+ */
+export const createFileSystemStorage = ({ fs, path, root }) => {
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    // Keys come from file names users chose
+    if (!file.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage path: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    async upload(key, file) {
+      const target = resolve(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // Like the bucket, never overwrite
+      await fs.writeFile(target, await readBytes(file), { flag: 'wx' });
+      return key;
+    },
+
+    async remove(keys) {
+      await Promise.all(
+        keys.map((key) =>
+          fs.unlink(resolve(key)).catch((error) => {
+            if (error.code !== 'ENOENT') throw error;
+          })
+        )
+      );
+    },
+
+    async getUrl(key) {
+      return `file://${resolve(key)}`;
+    },
+  };
+};
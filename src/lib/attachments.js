@@ -0,0 +1,147 @@
+/**
+ * Attachments
+ * Files on a task: the file goes to attachment storage (see
+ * lib/attachment-storage) and a task_attachments row records it. Both belong
+ * to the person who uploaded them; nobody else sees them. Attaching needs a
+ * connection and a task the server knows about, so files for a task created
+ * offline wait until it has synced.
+ */
+
+export const ATTACHMENT_BUCKET = 'task-attachments';
+
+// Same limit as the bucket's
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+
+const SIZE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+/**
+ * Human-readable file size
+ * @param {number} bytes
+ * @returns {string}
+ */
+export const formatFileSize = (bytes) => {
+  let size = bytes || 0;
+  let unit = 0;
+  while (size >= 1024 && unit < SIZE_UNITS.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+  const rounded = unit === 0 || size >= 10 ? Math.round(size) : size.toFixed(1);
+  return `${rounded} ${SIZE_UNITS[unit]}`;
+};
+
+/**
+ * Why a file can't be attached
+ * @param {File} file
+ * @returns {string|null} Null when it can be
+ */
+export const validateAttachment = (file) => {
+  if (!file || !file.size) return `${file ? file.name : 'File'} is empty`;
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_SIZE)}`;
+  }
+  return null;
+};
+
+/**
+ * Whether an attachment can be previewed as an image
+ * @param {Object} attachment
+ * @returns {boolean}
+ */
+export const isImage = (attachment) =>
+  /^image\//.test(attachment.mimeType || '');
+
+/**
+ * A file name that's safe as the last part of a storage path
+ * @param {string} name
+ * @returns {string}
+ */
+export const toSafeFileName = (name) => {
+  const safe = (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/^[.-]+|-+$/g, '');
+  return safe || 'file';
+};
+
+/**
+ * Where an attachment's file is stored; the user's folder comes first, as
+ * the bucket's policies expect
+ * @param {Object} details
+ * @param {string} details.userId
+ * @param {*} details.taskId
+ * @param {string} details.id - Attachment ID
+ * @param {string} details.name - File name
+ * @returns {string}
+ */
+export const toStoragePath = ({ userId, taskId, id, name }) =>
+  `${userId}/${taskId}/${id}-${toSafeFileName(name)}`;
+
+/**
+ * Uploads and removals against a storage backend and the attachment records
+ * @param {Object} backends
+ * @param {Object} backends.storage - See lib/attachment-storage
+ * @param {Object} backends.records - createAttachment(row input) and
+ *   deleteAttachment(id), e.g. attachmentsService
+ * @param {Function} backends.createId
+ */
+export const createAttachmentManager = ({ storage, records, createId }) => ({
+  /**
+   * Attach a file to a task
+   * @param {File} file
+   * @param {Object} target
+   * @param {*} target.taskId - A server ID
+   * @param {string} target.userId
+   * @returns {Promise<Object>} The new task_attachments row
+   */
+  async upload(file, { taskId, userId }) {
+    const problem = validateAttachment(file);
+    if (problem) throw new Error(problem);
+
+    const id = createId();
+    const path = toStoragePath({ userId, taskId, id, name: file.name });
+    await storage.upload(path, file, {
+      contentType: file.type || 'application/octet-stream',
+    });
+
+    try {
+      return await records.createAttachment({
+        id,
+        taskId,
+        userId,
+        name: file.name,
+        path,
+        mimeType: file.type || null,
+        size: file.size,
+      });
+    } catch (error) {
+      // Don't leave a file nothing points at
+      await storage.remove([path]).catch(() => {});
+      throw error;
+    }
+  },
+
+  /**
+   * Remove an attachment and its file
+   * @param {Object} attachment
+   */
+  async remove(attachment) {
+    await records.deleteAttachment(attachment.id);
+    await storage.remove([attachment.path]);
+  },
+
+  /**
+   * Attachments with a `url` to open them by, or null where none could be had
+   * @param {Object[]} attachments
+   * @returns {Promise<Object[]>}
+   */
+  withUrls(attachments) {
+    return Promise.all(
+      attachments.map(async (attachment) => ({
+        ...attachment,
+        url: await storage.getUrl(attachment.path).catch(() => null),
+      }))
+    );
+  },
+});
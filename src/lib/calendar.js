@@ -0,0 +1,106 @@
+/**
+ * Calendar
+ * Day ranges for the Upcoming view's week strip and month grid. Days are
+ * YYYY-MM-DD strings like due_date, and weeks start on the locale's first day
+ * of the week.
+ */
+
+import moment from 'moment';
+import { DUE_DATE_FORMAT, toDueTime } from './due-dates';
+
+export const CALENDAR_MODES = { week: 'week', month: 'month' };
+
+const toMoment = (day) => moment(day, DUE_DATE_FORMAT);
+
+const daysBetween = (start, end) => {
+  const days = [];
+  for (let day = start.clone(); !day.isAfter(end, 'day'); day.add(1, 'day')) {
+    days.push(day.format(DUE_DATE_FORMAT));
+  }
+  return days;
+};
+
+/**
+ * The week containing a day
+ * @param {string} anchor - YYYY-MM-DD
+ * @returns {string[]} Seven days
+ */
+export const getWeekDays = (anchor) => {
+  const start = toMoment(anchor).startOf('week');
+  return daysBetween(start, start.clone().endOf('week'));
+};
+
+/**
+ * Whole weeks covering the month containing a day
+ * @param {string} anchor - YYYY-MM-DD
+ * @returns {Array<Array<{date: string, inMonth: boolean}>>} Four to six weeks
+ */
+export const getMonthGrid = (anchor) => {
+  const month = toMoment(anchor);
+  const days = daysBetween(
+    month.clone().startOf('month').startOf('week'),
+    month.clone().endOf('month').endOf('week')
+  );
+
+  const weeks = [];
+  days.forEach((date, index) => {
+    if (index % 7 === 0) weeks.push([]);
+    weeks[weeks.length - 1].push({
+      date,
+      inMonth: toMoment(date).isSame(month, 'month'),
+    });
+  });
+  return weeks;
+};
+
+/**
+ * Move a week or month back or forward
+ * @param {string} anchor - YYYY-MM-DD
+ * @param {'week'|'month'} mode
+ * @param {number} step - e.g. -1, 1
+ * @returns {string}
+ */
+export const shiftAnchor = (anchor, mode, step) =>
+  toMoment(anchor).add(step, mode).format(DUE_DATE_FORMAT);
+
+/**
+ * Heading for the range shown, e.g. "March 2024" or "10 – 16 Mar 2024"
+ * @param {string} anchor - YYYY-MM-DD
+ * @param {'week'|'month'} mode
+ * @returns {string}
+ */
+export const getRangeTitle = (anchor, mode) => {
+  if (mode === CALENDAR_MODES.month) {
+    return toMoment(anchor).format('MMMM YYYY');
+  }
+
+  const days = getWeekDays(anchor);
+  const start = toMoment(days[0]);
+  const end = toMoment(days[6]);
+  if (start.isSame(end, 'month')) {
+    return `${start.format('D')} – ${end.format('D MMM YYYY')}`;
+  }
+  return start.isSame(end, 'year')
+    ? `${start.format('D MMM')} – ${end.format('D MMM YYYY')}`
+    : `${start.format('D MMM YYYY')} – ${end.format('D MMM YYYY')}`;
+};
+
+/**
+ * Tasks by due date; all-day tasks first, then by time
+ * @param {Object[]} tasks - Tasks as shown in the UI (camelCase)
+ * @returns {Object<string, Object[]>}
+ */
+export const groupByDueDate = (tasks) => {
+  const groups = {};
+  tasks.forEach((task) => {
+    if (!task.dueDate) return;
+    if (!groups[task.dueDate]) groups[task.dueDate] = [];
+    groups[task.dueDate].push(task);
+  });
+
+  const timeKey = (task) => toDueTime(task.dueTime) || '';
+  Object.values(groups).forEach((group) =>
+    group.sort((a, b) => timeKey(a).localeCompare(timeKey(b)))
+  );
+  return groups;
+};
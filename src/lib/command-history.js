@@ -0,0 +1,124 @@
+/**
+ * Command history (undo/redo)
+ * Every user operation that can be reversed is recorded as a command:
+ *
+ *   { label, undo(context), redo(context) }
+ *
+ * Undo pops the newest command onto the redo stack; recording a new command
+ * clears the redo stack. Commands run one at a time.
+ *
+ * Undoing a delete recreates the task under a new ID, so commands never hold
+ * on to IDs directly: they go through `context.resolveId`, and a command that
+ * gives a task a new ID reports it with `context.replaceId(oldId, newId)`.
+ */
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Follow an ID through any replacements
+ * @param {Object} aliases - old ID → new ID
+ * @param {*} id
+ */
+export const followAliases = (aliases, id) => {
+  const seen = new Set();
+  let current = id;
+  while (aliases[current] !== undefined && !seen.has(current)) {
+    seen.add(current);
+    current = aliases[current];
+  }
+  return current;
+};
+
+/**
+ * Create a command history
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Commands kept for undo
+ * @param {Function} [options.onChange] - ({ canUndo, canRedo, undoLabel, redoLabel, running }) => void
+ */
+export const createCommandHistory = ({
+  limit = DEFAULT_LIMIT,
+  onChange = () => {},
+} = {}) => {
+  let past = [];
+  let future = [];
+  let aliases = {};
+  let running = false;
+
+  const getState = () => ({
+    canUndo: past.length > 0 && !running,
+    canRedo: future.length > 0 && !running,
+    undoLabel: past.length > 0 ? past[past.length - 1].label : null,
+    redoLabel: future.length > 0 ? future[future.length - 1].label : null,
+    running,
+  });
+
+  const emit = () => onChange(getState());
+
+  const context = {
+    resolveId: (id) => followAliases(aliases, id),
+    replaceId: (oldId, newId) => {
+      if (oldId !== newId) aliases = { ...aliases, [oldId]: newId };
+    },
+  };
+
+  // Move the newest command of one stack onto the other once it has run;
+  // a failed command stays where it was
+  const run = async (from, direction) => {
+    const stack = from === 'past' ? past : future;
+    const command = stack[stack.length - 1];
+    if (!command || running) return null;
+
+    running = true;
+    emit();
+    try {
+      await command[direction](context);
+      if (from === 'past') {
+        past = past.slice(0, -1);
+        future = [...future, command];
+      } else {
+        future = future.slice(0, -1);
+        past = [...past, command];
+      }
+      return command;
+    } finally {
+      running = false;
+      emit();
+    }
+  };
+
+  return {
+    getState,
+
+    resolveId: context.resolveId,
+
+    /**
+     * Record an operation that has just been performed
+     * @param {Object} command - { label, undo, redo }
+     * @returns {Object} The command, for isLatest()
+     */
+    record(command) {
+      past = [...past, command].slice(-limit);
+      future = [];
+      emit();
+      return command;
+    },
+
+    /**
+     * Whether a command is the next one undo() would reverse
+     */
+    isLatest: (command) => past[past.length - 1] === command,
+
+    undo: () => run('past', 'undo'),
+
+    redo: () => run('future', 'redo'),
+
+    clear() {
+      past = [];
+      future = [];
+      aliases = {};
+      emit();
+    },
+  };
+};
+
+export default createCommandHistory;
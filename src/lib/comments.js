@@ -0,0 +1,64 @@
+/**
+ * Comments
+ * Each task has a discussion thread of Markdown comments (task_comments, see
+ * supabase-complete-setup.sql). Everyone who can see a task can comment on
+ * it; only the author edits or deletes a comment.
+ */
+
+// Same limit as the task_comments body check
+export const MAX_COMMENT_LENGTH = 10000;
+
+// Saves within this long of posting don't count as edits
+const EDIT_GRACE_MS = 60 * 1000;
+
+/**
+ * Why a comment can't be posted as written
+ * @param {string} body
+ * @returns {string|null} Null when it can be
+ */
+export const validateComment = (body) => {
+  const text = (body || '').trim();
+  if (!text) return 'Write something first';
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return `Comments can be up to ${MAX_COMMENT_LENGTH.toLocaleString()} characters`;
+  }
+  return null;
+};
+
+/**
+ * Whether a comment was changed after it was posted
+ * @param {Object} comment
+ * @returns {boolean}
+ */
+export const isEdited = (comment) =>
+  Boolean(comment.createdAt && comment.updatedAt) &&
+  new Date(comment.updatedAt) - new Date(comment.createdAt) > EDIT_GRACE_MS;
+
+/**
+ * Whether a user may edit and delete a comment
+ * @param {Object} comment
+ * @param {string|null} userId
+ * @returns {boolean}
+ */
+export const canModifyComment = (comment, userId) =>
+  Boolean(userId) && comment.userId === userId;
+
+/**
+ * Oldest first, as a conversation reads
+ * @param {Object[]} comments
+ * @returns {Object[]}
+ */
+export const sortComments = (comments) =>
+  [...comments].sort(
+    (a, b) =>
+      new Date(a.createdAt) - new Date(b.createdAt) ||
+      String(a.id).localeCompare(String(b.id))
+  );
+
+/**
+ * Label for a task's comment count badge
+ * @param {number} count
+ * @returns {string}
+ */
+export const formatCommentCount = (count) =>
+  `${count} comment${count === 1 ? '' : 's'}`;
@@ -0,0 +1,89 @@
+/**
+ * Completed tasks
+ * Grouping for the Completed view and the cutoff used when purging. Tasks
+ * are grouped by the local calendar day of completed_at; rows completed
+ * before that column existed fall back to updated_at.
+ */
+
+import moment from 'moment';
+import { DUE_DATE_FORMAT } from './due-dates';
+
+export const PURGE_PRESETS = [7, 30, 90, 365];
+
+/**
+ * When a task was completed
+ * @param {Object} task
+ * @returns {string|null} ISO timestamp
+ */
+export const getCompletedAt = (task) =>
+  task.completedAt || task.completed_at || task.updated_at || null;
+
+/**
+ * Heading for a completion day
+ * @param {string} day - YYYY-MM-DD
+ * @param {moment.Moment} [today]
+ */
+export const formatCompletionDay = (day, today = moment()) => {
+  const date = moment(day, DUE_DATE_FORMAT);
+  const diff = today.clone().startOf('day').diff(date, 'days');
+
+  if (diff === 0) return 'Today';
+  if (diff === 1) return 'Yesterday';
+  if (date.year() === today.year()) return date.format('dddd, D MMMM');
+  return date.format('dddd, D MMMM YYYY');
+};
+
+/**
+ * Group completed tasks by day, newest first
+ * @param {Object[]} tasks
+ * @param {moment.Moment} [today]
+ * @returns {Array<{day: string, label: string, tasks: Object[]}>}
+ */
+export const groupByCompletionDay = (tasks, today = moment()) => {
+  const sorted = [...tasks].sort((a, b) =>
+    String(getCompletedAt(b) || '').localeCompare(
+      String(getCompletedAt(a) || '')
+    )
+  );
+
+  return sorted.reduce((groups, task) => {
+    const completedAt = getCompletedAt(task);
+    const day = completedAt
+      ? moment(completedAt).format(DUE_DATE_FORMAT)
+      : 'unknown';
+    const last = groups[groups.length - 1];
+
+    if (last && last.day === day) {
+      last.tasks.push(task);
+      return groups;
+    }
+    return [
+      ...groups,
+      {
+        day,
+        label: day === 'unknown' ? 'Earlier' : formatCompletionDay(day, today),
+        tasks: [task],
+      },
+    ];
+  }, []);
+};
+
+/**
+ * Start of the purge window: tasks completed before this are purged
+ * @param {number} days
+ * @param {moment.Moment} [now]
+ * @returns {string} ISO timestamp
+ */
+export const getPurgeCutoff = (days, now = moment()) =>
+  now.clone().subtract(days, 'days').toISOString();
+
+/**
+ * Completed tasks a purge would delete
+ * @param {Object[]} tasks
+ * @param {string} cutoff - ISO timestamp
+ */
+export const getPurgeable = (tasks, cutoff) =>
+  tasks.filter((task) => {
+    const completedAt = task.completedAt || task.completed_at;
+    return Boolean(completedAt) && moment(completedAt).isBefore(cutoff);
+  });
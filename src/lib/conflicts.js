@@ -0,0 +1,275 @@
+/**
+ * Task edit conflicts
+ * Updates carry the updated_at the client last saw plus the values it saw for
+ * the columns being changed (the "base"). When the row has moved on since,
+ * each changed column is compared three ways:
+ *
+ *   server === base   the other writer didn't touch it, ours applies
+ *   server === local  both made the same change
+ *   otherwise         a real conflict for the user to resolve
+ *
+ * Text fields marked `mergesText` are merged line by line first: edits to
+ * different lines both apply, and only edits to the same lines conflict.
+ */
+
+// Columns users edit, in display order, with their updateTask field
+export const CONFLICT_FIELDS = [
+  { column: 'task', field: 'task', label: 'Task' },
+  {
+    column: 'description',
+    field: 'description',
+    label: 'Description',
+    mergesText: true,
+  },
+  { column: 'project_id', field: 'projectId', label: 'Project' },
+  { column: 'due_date', field: 'dueDate', label: 'Due date' },
+  { column: 'due_time', field: 'dueTime', label: 'Due time' },
+  { column: 'due_timezone', field: 'timeZone', label: 'Time zone' },
+  { column: 'priority', field: 'priority', label: 'Priority' },
+  { column: 'archived', field: 'archived', label: 'Completed' },
+  { column: 'recurrence', field: 'recurrence', label: 'Repeat' },
+  { column: 'parent_task_id', field: 'parentTaskId', label: 'Parent task' },
+  { column: 'section_id', field: 'sectionId', label: 'Section' },
+  { column: 'assignee_id', field: 'assigneeId', label: 'Assignee' },
+  { column: 'reminders', field: 'reminders', label: 'Reminders' },
+  { column: 'collapsed', field: 'collapsed', label: 'Subtasks collapsed' },
+  { column: 'ai_enhanced', field: 'aiEnhanced', label: 'AI enhanced' },
+  { column: 'metadata', field: 'metadata', label: 'Details' },
+  { column: 'sort_order', field: 'sortOrder', label: 'Position' },
+];
+
+const DUE_COLUMNS = ['due_date', 'due_time', 'due_timezone'];
+
+const fieldFor = (column) =>
+  CONFLICT_FIELDS.find((field) => field.column === column);
+
+export class TaskConflictError extends Error {
+  /**
+   * @param {Object} details
+   * @param {*} details.taskId
+   * @param {Object} details.updates - The updateTask input that was rejected
+   * @param {Object} details.server - The task row as it is now
+   * @param {Object[]} details.conflicts - detectConflicts() output
+   */
+  constructor({ taskId, updates, server, conflicts }) {
+    super('Task was changed somewhere else');
+    this.name = 'TaskConflictError';
+    this.taskId = taskId;
+    this.updates = updates;
+    this.server = server;
+    this.conflicts = conflicts;
+  }
+}
+
+export const isTaskConflictError = (error) =>
+  error instanceof TaskConflictError || error?.name === 'TaskConflictError';
+
+// Postgres TIME comes back as HH:mm:ss while we write HH:mm
+const normalize = (column, value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (column === 'due_time') return String(value).slice(0, 5);
+  return value;
+};
+
+/**
+ * Compare column values, treating objects structurally
+ * @returns {boolean}
+ */
+export const sameValue = (column, a, b) => {
+  const left = normalize(column, a);
+  const right = normalize(column, b);
+  if (typeof left === 'object' || typeof right === 'object') {
+    return JSON.stringify(left) === JSON.stringify(right);
+  }
+  return String(left) === String(right);
+};
+
+// Longest common subsequence of two lists of lines, as [index in a, in b]
+const matchLines = (a, b) => {
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let left = 0;
+  let right = 0;
+  while (left < a.length && right < b.length) {
+    if (a[left] === b[right]) {
+      pairs.push([left, right]);
+      left += 1;
+      right += 1;
+    } else if (lengths[left + 1][right] >= lengths[left][right + 1]) {
+      left += 1;
+    } else {
+      right += 1;
+    }
+  }
+  return pairs;
+};
+
+// Base lines [start, end) that `changed` replaced with `lines`
+const changedHunks = (base, changed) => {
+  const hunks = [];
+  let i = 0;
+  let j = 0;
+  [...matchLines(base, changed), [base.length, changed.length]].forEach(
+    ([baseIndex, changedIndex]) => {
+      if (baseIndex > i || changedIndex > j) {
+        hunks.push({
+          start: i,
+          end: baseIndex,
+          lines: changed.slice(j, changedIndex),
+        });
+      }
+      i = baseIndex + 1;
+      j = changedIndex + 1;
+    }
+  );
+  return hunks;
+};
+
+const sameHunk = (a, b) =>
+  a.start === b.start &&
+  a.end === b.end &&
+  a.lines.join('\n') === b.lines.join('\n');
+
+/**
+ * Three-way merge of text, line by line
+ * @param {string} base - What both sides started from
+ * @param {string} local
+ * @param {string} server
+ * @returns {string|null} null when both changed the same lines differently
+ */
+export const mergeText = (base, local, server) => {
+  const toLines = (text) => (text ? String(text).split('\n') : []);
+  const baseLines = toLines(base);
+  const hunks = [
+    ...changedHunks(baseLines, toLines(local)),
+    ...changedHunks(baseLines, toLines(server)),
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // Edits to the same lines can't both apply, unless they're the same
+  const applied = [];
+  const clashes = hunks.some((hunk) => {
+    const last = applied[applied.length - 1];
+    if (last && sameHunk(last, hunk)) return false;
+    if (last && (hunk.start < last.end || hunk.start === last.start)) {
+      return true;
+    }
+    applied.push(hunk);
+    return false;
+  });
+  if (clashes) return null;
+
+  const merged = [];
+  let at = 0;
+  applied.forEach((hunk) => {
+    merged.push(...baseLines.slice(at, hunk.start), ...hunk.lines);
+    at = hunk.end;
+  });
+  merged.push(...baseLines.slice(at));
+  return merged.join('\n');
+};
+
+/**
+ * The values a row had for a set of columns
+ * @param {Object} row
+ * @param {Object} columns - Column changes being made
+ * @returns {Object}
+ */
+export const pickBase = (row, columns) =>
+  Object.keys(columns).reduce(
+    (base, column) => ({ ...base, [column]: row ? row[column] : undefined }),
+    {}
+  );
+
+const labelFor = (column) => fieldFor(column)?.label || column;
+
+/**
+ * Columns where our change and someone else's disagree
+ * @param {Object} columns - Our column changes
+ * @param {Object} [base] - Values we saw before changing; without it any
+ *   difference from the server counts
+ * @param {Object} server - Current row
+ * @returns {Array<{column, label, base, local, server}>}
+ */
+export const detectConflicts = (columns, base, server) =>
+  Object.keys(columns)
+    .filter((column) => {
+      const local = columns[column];
+      const current = server[column];
+      if (sameValue(column, current, local)) return false;
+      const hasBase = Boolean(base) && column in base;
+      if (!hasBase) return true;
+      if (sameValue(column, current, base[column])) return false;
+      return !(
+        fieldFor(column)?.mergesText &&
+        mergeText(base[column], local, current) !== null
+      );
+    })
+    .map((column) => ({
+      column,
+      label: labelFor(column),
+      base: base ? base[column] : undefined,
+      local: columns[column],
+      server: server[column],
+    }))
+    .sort(
+      (a, b) =>
+        CONFLICT_FIELDS.findIndex((field) => field.column === a.column) -
+        CONFLICT_FIELDS.findIndex((field) => field.column === b.column)
+    );
+
+/**
+ * Our updates with text both sides edited merged into the server's version
+ * @param {Object} updates - updateTask input
+ * @param {Object} [base] - Column values we saw before changing
+ * @param {Object} server - Current row
+ * @returns {Object} updateTask input
+ */
+export const mergeTextUpdates = (updates, base, server) =>
+  CONFLICT_FIELDS.filter(
+    ({ column, field, mergesText }) =>
+      mergesText && field in updates && Boolean(base) && column in base
+  ).reduce((merged, { column, field }) => {
+    const text = mergeText(base[column], updates[field], server[column]);
+    return text === null ? merged : { ...merged, [field]: text };
+  }, updates);
+
+/**
+ * updateTask input to write after the user picked a side for each conflict
+ * Due columns are written together, so keeping any of ours fills the rest in
+ * from the server row.
+ * @param {Object} columns - Our column changes
+ * @param {Object[]} conflicts
+ * @param {Object} choices - column → 'local' | 'server'
+ * @param {Object} server - Current row
+ * @returns {Object} Updates; empty when the server version wins throughout
+ */
+export const resolveConflicts = (columns, conflicts, choices, server) => {
+  const kept = { ...columns };
+  conflicts
+    .filter((conflict) => choices[conflict.column] === 'server')
+    .forEach((conflict) => {
+      delete kept[conflict.column];
+    });
+
+  if (DUE_COLUMNS.some((column) => column in kept)) {
+    DUE_COLUMNS.forEach((column) => {
+      if (!(column in kept)) kept[column] = server[column];
+    });
+  }
+
+  return Object.entries(kept).reduce((updates, [column, value]) => {
+    const definition = fieldFor(column);
+    return definition ? { ...updates, [definition.field]: value } : updates;
+  }, {});
+};
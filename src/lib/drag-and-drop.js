@@ -0,0 +1,77 @@
+/**
+ * Drag and drop helpers
+ * Tasks and projects are dragged with the native HTML5 API under their own
+ * MIME types, so drop targets can tell them apart during dragover (when only
+ * the types, not the data, are readable). Files dragged in from outside the
+ * page come as the browser's own `Files` type.
+ */
+
+export const DRAG_TYPES = {
+  task: 'application/x-todo-task',
+  project: 'application/x-todo-project',
+};
+
+/**
+ * Start dragging a row
+ * @param {DragEvent} event
+ * @param {string} type - One of DRAG_TYPES
+ * @param {Object} data - JSON-serialisable
+ */
+export const setDragData = (event, type, data) => {
+  event.dataTransfer.setData(type, JSON.stringify(data));
+  event.dataTransfer.effectAllowed = 'move';
+};
+
+/**
+ * @param {DragEvent} event
+ * @param {string} type
+ * @returns {boolean}
+ */
+export const hasDragType = (event, type) =>
+  Array.from(event.dataTransfer?.types || []).includes(type);
+
+/**
+ * Data set by setDragData; only readable on drop
+ * @param {DragEvent} event
+ * @param {string} type
+ * @returns {Object|null}
+ */
+export const getDragData = (event, type) => {
+  try {
+    const raw = event.dataTransfer.getData(type);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Where over a row the pointer is: its top or bottom edge, or (when
+ * `allowInside`) the middle half
+ * @param {DragEvent} event
+ * @param {Object} [options]
+ * @param {boolean} [options.allowInside]
+ * @returns {'before'|'after'|'inside'}
+ */
+export const getDropPosition = (event, { allowInside = false } = {}) => {
+  const rect = event.currentTarget.getBoundingClientRect();
+  const ratio = rect.height > 0 ? (event.clientY - rect.top) / rect.height : 0;
+
+  if (allowInside && ratio > 0.25 && ratio < 0.75) return 'inside';
+  return ratio < 0.5 ? 'before' : 'after';
+};
+
+/**
+ * Whether files from outside the page are being dragged
+ * @param {DragEvent} event
+ * @returns {boolean}
+ */
+export const hasFiles = (event) => hasDragType(event, 'Files');
+
+/**
+ * Files dropped on a target; only readable on drop
+ * @param {DragEvent} event
+ * @returns {File[]}
+ */
+export const getDroppedFiles = (event) =>
+  Array.from(event.dataTransfer?.files || []);
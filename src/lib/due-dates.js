@@ -0,0 +1,418 @@
+/**
+ * Due date model
+ * Tasks carry a typed due date in three columns instead of the old
+ * DD/MM/YYYY text column:
+ *
+ *   due_date      DATE  '2024-03-08'  calendar day, compared as ISO strings
+ *   due_time      TIME  '15:30'       optional wall-clock time
+ *   due_timezone  TEXT  'Europe/Zurich' IANA zone the date was chosen in
+ *
+ * This module is shared by the client and the AI API so natural language
+ * ("tomorrow at 3pm", "next friday", "5 march") resolves the same way in both.
+ */
+
+import moment from 'moment';
+
+export const DUE_DATE_FORMAT = 'YYYY-MM-DD';
+export const DUE_TIME_FORMAT = 'HH:mm';
+
+// The text column stored toLocaleDateString('en-GB')
+const LEGACY_DATE_FORMAT = 'DD/MM/YYYY';
+
+const WEEKDAYS = {
+  sunday: 0,
+  sun: 0,
+  monday: 1,
+  mon: 1,
+  tuesday: 2,
+  tue: 2,
+  tues: 2,
+  wednesday: 3,
+  wed: 3,
+  thursday: 4,
+  thu: 4,
+  thurs: 4,
+  friday: 5,
+  fri: 5,
+  saturday: 6,
+  sat: 6,
+};
+
+const MONTHS =
+  'january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sep|sept|oct|nov|dec';
+
+const NAMED_TIMES = {
+  morning: '09:00',
+  noon: '12:00',
+  afternoon: '14:00',
+  evening: '18:00',
+  tonight: '20:00',
+  night: '20:00',
+  midnight: '00:00',
+};
+
+/**
+ * The browser's (or server's) IANA time zone
+ * @returns {string}
+ */
+export const getLocalTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+const getZoneParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => {
+    values[type] = Number(value);
+  });
+  return values;
+};
+
+/**
+ * Today's calendar day, optionally in another time zone
+ * @param {string} [timeZone] - IANA zone, defaults to the local zone
+ * @param {Date} [now]
+ * @returns {string} YYYY-MM-DD
+ */
+export const getToday = (timeZone, now = new Date()) => {
+  if (timeZone) {
+    try {
+      const { year, month, day } = getZoneParts(now, timeZone);
+      return moment({ year, month: month - 1, day }).format(DUE_DATE_FORMAT);
+    } catch (error) {
+      // Unknown zone, fall through to local time
+    }
+  }
+  return moment(now).format(DUE_DATE_FORMAT);
+};
+
+/**
+ * Normalise anything date-like to a due_date string
+ * Accepts ISO dates and timestamps, legacy DD/MM/YYYY strings, Dates and moments.
+ * @param {*} value
+ * @returns {string|null} YYYY-MM-DD or null when it isn't a valid date
+ */
+export const toDueDate = (value) => {
+  if (!value) return null;
+
+  const parsed =
+    moment.isMoment(value) || value instanceof Date
+      ? moment(value)
+      : moment(
+          String(value).trim(),
+          [DUE_DATE_FORMAT, LEGACY_DATE_FORMAT, moment.ISO_8601],
+          true
+        );
+
+  return parsed.isValid() ? parsed.format(DUE_DATE_FORMAT) : null;
+};
+
+/**
+ * Normalise a time value to a due_time string
+ * @param {string} value - '15:30', '15:30:00' or '9:05'
+ * @returns {string|null} HH:mm
+ */
+export const toDueTime = (value) => {
+  if (!value) return null;
+  const parsed = moment(
+    String(value).trim(),
+    ['HH:mm:ss', 'HH:mm', 'H:mm:ss', 'H:mm'],
+    true
+  );
+  return parsed.isValid() ? parsed.format(DUE_TIME_FORMAT) : null;
+};
+
+const toReference = (today) =>
+  moment(toDueDate(today) || getToday(), DUE_DATE_FORMAT);
+
+// Upcoming day of the week, never today itself ("friday" said on a Friday means next week)
+const nextWeekday = (reference, weekday) => {
+  const days = (weekday - reference.day() + 7) % 7 || 7;
+  return reference.clone().add(days, 'days');
+};
+
+// A day without a year is the next time that day comes around
+const withUpcomingYear = (reference, month, day) => {
+  const candidate = moment({ year: reference.year(), month, day });
+  if (!candidate.isValid()) return null;
+  return candidate.isBefore(reference, 'day')
+    ? candidate.add(1, 'year')
+    : candidate;
+};
+
+const toMonthIndex = (token) => moment(token.slice(0, 3), 'MMM').month();
+
+/**
+ * Ordered list of date phrase matchers - each resolves against a reference day
+ */
+const DATE_MATCHERS = [
+  {
+    regex: /\b(?:on\s+)?(\d{4}-\d{2}-\d{2})\b/i,
+    resolve: (match) => moment(match[1], DUE_DATE_FORMAT, true),
+  },
+  {
+    regex: /\b(?:on\s+)?(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/i,
+    resolve: (match, reference) => {
+      const day = Number(match[1]);
+      const month = Number(match[2]) - 1;
+      if (!match[3]) return withUpcomingYear(reference, month, day);
+      const year =
+        match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+      return moment({ year, month, day });
+    },
+  },
+  {
+    regex: /\b(today|tonight)\b/i,
+    resolve: (match, reference) => reference.clone(),
+  },
+  {
+    regex: /\btomorrow\b/i,
+    resolve: (match, reference) => reference.clone().add(1, 'day'),
+  },
+  {
+    regex: /\bnext\s+(week|month|year)\b/i,
+    resolve: (match, reference) =>
+      match[1].toLowerCase() === 'week'
+        ? reference.clone().add(7, 'days')
+        : reference.clone().add(1, match[1].toLowerCase()),
+  },
+  {
+    regex: /\bin\s+(\d+)\s+(day|week|month)s?\b/i,
+    resolve: (match, reference) =>
+      reference.clone().add(Number(match[1]), match[2].toLowerCase()),
+  },
+  {
+    regex: new RegExp(
+      `\\b(?:on\\s+)?(?:the\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTHS})\\b`,
+      'i'
+    ),
+    resolve: (match, reference) =>
+      withUpcomingYear(reference, toMonthIndex(match[2]), Number(match[1])),
+  },
+  {
+    regex: new RegExp(
+      `\\b(?:on\\s+)?(${MONTHS})\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`,
+      'i'
+    ),
+    resolve: (match, reference) =>
+      withUpcomingYear(reference, toMonthIndex(match[1]), Number(match[2])),
+  },
+  {
+    regex: new RegExp(
+      `\\b(?:(?:on|next|this)\\s+)?(${Object.keys(WEEKDAYS).join('|')})\\b`,
+      'i'
+    ),
+    resolve: (match, reference) =>
+      nextWeekday(reference, WEEKDAYS[match[1].toLowerCase()]),
+  },
+];
+
+/**
+ * Find a due date phrase in free text
+ * @param {string} text - User input such as "Call Sarah tomorrow"
+ * @param {moment.Moment|string} [today] - Reference day, defaults to local today
+ * @returns {{dueDate: string, match: string}|null}
+ */
+export const parseDueDate = (text, today) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const reference = toReference(today);
+  let result = null;
+
+  DATE_MATCHERS.some((matcher) => {
+    const match = text.match(matcher.regex);
+    if (!match) return false;
+
+    const resolved = matcher.resolve(match, reference);
+    if (!resolved || !resolved.isValid()) return false;
+
+    result = { dueDate: resolved.format(DUE_DATE_FORMAT), match: match[0] };
+    return true;
+  });
+
+  return result;
+};
+
+/**
+ * Resolve a date phrase ("next friday") or date string to a due_date
+ * @param {string} text
+ * @param {moment.Moment|string} [today]
+ * @returns {string|null} YYYY-MM-DD
+ */
+export const resolveDueDate = (text, today) => {
+  if (!text) return null;
+  const parsed = parseDueDate(text, today);
+  return parsed ? parsed.dueDate : toDueDate(text);
+};
+
+/**
+ * Find a time phrase in free text ("3pm", "at 15:30", "in the morning")
+ * @param {string} text
+ * @returns {{dueTime: string, match: string}|null}
+ */
+export const parseDueTime = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const clock = text.match(
+    /\b(?:at\s+)?(\d{1,2})(?::(\d{2}))?\s*(am|pm)\b|\b(?:at\s+)?(\d{1,2}):(\d{2})\b/i
+  );
+  if (clock) {
+    const meridiem = clock[3] && clock[3].toLowerCase();
+    let hours = Number(clock[1] || clock[4]);
+    const minutes = Number(clock[2] || clock[5] || 0);
+
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+
+    if (hours < 24 && minutes < 60) {
+      return {
+        dueTime: moment({ hour: hours, minute: minutes }).format(
+          DUE_TIME_FORMAT
+        ),
+        match: clock[0],
+      };
+    }
+  }
+
+  const named = text.match(
+    new RegExp(
+      `\\b(?:in\\s+the\\s+|at\\s+)?(${Object.keys(NAMED_TIMES).join('|')})\\b`,
+      'i'
+    )
+  );
+  if (named) {
+    return { dueTime: NAMED_TIMES[named[1].toLowerCase()], match: named[0] };
+  }
+
+  return null;
+};
+
+/**
+ * Resolve a time phrase or time string to a due_time
+ * @param {string} text
+ * @returns {string|null} HH:mm
+ */
+export const resolveDueTime = (text) => {
+  if (!text) return null;
+  const parsed = parseDueTime(text);
+  return parsed ? parsed.dueTime : toDueTime(text);
+};
+
+/**
+ * The absolute instant a task is due
+ * Date-only tasks are due at the start of their day.
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {string|null} [dueTime] - HH:mm
+ * @param {string|null} [timeZone] - IANA zone, defaults to the local zone
+ * @returns {Date|null}
+ */
+export const getDueInstant = (dueDate, dueTime = null, timeZone = null) => {
+  const date = toDueDate(dueDate);
+  if (!date) return null;
+
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = (toDueTime(dueTime) || '00:00').split(':').map(Number);
+
+  if (!timeZone) {
+    return moment({ year, month: month - 1, day, hour, minute }).toDate();
+  }
+
+  try {
+    // Treat the wall-clock time as UTC, then correct by the zone's offset.
+    // The second pass handles days where the offset changes (DST).
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+    const offsetAt = (instant) => {
+      const parts = getZoneParts(new Date(instant), timeZone);
+      return (
+        Date.UTC(
+          parts.year,
+          parts.month - 1,
+          parts.day,
+          parts.hour,
+          parts.minute,
+          parts.second
+        ) - instant
+      );
+    };
+
+    const firstGuess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(firstGuess));
+  } catch (error) {
+    return moment({ year, month: month - 1, day, hour, minute }).toDate();
+  }
+};
+
+/**
+ * Whether a due date falls within the next `days` days, today included
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {number} days
+ * @param {moment.Moment|string} [today]
+ * @returns {boolean}
+ */
+export const isDueWithin = (dueDate, days, today) => {
+  const date = toDueDate(dueDate);
+  if (!date) return false;
+
+  const reference = toReference(today);
+  return (
+    date >= reference.format(DUE_DATE_FORMAT) &&
+    date <= reference.clone().add(days, 'days').format(DUE_DATE_FORMAT)
+  );
+};
+
+/**
+ * Human label for a due date, e.g. "Today 15:30", "Friday", "5 Mar 2025"
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {string|null} [dueTime] - HH:mm
+ * @param {moment.Moment|string} [today]
+ * @returns {string}
+ */
+export const formatDueDate = (dueDate, dueTime = null, today) => {
+  const date = toDueDate(dueDate);
+  if (!date) return '';
+
+  const reference = toReference(today);
+  const due = moment(date, DUE_DATE_FORMAT);
+  const diff = due.diff(reference, 'days');
+
+  let label;
+  if (diff === 0) label = 'Today';
+  else if (diff === 1) label = 'Tomorrow';
+  else if (diff === -1) label = 'Yesterday';
+  else if (diff > 1 && diff < 7) label = due.format('dddd');
+  else if (due.year() === reference.year()) label = due.format('D MMM');
+  else label = due.format('D MMM YYYY');
+
+  const time = toDueTime(dueTime);
+  return time ? `${label} ${time}` : label;
+};
+
+export default {
+  DUE_DATE_FORMAT,
+  DUE_TIME_FORMAT,
+  getLocalTimeZone,
+  getToday,
+  toDueDate,
+  toDueTime,
+  parseDueDate,
+  resolveDueDate,
+  parseDueTime,
+  resolveDueTime,
+  getDueInstant,
+  isDueWithin,
+  formatDueDate,
+};
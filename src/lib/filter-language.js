@@ -0,0 +1,379 @@
+/**
+ * Filter language
+ * Saved filters select tasks with an expression such as
+ *
+ *   (today | overdue) & p1 & #Work & !@waiting
+ *
+ * Terms:
+ *   today, tomorrow, overdue, no date   due date
+ *   7 days, next 7 days                 due within the next N days
+ *   p1, p2, p3                          priority high, medium, low
+ *   #Project                            in a project (by name)
+ *   @label                              has a label (by name)
+ *   recurring                           has a repeat rule
+ *   all                                 every task
+ *
+ * combined with `&` (and), `|` (or), `!` (not) and parentheses; `&` binds
+ * tighter than `|`. Names are matched case-insensitively and may contain
+ * spaces.
+ *
+ * A query is parsed once, then bound to the user's projects and labels.
+ * matchesFilter() evaluates a bound filter against a task (for realtime
+ * updates and the offline mirror); toServerFilter() turns it into a PostgREST
+ * condition for tasksService. The server condition may match more than the
+ * filter (labels and negations aren't pushed down) but never less, so views
+ * always run matchesFilter() over what the server returns.
+ */
+
+import moment from 'moment';
+import { DUE_DATE_FORMAT, isDueWithin } from './due-dates';
+import { findLabelByName } from './labels';
+
+const FILTER_VIEW_PREFIX = 'filter:';
+
+const OPERATORS = '&|!()';
+
+const PRIORITIES = { p1: 'high', p2: 'medium', p3: 'low' };
+
+const DATE_TERMS = {
+  today: 'today',
+  tomorrow: 'tomorrow',
+  overdue: 'overdue',
+  'no date': 'none',
+};
+
+export class FilterSyntaxError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} position - Offset in the query the problem starts at
+   */
+  constructor(message, position) {
+    super(message);
+    this.name = 'FilterSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * @param {string} filterId
+ * @returns {string} Selected project key for the filter's task list
+ */
+export const toFilterView = (filterId) => `${FILTER_VIEW_PREFIX}${filterId}`;
+
+/**
+ * @param {*} selectedProject
+ * @returns {string|null} Filter ID when a saved filter is selected
+ */
+export const getFilterViewId = (selectedProject) =>
+  typeof selectedProject === 'string' &&
+  selectedProject.startsWith(FILTER_VIEW_PREFIX)
+    ? selectedProject.slice(FILTER_VIEW_PREFIX.length)
+    : null;
+
+const tokenize = (query) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < query.length) {
+    const char = query[index];
+    if (/\s/.test(char)) {
+      index += 1;
+    } else if (OPERATORS.includes(char)) {
+      tokens.push({ type: char, position: index });
+      index += 1;
+    } else {
+      const start = index;
+      while (index < query.length && !OPERATORS.includes(query[index])) {
+        index += 1;
+      }
+      tokens.push({
+        type: 'term',
+        text: query.slice(start, index).trim(),
+        position: start,
+      });
+    }
+  }
+
+  return tokens;
+};
+
+const toTerm = ({ text, position }) => {
+  const lower = text.toLowerCase().replace(/\s+/g, ' ');
+
+  if (text.startsWith('#') || text.startsWith('@')) {
+    const name = text.slice(1).trim();
+    if (!name) {
+      throw new FilterSyntaxError(`Missing name after "${text[0]}"`, position);
+    }
+    return {
+      type: 'term',
+      kind: text.startsWith('#') ? 'project' : 'label',
+      name,
+      position,
+    };
+  }
+  if (DATE_TERMS[lower]) {
+    return { type: 'term', kind: 'date', value: DATE_TERMS[lower], position };
+  }
+  if (PRIORITIES[lower]) {
+    return {
+      type: 'term',
+      kind: 'priority',
+      value: PRIORITIES[lower],
+      position,
+    };
+  }
+
+  const days = lower.match(/^(?:next )?(\d{1,3}) days?$/);
+  if (days) {
+    return { type: 'term', kind: 'days', value: Number(days[1]), position };
+  }
+  if (lower === 'recurring' || lower === 'all') {
+    return { type: 'term', kind: lower, position };
+  }
+
+  throw new FilterSyntaxError(`Unknown term "${text}"`, position);
+};
+
+/**
+ * Parse a filter query
+ * @param {string} query
+ * @returns {Object} Expression tree: { type: 'and'|'or', children },
+ *   { type: 'not', child } or { type: 'term', kind, ... }
+ * @throws {FilterSyntaxError}
+ */
+export const parseFilter = (query) => {
+  const tokens = tokenize(query || '');
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const endPosition = (query || '').length;
+
+  const expect = (type) => {
+    const token = peek();
+    if (!token || token.type !== type) {
+      throw new FilterSyntaxError(
+        `Expected "${type}"`,
+        token ? token.position : endPosition
+      );
+    }
+    index += 1;
+  };
+
+  // Rules refer to each other through this table (parentheses recurse)
+  const rules = {};
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new FilterSyntaxError('Expected a term', endPosition);
+    }
+    if (token.type === '(') {
+      index += 1;
+      const inner = rules.or();
+      expect(')');
+      return inner;
+    }
+    if (token.type === 'term') {
+      index += 1;
+      return toTerm(token);
+    }
+    throw new FilterSyntaxError(`Unexpected "${token.type}"`, token.position);
+  };
+
+  const parseNot = () => {
+    if (peek() && peek().type === '!') {
+      index += 1;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parseSequence = (type, parseOperand) => {
+    const children = [parseOperand()];
+    while (peek() && peek().type === (type === 'and' ? '&' : '|')) {
+      index += 1;
+      children.push(parseOperand());
+    }
+    return children.length === 1 ? children[0] : { type, children };
+  };
+
+  rules.and = () => parseSequence('and', parseNot);
+  rules.or = () => parseSequence('or', rules.and);
+
+  const expression = rules.or();
+  if (peek()) {
+    throw new FilterSyntaxError(
+      peek().type === 'term'
+        ? `Expected "&" or "|" before "${peek().text}"`
+        : `Unexpected "${peek().type}"`,
+      peek().position
+    );
+  }
+  return expression;
+};
+
+/**
+ * Resolve project and label names to IDs; unknown names get a null ID and
+ * match nothing
+ * @param {Object} expression - parseFilter() output
+ * @param {Object} context
+ * @param {Object[]} context.projects - { projectId, name }
+ * @param {Object[]} context.labels - { id, name }
+ * @returns {Object}
+ */
+export const bindFilter = (expression, { projects = [], labels = [] }) => {
+  const bind = (node) => {
+    if (node.type === 'and' || node.type === 'or') {
+      return { ...node, children: node.children.map(bind) };
+    }
+    if (node.type === 'not') return { ...node, child: bind(node.child) };
+    if (node.kind === 'project') {
+      const project = projects.find(
+        (candidate) => candidate.name.toLowerCase() === node.name.toLowerCase()
+      );
+      return { ...node, id: project ? project.projectId : null };
+    }
+    if (node.kind === 'label') {
+      const label = findLabelByName(labels, node.name);
+      return { ...node, id: label ? label.id : null };
+    }
+    return node;
+  };
+  return bind(expression);
+};
+
+/**
+ * Project and label names a bound filter refers to that don't exist
+ * @param {Object} expression - bindFilter() output
+ * @returns {string[]} e.g. ['#Wrok', '@waitng']
+ */
+export const getUnresolvedNames = (expression) => {
+  if (expression.type === 'and' || expression.type === 'or') {
+    return expression.children.flatMap(getUnresolvedNames);
+  }
+  if (expression.type === 'not') return getUnresolvedNames(expression.child);
+  if (
+    (expression.kind === 'project' || expression.kind === 'label') &&
+    !expression.id
+  ) {
+    return [`${expression.kind === 'project' ? '#' : '@'}${expression.name}`];
+  }
+  return [];
+};
+
+const toToday = (today) =>
+  moment.isMoment(today) ? today.format(DUE_DATE_FORMAT) : today;
+
+const addDays = (today, days) =>
+  moment(today, DUE_DATE_FORMAT).add(days, 'days').format(DUE_DATE_FORMAT);
+
+const matchesTerm = (term, task, today) => {
+  switch (term.kind) {
+    case 'date':
+      if (term.value === 'none') return !task.dueDate;
+      if (term.value === 'overdue') {
+        return Boolean(task.dueDate) && task.dueDate < today;
+      }
+      return (
+        task.dueDate === (term.value === 'today' ? today : addDays(today, 1))
+      );
+    case 'days':
+      return isDueWithin(task.dueDate, term.value, today);
+    case 'priority':
+      return (task.priority || 'medium') === term.value;
+    case 'project':
+      return term.id !== null && task.projectId === term.id;
+    case 'label':
+      return term.id !== null && (task.labelIds || []).includes(term.id);
+    case 'recurring':
+      return Boolean(task.recurrence);
+    default:
+      return true;
+  }
+};
+
+/**
+ * Whether a task matches a bound filter
+ * @param {Object} expression - bindFilter() output
+ * @param {Object} task - Task as shown in the UI (camelCase)
+ * @param {Object} [options]
+ * @param {moment.Moment|string} [options.today]
+ * @returns {boolean}
+ */
+export const matchesFilter = (expression, task, { today = moment() } = {}) => {
+  const day = toToday(today);
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(evaluate);
+      case 'or':
+        return node.children.some(evaluate);
+      case 'not':
+        return !evaluate(node.child);
+      default:
+        return matchesTerm(node, task, day);
+    }
+  };
+  return evaluate(expression);
+};
+
+// PostgREST values are quoted so IDs and dates can't break the syntax
+const quote = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+const termCondition = (term, today) => {
+  switch (term.kind) {
+    case 'date':
+      if (term.value === 'none') return 'due_date.is.null';
+      if (term.value === 'overdue') return `due_date.lt.${quote(today)}`;
+      return `due_date.eq.${quote(
+        term.value === 'today' ? today : addDays(today, 1)
+      )}`;
+    case 'days':
+      return `and(due_date.gte.${quote(today)},due_date.lte.${quote(
+        addDays(today, term.value)
+      )})`;
+    case 'priority':
+      return `priority.eq.${quote(term.value)}`;
+    case 'project':
+      return term.id !== null ? `project_id.eq.${quote(term.id)}` : null;
+    case 'recurring':
+      return 'recurrence.not.is.null';
+    default:
+      // Labels live in task_labels; `all` needs no condition
+      return null;
+  }
+};
+
+/**
+ * PostgREST condition selecting (at least) the tasks a bound filter matches
+ * @param {Object} expression - bindFilter() output
+ * @param {Object} [options]
+ * @param {moment.Moment|string} [options.today]
+ * @returns {string|null} For `query.or()`; null when every task may match
+ */
+export const toServerFilter = (expression, { today = moment() } = {}) => {
+  const day = toToday(today);
+  const compile = (node) => {
+    switch (node.type) {
+      case 'and': {
+        const conditions = node.children.map(compile).filter(Boolean);
+        if (conditions.length === 0) return null;
+        return conditions.length === 1
+          ? conditions[0]
+          : `and(${conditions.join(',')})`;
+      }
+      case 'or': {
+        const conditions = node.children.map(compile);
+        return conditions.every(Boolean) ? `or(${conditions.join(',')})` : null;
+      }
+      case 'not':
+        // NULL due dates make negated conditions drop rows; leave it to
+        // matchesFilter
+        return null;
+      default:
+        return termCondition(node, day);
+    }
+  };
+  return compile(expression);
+};
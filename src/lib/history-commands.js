@@ -0,0 +1,352 @@
+/**
+ * Undoable task, project, filter, section, people and comment operations
+ * Builders for lib/command-history commands. Each is recorded after the
+ * operation itself has been queued, and replays it through offlineSync so
+ * undo and redo work offline too.
+ */
+
+import { offlineSync } from './offline-sync';
+import { TASK_ACTIONS, toDeleteOptions } from './project-deletion';
+
+/**
+ * createTask input that recreates a task as it was
+ * @param {Object} task - Task as shown in the UI
+ * @param {*} [parentTaskId] - Overrides the parent, for recreated subtasks
+ * @returns {Object}
+ */
+export const toTaskInput = (task, parentTaskId = task.parentTaskId) => ({
+  task: task.task,
+  description: task.description || null,
+  projectId: task.projectId,
+  dueDate: task.dueDate || null,
+  dueTime: task.dueTime || null,
+  timeZone: task.timeZone || null,
+  priority: task.priority,
+  userId: task.userId,
+  archived: Boolean(task.archived),
+  completedAt: task.completedAt || null,
+  aiEnhanced: Boolean(task.aiEnhanced),
+  metadata: task.metadata || {},
+  parentTaskId: parentTaskId || null,
+  recurrence: task.recurrence || null,
+  sortOrder: task.sort_order || null,
+  collapsed: Boolean(task.collapsed),
+  sectionId: task.sectionId || null,
+  assigneeId: task.assigneeId || null,
+  labelIds: task.labelIds || [],
+  reminders: task.reminders || [],
+});
+
+// Run promise-returning steps one after another
+const inSequence = (items, step) =>
+  items.reduce(
+    (previous, item) => previous.then(() => step(item)),
+    Promise.resolve()
+  );
+
+// Recreate a deleted task under new IDs, then its deleted subtasks below it
+const restoreTree = async (
+  original,
+  parentId,
+  descendants,
+  { resolveId, replaceId }
+) => {
+  const newId = await offlineSync.createTask(toTaskInput(original, parentId));
+  replaceId(resolveId(original.id), newId);
+
+  const children = descendants.filter(
+    (descendant) => descendant.parentTaskId === original.id
+  );
+  await inSequence(children, (child) =>
+    restoreTree(child, newId, descendants, { resolveId, replaceId })
+  );
+};
+
+/**
+ * @param {Object} details
+ * @param {*} details.id - ID the task was created under
+ * @param {Object} details.taskData - createTask input
+ */
+export const createTaskCommand = ({ id, taskData }) => ({
+  label: 'Add task',
+  undo: ({ resolveId }) => offlineSync.deleteTask(resolveId(id)),
+  redo: async ({ resolveId, replaceId }) => {
+    const newId = await offlineSync.createTask(taskData);
+    replaceId(resolveId(id), newId);
+  },
+});
+
+/**
+ * @param {Object} details
+ * @param {*} details.id
+ * @param {Object} details.before - updateTask input restoring the old values
+ * @param {Object} details.after - updateTask input that was applied
+ * @param {string} [details.label]
+ */
+export const updateTaskCommand = ({
+  id,
+  before,
+  after,
+  label = 'Edit task',
+}) => ({
+  label,
+  undo: ({ resolveId }) => offlineSync.updateTask(resolveId(id), before),
+  redo: ({ resolveId }) => offlineSync.updateTask(resolveId(id), after),
+});
+
+/**
+ * Moving is an edit of the task's project
+ * @param {Object} details
+ * @param {Object} details.task
+ * @param {string} details.projectId - Project moved to
+ */
+export const moveTaskCommand = ({ task, projectId }) =>
+  updateTaskCommand({
+    id: task.id,
+    before: { projectId: task.projectId },
+    after: { projectId },
+    label: 'Move task',
+  });
+
+/**
+ * Completing a recurring task also creates its next occurrence; undo takes
+ * that back out
+ * @param {Object} details
+ * @param {Object} details.task
+ * @param {Object} [details.nextTask] - createTask input of the next occurrence
+ * @param {*} [details.nextId] - ID the next occurrence was created under
+ */
+export const completeTaskCommand = ({
+  task,
+  nextTask = null,
+  nextId = null,
+}) => ({
+  label: 'Complete task',
+  undo: async ({ resolveId }) => {
+    await offlineSync.updateTask(resolveId(task.id), { archived: false });
+    if (nextId) await offlineSync.deleteTask(resolveId(nextId));
+  },
+  redo: async ({ resolveId, replaceId }) => {
+    await offlineSync.updateTask(resolveId(task.id), { archived: true });
+    if (nextTask) {
+      const newId = await offlineSync.createTask(nextTask);
+      replaceId(resolveId(nextId), newId);
+    }
+  },
+});
+
+/**
+ * Deleting a task cascades to its subtasks, so undo recreates the whole
+ * subtree under new IDs
+ * @param {Object} details
+ * @param {Object} details.task
+ * @param {Object[]} [details.descendants] - Subtasks at any depth
+ */
+export const deleteTaskCommand = ({ task, descendants = [] }) => ({
+  label: 'Delete task',
+  undo: (context) =>
+    restoreTree(
+      task,
+      task.parentTaskId ? context.resolveId(task.parentTaskId) : null,
+      descendants,
+      context
+    ),
+  redo: ({ resolveId }) => offlineSync.deleteTask(resolveId(task.id)),
+});
+
+/**
+ * Projects keep their client-generated ID when recreated. Undo brings the
+ * project row back, its sub-projects (which the delete moved to the top
+ * level) under it again, and its tasks: moved back, or recreated under new
+ * IDs when they were deleted along with it.
+ * @param {Object} details
+ * @param {Object} details.project
+ * @param {string[]} [details.subprojectIds] - Projects directly below it
+ * @param {Object} [details.options] - See lib/project-deletion toDeleteOptions
+ * @param {Object[]} [details.tasks] - Its tasks, open and completed
+ */
+export const deleteProjectCommand = ({
+  project,
+  subprojectIds = [],
+  options = {},
+  tasks = [],
+}) => ({
+  label: 'Delete project',
+  undo: async (context) => {
+    await offlineSync.createProject({
+      id: project.projectId,
+      name: project.name,
+      userId: project.userId,
+      sortOrder: project.sort_order,
+      color: project.color,
+      favorite: project.favorite,
+      layout: project.layout,
+      parentProjectId: project.parentProjectId,
+      collapsed: project.collapsed,
+      showSubprojectTasks: project.showSubprojectTasks,
+    });
+    await inSequence(subprojectIds, (id) =>
+      offlineSync.updateProject(id, { parentProjectId: project.projectId })
+    );
+
+    if (toDeleteOptions(options).taskAction === TASK_ACTIONS.delete) {
+      const ids = new Set(tasks.map((task) => task.id));
+      const roots = tasks.filter((task) => !ids.has(task.parentTaskId));
+      await inSequence(roots, (task) =>
+        restoreTree(
+          task,
+          task.parentTaskId ? context.resolveId(task.parentTaskId) : null,
+          tasks,
+          context
+        )
+      );
+      return;
+    }
+
+    // Their sections went with the project
+    await inSequence(tasks, (task) =>
+      offlineSync.updateTask(context.resolveId(task.id), {
+        projectId: project.projectId,
+      })
+    );
+  },
+  redo: () => offlineSync.deleteProject(project.projectId, options),
+});
+
+/**
+ * Saved filters, like projects, keep their client-generated ID when recreated
+ * @param {Object} details
+ * @param {Object} details.filter
+ */
+export const deleteFilterCommand = ({ filter }) => ({
+  label: 'Delete filter',
+  undo: () => offlineSync.createFilter(filter),
+  redo: () => offlineSync.deleteFilter(filter.id),
+});
+
+/**
+ * @param {Object} details
+ * @param {string} details.id
+ * @param {Object} details.before - updateFilter input restoring the old values
+ * @param {Object} details.after - updateFilter input that was applied
+ */
+export const updateFilterCommand = ({ id, before, after }) => ({
+  label: 'Edit filter',
+  undo: () => offlineSync.updateFilter(id, before),
+  redo: () => offlineSync.updateFilter(id, after),
+});
+
+/**
+ * Sections keep their client-generated ID when recreated; their tasks were
+ * moved out of the section by the delete, so undo moves them back
+ * @param {Object} details
+ * @param {Object} details.section
+ * @param {Array} [details.taskIds] - Top-level tasks that were in it
+ */
+export const deleteSectionCommand = ({ section, taskIds = [] }) => ({
+  label: 'Delete section',
+  undo: async ({ resolveId }) => {
+    await offlineSync.createSection({
+      id: section.id,
+      projectId: section.projectId,
+      name: section.name,
+      sortOrder: section.sort_order,
+      userId: section.userId,
+    });
+    await inSequence(taskIds, (id) =>
+      offlineSync.updateTask(resolveId(id), { sectionId: section.id })
+    );
+  },
+  redo: () => offlineSync.deleteSection(section.id),
+});
+
+/**
+ * People keep their client-generated ID when recreated; the delete left
+ * their tasks unassigned, so undo assigns them again
+ * @param {Object} details
+ * @param {Object} details.person
+ * @param {Array} [details.taskIds] - Tasks that were assigned to them
+ */
+export const deletePersonCommand = ({ person, taskIds = [] }) => ({
+  label: 'Delete person',
+  undo: async ({ resolveId }) => {
+    await offlineSync.createPerson({
+      id: person.id,
+      name: person.name,
+      email: person.email,
+      userId: person.userId,
+    });
+    await inSequence(taskIds, (id) =>
+      offlineSync.updateTask(resolveId(id), { assigneeId: person.id })
+    );
+  },
+  redo: () => offlineSync.deletePerson(person.id),
+});
+
+/**
+ * @param {Object} details
+ * @param {string} details.id
+ * @param {Object} details.before - updatePerson input restoring the old values
+ * @param {Object} details.after - updatePerson input that was applied
+ */
+export const updatePersonCommand = ({ id, before, after }) => ({
+  label: 'Edit person',
+  undo: () => offlineSync.updatePerson(id, before),
+  redo: () => offlineSync.updatePerson(id, after),
+});
+
+/**
+ * Comments keep their client-generated ID and their place in the thread
+ * when recreated
+ * @param {Object} details
+ * @param {Object} details.comment
+ */
+export const deleteCommentCommand = ({ comment }) => ({
+  label: 'Delete comment',
+  undo: ({ resolveId }) =>
+    offlineSync.createComment({
+      id: comment.id,
+      taskId: resolveId(comment.taskId),
+      userId: comment.userId,
+      body: comment.body,
+      createdAt: comment.createdAt,
+    }),
+  redo: () => offlineSync.deleteComment(comment.id),
+});
+
+/**
+ * @param {Object} details
+ * @param {string} details.id
+ * @param {Object} details.before - updateComment input restoring the old values
+ * @param {Object} details.after - updateComment input that was applied
+ */
+export const updateCommentCommand = ({ id, before, after }) => ({
+  label: 'Edit comment',
+  undo: () => offlineSync.updateComment(id, before),
+  redo: () => offlineSync.updateComment(id, after),
+});
+
+/**
+ * Several rows changing together, e.g. a drag and drop that rewrites sort
+ * keys and parents; undone and redone as one step
+ * @param {Object} details
+ * @param {'task'|'project'|'section'} details.entity
+ * @param {Array<{id, before: Object, after: Object}>} details.changes
+ * @param {string} details.label
+ */
+export const batchUpdateCommand = ({ entity, changes, label }) => {
+  const updaters = {
+    project: (id, updates) => offlineSync.updateProject(id, updates),
+    section: (id, updates) => offlineSync.updateSection(id, updates),
+    task: (id, updates) => offlineSync.updateTask(id, updates),
+  };
+  const update = updaters[entity];
+
+  return {
+    label,
+    undo: ({ resolveId }) =>
+      inSequence(changes, ({ id, before }) => update(resolveId(id), before)),
+    redo: ({ resolveId }) =>
+      inSequence(changes, ({ id, after }) => update(resolveId(id), after)),
+  };
+};
@@ -0,0 +1,97 @@
+/**
+ * Labels
+ * Tasks carry any number of labels, typed inline as `@name` when adding a
+ * task. Names are matched case-insensitively; a name that doesn't exist yet
+ * becomes a new label with a color picked from the name.
+ *
+ * A label's task list is selected like a project, under `label:<id>`.
+ */
+
+export const LABEL_COLORS = [
+  '#F87171',
+  '#FB923C',
+  '#FBBF24',
+  '#34D399',
+  '#2DD4BF',
+  '#60A5FA',
+  '#818CF8',
+  '#C084FC',
+  '#F472B6',
+  '#94A3B8',
+];
+
+const LABEL_VIEW_PREFIX = 'label:';
+
+// `@name` at the start or after whitespace, so e-mail addresses are left alone
+const LABEL_PATTERN = /(^|\s)@([\p{L}\p{N}_-]+)/gu;
+
+/**
+ * @param {string} labelId
+ * @returns {string} Selected project key for the label's task list
+ */
+export const toLabelView = (labelId) => `${LABEL_VIEW_PREFIX}${labelId}`;
+
+/**
+ * @param {*} selectedProject
+ * @returns {string|null} Label ID when a label's task list is selected
+ */
+export const getLabelViewId = (selectedProject) =>
+  typeof selectedProject === 'string' &&
+  selectedProject.startsWith(LABEL_VIEW_PREFIX)
+    ? selectedProject.slice(LABEL_VIEW_PREFIX.length)
+    : null;
+
+const toKey = (name) => name.trim().toLowerCase();
+
+/**
+ * Pull `@label` tokens out of task text
+ * @param {string} text
+ * @returns {{text: string, labels: string[]}} Remaining text and the label
+ *   names, de-duplicated in order of appearance
+ */
+export const parseLabels = (text) => {
+  const labels = [];
+  const remaining = (text || '').replace(
+    LABEL_PATTERN,
+    (match, space, name) => {
+      if (!labels.some((label) => toKey(label) === toKey(name))) {
+        labels.push(name);
+      }
+      return space;
+    }
+  );
+
+  return { text: remaining.replace(/\s+/g, ' ').trim(), labels };
+};
+
+/**
+ * Label with a name, ignoring case
+ * @param {Object[]} labels
+ * @param {string} name
+ * @returns {Object|undefined}
+ */
+export const findLabelByName = (labels, name) =>
+  labels.find((label) => toKey(label.name) === toKey(name));
+
+/**
+ * Stable color for a new label
+ * @param {string} name
+ * @returns {string}
+ */
+export const pickLabelColor = (name) => {
+  const hash = [...toKey(name)].reduce(
+    (sum, char) => (sum * 31 + char.codePointAt(0)) % 2147483647,
+    7
+  );
+  return LABEL_COLORS[hash % LABEL_COLORS.length];
+};
+
+/**
+ * Labels by name, for the sidebar and chips
+ * @param {Object[]} labels
+ * @returns {Object[]}
+ */
+export const sortLabels = (labels) =>
+  [...labels].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+  );
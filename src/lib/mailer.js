@@ -0,0 +1,128 @@
+/**
+ * Outgoing mail
+ * Messages go through a transport: a POST to REACT_APP_MAIL_ENDPOINT when
+ * one is configured, otherwise a local stand-in that keeps them in a
+ * mailbox in localStorage and logs them, so invitation links can still be
+ * followed during development.
+ */
+
+export const MAILBOX_KEY = 'mailbox';
+
+// The local mailbox keeps the most recent messages only
+const MAILBOX_LIMIT = 50;
+
+/**
+ * Local stand-in for mail delivery
+ * @param {Storage} [storage]
+ * @returns {{send: Function, list: Function, clear: Function}}
+ */
+export const createLocalMailbox = (storage = window.localStorage) => {
+  const list = () => {
+    try {
+      return JSON.parse(storage.getItem(MAILBOX_KEY)) || [];
+    } catch (error) {
+      return [];
+    }
+  };
+
+  return {
+    async send(message) {
+      storage.setItem(
+        MAILBOX_KEY,
+        JSON.stringify([message, ...list()].slice(0, MAILBOX_LIMIT))
+      );
+      console.info(
+        `Mail to ${message.to}: ${message.subject}\n\n${message.text}`
+      );
+      return message;
+    },
+    list,
+    clear() {
+      storage.removeItem(MAILBOX_KEY);
+    },
+  };
+};
+
+/**
+ * Transport posting messages as JSON to a mail-sending endpoint
+ * @param {string} endpoint
+ */
+export const createHttpTransport = (endpoint) => ({
+  async send(message) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+    });
+    if (!response.ok) {
+      throw new Error(`Mail delivery failed (${response.status})`);
+    }
+    return message;
+  },
+});
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = process.env.REACT_APP_MAIL_ENDPOINT
+      ? createHttpTransport(process.env.REACT_APP_MAIL_ENDPOINT)
+      : createLocalMailbox();
+  }
+  return transport;
+};
+
+/**
+ * Replace the transport, e.g. in tests
+ * @param {{send: Function}|null} next - null goes back to the default
+ */
+export const setMailTransport = (next) => {
+  transport = next;
+};
+
+/**
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @returns {Promise<Object>} The message as sent
+ */
+export const sendMail = ({ to, subject, text }) => {
+  if (!to) return Promise.reject(new Error('Mail needs a recipient'));
+  return getTransport().send({
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Invitation to join a shared project
+ * @param {Object} details
+ * @param {string} details.to
+ * @param {string} details.projectName
+ * @param {string} [details.inviterEmail]
+ * @param {string} details.roleName - e.g. "Can edit"
+ * @param {string} details.link - See lib/sharing getInvitationLink
+ * @returns {{to: string, subject: string, text: string}}
+ */
+export const buildInvitationEmail = ({
+  to,
+  projectName,
+  inviterEmail,
+  roleName,
+  link,
+}) => ({
+  to,
+  subject: `${inviterEmail || 'Someone'} shared "${projectName}" with you`,
+  text: [
+    `${
+      inviterEmail || 'Someone'
+    } invited you to the project "${projectName}" (${roleName.toLowerCase()}).`,
+    '',
+    `Open this link to join: ${link}`,
+    '',
+    'The invitation expires in 14 days.',
+  ].join('\n'),
+});
@@ -0,0 +1,175 @@
+/**
+ * Markdown
+ * Task descriptions (and anything else users write at length) are stored as
+ * Markdown and parsed here into a small tree that components/Markdown
+ * renders as React elements, so no HTML from the text ever reaches the page.
+ *
+ * Supported: # headings, paragraphs with line breaks, - and 1. lists,
+ * > quotes, ``` code blocks, --- rules, and inline **bold**, *italic*,
+ * `code` and [links](https://…). Links other than http(s) and mailto are
+ * shown as text.
+ */
+
+const FENCE = /^\s*```\s*([\w-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const BULLET = /^\s*[-*+]\s+(.*)$/;
+const NUMBERED = /^\s*\d+[.)]\s+(.*)$/;
+
+// Lines that end a paragraph
+const startsBlock = (line) =>
+  [FENCE, HEADING, RULE, QUOTE, BULLET, NUMBERED].some((pattern) =>
+    pattern.test(line)
+  );
+
+// Code spans first, so nothing inside them is parsed
+const INLINE =
+  /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s](?:[^*]*[^*\s])?)\*|\b_([^_\s](?:[^_]*[^_\s])?)_\b|\[([^\]]+)\]\(([^)\s]+)\)/g;
+
+/**
+ * Whether a link target is safe to open
+ * @param {string} href
+ * @returns {boolean}
+ */
+export const isSafeUrl = (href) => /^(https?:\/\/|mailto:)/i.test(href.trim());
+
+/**
+ * Inline nodes of a line of text
+ * @param {string} text
+ * @returns {Object[]} `text`, `code`, `strong`, `em` and `link` nodes
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let last = 0;
+  const pushText = (value) => {
+    if (!value) return;
+    const previous = nodes[nodes.length - 1];
+    if (previous && previous.type === 'text') {
+      previous.text += value;
+    } else {
+      nodes.push({ type: 'text', text: value });
+    }
+  };
+
+  text.replace(
+    INLINE,
+    (match, code, strong, strongAlt, em, emAlt, label, href, offset) => {
+      pushText(text.slice(last, offset));
+      last = offset + match.length;
+
+      if (code !== undefined) {
+        nodes.push({ type: 'code', text: code });
+      } else if (strong !== undefined || strongAlt !== undefined) {
+        nodes.push({
+          type: 'strong',
+          children: parseInline(strong !== undefined ? strong : strongAlt),
+        });
+      } else if (em !== undefined || emAlt !== undefined) {
+        nodes.push({
+          type: 'em',
+          children: parseInline(em !== undefined ? em : emAlt),
+        });
+      } else if (isSafeUrl(href)) {
+        nodes.push({ type: 'link', href, children: parseInline(label) });
+      } else {
+        pushText(label);
+      }
+      return match;
+    }
+  );
+  pushText(text.slice(last));
+  return nodes;
+};
+
+// Lines of a paragraph, with line breaks between them
+const parseLines = (lines) =>
+  lines.reduce(
+    (nodes, line, index) => [
+      ...nodes,
+      ...(index > 0 ? [{ type: 'break' }] : []),
+      ...parseInline(line.trim()),
+    ],
+    []
+  );
+
+/**
+ * Blocks of a Markdown document
+ * @param {string} source
+ * @returns {Object[]} `heading`, `paragraph`, `list`, `quote`, `code` and
+ *   `rule` blocks
+ */
+export const parseMarkdown = (source) => {
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  // Consecutive lines matching a pattern, as their captured text
+  const collect = (pattern) => {
+    const items = [];
+    while (index < lines.length && pattern.test(lines[index])) {
+      items.push(lines[index].match(pattern)[1]);
+      index += 1;
+    }
+    return items;
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const fence = line.match(FENCE);
+    const heading = line.match(HEADING);
+
+    if (!line.trim()) {
+      index += 1;
+    } else if (fence) {
+      // An unclosed fence runs to the end of the text
+      const code = [];
+      index += 1;
+      while (index < lines.length && !FENCE.test(lines[index])) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push({
+        type: 'code',
+        language: fence[1] || null,
+        text: code.join('\n'),
+      });
+    } else if (heading) {
+      index += 1;
+      blocks.push({
+        type: 'heading',
+        level: heading[1].length,
+        children: parseInline(heading[2]),
+      });
+    } else if (RULE.test(line)) {
+      index += 1;
+      blocks.push({ type: 'rule' });
+    } else if (QUOTE.test(line)) {
+      blocks.push({
+        type: 'quote',
+        children: parseMarkdown(collect(QUOTE).join('\n')),
+      });
+    } else if (BULLET.test(line) || NUMBERED.test(line)) {
+      const ordered = !BULLET.test(line);
+      blocks.push({
+        type: 'list',
+        ordered,
+        items: collect(ordered ? NUMBERED : BULLET).map(parseInline),
+      });
+    } else {
+      const paragraph = [];
+      while (
+        index < lines.length &&
+        lines[index].trim() &&
+        !startsBlock(lines[index])
+      ) {
+        paragraph.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'paragraph', children: parseLines(paragraph) });
+    }
+  }
+
+  return blocks;
+};
@@ -0,0 +1,421 @@
+/**
+ * Mutation queue (outbox)
+ * Create/update/delete mutations are recorded in order and replayed against
+ * the server one at a time. Tasks created offline get a temp ID; once their
+ * create succeeds the server ID is recorded in an ID map and every later
+ * mutation (including subtasks pointing at the task as parent) is remapped.
+ *
+ * A mutation looks like:
+ *   { seq, entity: 'task' | 'project', type: 'create' | 'update' | 'delete',
+ *     targetId, payload, queuedAt, expectedUpdatedAt?, base? }
+ *
+ * Updates may carry the row version they were made against (see lib/conflicts).
+ */
+
+export const TEMP_ID_PREFIX = 'temp-';
+
+// Payload fields that can reference a task, by entity
+const TASK_REFERENCE_FIELDS = {
+  task: ['parentTaskId'],
+  comment: ['taskId'],
+};
+
+const taskReferences = (mutation) =>
+  TASK_REFERENCE_FIELDS[mutation.entity] || [];
+
+// Keep the ID map bounded; old temp IDs stop appearing in the UI quickly
+const MAX_ID_MAP_ENTRIES = 200;
+
+let tempIdCounter = 0;
+
+/**
+ * Generate a temp ID, unique even when several are created in one tick
+ * @returns {string}
+ */
+export const createTempId = () => {
+  tempIdCounter += 1;
+  return `${TEMP_ID_PREFIX}${Date.now()}-${tempIdCounter}`;
+};
+
+/**
+ * @param {*} id
+ * @returns {boolean}
+ */
+export const isTempId = (id) =>
+  typeof id === 'string' && id.startsWith(TEMP_ID_PREFIX);
+
+/**
+ * Server ID for a temp ID once its create has synced, else the ID itself
+ * @param {*} id
+ * @param {Object} idMap - temp ID → server ID
+ */
+export const resolveId = (id, idMap = {}) =>
+  isTempId(id) && idMap[id] !== undefined ? idMap[id] : id;
+
+/**
+ * Replace synced temp IDs in a mutation's target and references
+ * @param {Object} mutation
+ * @param {Object} idMap
+ * @returns {Object}
+ */
+export const remapMutation = (mutation, idMap) => {
+  const payload = { ...mutation.payload };
+  taskReferences(mutation).forEach((field) => {
+    if (payload[field] !== undefined) {
+      payload[field] = resolveId(payload[field], idMap);
+    }
+  });
+  return {
+    ...mutation,
+    targetId: resolveId(mutation.targetId, idMap),
+    payload,
+  };
+};
+
+const sameTarget = (a, b) => a.entity === b.entity && a.targetId === b.targetId;
+
+const referencesTask = (mutation, taskId) =>
+  taskReferences(mutation).some(
+    (field) => mutation.payload?.[field] === taskId
+  );
+
+/**
+ * Drop a task's mutations along with those of subtasks created under it,
+ * mirroring the parent_task_id ON DELETE CASCADE
+ */
+const withoutTask = (queue, target) => {
+  const removed = queue.filter(
+    (mutation) =>
+      sameTarget(mutation, target) ||
+      (target.entity === 'task' && referencesTask(mutation, target.targetId))
+  );
+  const remaining = queue.filter((mutation) => !removed.includes(mutation));
+
+  return removed
+    .filter(
+      (mutation) => mutation.type === 'create' && !sameTarget(mutation, target)
+    )
+    .reduce((current, child) => withoutTask(current, child), remaining);
+};
+
+/**
+ * Add a mutation to the queue, folding it into pending ones where possible
+ * - updates to a task that hasn't been created yet merge into its create
+ * - consecutive updates to a row merge, keeping the first one's version
+ * - deleting a task that was never created drops its mutations entirely
+ * - deleting a task drops its pending updates
+ * @param {Object[]} queue
+ * @param {Object} mutation
+ * @param {number} [lockedSeq] - Mutation currently being sent, never rewritten
+ * @returns {Object[]} New queue
+ */
+export const addMutation = (queue, mutation, lockedSeq) => {
+  const isLocked = (pending) => pending.seq === lockedSeq;
+  const pendingCreate = queue.find(
+    (pending) =>
+      pending.type === 'create' &&
+      sameTarget(pending, mutation) &&
+      !isLocked(pending)
+  );
+
+  if (mutation.type === 'update' && pendingCreate) {
+    return queue.map((pending) =>
+      pending === pendingCreate
+        ? {
+            ...pending,
+            payload: { ...pending.payload, ...mutation.payload },
+          }
+        : pending
+    );
+  }
+
+  const pendingUpdate = queue.find(
+    (pending) =>
+      pending.type === 'update' &&
+      sameTarget(pending, mutation) &&
+      !isLocked(pending)
+  );
+
+  if (mutation.type === 'update' && pendingUpdate) {
+    return queue.map((pending) =>
+      pending === pendingUpdate
+        ? {
+            ...pending,
+            payload: { ...pending.payload, ...mutation.payload },
+            base:
+              pending.base || mutation.base
+                ? { ...mutation.base, ...pending.base }
+                : undefined,
+          }
+        : pending
+    );
+  }
+
+  if (mutation.type === 'delete' && pendingCreate) {
+    return withoutTask(queue, mutation);
+  }
+
+  if (mutation.type === 'delete') {
+    return [
+      ...queue.filter(
+        (pending) =>
+          !(
+            pending.type === 'update' &&
+            sameTarget(pending, mutation) &&
+            !isLocked(pending)
+          )
+      ),
+      mutation,
+    ];
+  }
+
+  return [...queue, mutation];
+};
+
+/**
+ * Apply pending mutations on top of server rows for display
+ * @param {Object[]} rows - Server rows
+ * @param {Object[]} queue - Pending mutations for one entity
+ * @param {Object} options
+ * @param {Function} options.toRow - Maps a mutation to row columns
+ * @param {Object} [options.idMap]
+ * @param {Function} [options.cascade] - (rows, mutation, previousRow) => rows,
+ *   for changes the server makes to other rows after an update (triggers)
+ * @returns {Object[]}
+ */
+export const applyMutations = (rows, queue, { toRow, idMap = {}, cascade }) =>
+  queue.reduce((current, pending) => {
+    const mutation = remapMutation(pending, idMap);
+    const { targetId } = mutation;
+
+    switch (mutation.type) {
+      case 'create':
+        if (current.some((row) => row.id === targetId)) return current;
+        return [
+          {
+            created_at: mutation.queuedAt,
+            updated_at: mutation.queuedAt,
+            ...toRow(mutation),
+            id: targetId,
+            _optimistic: true,
+          },
+          ...current,
+        ];
+      case 'update': {
+        const previous = current.find((row) => row.id === targetId);
+        const updated = current.map((row) =>
+          row.id === targetId
+            ? {
+                // updated_at stays the server's; it's the version later
+                // edits are checked against
+                ...row,
+                ...toRow(mutation),
+                _optimistic: true,
+              }
+            : row
+        );
+        return cascade && previous
+          ? cascade(updated, mutation, previous)
+          : updated;
+      }
+      case 'delete':
+        return current.filter((row) => row.id !== targetId);
+      default:
+        return current;
+    }
+  }, rows);
+
+/**
+ * Fold a synced mutation's server result into a set of server rows
+ * @param {Object[]} rows
+ * @param {{mutation: Object, result: *}} synced
+ * @returns {Object[]}
+ */
+export const applySynced = (rows, { mutation, result }) => {
+  switch (mutation.type) {
+    case 'create':
+      return result && !rows.some((row) => row.id === result.id)
+        ? [result, ...rows]
+        : rows;
+    case 'update':
+      return result
+        ? rows.map((row) => (row.id === result.id ? result : row))
+        : rows;
+    case 'delete':
+      return rows.filter((row) => row.id !== mutation.targetId);
+    default:
+      return rows;
+  }
+};
+
+/**
+ * After an update syncs, later updates to the same row know the values it
+ * wrote. Their version stays as it was, so changes made elsewhere in between
+ * are still caught as conflicts.
+ */
+const rebase = (queue, synced, result) =>
+  queue.map((pending) =>
+    pending.type === 'update' &&
+    pending.base &&
+    synced.type === 'update' &&
+    synced.base &&
+    result &&
+    sameTarget(pending, synced)
+      ? {
+          ...pending,
+          base: Object.keys(synced.base).reduce(
+            (base, column) =>
+              column in base ? { ...base, [column]: result[column] } : base,
+            pending.base
+          ),
+        }
+      : pending
+  );
+
+const trimIdMap = (idMap) => {
+  const entries = Object.entries(idMap);
+  return entries.length > MAX_ID_MAP_ENTRIES
+    ? Object.fromEntries(entries.slice(-MAX_ID_MAP_ENTRIES))
+    : idMap;
+};
+
+/**
+ * Create a persistent mutation queue
+ * @param {Object} options
+ * @param {Function} options.load - async () => saved state or null
+ * @param {Function} options.save - async (state) => void
+ * @param {Function} options.execute - async (mutation) => server result
+ * @param {Function} options.isRetryable - (error) => true to stop and retry later
+ * @param {Function} [options.onChange] - ({ pending, syncing, synced, failed, error }) => void
+ */
+export const createMutationQueue = ({
+  load,
+  save,
+  execute,
+  isRetryable,
+  onChange = () => {},
+}) => {
+  let state = { mutations: [], idMap: {}, nextSeq: 1 };
+  let inFlightSeq = null;
+  let flushing = null;
+
+  const ready = Promise.resolve(load()).then((saved) => {
+    if (saved) {
+      state = {
+        mutations: saved.mutations || [],
+        idMap: saved.idMap || {},
+        nextSeq: saved.nextSeq || 1,
+      };
+    }
+  });
+
+  const emit = (event = {}) =>
+    onChange({
+      pending: state.mutations,
+      idMap: state.idMap,
+      syncing: Boolean(flushing),
+      ...event,
+    });
+
+  const persist = () => save(state);
+
+  const replayNext = async () => {
+    const [next] = state.mutations;
+    if (!next) return;
+
+    inFlightSeq = next.seq;
+    const mutation = remapMutation(next, state.idMap);
+
+    let result;
+    try {
+      result = await execute(mutation);
+    } catch (error) {
+      inFlightSeq = null;
+      if (isRetryable(error)) {
+        emit({ error });
+        return;
+      }
+
+      // The server rejected it; retrying won't help. A failed create takes
+      // everything depending on its temp ID with it.
+      state = {
+        ...state,
+        mutations:
+          next.type === 'create'
+            ? withoutTask(state.mutations, next)
+            : state.mutations.filter((pending) => pending.seq !== next.seq),
+      };
+      await persist();
+      emit({ failed: { mutation, error } });
+      await replayNext();
+      return;
+    }
+
+    inFlightSeq = null;
+    const idMap =
+      next.type === 'create' && isTempId(next.targetId) && result?.id
+        ? trimIdMap({ ...state.idMap, [next.targetId]: result.id })
+        : state.idMap;
+
+    state = {
+      ...state,
+      idMap,
+      mutations: rebase(
+        state.mutations.filter((pending) => pending.seq !== next.seq),
+        next,
+        result
+      ),
+    };
+    await persist();
+    emit({ synced: { mutation, result } });
+    await replayNext();
+  };
+
+  return {
+    ready,
+
+    getPending: () => state.mutations,
+
+    getIdMap: () => state.idMap,
+
+    /**
+     * Record a mutation; resolves once it's persisted
+     * @param {Object} mutation - { entity, type, targetId, payload }
+     */
+    async enqueue(mutation) {
+      await ready;
+      const queued = {
+        ...mutation,
+        payload: mutation.payload || {},
+        seq: state.nextSeq,
+        queuedAt: new Date().toISOString(),
+      };
+      state = {
+        ...state,
+        nextSeq: state.nextSeq + 1,
+        mutations: addMutation(state.mutations, queued, inFlightSeq),
+      };
+      await persist();
+      emit();
+      return queued;
+    },
+
+    /**
+     * Replay pending mutations in order; concurrent calls share one run
+     */
+    flush() {
+      if (!flushing) {
+        flushing = ready
+          .then(() => {
+            emit();
+            return replayNext();
+          })
+          .finally(() => {
+            flushing = null;
+            emit();
+          });
+      }
+      return flushing;
+    },
+  };
+};
@@ -0,0 +1,119 @@
+/**
+ * Offline store
+ * Thin promise wrapper over IndexedDB holding the local mirror of tasks,
+ * projects, labels, saved filters, sections, people and comments plus small
+ * records (the mutation outbox) in a `meta` store.
+ * Falls back to memory where IndexedDB isn't available (private mode, tests).
+ */
+
+const DB_NAME = 'ai-todoist';
+const DB_VERSION = 6;
+
+const KEY_PATHS = {
+  tasks: 'id',
+  projects: 'id',
+  labels: 'id',
+  filters: 'id',
+  sections: 'id',
+  people: 'id',
+  comments: 'id',
+  meta: 'key',
+};
+
+const memory = {
+  tasks: new Map(),
+  projects: new Map(),
+  labels: new Map(),
+  filters: new Map(),
+  sections: new Map(),
+  people: new Map(),
+  comments: new Map(),
+  meta: new Map(),
+};
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(KEY_PATHS).forEach(([name, keyPath]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath });
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, keeping data in memory');
+        resolve(null);
+      };
+    });
+  }
+
+  return databasePromise;
+};
+
+const transact = (db, storeName, mode, operation) =>
+  new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () =>
+      resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+export const offlineStore = {
+  async getAll(storeName) {
+    const db = await openDatabase();
+    if (!db) return Array.from(memory[storeName].values());
+    return transact(db, storeName, 'readonly', (store) => store.getAll());
+  },
+
+  async get(storeName, key) {
+    const db = await openDatabase();
+    if (!db) return memory[storeName].get(key) || null;
+    const value = await transact(db, storeName, 'readonly', (store) =>
+      store.get(key)
+    );
+    return value || null;
+  },
+
+  async putAll(storeName, values) {
+    const db = await openDatabase();
+    const keyPath = KEY_PATHS[storeName];
+    if (!db) {
+      values.forEach((value) => memory[storeName].set(value[keyPath], value));
+      return;
+    }
+    await transact(db, storeName, 'readwrite', (store) => {
+      values.forEach((value) => store.put(value));
+      return null;
+    });
+  },
+
+  async put(storeName, value) {
+    await this.putAll(storeName, [value]);
+  },
+
+  async removeAll(storeName, keys) {
+    if (keys.length === 0) return;
+    const db = await openDatabase();
+    if (!db) {
+      keys.forEach((key) => memory[storeName].delete(key));
+      return;
+    }
+    await transact(db, storeName, 'readwrite', (store) => {
+      keys.forEach((key) => store.delete(key));
+      return null;
+    });
+  },
+};
+
+export default offlineStore;
@@ -0,0 +1,656 @@
+/**
+ * Offline sync
+ * Task and project writes go through here instead of straight to the service
+ * layer: each one is recorded in a per-user outbox persisted to IndexedDB and
+ * replayed in order whenever we're online. The last rows seen from the server
+ * are mirrored locally so views still load without a connection.
+ */
+
+import {
+  tasksService,
+  projectsService,
+  toTaskInsert,
+  toTaskColumns,
+  toProjectInsert,
+  toProjectColumns,
+  toTaskLabels,
+  labelsService,
+  toLabelInsert,
+  toLabelColumns,
+  filtersService,
+  toFilterInsert,
+  toFilterColumns,
+  sectionsService,
+  toSectionInsert,
+  toSectionColumns,
+  peopleService,
+  toPersonInsert,
+  toPersonColumns,
+  commentsService,
+  toCommentInsert,
+  toCommentColumns,
+} from './supabase-native-fixed';
+import { offlineStore } from './offline-store';
+import {
+  applyMutations,
+  createMutationQueue,
+  createTempId,
+  isTempId,
+  resolveId,
+} from './mutation-queue';
+import { isTaskConflictError, pickBase } from './conflicts';
+import { cascadeArchived } from './task-tree';
+import { applyProjectDelete } from './project-deletion';
+
+// How long to wait before retrying after a network failure while "online"
+const RETRY_DELAY = 30000;
+
+const executors = {
+  task: {
+    create: ({ payload }) => tasksService.createTask(payload),
+    update: ({ targetId, payload, expectedUpdatedAt, base }) =>
+      tasksService.updateTask(targetId, payload, { expectedUpdatedAt, base }),
+    delete: ({ targetId }) => tasksService.deleteTask(targetId),
+  },
+  project: {
+    create: ({ targetId, payload }) =>
+      projectsService.createProject({ ...payload, id: targetId }),
+    update: ({ targetId, payload }) =>
+      projectsService.updateProject(targetId, payload),
+    delete: ({ targetId, payload }) =>
+      projectsService.deleteProject(targetId, payload),
+  },
+  label: {
+    create: ({ targetId, payload }) =>
+      labelsService.createLabel({ ...payload, id: targetId }),
+    update: ({ targetId, payload }) =>
+      labelsService.updateLabel(targetId, payload),
+    delete: ({ targetId }) => labelsService.deleteLabel(targetId),
+  },
+  filter: {
+    create: ({ targetId, payload }) =>
+      filtersService.createFilter({ ...payload, id: targetId }),
+    update: ({ targetId, payload }) =>
+      filtersService.updateFilter(targetId, payload),
+    delete: ({ targetId }) => filtersService.deleteFilter(targetId),
+  },
+  section: {
+    create: ({ targetId, payload }) =>
+      sectionsService.createSection({ ...payload, id: targetId }),
+    update: ({ targetId, payload }) =>
+      sectionsService.updateSection(targetId, payload),
+    delete: ({ targetId }) => sectionsService.deleteSection(targetId),
+  },
+  person: {
+    create: ({ targetId, payload }) =>
+      peopleService.createPerson({ ...payload, id: targetId }),
+    update: ({ targetId, payload }) =>
+      peopleService.updatePerson(targetId, payload),
+    delete: ({ targetId }) => peopleService.deletePerson(targetId),
+  },
+  comment: {
+    create: ({ targetId, payload }) =>
+      commentsService.createComment({ ...payload, id: targetId }),
+    update: ({ targetId, payload }) =>
+      commentsService.updateComment(targetId, payload),
+    delete: ({ targetId }) => commentsService.deleteComment(targetId),
+  },
+};
+
+// Label links are embedded in task rows as task_labels
+const toLabelLinks = ({ labelIds }) =>
+  labelIds !== undefined ? { task_labels: toTaskLabels(labelIds) } : {};
+
+const rowMappers = {
+  task: (mutation) =>
+    mutation.type === 'create'
+      ? {
+          ...toTaskInsert(mutation.payload),
+          task_labels: toTaskLabels(mutation.payload.labelIds),
+        }
+      : {
+          ...toTaskColumns(mutation.payload),
+          ...toLabelLinks(mutation.payload),
+          // Stands in for the completed_at trigger until the update syncs
+          ...(mutation.payload.archived !== undefined && {
+            completed_at: mutation.payload.archived ? mutation.queuedAt : null,
+          }),
+        },
+  project: (mutation) =>
+    mutation.type === 'create'
+      ? toProjectInsert(mutation.payload)
+      : toProjectColumns(mutation.payload),
+  label: (mutation) =>
+    mutation.type === 'create'
+      ? toLabelInsert(mutation.payload)
+      : toLabelColumns(mutation.payload),
+  filter: (mutation) =>
+    mutation.type === 'create'
+      ? toFilterInsert(mutation.payload)
+      : toFilterColumns(mutation.payload),
+  section: (mutation) =>
+    mutation.type === 'create'
+      ? toSectionInsert(mutation.payload)
+      : toSectionColumns(mutation.payload),
+  person: (mutation) =>
+    mutation.type === 'create'
+      ? toPersonInsert(mutation.payload)
+      : toPersonColumns(mutation.payload),
+  comment: (mutation) =>
+    mutation.type === 'create'
+      ? toCommentInsert(mutation.payload)
+      : toCommentColumns(mutation.payload),
+};
+
+// Server-side effects of an update on other rows, shown until it syncs
+const cascades = {
+  task: (rows, mutation, previous) =>
+    mutation.payload.archived !== undefined &&
+    Boolean(previous.archived) !== mutation.payload.archived
+      ? cascadeArchived(
+          rows,
+          mutation.targetId,
+          mutation.payload.archived,
+          mutation.queuedAt
+        )
+      : rows,
+};
+
+const isOnline = () =>
+  typeof navigator === 'undefined' || navigator.onLine !== false;
+
+/**
+ * Failures worth retrying later: no connection, or the request never got a
+ * response. Anything the server answered (RLS, constraint) is permanent.
+ */
+export const isNetworkError = (error) =>
+  !isOnline() ||
+  /failed to fetch|network ?error|network request failed|fetch failed|load failed/i.test(
+    error?.message || ''
+  );
+
+const outboxKey = (userId) => `outbox:${userId}`;
+
+// Rows cached before they were tagged fall back to their owner
+const isCachedFor = (row, userId) => (row._cachedFor || row.user_id) === userId;
+
+let queue = null;
+let queueUserId = null;
+let retryTimeout = null;
+let lastEvent = { pending: [], idMap: {}, syncing: false, conflicts: [] };
+const listeners = new Set();
+
+// Edits the server refused because the task changed elsewhere, kept until
+// the user resolves them
+let conflicts = [];
+
+// lastEvent keeps the status only; synced/failed are passed on once
+const notify = (event) => {
+  if (event.failed && isTaskConflictError(event.failed.error)) {
+    conflicts = [...conflicts, event.failed.error];
+  }
+  lastEvent = {
+    pending: event.pending,
+    idMap: event.idMap,
+    syncing: event.syncing,
+    conflicts,
+    online: isOnline(),
+  };
+  listeners.forEach((listener) => listener({ ...event, ...lastEvent }));
+};
+
+const requireQueue = () => {
+  if (!queue) throw new Error('Offline sync has not been started');
+  return queue;
+};
+
+export const offlineSync = {
+  /**
+   * Load the user's outbox and start replaying it
+   * @param {string} userId
+   * @returns {Function} stop
+   */
+  start(userId) {
+    if (queueUserId !== userId) {
+      queueUserId = userId;
+      conflicts = [];
+      queue = createMutationQueue({
+        load: () =>
+          offlineStore.get('meta', outboxKey(userId)).catch(() => null),
+        save: (state) =>
+          offlineStore.put('meta', { key: outboxKey(userId), ...state }),
+        execute: (mutation) => {
+          const execute = executors[mutation.entity]?.[mutation.type];
+          if (!execute) {
+            throw new Error(
+              `Unsupported ${mutation.entity} mutation: ${mutation.type}`
+            );
+          }
+          return execute(mutation);
+        },
+        isRetryable: isNetworkError,
+        onChange: (event) => {
+          if (event.error && isOnline()) this.scheduleRetry();
+          notify(event);
+        },
+      });
+    }
+
+    const handleOnline = () => this.flush();
+    const handleOffline = () => notify({ ...lastEvent, syncing: false });
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    this.flush();
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearTimeout(retryTimeout);
+    };
+  },
+
+  /**
+   * Listen for queue changes
+   * @param {Function} listener - ({ pending, idMap, syncing, online, synced, failed }) => void
+   * @returns {Function} unsubscribe
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  getPending: () => (queue ? queue.getPending() : []),
+
+  getStatus: () => ({ ...lastEvent, online: isOnline() }),
+
+  scheduleRetry() {
+    clearTimeout(retryTimeout);
+    retryTimeout = setTimeout(() => this.flush(), RETRY_DELAY);
+  },
+
+  flush() {
+    if (!queue || !isOnline()) return Promise.resolve();
+    clearTimeout(retryTimeout);
+    return queue.flush();
+  },
+
+  /**
+   * Record a mutation and try to send it straight away
+   */
+  async enqueue(mutation) {
+    const queued = await requireQueue().enqueue(mutation);
+    this.flush();
+    return queued;
+  },
+
+  /**
+   * Create a task; resolves with its temp ID once the create is queued
+   * @param {Object} taskData - tasksService.createTask input
+   * @param {string} [tempId]
+   */
+  async createTask(taskData, tempId = createTempId()) {
+    await this.enqueue({
+      entity: 'task',
+      type: 'create',
+      targetId: tempId,
+      payload: taskData,
+    });
+    return tempId;
+  },
+
+  /**
+   * Update a task
+   * @param {*} id
+   * @param {Object} updates - tasksService.updateTask input
+   * @param {Object} [snapshot] - The task as the user saw it; lets the
+   *   server detect edits made elsewhere in the meantime
+   */
+  updateTask(id, updates, snapshot) {
+    const version =
+      snapshot && snapshot.updated_at && !isTempId(id)
+        ? {
+            expectedUpdatedAt: snapshot.updated_at,
+            base: pickBase(snapshot, toTaskColumns(updates)),
+          }
+        : {};
+
+    return this.enqueue({
+      entity: 'task',
+      type: 'update',
+      targetId: this.resolveId(id),
+      payload: updates,
+      ...version,
+    });
+  },
+
+  /**
+   * Settle a conflict: write the chosen updates against the current row,
+   * or drop it when the other version wins
+   * @param {TaskConflictError} conflict
+   * @param {Object} [updates]
+   */
+  async resolveConflict(conflict, updates = {}) {
+    conflicts = conflicts.filter((pending) => pending !== conflict);
+    notify(lastEvent);
+    if (Object.keys(updates).length === 0) return;
+    await this.updateTask(conflict.taskId, updates, conflict.server);
+  },
+
+  deleteTask(id) {
+    return this.enqueue({
+      entity: 'task',
+      type: 'delete',
+      targetId: this.resolveId(id),
+    });
+  },
+
+  createProject(projectData) {
+    return this.enqueue({
+      entity: 'project',
+      type: 'create',
+      targetId: projectData.id,
+      payload: {
+        name: projectData.name,
+        userId: projectData.userId,
+        sortOrder: projectData.sortOrder,
+        color: projectData.color,
+        favorite: projectData.favorite,
+        layout: projectData.layout,
+        parentProjectId: projectData.parentProjectId,
+        collapsed: projectData.collapsed,
+        showSubprojectTasks: projectData.showSubprojectTasks,
+      },
+    });
+  },
+
+  /**
+   * Update a project
+   * @param {string} id
+   * @param {Object} updates - projectsService.updateProject input
+   */
+  updateProject(id, updates) {
+    return this.enqueue({
+      entity: 'project',
+      type: 'update',
+      targetId: id,
+      payload: updates,
+    });
+  },
+
+  /**
+   * Delete a project, moving or deleting its tasks
+   * @param {string} id
+   * @param {Object} [options] - See lib/project-deletion toDeleteOptions
+   */
+  deleteProject(id, options) {
+    return this.enqueue({
+      entity: 'project',
+      type: 'delete',
+      targetId: id,
+      payload: options,
+    });
+  },
+
+  /**
+   * Create a label under its client-generated ID
+   * @param {Object} labelData - labelsService.createLabel input
+   */
+  createLabel(labelData) {
+    return this.enqueue({
+      entity: 'label',
+      type: 'create',
+      targetId: labelData.id,
+      payload: {
+        name: labelData.name,
+        color: labelData.color,
+        userId: labelData.userId,
+      },
+    });
+  },
+
+  updateLabel(id, updates) {
+    return this.enqueue({
+      entity: 'label',
+      type: 'update',
+      targetId: id,
+      payload: updates,
+    });
+  },
+
+  deleteLabel(id) {
+    return this.enqueue({ entity: 'label', type: 'delete', targetId: id });
+  },
+
+  /**
+   * Create a saved filter under its client-generated ID
+   * @param {Object} filterData - filtersService.createFilter input
+   */
+  createFilter(filterData) {
+    return this.enqueue({
+      entity: 'filter',
+      type: 'create',
+      targetId: filterData.id,
+      payload: {
+        name: filterData.name,
+        query: filterData.query,
+        userId: filterData.userId,
+      },
+    });
+  },
+
+  updateFilter(id, updates) {
+    return this.enqueue({
+      entity: 'filter',
+      type: 'update',
+      targetId: id,
+      payload: updates,
+    });
+  },
+
+  deleteFilter(id) {
+    return this.enqueue({ entity: 'filter', type: 'delete', targetId: id });
+  },
+
+  /**
+   * Create a project section under its client-generated ID
+   * @param {Object} sectionData - sectionsService.createSection input
+   */
+  createSection(sectionData) {
+    return this.enqueue({
+      entity: 'section',
+      type: 'create',
+      targetId: sectionData.id,
+      payload: {
+        projectId: sectionData.projectId,
+        name: sectionData.name,
+        sortOrder: sectionData.sortOrder,
+        userId: sectionData.userId,
+      },
+    });
+  },
+
+  updateSection(id, updates) {
+    return this.enqueue({
+      entity: 'section',
+      type: 'update',
+      targetId: id,
+      payload: updates,
+    });
+  },
+
+  deleteSection(id) {
+    return this.enqueue({ entity: 'section', type: 'delete', targetId: id });
+  },
+
+  /**
+   * Add someone to the people directory under their client-generated ID
+   * @param {Object} personData - peopleService.createPerson input
+   */
+  createPerson(personData) {
+    return this.enqueue({
+      entity: 'person',
+      type: 'create',
+      targetId: personData.id,
+      payload: {
+        name: personData.name,
+        email: personData.email || null,
+        userId: personData.userId,
+      },
+    });
+  },
+
+  updatePerson(id, updates) {
+    return this.enqueue({
+      entity: 'person',
+      type: 'update',
+      targetId: id,
+      payload: updates,
+    });
+  },
+
+  deletePerson(id) {
+    return this.enqueue({ entity: 'person', type: 'delete', targetId: id });
+  },
+
+  /**
+   * @param {Object} commentData - commentsService.createComment input
+   */
+  createComment(commentData) {
+    return this.enqueue({
+      entity: 'comment',
+      type: 'create',
+      targetId: commentData.id,
+      payload: {
+        taskId: commentData.taskId,
+        userId: commentData.userId,
+        body: commentData.body,
+        createdAt: commentData.createdAt,
+      },
+    });
+  },
+
+  updateComment(id, updates) {
+    return this.enqueue({
+      entity: 'comment',
+      type: 'update',
+      targetId: id,
+      payload: updates,
+    });
+  },
+
+  deleteComment(id) {
+    return this.enqueue({ entity: 'comment', type: 'delete', targetId: id });
+  },
+
+  /**
+   * Server ID for a temp ID whose create has already synced
+   */
+  resolveId(id) {
+    return resolveId(id, queue ? queue.getIdMap() : {});
+  },
+
+  /**
+   * Server ID of a task once its create has synced, e.g. to upload files to
+   * a task added offline
+   * @param {*} id
+   * @returns {Promise<*>} Rejects when the create is dropped instead
+   */
+  whenSynced(id) {
+    const resolved = this.resolveId(id);
+    if (!isTempId(resolved)) return Promise.resolve(resolved);
+
+    return new Promise((resolve, reject) => {
+      const unsubscribe = this.subscribe(({ pending, idMap }) => {
+        if (idMap && idMap[id] !== undefined) {
+          unsubscribe();
+          resolve(idMap[id]);
+        } else if (!pending.some((mutation) => mutation.targetId === id)) {
+          unsubscribe();
+          reject(new Error('The task was never saved'));
+        }
+      });
+    });
+  },
+
+  /**
+   * Server rows with this entity's pending mutations applied
+   * @param {'task'|'project'|'label'|'filter'|'section'|'person'|'comment'} entity
+   * @param {Object[]} rows
+   * @param {Object[]} [pending]
+   */
+  applyPending(entity, rows, pending = this.getPending()) {
+    const options = {
+      toRow: rowMappers[entity],
+      idMap: queue ? queue.getIdMap() : {},
+      cascade: cascades[entity],
+    };
+    if (entity !== 'task') {
+      return applyMutations(
+        rows,
+        pending.filter((mutation) => mutation.entity === entity),
+        options
+      );
+    }
+
+    // Queued project deletes move or delete their tasks, in queue order
+    // with the task edits around them
+    return pending.reduce((current, mutation) => {
+      if (mutation.entity === 'task') {
+        return applyMutations(current, [mutation], options);
+      }
+      if (mutation.entity === 'project' && mutation.type === 'delete') {
+        return applyProjectDelete(current, mutation.targetId, mutation.payload);
+      }
+      return current;
+    }, rows);
+  },
+
+  /**
+   * Mirror server rows locally
+   * Cached rows of this user that `isInScope` but missing from `rows` were
+   * deleted on the server and are dropped. Rows are tagged with the user they
+   * were cached for, since rows of shared projects can belong to others.
+   * @param {'tasks'|'projects'|'labels'|'filters'|'sections'|'people'|'comments'} storeName
+   * @param {string} userId
+   * @param {Object[]} rows
+   * @param {Function} [isInScope]
+   */
+  async cacheRows(storeName, userId, rows, isInScope = () => true) {
+    try {
+      const ids = new Set(rows.map((row) => row.id));
+      const cached = await offlineStore.getAll(storeName);
+      const stale = cached
+        .filter(
+          (row) =>
+            isCachedFor(row, userId) && !ids.has(row.id) && isInScope(row)
+        )
+        .map((row) => row.id);
+
+      await offlineStore.removeAll(storeName, stale);
+      await offlineStore.putAll(
+        storeName,
+        rows.map((row) => ({ ...row, _cachedFor: userId }))
+      );
+    } catch (error) {
+      console.error(`Error caching ${storeName}:`, error);
+    }
+  },
+
+  /**
+   * Locally mirrored rows for a user
+   * @param {'tasks'|'projects'|'labels'|'filters'|'sections'|'people'|'comments'} storeName
+   * @param {string} userId
+   */
+  async getCachedRows(storeName, userId) {
+    try {
+      const cached = await offlineStore.getAll(storeName);
+      return cached.filter((row) => isCachedFor(row, userId));
+    } catch (error) {
+      console.error(`Error reading cached ${storeName}:`, error);
+      return [];
+    }
+  },
+};
+
+export default offlineSync;
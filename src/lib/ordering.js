@@ -0,0 +1,158 @@
+/**
+ * Manual ordering
+ * Tasks and projects carry a `sort_order` key: a base-62 fraction written as
+ * its digits after the point ('V' is one half). Keys compare as plain strings
+ * (the column uses COLLATE "C"), and there is always room for another key
+ * between two others, so moving an item only rewrites that item's key.
+ *
+ * Rows without a key (created before ordering existed, or since) keep their
+ * previous order and sit before (tasks) or after (projects) keyed rows.
+ */
+
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+const BASE = DIGITS.length;
+
+const digitAt = (key, index) => DIGITS.indexOf(key[index] || '0');
+
+/**
+ * Key strictly between two keys; `after` null means the end of the range
+ * Keys never end in '0', which keeps every key reachable.
+ */
+const midpoint = (before, after) => {
+  if (after !== null) {
+    let shared = 0;
+    while ((before[shared] || '0') === after[shared]) shared += 1;
+    if (shared > 0) {
+      return (
+        after.slice(0, shared) +
+        midpoint(before.slice(shared), after.slice(shared))
+      );
+    }
+  }
+
+  const low = before ? digitAt(before, 0) : 0;
+  const high = after !== null ? digitAt(after, 0) : BASE;
+
+  if (high - low > 1) return DIGITS[Math.round((low + high) / 2)];
+  if (after !== null && after.length > 1) return after.slice(0, 1);
+  return DIGITS[low] + midpoint(before.slice(1), null);
+};
+
+const isValidKey = (key) =>
+  typeof key === 'string' &&
+  key.length > 0 &&
+  !key.endsWith('0') &&
+  [...key].every((char) => DIGITS.includes(char));
+
+/**
+ * Key sorting between two neighbours
+ * @param {string|null} before - Key of the item above, null at the start
+ * @param {string|null} after - Key of the item below, null at the end
+ * @returns {string}
+ */
+export const keyBetween = (before = null, after = null) => {
+  if (before !== null && !isValidKey(before)) {
+    throw new Error(`Invalid sort key: ${before}`);
+  }
+  if (after !== null && !isValidKey(after)) {
+    throw new Error(`Invalid sort key: ${after}`);
+  }
+  if (before !== null && after !== null && before >= after) {
+    throw new Error(`Sort keys out of order: ${before} >= ${after}`);
+  }
+  return midpoint(before || '', after);
+};
+
+/**
+ * Evenly spread keys for a run of items, keeping key length logarithmic
+ * @param {number} count
+ * @param {string|null} [before]
+ * @param {string|null} [after]
+ * @returns {string[]}
+ */
+export const generateKeys = (count, before = null, after = null) => {
+  if (count <= 0) return [];
+  const middle = Math.floor(count / 2);
+  const key = keyBetween(before, after);
+  return [
+    ...generateKeys(middle, before, key),
+    key,
+    ...generateKeys(count - middle - 1, key, after),
+  ];
+};
+
+/**
+ * Sort rows by sort_order; rows without a key keep their current relative
+ * order (Array#sort is stable)
+ * @param {Object[]} rows
+ * @param {Object} [options]
+ * @param {boolean} [options.unkeyedFirst] - Put rows without a key first
+ * @returns {Object[]}
+ */
+export const applyOrder = (rows, { unkeyedFirst = false } = {}) =>
+  [...rows].sort((a, b) => {
+    const keyA = a.sort_order || null;
+    const keyB = b.sort_order || null;
+    if (keyA === keyB) return 0;
+    if (keyA === null) return unkeyedFirst ? -1 : 1;
+    if (keyB === null) return unkeyedFirst ? 1 : -1;
+    return keyA < keyB ? -1 : 1;
+  });
+
+const isStrictlyIncreasing = (keys) =>
+  keys.every(
+    (key, index) => isValidKey(key) && (index === 0 || keys[index - 1] < key)
+  );
+
+/**
+ * New sort keys for moving an item next to another one in an ordered list
+ * Only the moved item changes when its neighbours have usable keys; otherwise
+ * the whole list is given fresh keys in its new order.
+ * @param {Object[]} list - Rows in display order ({ id, sort_order })
+ * @param {Object} moved - Row being moved; need not be in `list` yet
+ * @param {*} targetId - Row to place it next to; null appends
+ * @param {'before'|'after'} position
+ * @returns {Array<{id, sortOrder: string}>} Changed keys
+ */
+export const planMove = (list, moved, targetId, position) => {
+  const others = list.filter((row) => row.id !== moved.id);
+  const targetIndex = others.findIndex((row) => row.id === targetId);
+  let index = others.length;
+  if (targetIndex !== -1) {
+    index = position === 'before' ? targetIndex : targetIndex + 1;
+  }
+
+  const keys = others.map((row) => row.sort_order || null);
+  if (isStrictlyIncreasing(keys)) {
+    const sortOrder = keyBetween(
+      index > 0 ? keys[index - 1] : null,
+      index < keys.length ? keys[index] : null
+    );
+    return sortOrder === moved.sort_order ? [] : [{ id: moved.id, sortOrder }];
+  }
+
+  const reordered = [...others.slice(0, index), moved, ...others.slice(index)];
+  const fresh = generateKeys(reordered.length);
+  return reordered
+    .filter((row, rowIndex) => row.sort_order !== fresh[rowIndex])
+    .map((row) => ({ id: row.id, sortOrder: fresh[reordered.indexOf(row)] }));
+};
+
+/**
+ * Keys for moving an item one place up or down
+ * @param {Object[]} list - Rows in display order
+ * @param {*} id
+ * @param {number} offset - -1 for up, 1 for down
+ * @returns {Array<{id, sortOrder: string}>} Empty at either end
+ */
+export const planStep = (list, id, offset) => {
+  const index = list.findIndex((row) => row.id === id);
+  const neighbour = list[index + offset];
+  if (index === -1 || !neighbour) return [];
+  return planMove(
+    list,
+    list[index],
+    neighbour.id,
+    offset < 0 ? 'before' : 'after'
+  );
+};
@@ -0,0 +1,119 @@
+/**
+ * Overdue tasks
+ * A task is overdue once its due instant has passed: date-only tasks from the
+ * day after their due date, timed tasks from their due time (in the task's
+ * zone). The Overdue view, the sidebar count and the task styling all use
+ * isOverdue(), so they agree as the clock moves on.
+ *
+ * Overdue tasks can be rescheduled in bulk to today, tomorrow or a "smart"
+ * plan that spreads them over the coming week by priority and by how busy
+ * each day already is.
+ */
+
+import moment from 'moment';
+import {
+  DUE_DATE_FORMAT,
+  getDueInstant,
+  getToday,
+  toDueDate,
+} from './due-dates';
+
+// Days ahead (today included) each priority may be moved into
+const PRIORITY_WINDOWS = { high: 2, medium: 4, low: 7 };
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+/**
+ * Whether a task's due date or time has passed
+ * Completion isn't considered; callers only pass open tasks.
+ * @param {Object} task - Task as shown in the UI (camelCase)
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+export const isOverdue = (task, now = new Date()) => {
+  const dueDate = toDueDate(task.dueDate);
+  if (!dueDate) return false;
+
+  if (!task.dueTime) return dueDate < getToday(task.timeZone, now);
+  return getDueInstant(dueDate, task.dueTime, task.timeZone) <= now;
+};
+
+/**
+ * updateTask input moving a task to another day
+ * The time of day is kept, unless that would leave the task overdue.
+ * @param {Object} task
+ * @param {string} dueDate - YYYY-MM-DD
+ * @param {Date} [now]
+ * @returns {{dueDate: string, dueTime: string|null, timeZone: string|null}}
+ */
+export const rescheduleTo = (task, dueDate, now = new Date()) => {
+  const moved = {
+    dueDate,
+    dueTime: task.dueTime || null,
+    timeZone: task.timeZone || null,
+  };
+  return isOverdue(moved, now) ? { ...moved, dueTime: null } : moved;
+};
+
+const addDays = (today, days) =>
+  moment(today, DUE_DATE_FORMAT).add(days, 'days').format(DUE_DATE_FORMAT);
+
+/**
+ * Spread tasks over the coming days
+ * Most urgent first (priority, then longest overdue), each onto the least busy
+ * day its priority allows; ties go to the earlier day.
+ * @param {Object[]} tasks - { id, priority, dueDate }
+ * @param {Object} options
+ * @param {string} options.today - YYYY-MM-DD
+ * @param {Object<string, number>} [options.load] - Open tasks already due
+ *   per day
+ * @returns {Array<{id, dueDate: string}>} In the order the tasks were given
+ */
+export const planReschedule = (tasks, { today, load = {} }) => {
+  const counts = { ...load };
+  const urgent = [...tasks].sort(
+    (a, b) =>
+      (PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.medium) -
+        (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.medium) ||
+      String(a.dueDate || '').localeCompare(String(b.dueDate || ''))
+  );
+
+  const planned = new Map();
+  urgent.forEach((task) => {
+    const span = PRIORITY_WINDOWS[task.priority] || PRIORITY_WINDOWS.medium;
+    const days = Array.from({ length: span }, (_, index) =>
+      addDays(today, index)
+    );
+    const day = days.reduce((best, candidate) =>
+      (counts[candidate] || 0) < (counts[best] || 0) ? candidate : best
+    );
+
+    counts[day] = (counts[day] || 0) + 1;
+    planned.set(task.id, day);
+  });
+
+  return tasks.map((task) => ({ id: task.id, dueDate: planned.get(task.id) }));
+};
+
+/**
+ * Take a suggested schedule (e.g. from the AI service) where it's usable
+ * Entries for unknown tasks or with dates before today are ignored; tasks
+ * without a usable entry keep the fallback plan.
+ * @param {Array<{id, dueDate}>} fallback - planReschedule() output
+ * @param {Array<{id, dueDate}>} suggested
+ * @param {Object} options
+ * @param {string} options.today - YYYY-MM-DD
+ * @returns {Array<{id, dueDate: string}>}
+ */
+export const mergeSchedule = (fallback, suggested, { today }) => {
+  const usable = new Map();
+  (Array.isArray(suggested) ? suggested : []).forEach((entry) => {
+    const dueDate = entry && toDueDate(entry.dueDate);
+    if (dueDate && dueDate >= today) usable.set(String(entry.id), dueDate);
+  });
+
+  return fallback.map((entry) => ({
+    id: entry.id,
+    dueDate: usable.get(String(entry.id)) || entry.dueDate,
+  }));
+};
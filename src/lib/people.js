@@ -0,0 +1,143 @@
+/**
+ * People
+ * Each user keeps a directory of people to assign tasks to. Names found in
+ * task text by the AI ("Call Sarah tomorrow") are matched against it
+ * loosely: case, accents, nicknames by prefix and small typos are forgiven.
+ * When more than one person fits, the user picks.
+ *
+ * A person's open tasks ("Waiting on Sarah") are selected like a project,
+ * under `person:<id>`.
+ */
+
+const PERSON_VIEW_PREFIX = 'person:';
+
+// Scores below this aren't considered a match at all
+export const MATCH_THRESHOLD = 0.75;
+
+/**
+ * @param {string} personId
+ * @returns {string} Selected project key for the person's task list
+ */
+export const toPersonView = (personId) => `${PERSON_VIEW_PREFIX}${personId}`;
+
+/**
+ * @param {*} selectedProject
+ * @returns {string|null} Person ID when a person's task list is selected
+ */
+export const getPersonViewId = (selectedProject) =>
+  typeof selectedProject === 'string' &&
+  selectedProject.startsWith(PERSON_VIEW_PREFIX)
+    ? selectedProject.slice(PERSON_VIEW_PREFIX.length)
+    : null;
+
+/**
+ * Lowercase, without accents or surrounding whitespace
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeName = (name) =>
+  (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+// Edits between two strings; swapping neighbours counts as one
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) =>
+    Array.from({ length: b.length + 1 }, (__, j) => (i === 0 ? j : i))
+  );
+  for (let i = 1; i <= a.length; i += 1) {
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+/**
+ * Similarity of two normalized strings, 1 for equal ones
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Between 0 and 1
+ */
+export const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - editDistance(a, b) / longest;
+};
+
+/**
+ * How well a name from task text fits a person
+ * The full name or address counts most, then one of their names ("Sarah"
+ * for "Sarah Chen"), then a prefix of one ("Alex" for "Alexandra"), then
+ * near misses.
+ * @param {string} name
+ * @param {Object} person - With name and optionally email
+ * @returns {number} Between 0 and 1
+ */
+export const scorePerson = (name, person) => {
+  const query = normalizeName(name);
+  const fullName = normalizeName(person.name);
+  if (!query || !fullName) return 0;
+  if (query === fullName) return 1;
+  if (person.email && query === normalizeName(person.email)) return 1;
+
+  const tokens = fullName.split(' ');
+  const queryTokens = query.split(' ');
+  if (queryTokens.every((token) => tokens.includes(token))) return 0.9;
+  if (
+    queryTokens.every((token) =>
+      tokens.some(
+        (candidate) => token.length >= 3 && candidate.startsWith(token)
+      )
+    )
+  ) {
+    return 0.8;
+  }
+
+  const bestToken = Math.max(
+    ...queryTokens.map((token) =>
+      Math.max(...tokens.map((candidate) => similarity(token, candidate)))
+    )
+  );
+  return Math.max(similarity(query, fullName), bestToken * 0.95);
+};
+
+/**
+ * People a name may refer to, best match first
+ * @param {string} name
+ * @param {Object[]} people
+ * @returns {{person: Object|null, candidates: Object[]}} `person` is set when
+ *   the match is unambiguous: a single candidate, or one exact match
+ */
+export const resolvePerson = (name, people) => {
+  const scored = people
+    .map((person) => ({ person, score: scorePerson(name, person) }))
+    .filter(({ score }) => score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+  const candidates = scored.map(({ person }) => person);
+
+  const isUnique =
+    scored.length === 1 ||
+    (scored.length > 1 && scored[0].score === 1 && scored[1].score < 1);
+  return { person: isUnique ? candidates[0] : null, candidates };
+};
+
+/**
+ * People by name, for the sidebar and pickers
+ * @param {Object[]} people
+ * @returns {Object[]}
+ */
+export const sortPeople = (people) =>
+  [...people].sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+  );
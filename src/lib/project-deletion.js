@@ -0,0 +1,67 @@
+/**
+ * Deleting a project and deciding what happens to its tasks
+ * The delete_project_safely function does both in one transaction; while the
+ * delete is still queued, its effect on task rows is mirrored locally.
+ */
+
+export const TASK_ACTIONS = {
+  move: 'move',
+  delete: 'delete',
+};
+
+// Tasks without a project of their own live in the Inbox
+export const INBOX_PROJECT_ID = '1';
+
+/**
+ * delete_project_safely arguments, with its defaults filled in
+ * @param {Object} [options]
+ * @param {'move'|'delete'} [options.taskAction]
+ * @param {string} [options.targetProjectId] - Where moved tasks go
+ * @returns {{taskAction: string, targetProjectId: string}}
+ */
+export const toDeleteOptions = ({
+  taskAction = TASK_ACTIONS.move,
+  targetProjectId = INBOX_PROJECT_ID,
+} = {}) => ({
+  taskAction,
+  targetProjectId: targetProjectId || INBOX_PROJECT_ID,
+});
+
+/**
+ * Mirror delete_project_safely on task rows
+ * Moved tasks leave their (deleted) sections behind; deleted ones take their
+ * subtasks with them, as ON DELETE CASCADE does.
+ * @param {Object[]} rows - Task rows (snake_case)
+ * @param {string} projectId - Project being deleted
+ * @param {Object} [options] - See toDeleteOptions
+ * @returns {Object[]}
+ */
+export const applyProjectDelete = (rows, projectId, options) => {
+  const { taskAction, targetProjectId } = toDeleteOptions(options);
+
+  if (taskAction === TASK_ACTIONS.move) {
+    return rows.map((row) =>
+      row.project_id === projectId
+        ? {
+            ...row,
+            project_id: targetProjectId,
+            section_id: null,
+            _optimistic: true,
+          }
+        : row
+    );
+  }
+
+  const deleted = new Set(
+    rows.filter((row) => row.project_id === projectId).map((row) => row.id)
+  );
+  let size;
+  do {
+    size = deleted.size;
+    rows
+      .filter((row) => deleted.has(row.parent_task_id))
+      .forEach((row) => deleted.add(row.id));
+  } while (deleted.size !== size);
+
+  return rows.filter((row) => !deleted.has(row.id));
+};
@@ -0,0 +1,103 @@
+/**
+ * Sub-projects
+ * Projects nest through parentProjectId to any depth. A project whose parent
+ * isn't in the list (archived, deleted or not loaded yet) is shown at the top
+ * level.
+ */
+
+const parentOf = (project) => project.parentProjectId || null;
+
+/**
+ * Projects directly below a project, or the top-level ones for `null`
+ * @param {Object[]} projects - In display order
+ * @param {string|null} parentId
+ * @returns {Object[]}
+ */
+export const getChildProjects = (projects, parentId) => {
+  if (parentId) {
+    return projects.filter((project) => parentOf(project) === parentId);
+  }
+  const ids = new Set(projects.map((project) => project.projectId));
+  return projects.filter((project) => !ids.has(parentOf(project)));
+};
+
+/**
+ * All projects below a project, depth first
+ * @param {Object[]} projects
+ * @param {string} projectId
+ * @returns {Object[]}
+ */
+export const getSubprojects = (projects, projectId) => {
+  const found = [];
+  const seen = new Set([projectId]);
+  const visit = (id) => {
+    projects
+      .filter(
+        (project) => parentOf(project) === id && !seen.has(project.projectId)
+      )
+      .forEach((child) => {
+        seen.add(child.projectId);
+        found.push(child);
+        visit(child.projectId);
+      });
+  };
+  visit(projectId);
+  return found;
+};
+
+/**
+ * Whether `projectId` sits somewhere below `ancestorId`
+ * @param {Object[]} projects
+ * @param {string} projectId
+ * @param {string} ancestorId
+ */
+export const isSubprojectOf = (projects, projectId, ancestorId) =>
+  getSubprojects(projects, ancestorId).some(
+    (project) => project.projectId === projectId
+  );
+
+/**
+ * Visible sidebar rows, depth first; sub-projects of collapsed projects are
+ * left out. Projects on a parent cycle (a bad write) are shown at the top.
+ * @param {Object[]} projects - In display order
+ * @param {Object} [options]
+ * @param {Function} [options.isCollapsed] - project => boolean
+ * @returns {Array<{project: Object, depth: number, childCount: number}>}
+ */
+export const flattenProjects = (
+  projects,
+  { isCollapsed = (project) => Boolean(project.collapsed) } = {}
+) => {
+  const rows = [];
+  const placed = new Set();
+
+  const visit = (project, depth) => {
+    placed.add(project.projectId);
+    const children = projects.filter(
+      (candidate) =>
+        parentOf(candidate) === project.projectId &&
+        !placed.has(candidate.projectId)
+    );
+    rows.push({ project, depth, childCount: children.length });
+    if (isCollapsed(project)) {
+      children.forEach((child) => {
+        placed.add(child.projectId);
+        getSubprojects(projects, child.projectId).forEach((descendant) =>
+          placed.add(descendant.projectId)
+        );
+      });
+      return;
+    }
+    children.forEach((child) => {
+      if (!placed.has(child.projectId)) visit(child, depth + 1);
+    });
+  };
+
+  getChildProjects(projects, null).forEach((root) => visit(root, 0));
+  // Whatever is left hangs off a cycle
+  projects.forEach((project) => {
+    if (!placed.has(project.projectId)) visit(project, 0);
+  });
+
+  return rows;
+};
@@ -0,0 +1,90 @@
+/**
+ * Push notifications
+ * The service worker (public/service-worker.js) shows what api/push sends
+ * while the app is closed: tasks coming due or going overdue, and a morning
+ * digest of the TODAY list. Each browser the user turns them on in is a
+ * subscription, saved with the browser's time zone so mornings are theirs.
+ *
+ * Needs REACT_APP_VAPID_PUBLIC_KEY, the public half of the keys api/push
+ * signs with.
+ */
+
+export const SERVICE_WORKER_URL = '/service-worker.js';
+
+export const VAPID_PUBLIC_KEY = process.env.REACT_APP_VAPID_PUBLIC_KEY || '';
+
+/**
+ * Whether this browser can receive pushes from this deployment
+ * @returns {boolean}
+ */
+export const isPushSupported = () =>
+  Boolean(VAPID_PUBLIC_KEY) &&
+  typeof navigator !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  typeof window !== 'undefined' &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+/**
+ * A base64url key as the bytes PushManager.subscribe() takes
+ * @param {string} key
+ * @returns {Uint8Array}
+ */
+export const toApplicationServerKey = (key) => {
+  const base64 = `${key}${'='.repeat((4 - (key.length % 4)) % 4)}`
+    .replace(/-/g, '+')
+    .replace(/_/g, '/');
+  return Uint8Array.from(window.atob(base64), (char) => char.charCodeAt(0));
+};
+
+/**
+ * What's saved of a subscription
+ * @param {PushSubscription|Object} subscription - Or its toJSON()
+ * @param {string} [timeZone]
+ * @returns {{endpoint: string, p256dh: string, auth: string, timeZone: string|null}}
+ */
+export const toSubscriptionRecord = (subscription, timeZone = null) => {
+  const { endpoint, keys = {} } =
+    typeof subscription.toJSON === 'function'
+      ? subscription.toJSON()
+      : subscription;
+  return { endpoint, p256dh: keys.p256dh, auth: keys.auth, timeZone };
+};
+
+/**
+ * Register the service worker; does nothing where pushes aren't supported
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerServiceWorker = async () => {
+  if (!isPushSupported()) return null;
+  try {
+    return await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+  } catch (error) {
+    console.error('Error registering service worker:', error);
+    return null;
+  }
+};
+
+/**
+ * This browser's current subscription
+ * @returns {Promise<PushSubscription|null>}
+ */
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) return null;
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+};
+
+/**
+ * Subscribe this browser, keeping a subscription it already has
+ * @returns {Promise<PushSubscription>}
+ */
+export const subscribeToPush = async () => {
+  const registration = await navigator.serviceWorker.ready;
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) return existing;
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: toApplicationServerKey(VAPID_PUBLIC_KEY),
+  });
+};
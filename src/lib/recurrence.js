@@ -0,0 +1,492 @@
+/**
+ * Recurrence rule engine
+ * Parses natural language recurrence phrases ("every weekday", "every 2nd Tuesday",
+ * "every 3 months on the 1st") into rules and computes the next occurrence.
+ *
+ * A rule is a plain JSON object so it can live in the tasks.recurrence JSONB column:
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *   interval: 1,
+ *   weekdays: [1, 3],      // weekly: 0 = Sunday ... 6 = Saturday
+ *   monthDay: 15,          // monthly: day of month, -1 = last day
+ *   weekOfMonth: 2,        // monthly: nth weekday (with weekdays[0]), -1 = last
+ * }
+ */
+
+import moment from 'moment';
+
+export const RECURRENCE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+};
+
+const WEEKDAY_NAMES = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+const WEEKDAY_ALIASES = {
+  sunday: 0,
+  sun: 0,
+  monday: 1,
+  mon: 1,
+  tuesday: 2,
+  tues: 2,
+  tue: 2,
+  wednesday: 3,
+  wed: 3,
+  thursday: 4,
+  thurs: 4,
+  thu: 4,
+  friday: 5,
+  fri: 5,
+  saturday: 6,
+  sat: 6,
+};
+
+const NUMBER_WORDS = {
+  other: 2,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+};
+
+const ORDINAL_WORDS = {
+  first: 1,
+  '1st': 1,
+  second: 2,
+  '2nd': 2,
+  third: 3,
+  '3rd': 3,
+  fourth: 4,
+  '4th': 4,
+  fifth: 5,
+  '5th': 5,
+  last: -1,
+};
+
+const WEEKDAY = `(?:${Object.keys(WEEKDAY_ALIASES)
+  .sort((a, b) => b.length - a.length)
+  .join('|')})`;
+const INTERVAL = `(?:(other|\\d+|${Object.keys(NUMBER_WORDS).join('|')})\\s+)?`;
+const ORDINAL = `(first|second|third|fourth|fifth|last|\\d+(?:st|nd|rd|th))`;
+const MONTH_DAY = `(?:\\s+on\\s+the\\s+(\\d{1,2})(?:st|nd|rd|th)|\\s+on\\s+the\\s+(last)\\s+day)`;
+const NTH_WEEKDAY = `\\s+on\\s+the\\s+${ORDINAL}\\s+(${WEEKDAY})`;
+
+// "daily", "weekly" and the like only as a trailing phrase ("water plants
+// daily", "standup daily at 9am"), not as an adjective ("monthly report")
+const trailingWord = (words) =>
+  new RegExp(
+    `\\b(?:${words})(?=\\s*$|\\s*[,.;!?)]|\\s+(?:at|on|from|starting|until)\\b)`,
+    'i'
+  );
+
+const toInterval = (token) => {
+  if (!token) return 1;
+  const lower = token.toLowerCase();
+  return NUMBER_WORDS[lower] || parseInt(lower, 10) || 1;
+};
+
+const toWeekday = (token) => WEEKDAY_ALIASES[token.toLowerCase()];
+
+const toOrdinal = (token) => {
+  const lower = token.toLowerCase();
+  if (ORDINAL_WORDS[lower] !== undefined) return ORDINAL_WORDS[lower];
+  return parseInt(lower, 10);
+};
+
+const parseWeekdayList = (text) =>
+  Array.from(
+    new Set(
+      text
+        .split(/\s*(?:,|\band\b|&)\s*/i)
+        .map((token) => toWeekday(token.trim()))
+        .filter((day) => day !== undefined)
+    )
+  ).sort((a, b) => a - b);
+
+/**
+ * Ordered list of phrase matchers - more specific phrases must come first
+ * so "every 2nd tuesday" is not read as "every 2nd (of the month)".
+ */
+const MATCHERS = [
+  {
+    regex: /\bevery\s+weekday\b/i,
+    build: () => ({
+      frequency: RECURRENCE_FREQUENCIES.WEEKLY,
+      interval: 1,
+      weekdays: [1, 2, 3, 4, 5],
+    }),
+  },
+  {
+    regex: /\bevery\s+weekend\b/i,
+    build: () => ({
+      frequency: RECURRENCE_FREQUENCIES.WEEKLY,
+      interval: 1,
+      weekdays: [0, 6],
+    }),
+  },
+  {
+    regex: new RegExp(
+      `\\bevery\\s+${ORDINAL}\\s+(${WEEKDAY})(?:\\s+of\\s+(?:the|every)\\s+month)?\\b`,
+      'i'
+    ),
+    build: (match) => ({
+      frequency: RECURRENCE_FREQUENCIES.MONTHLY,
+      interval: 1,
+      weekOfMonth: toOrdinal(match[1]),
+      weekdays: [toWeekday(match[2])],
+    }),
+  },
+  {
+    regex: new RegExp(
+      `\\bevery\\s+${INTERVAL}(${WEEKDAY}(?:\\s*(?:,|and|&)\\s*${WEEKDAY})*)\\b`,
+      'i'
+    ),
+    build: (match) => ({
+      frequency: RECURRENCE_FREQUENCIES.WEEKLY,
+      interval: toInterval(match[1]),
+      weekdays: parseWeekdayList(match[2]),
+    }),
+  },
+  {
+    regex: new RegExp(`\\bevery\\s+${INTERVAL}months?${NTH_WEEKDAY}\\b`, 'i'),
+    build: (match) => ({
+      frequency: RECURRENCE_FREQUENCIES.MONTHLY,
+      interval: toInterval(match[1]),
+      weekOfMonth: toOrdinal(match[2]),
+      weekdays: [toWeekday(match[3])],
+    }),
+  },
+  {
+    regex: new RegExp(
+      `\\bevery\\s+${INTERVAL}months?(?:${MONTH_DAY})?\\b`,
+      'i'
+    ),
+    build: (match) => {
+      const rule = {
+        frequency: RECURRENCE_FREQUENCIES.MONTHLY,
+        interval: toInterval(match[1]),
+      };
+      if (match[2]) rule.monthDay = parseInt(match[2], 10);
+      if (match[3]) rule.monthDay = -1;
+      return rule;
+    },
+  },
+  {
+    regex:
+      /\bevery\s+(\d{1,2})(?:st|nd|rd|th)(?:\s+of\s+(?:the|every)\s+month)?\b/i,
+    build: (match) => ({
+      frequency: RECURRENCE_FREQUENCIES.MONTHLY,
+      interval: 1,
+      monthDay: parseInt(match[1], 10),
+    }),
+  },
+  {
+    regex: trailingWord('monthly'),
+    build: () => ({ frequency: RECURRENCE_FREQUENCIES.MONTHLY, interval: 1 }),
+  },
+  {
+    regex: new RegExp(`\\bevery\\s+${INTERVAL}days?\\b`, 'i'),
+    build: (match) => ({
+      frequency: RECURRENCE_FREQUENCIES.DAILY,
+      interval: toInterval(match[1]),
+    }),
+  },
+  {
+    regex: trailingWord('daily'),
+    build: () => ({ frequency: RECURRENCE_FREQUENCIES.DAILY, interval: 1 }),
+  },
+  {
+    regex: new RegExp(`\\bevery\\s+${INTERVAL}weeks?\\b`, 'i'),
+    build: (match) => ({
+      frequency: RECURRENCE_FREQUENCIES.WEEKLY,
+      interval: toInterval(match[1]),
+    }),
+  },
+  {
+    regex: trailingWord('weekly'),
+    build: () => ({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, interval: 1 }),
+  },
+  {
+    regex: new RegExp(`\\bevery\\s+${INTERVAL}years?\\b`, 'i'),
+    build: (match) => ({
+      frequency: RECURRENCE_FREQUENCIES.YEARLY,
+      interval: toInterval(match[1]),
+    }),
+  },
+  {
+    regex: trailingWord('yearly|annually'),
+    build: () => ({ frequency: RECURRENCE_FREQUENCIES.YEARLY, interval: 1 }),
+  },
+];
+
+/**
+ * Check that a rule is structurally valid
+ * @param {Object} rule - Recurrence rule
+ * @returns {boolean}
+ */
+export const isValidRecurrence = (rule) => {
+  if (!rule || typeof rule !== 'object') return false;
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(rule.frequency)) {
+    return false;
+  }
+  if (rule.interval !== undefined && !(rule.interval >= 1)) return false;
+  if (
+    rule.weekdays !== undefined &&
+    (!Array.isArray(rule.weekdays) ||
+      rule.weekdays.some((day) => !(day >= 0 && day <= 6)))
+  ) {
+    return false;
+  }
+  if (
+    rule.monthDay !== undefined &&
+    !(rule.monthDay === -1 || (rule.monthDay >= 1 && rule.monthDay <= 31))
+  ) {
+    return false;
+  }
+  if (
+    rule.weekOfMonth !== undefined &&
+    !(
+      rule.weekOfMonth === -1 ||
+      (rule.weekOfMonth >= 1 && rule.weekOfMonth <= 5)
+    )
+  ) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Find a recurrence phrase in free text
+ * @param {string} text - User input such as "Pay rent every month on the 1st"
+ * @returns {{rule: Object, match: string}|null} The rule and the matched phrase
+ */
+export const parseRecurrence = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  let result = null;
+  MATCHERS.some((matcher) => {
+    const match = text.match(matcher.regex);
+    if (!match) return false;
+
+    const rule = matcher.build(match);
+    if (rule.weekdays && rule.weekdays.length === 0) return false;
+    if (!isValidRecurrence(rule)) return false;
+
+    result = { rule, match: match[0] };
+    return true;
+  });
+
+  return result;
+};
+
+const ordinalSuffix = (n) => {
+  const mod100 = n % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+  switch (n % 10) {
+    case 1:
+      return `${n}st`;
+    case 2:
+      return `${n}nd`;
+    case 3:
+      return `${n}rd`;
+    default:
+      return `${n}th`;
+  }
+};
+
+const describeWeekOfMonth = (n) => (n === -1 ? 'last' : ordinalSuffix(n));
+
+/**
+ * Human readable description of a rule, e.g. "Every 2nd Tuesday"
+ * @param {Object} rule - Recurrence rule
+ * @returns {string}
+ */
+export const describeRecurrence = (rule) => {
+  if (!isValidRecurrence(rule)) return '';
+
+  const interval = rule.interval || 1;
+  const weekdays = rule.weekdays || [];
+
+  switch (rule.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return interval === 1 ? 'Every day' : `Every ${interval} days`;
+
+    case RECURRENCE_FREQUENCIES.WEEKLY: {
+      const prefix = interval === 1 ? 'Every' : `Every ${interval} weeks on`;
+      if (weekdays.join() === '1,2,3,4,5' && interval === 1) {
+        return 'Every weekday';
+      }
+      if (weekdays.join() === '0,6' && interval === 1) return 'Every weekend';
+      if (weekdays.length > 0) {
+        const names = weekdays.map((day) => WEEKDAY_NAMES[day].slice(0, 3));
+        return `${prefix} ${names.join(', ')}`;
+      }
+      return interval === 1 ? 'Every week' : `Every ${interval} weeks`;
+    }
+
+    case RECURRENCE_FREQUENCIES.MONTHLY: {
+      const base = interval === 1 ? 'Every month' : `Every ${interval} months`;
+      if (rule.weekOfMonth && weekdays.length > 0) {
+        const day = WEEKDAY_NAMES[weekdays[0]];
+        const nth = describeWeekOfMonth(rule.weekOfMonth);
+        return interval === 1
+          ? `Every ${nth} ${day}`
+          : `${base} on the ${nth} ${day}`;
+      }
+      if (rule.monthDay === -1) return `${base} on the last day`;
+      if (rule.monthDay)
+        return `${base} on the ${ordinalSuffix(rule.monthDay)}`;
+      return base;
+    }
+
+    case RECURRENCE_FREQUENCIES.YEARLY:
+      return interval === 1 ? 'Every year' : `Every ${interval} years`;
+
+    default:
+      return '';
+  }
+};
+
+const nthWeekdayOfMonth = (month, weekOfMonth, weekday) => {
+  if (weekOfMonth === -1) {
+    const last = month.clone().endOf('month').startOf('day');
+    return last.subtract((last.day() - weekday + 7) % 7, 'days');
+  }
+
+  const first = month.clone().startOf('month');
+  const date = first
+    .clone()
+    .add((weekday - first.day() + 7) % 7, 'days')
+    .add(weekOfMonth - 1, 'weeks');
+
+  return date.month() === first.month() ? date : null;
+};
+
+const dayOfMonth = (month, monthDay) => {
+  const start = month.clone().startOf('month');
+  const last = start.daysInMonth();
+  return start.date(monthDay === -1 ? last : Math.min(monthDay, last));
+};
+
+const nextMonthlyOccurrence = (rule, base, interval) => {
+  const candidateFor = (month) => {
+    if (rule.weekOfMonth && rule.weekdays && rule.weekdays.length > 0) {
+      return nthWeekdayOfMonth(month, rule.weekOfMonth, rule.weekdays[0]);
+    }
+    return dayOfMonth(month, rule.monthDay);
+  };
+
+  const sameMonth = candidateFor(base);
+  if (sameMonth && sameMonth.isAfter(base, 'day')) return sameMonth;
+
+  // A "5th Friday" does not exist in every month - keep stepping
+  for (let step = 1; step <= 24; step += 1) {
+    const candidate = candidateFor(
+      base
+        .clone()
+        .startOf('month')
+        .add(interval * step, 'months')
+    );
+    if (candidate) return candidate;
+  }
+
+  return null;
+};
+
+/**
+ * Next occurrence strictly after the given date
+ * @param {Object} rule - Recurrence rule
+ * @param {moment.Moment} base - Date to step from
+ * @returns {moment.Moment|null}
+ */
+const advance = (rule, base) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case RECURRENCE_FREQUENCIES.DAILY:
+      return base.clone().add(interval, 'days');
+
+    case RECURRENCE_FREQUENCIES.WEEKLY: {
+      const weekdays = [...(rule.weekdays || [])].sort((a, b) => a - b);
+      if (weekdays.length === 0) return base.clone().add(interval, 'weeks');
+
+      const laterThisWeek = weekdays.find((day) => day > base.day());
+      if (laterThisWeek !== undefined) return base.clone().day(laterThisWeek);
+      return base.clone().add(interval, 'weeks').day(weekdays[0]);
+    }
+
+    case RECURRENCE_FREQUENCIES.MONTHLY:
+      if (rule.monthDay || rule.weekOfMonth) {
+        return nextMonthlyOccurrence(rule, base, interval);
+      }
+      return base.clone().add(interval, 'months');
+
+    case RECURRENCE_FREQUENCIES.YEARLY:
+      return base.clone().add(interval, 'years');
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Compute the date of the next occurrence after completing a task.
+ * Steps forward from the current due date (or today when undated) and skips
+ * occurrences that are already in the past, so an overdue daily task lands on today.
+ * @param {Object} rule - Recurrence rule
+ * @param {moment.Moment|Date|string|null} dueDate - Current due date of the task
+ * @param {moment.Moment|Date} [today] - Reference "today", mainly for tests
+ * @returns {moment.Moment|null} Next due date (start of day)
+ */
+export const getNextOccurrence = (rule, dueDate, today = moment()) => {
+  if (!isValidRecurrence(rule)) return null;
+
+  const startOfToday = moment(today).startOf('day');
+  let next = dueDate ? moment(dueDate).startOf('day') : startOfToday.clone();
+
+  // Guard against bad rules looping forever
+  for (let i = 0; i < 1000; i += 1) {
+    next = advance(rule, next);
+    if (!next) return null;
+    if (!next.isBefore(startOfToday, 'day')) return next;
+  }
+
+  return null;
+};
+
+/**
+ * First occurrence on or after today, used to date a new recurring task
+ * @param {Object} rule - Recurrence rule
+ * @param {moment.Moment|Date} [today] - Reference "today"
+ * @returns {moment.Moment|null}
+ */
+export const getFirstOccurrence = (rule, today = moment()) => {
+  const yesterday = moment(today).startOf('day').subtract(1, 'day');
+  return getNextOccurrence(rule, yesterday, today);
+};
+
+export default {
+  parseRecurrence,
+  describeRecurrence,
+  getNextOccurrence,
+  getFirstOccurrence,
+  isValidRecurrence,
+  RECURRENCE_FREQUENCIES,
+};
@@ -0,0 +1,128 @@
+/**
+ * Reminder scheduler
+ * Fires task reminders (see lib/reminders) while the app is open, and on the
+ * next start those that went off while it was closed. The time it last
+ * checked is kept in storage; everything due between then and now fires
+ * once, up to CATCH_UP_WINDOW back. Reminders set for a time that had
+ * already passed never fire.
+ *
+ * Fired reminders are remembered by task, reminder and time, so moving a
+ * task's due date arms its relative reminders again, and another tab that
+ * checks at the same moment doesn't repeat them.
+ */
+
+import { getReminderTime } from './reminders';
+
+// Missed reminders older than this are stale by the time anyone sees them
+export const CATCH_UP_WINDOW = 24 * 60 * 60 * 1000;
+
+// Timers are capped so sleep and clock changes are noticed
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+const reminderKey = (task, reminder, time) =>
+  `${task.id}:${reminder.id}:${time}`;
+
+const keyTime = (key) => Number(key.slice(key.lastIndexOf(':') + 1));
+
+/**
+ * Reminders of open tasks with when they go off
+ * @param {Object[]} tasks
+ * @returns {Array<{task: Object, reminder: Object, time: number, key: string}>}
+ *   Earliest first
+ */
+export const getScheduledReminders = (tasks) =>
+  tasks
+    .filter((task) => !task.archived)
+    .flatMap((task) =>
+      (task.reminders || []).map((reminder) => {
+        const at = getReminderTime(reminder, task);
+        const time = at ? at.getTime() : null;
+        return { task, reminder, time, key: reminderKey(task, reminder, time) };
+      })
+    )
+    .filter(({ time }) => time !== null)
+    .sort((a, b) => a.time - b.time);
+
+/**
+ * @param {Object} options
+ * @param {Function} options.onFire - ({ task, reminder, time }) => void
+ * @param {Storage} [options.storage]
+ * @param {string} [options.storageKey] - One per user
+ * @param {Function} [options.now] - () => milliseconds
+ * @param {Function} [options.setTimer]
+ * @param {Function} [options.clearTimer]
+ * @returns {{ update: Function, stop: Function }}
+ */
+export const createReminderScheduler = ({
+  onFire,
+  storage = window.localStorage,
+  storageKey = 'reminders',
+  now = () => Date.now(),
+  setTimer = (callback, delay) => setTimeout(callback, delay),
+  clearTimer = (id) => clearTimeout(id),
+}) => {
+  let tasks = [];
+  let timer = null;
+
+  const load = () => {
+    try {
+      return JSON.parse(storage.getItem(storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  };
+
+  const save = (state) => {
+    try {
+      storage.setItem(storageKey, JSON.stringify(state));
+    } catch (error) {
+      console.error('Error saving reminder state:', error);
+    }
+  };
+
+  const check = () => {
+    clearTimer(timer);
+    timer = null;
+
+    const current = now();
+    const state = load();
+    // The first run only looks ahead
+    const since = Math.max(
+      state.checkedAt === undefined ? current : state.checkedAt,
+      current - CATCH_UP_WINDOW
+    );
+    const fired = new Set(state.fired || []);
+    const scheduled = getScheduledReminders(tasks);
+
+    const due = scheduled.filter(
+      ({ time, key }) => time > since && time <= current && !fired.has(key)
+    );
+    due.forEach(({ key }) => fired.add(key));
+    save({
+      checkedAt: current,
+      fired: [...fired].filter((key) => keyTime(key) > since),
+    });
+    due.forEach(({ task, reminder, time }) => onFire({ task, reminder, time }));
+
+    const next = scheduled.find(({ time }) => time > current);
+    if (next) {
+      timer = setTimer(check, Math.min(next.time - current, MAX_TIMER_DELAY));
+    }
+  };
+
+  return {
+    /**
+     * Check against the current tasks; call whenever they change
+     * @param {Object[]} nextTasks - All the user's tasks with reminders
+     */
+    update(nextTasks) {
+      tasks = nextTasks;
+      check();
+    },
+
+    stop() {
+      clearTimer(timer);
+      timer = null;
+    },
+  };
+};
@@ -0,0 +1,151 @@
+/**
+ * Reminders
+ * Tasks carry a list of reminders in their `reminders` column, each either
+ * relative to when the task is due or at a fixed time:
+ *
+ *   { id: 'before-30', type: 'relative', minutesBefore: 30 }
+ *   { id: 'at-2024-03-08T08:00:00.000Z', type: 'absolute', at: '2024-03-08T08:00:00.000Z' }
+ *
+ * IDs follow from the value, so the same reminder can't be added twice.
+ * lib/reminder-scheduler fires them.
+ */
+
+import moment from 'moment';
+import { getDueInstant } from './due-dates';
+
+// Tasks due on a day without a time are reminded about relative to this hour
+export const DEFAULT_REMINDER_HOUR = 9;
+
+// Offered in the task detail panel, in minutes before due
+export const REMINDER_PRESETS = [0, 15, 60, 24 * 60];
+
+const UNITS = [
+  { minutes: 7 * 24 * 60, name: 'week', pattern: /^w(ee)?ks?$/ },
+  { minutes: 24 * 60, name: 'day', pattern: /^d(ays?)?$/ },
+  { minutes: 60, name: 'hour', pattern: /^h((ou)?rs?)?$/ },
+  { minutes: 1, name: 'minute', pattern: /^m(in(ute)?s?)?$/ },
+];
+
+/**
+ * @param {number} minutesBefore
+ * @returns {Object}
+ */
+export const relativeReminder = (minutesBefore) => ({
+  id: `before-${minutesBefore}`,
+  type: 'relative',
+  minutesBefore,
+});
+
+/**
+ * @param {Date|string} at
+ * @returns {Object}
+ */
+export const absoluteReminder = (at) => {
+  const iso = new Date(at).toISOString();
+  return { id: `at-${iso}`, type: 'absolute', at: iso };
+};
+
+/**
+ * A reminder from text such as "30 min before", "1 day before" or "at due
+ * time", as the AI's scheduling suggestions put them
+ * @param {string} text
+ * @returns {Object|null}
+ */
+export const parseReminder = (text) => {
+  const normalized = (text || '').trim().toLowerCase();
+  if (/^(at|on) (the )?due( time)?$/.test(normalized)) {
+    return relativeReminder(0);
+  }
+
+  const match = normalized.match(/^(\d+|an?)\s*([a-z]+)\s+before( due)?$/);
+  if (!match) return null;
+  const unit = UNITS.find(({ pattern }) => pattern.test(match[2]));
+  if (!unit) return null;
+  const amount = /^\d+$/.test(match[1]) ? Number(match[1]) : 1;
+  return relativeReminder(amount * unit.minutes);
+};
+
+/**
+ * When a reminder goes off for a task
+ * @param {Object} reminder
+ * @param {Object} task - With dueDate, dueTime and timeZone
+ * @returns {Date|null} Null for relative reminders on undated tasks
+ */
+export const getReminderTime = (reminder, task) => {
+  if (reminder.type === 'absolute') {
+    const at = new Date(reminder.at);
+    return Number.isNaN(at.getTime()) ? null : at;
+  }
+
+  const due = getDueInstant(
+    task.dueDate,
+    task.dueTime || `${String(DEFAULT_REMINDER_HOUR).padStart(2, '0')}:00`,
+    task.timeZone
+  );
+  if (!due) return null;
+  return new Date(due.getTime() - reminder.minutesBefore * 60 * 1000);
+};
+
+/**
+ * How a reminder reads, e.g. "1 hour before" or "Mar 8, 9:00 AM"
+ * @param {Object} reminder
+ * @returns {string}
+ */
+export const describeReminder = (reminder) => {
+  if (reminder.type === 'absolute') {
+    return moment(reminder.at).calendar(null, {
+      sameElse: 'MMM D, YYYY [at] LT',
+    });
+  }
+  if (reminder.minutesBefore === 0) return 'At due time';
+
+  const unit = UNITS.find(
+    ({ minutes }) => reminder.minutesBefore % minutes === 0
+  );
+  const amount = reminder.minutesBefore / unit.minutes;
+  return `${amount} ${unit.name}${amount === 1 ? '' : 's'} before`;
+};
+
+/**
+ * A task's reminders with one more, relative ones first, each kind in the
+ * order they go off; adding one it already has changes nothing
+ * @param {Object[]} reminders
+ * @param {Object} reminder
+ * @returns {Object[]}
+ */
+export const addReminder = (reminders, reminder) => {
+  if (reminders.some(({ id }) => id === reminder.id)) return reminders;
+  const relative = (item) => item.type === 'relative';
+  return [...reminders, reminder].sort((a, b) => {
+    if (relative(a) !== relative(b)) return relative(a) ? -1 : 1;
+    return relative(a)
+      ? b.minutesBefore - a.minutesBefore
+      : new Date(a.at) - new Date(b.at);
+  });
+};
+
+/**
+ * Reminders a task's next occurrence keeps: relative ones follow it to its
+ * new date, fixed times stay behind
+ * @param {Object[]} [reminders]
+ * @returns {Object[]}
+ */
+export const carryOverReminders = (reminders = []) =>
+  reminders.filter((reminder) => reminder.type === 'relative');
+
+/**
+ * Ask for permission to show system notifications, once the user has set a
+ * reminder
+ * @returns {Promise<boolean>} Whether they can be shown
+ */
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return false;
+  if (Notification.permission !== 'default') {
+    return Notification.permission === 'granted';
+  }
+  try {
+    return (await Notification.requestPermission()) === 'granted';
+  } catch (error) {
+    return false;
+  }
+};
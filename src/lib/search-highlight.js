@@ -0,0 +1,46 @@
+/**
+ * Search highlight parsing
+ * search_tasks() marks matches with control characters instead of HTML, so
+ * highlighting never means injecting markup that came from task text.
+ */
+
+export const HIGHLIGHT_START = '\u0002';
+export const HIGHLIGHT_STOP = '\u0003';
+
+/**
+ * Split a highlighted string into plain and matched segments
+ * @param {string} text - e.g. "Plan \u0002meeting\u0003 agenda"
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export const parseHighlights = (text) => {
+  if (!text) return [];
+
+  const segments = [];
+  let match = false;
+  let current = '';
+
+  const flush = () => {
+    if (current) segments.push({ text: current, match });
+    current = '';
+  };
+
+  Array.from(text).forEach((char) => {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_STOP) {
+      flush();
+      match = char === HIGHLIGHT_START;
+      return;
+    }
+    current += char;
+  });
+  flush();
+
+  return segments;
+};
+
+/**
+ * Remove highlight markers, leaving the plain text
+ * @param {string} text
+ * @returns {string}
+ */
+export const stripHighlights = (text) =>
+  (text || '').split(HIGHLIGHT_START).join('').split(HIGHLIGHT_STOP).join('');
@@ -0,0 +1,82 @@
+/**
+ * Sections
+ * Projects can be split into sections: headings in the list layout, columns
+ * in the board layout. Only top-level tasks carry a section; subtasks are
+ * shown under their top-level task wherever that is.
+ */
+
+import { applyOrder, keyBetween } from './ordering';
+
+export const PROJECT_LAYOUTS = { list: 'list', board: 'board' };
+
+/**
+ * How a project shows its tasks; list unless set to board
+ * @param {Object} [project]
+ * @returns {'list'|'board'}
+ */
+export const getLayout = (project) =>
+  project && project.layout === PROJECT_LAYOUTS.board
+    ? PROJECT_LAYOUTS.board
+    : PROJECT_LAYOUTS.list;
+
+/**
+ * The section a top-level task is shown in
+ * Tasks pointing at a section that isn't in the list (deleted, possibly while
+ * offline, or in the project the task was moved out of) are shown outside
+ * any section.
+ * @param {Object} task
+ * @param {Object[]} sections
+ * @returns {string|null}
+ */
+export const getSectionId = (task, sections) =>
+  task.sectionId && sections.some((section) => section.id === task.sectionId)
+    ? task.sectionId
+    : null;
+
+/**
+ * Sort key for a section added after all the others
+ * @param {Object[]} sections - In display order
+ * @returns {string}
+ */
+export const nextSectionKey = (sections) =>
+  keyBetween(
+    sections.length > 0 ? sections[sections.length - 1].sort_order : null,
+    null
+  );
+
+/**
+ * Tasks grouped by section
+ * Each task goes with its top-level task; the tasks keep their order within
+ * each group.
+ * @param {Object[]} tasks - Tasks as shown in the UI, in display order
+ * @param {Object[]} sections - The project's sections
+ * @returns {Array<{section: Object|null, tasks: Object[]}>} Tasks outside any
+ *   section first, then one group per section in order, empty ones included
+ */
+export const groupBySection = (tasks, sections) => {
+  const byId = new Map(tasks.map((task) => [task.id, task]));
+  const rootOf = (task) => {
+    const seen = new Set([task.id]);
+    let root = task;
+    let parent = byId.get(root.parentTaskId);
+    // Parent cycles (a bad write) end at the first repeat
+    while (parent && !seen.has(parent.id)) {
+      seen.add(parent.id);
+      root = parent;
+      parent = byId.get(root.parentTaskId);
+    }
+    return root;
+  };
+
+  const groups = [null, ...applyOrder(sections)].map((section) => ({
+    section,
+    tasks: [],
+  }));
+  tasks.forEach((task) => {
+    const sectionId = getSectionId(rootOf(task), sections);
+    groups
+      .find((group) => (group.section ? group.section.id : null) === sectionId)
+      .tasks.push(task);
+  });
+  return groups;
+};
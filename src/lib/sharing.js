@@ -0,0 +1,83 @@
+/**
+ * Shared projects
+ * Members of a project are its owner, editors (who change its tasks and
+ * sections) and viewers (who only read them); the same rules are enforced by
+ * the policies in supabase-complete-setup.sql. Projects carry the signed-in
+ * user's `role` in them.
+ */
+
+export const ROLES = {
+  owner: 'owner',
+  editor: 'editor',
+  viewer: 'viewer',
+};
+
+// Roles an invitation can give; there's only ever one owner
+export const INVITE_ROLES = [ROLES.editor, ROLES.viewer];
+
+export const ROLE_NAMES = {
+  [ROLES.owner]: 'Owner',
+  [ROLES.editor]: 'Can edit',
+  [ROLES.viewer]: 'Can view',
+};
+
+// Query parameter of invitation links
+export const INVITE_PARAM = 'invite';
+
+const roleOf = (project) => (project && project.role) || ROLES.owner;
+
+/**
+ * Whether the user may add, change and remove tasks and sections of a
+ * project; views that aren't a project are the user's own
+ * @param {Object|null} project
+ */
+export const canEditTasks = (project) => roleOf(project) !== ROLES.viewer;
+
+/**
+ * Whether the user may change the project itself: its settings, place in
+ * the sidebar, members, archiving and deleting it
+ * @param {Object|null} project
+ */
+export const canManageProject = (project) => roleOf(project) === ROLES.owner;
+
+/**
+ * @param {string} email
+ * @returns {string}
+ */
+export const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * Loose check that an address can be invited; delivery is the real test
+ * @param {string} email
+ */
+export const isValidEmail = (email) =>
+  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(email));
+
+/**
+ * Link that accepts an invitation when opened by its addressee
+ * @param {string} token
+ * @param {string} origin - e.g. window.location.origin
+ * @returns {string}
+ */
+export const getInvitationLink = (token, origin) =>
+  `${origin}/?${INVITE_PARAM}=${encodeURIComponent(token)}`;
+
+/**
+ * Invitation token of the current URL, if any
+ * @param {string} search - e.g. window.location.search
+ * @returns {string|null}
+ */
+export const readInvitationToken = (search) =>
+  new URLSearchParams(search).get(INVITE_PARAM) || null;
+
+/**
+ * Members in display order: the owner, then everyone else by address
+ * @param {Object[]} members - project_members rows
+ * @returns {Object[]}
+ */
+export const sortMembers = (members) =>
+  [...members].sort(
+    (a, b) =>
+      (b.role === ROLES.owner) - (a.role === ROLES.owner) ||
+      String(a.email || '').localeCompare(String(b.email || ''))
+  );
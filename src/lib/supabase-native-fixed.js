@@ -4,6 +4,17 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import moment from 'moment';
+import { getNextOccurrence } from './recurrence';
+import { DUE_DATE_FORMAT, getLocalTimeZone, toDueDate, toDueTime } from './due-dates';
+import { computeAnalytics, getFetchStart, normalizeServerAnalytics } from './analytics';
+import { TaskConflictError, detectConflicts, mergeTextUpdates } from './conflicts';
+import { toServerFilter } from './filter-language';
+import { toDeleteOptions } from './project-deletion';
+import { createSupabaseStorage } from './attachment-storage';
+import { ATTACHMENT_BUCKET } from './attachments';
+import { carryOverReminders } from './reminders';
+import { getSubtasksToDetach } from './task-tree';
 
 // Supabase configuration
 const supabaseUrl = process.env.REACT_APP_SUPABASE_URL || 'https://demo.supabase.co';
@@ -11,59 +22,1119 @@ const supabaseKey = process.env.REACT_APP_SUPABASE_ANON_KEY || 'demo-key';
 
 export const supabase = createClient(supabaseUrl, supabaseKey);
 
+/**
+ * Map camelCase due fields to the due_date / due_time / due_timezone columns
+ * The zone is only stored alongside a date so "today" means the user's today.
+ */
+const toDueColumns = ({ dueDate, dueTime, timeZone }) => {
+  const date = toDueDate(dueDate);
+  return {
+    due_date: date,
+    due_time: date ? toDueTime(dueTime) : null,
+    due_timezone: date ? timeZone || getLocalTimeZone() : null
+  };
+};
+
+// Task rows come with their label links and how many comments and
+// attachments they have
+const TASK_COLUMNS = '*, task_labels(label_id), task_comments(count), task_attachments(count)';
+
+/**
+ * Label links as embedded in task rows
+ * @param {string[]} labelIds
+ */
+export const toTaskLabels = (labelIds = []) =>
+  labelIds.map(labelId => ({ label_id: labelId }));
+
+/**
+ * Map createTask input to a full tasks row
+ */
+export const toTaskInsert = (taskData) => ({
+  task: taskData.task,
+  description: taskData.description || null,
+  project_id: taskData.projectId || '1',
+  ...toDueColumns(taskData),
+  priority: taskData.priority || 'medium',
+  user_id: taskData.userId,
+  archived: taskData.archived || false,
+  completed_at: taskData.archived ? taskData.completedAt || null : null,
+  ai_enhanced: taskData.aiEnhanced || false,
+  metadata: taskData.metadata || {},
+  parent_task_id: taskData.parentTaskId || null,
+  recurrence: taskData.recurrence || null,
+  sort_order: taskData.sortOrder || null,
+  collapsed: taskData.collapsed || false,
+  section_id: taskData.sectionId || null,
+  assignee_id: taskData.assigneeId || null,
+  reminders: taskData.reminders || []
+});
+
+/**
+ * Map updateTask input to the columns it changes
+ */
+export const toTaskColumns = (updates) => {
+  const columns = {};
+
+  if (updates.task !== undefined) columns.task = updates.task;
+  if (updates.description !== undefined) columns.description = updates.description;
+  if (updates.projectId !== undefined) columns.project_id = updates.projectId;
+  if (updates.dueDate !== undefined) Object.assign(columns, toDueColumns(updates));
+  if (updates.priority !== undefined) columns.priority = updates.priority;
+  if (updates.archived !== undefined) columns.archived = updates.archived;
+  if (updates.aiEnhanced !== undefined) columns.ai_enhanced = updates.aiEnhanced;
+  if (updates.metadata !== undefined) columns.metadata = updates.metadata;
+  if (updates.parentTaskId !== undefined) columns.parent_task_id = updates.parentTaskId;
+  if (updates.recurrence !== undefined) columns.recurrence = updates.recurrence;
+  if (updates.sortOrder !== undefined) columns.sort_order = updates.sortOrder;
+  if (updates.collapsed !== undefined) columns.collapsed = updates.collapsed;
+  if (updates.sectionId !== undefined) columns.section_id = updates.sectionId;
+  if (updates.assigneeId !== undefined) columns.assignee_id = updates.assigneeId;
+  if (updates.reminders !== undefined) columns.reminders = updates.reminders;
+
+  return columns;
+};
+
+/**
+ * Map createProject input to a projects row
+ */
+export const toProjectInsert = (projectData) => ({
+  id: projectData.id,
+  name: projectData.name,
+  user_id: projectData.userId,
+  sort_order: projectData.sortOrder || null,
+  color: projectData.color || null,
+  favorite: projectData.favorite || false,
+  layout: projectData.layout || 'list',
+  parent_project_id: projectData.parentProjectId || null,
+  collapsed: projectData.collapsed || false,
+  show_subproject_tasks: projectData.showSubprojectTasks || false
+});
+
+/**
+ * Map updateProject input to the columns it changes
+ */
+export const toProjectColumns = (updates) => {
+  const columns = {};
+
+  if (updates.name !== undefined) columns.name = updates.name;
+  if (updates.sortOrder !== undefined) columns.sort_order = updates.sortOrder;
+  if (updates.layout !== undefined) columns.layout = updates.layout;
+  if (updates.color !== undefined) columns.color = updates.color;
+  if (updates.favorite !== undefined) columns.favorite = updates.favorite;
+  if (updates.archivedAt !== undefined) columns.archived_at = updates.archivedAt;
+  if (updates.parentProjectId !== undefined) columns.parent_project_id = updates.parentProjectId;
+  if (updates.collapsed !== undefined) columns.collapsed = updates.collapsed;
+  if (updates.showSubprojectTasks !== undefined) columns.show_subproject_tasks = updates.showSubprojectTasks;
+
+  return columns;
+};
+
+/**
+ * Map createLabel input to a labels row
+ */
+export const toLabelInsert = (labelData) => ({
+  id: labelData.id,
+  name: labelData.name,
+  color: labelData.color,
+  user_id: labelData.userId
+});
+
+/**
+ * Map updateLabel input to the columns it changes
+ */
+export const toLabelColumns = (updates) => {
+  const columns = {};
+
+  if (updates.name !== undefined) columns.name = updates.name;
+  if (updates.color !== undefined) columns.color = updates.color;
+
+  return columns;
+};
+
+/**
+ * Map createFilter input to a filters row
+ */
+export const toFilterInsert = (filterData) => ({
+  id: filterData.id,
+  name: filterData.name,
+  query: filterData.query,
+  user_id: filterData.userId
+});
+
+/**
+ * Map updateFilter input to the columns it changes
+ */
+export const toFilterColumns = (updates) => {
+  const columns = {};
+
+  if (updates.name !== undefined) columns.name = updates.name;
+  if (updates.query !== undefined) columns.query = updates.query;
+
+  return columns;
+};
+
+/**
+ * Map createSection input to a sections row
+ */
+export const toSectionInsert = (sectionData) => ({
+  id: sectionData.id,
+  project_id: sectionData.projectId,
+  name: sectionData.name,
+  sort_order: sectionData.sortOrder || null,
+  user_id: sectionData.userId
+});
+
+/**
+ * Map updateSection input to the columns it changes
+ */
+export const toSectionColumns = (updates) => {
+  const columns = {};
+
+  if (updates.name !== undefined) columns.name = updates.name;
+  if (updates.sortOrder !== undefined) columns.sort_order = updates.sortOrder;
+
+  return columns;
+};
+
+/**
+ * Map createPerson input to a people row
+ */
+export const toPersonInsert = (personData) => ({
+  id: personData.id,
+  name: personData.name,
+  email: personData.email || null,
+  user_id: personData.userId
+});
+
+/**
+ * Map updatePerson input to the columns it changes
+ */
+export const toPersonColumns = (updates) => {
+  const columns = {};
+
+  if (updates.name !== undefined) columns.name = updates.name;
+  if (updates.email !== undefined) columns.email = updates.email || null;
+
+  return columns;
+};
+
+/**
+ * Map createComment input to a task_comments row
+ */
+export const toCommentInsert = (commentData) => ({
+  id: commentData.id,
+  task_id: commentData.taskId,
+  user_id: commentData.userId,
+  body: commentData.body,
+  // Only set when a deleted comment is restored to its place
+  ...(commentData.createdAt && { created_at: commentData.createdAt })
+});
+
+/**
+ * Map updateComment input to the columns it changes
+ */
+export const toCommentColumns = (updates) => {
+  const columns = {};
+
+  if (updates.body !== undefined) columns.body = updates.body;
+
+  return columns;
+};
+
 /**
  * WORKING SUPABASE TASK OPERATIONS
  */
-export const tasksService = {
-  /**
-   * Get tasks with simple queries that actually work
-   */
-  async getTasksWithRelations(userId, filters = {}) {
-    let query = supabase
-      .from('tasks')
+export const tasksService = {
+  /**
+   * Get tasks with simple queries that actually work
+   * Row level security scopes them to the user's own tasks plus every task
+   * of the projects shared with them.
+   */
+  async getTasksWithRelations(userId, filters = {}) {
+    let query = supabase
+      .from('tasks')
+      .select(TASK_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    // Apply filters; projectIds covers a project along with its sub-projects
+    if (filters.projectIds && filters.projectIds.length > 0) {
+      query = query.in('project_id', filters.projectIds);
+    } else if (filters.projectId && filters.projectId !== 'INBOX') {
+      query = query.eq('project_id', filters.projectId);
+    }
+    
+    // Conditions needing PostgREST logic syntax, combined into one or()
+    const conditions = [];
+
+    // Completed subtasks come along for their parents' progress
+    if (filters.archived === false && filters.withCompletedSubtasks) {
+      conditions.push('or(archived.eq.false,parent_task_id.not.is.null)');
+    } else if (filters.archived !== undefined) {
+      query = query.eq('archived', filters.archived);
+    }
+
+    // Saved filter (bound expression, see lib/filter-language); it may
+    // return more than the filter matches, callers narrow down client-side
+    if (filters.expression) {
+      const condition = toServerFilter(filters.expression);
+      if (condition) conditions.push(condition);
+    }
+
+    if (conditions.length > 0) {
+      query = query.or(conditions.length === 1 ? conditions[0] : `and(${conditions.join(',')})`);
+    }
+    
+    if (filters.priority) {
+      query = query.eq('priority', filters.priority);
+    }
+
+    if (filters.assigneeId) {
+      query = query.eq('assignee_id', filters.assigneeId);
+    }
+
+    if (filters.withReminders) {
+      query = query.neq('reminders', '[]');
+    }
+    
+    // Date filtering on the typed due_date column (ISO strings compare correctly)
+    const today = moment().format(DUE_DATE_FORMAT);
+    if (filters.dateFilter === 'TODAY') {
+      query = query.eq('due_date', today);
+    } else if (filters.dateFilter === 'NEXT_7') {
+      const nextWeek = moment().add(7, 'days').format(DUE_DATE_FORMAT);
+      query = query.gte('due_date', today).lte('due_date', nextWeek);
+    } else if (filters.dateFilter === 'OVERDUE') {
+      // Today included for tasks whose time has passed; see lib/overdue
+      query = query.lte('due_date', today);
+    } else if (filters.dateFilter === 'UPCOMING') {
+      // The calendar pages through any range, so every dated task
+      query = query.not('due_date', 'is', null);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    
+    return data || [];
+  },
+
+  /**
+   * Open tasks due on each day of a range, for spreading rescheduled work
+   * @param {string} userId
+   * @param {string} from - YYYY-MM-DD
+   * @param {string} to - YYYY-MM-DD
+   * @returns {Promise<Object<string, number>>} Counts by due date
+   */
+  async getDueDateCounts(userId, from, to) {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select('due_date')
+      .eq('user_id', userId)
+      .eq('archived', false)
+      .gte('due_date', from)
+      .lte('due_date', to);
+
+    if (error) throw error;
+    return (data || []).reduce((counts, { due_date: dueDate }) => ({
+      ...counts,
+      [dueDate]: (counts[dueDate] || 0) + 1
+    }), {});
+  },
+
+  /**
+   * Simple subscription that works
+   */
+  subscribeToTasks(userId, filters = {}, callback) {
+    // Initial load; offline this fails and callers keep their cached rows
+    this.getTasksWithRelations(userId, filters)
+      .then(callback)
+      .catch(error => console.error('Error loading tasks:', error));
+
+    // Refetch on any change
+    const refetch = async () => {
+      try {
+        const tasks = await this.getTasksWithRelations(userId, filters);
+        callback(tasks);
+      } catch (error) {
+        console.error('Error fetching tasks after change:', error);
+      }
+    };
+
+    // Create unique channel name to avoid conflicts
+    const channelName = `tasks_${userId}_${Date.now()}_${Math.random()}`;
+    
+    // Simple subscription
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        // Unfiltered: realtime applies the same row level security, so
+        // collaborators' changes to shared projects come through too
+        { event: '*', schema: 'public', table: 'tasks' },
+        refetch
+      )
+      // Label links, comments and attachments change without touching the
+      // task row
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'task_labels' },
+        refetch
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'task_comments' },
+        refetch
+      )
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'task_attachments' },
+        refetch
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  /**
+   * Create task with simple insert
+   */
+  async createTask(taskData) {
+    const { data, error } = await supabase
+      .from('tasks')
+      .insert([toTaskInsert(taskData)])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const labelIds = taskData.labelIds || [];
+    if (labelIds.length > 0) await this.setTaskLabels(data.id, labelIds);
+    return { ...data, task_labels: toTaskLabels(labelIds) };
+  },
+
+  /**
+   * Replace a task's labels
+   * @param {*} taskId
+   * @param {string[]} labelIds
+   */
+  async setTaskLabels(taskId, labelIds) {
+    let removal = supabase
+      .from('task_labels')
+      .delete()
+      .eq('task_id', taskId);
+
+    if (labelIds.length > 0) {
+      removal = removal.not('label_id', 'in', `(${labelIds.map(id => `"${id}"`).join(',')})`);
+    }
+
+    const { error: removeError } = await removal;
+    if (removeError) throw removeError;
+    if (labelIds.length === 0) return;
+
+    const { error } = await supabase
+      .from('task_labels')
+      .upsert(
+        labelIds.map(labelId => ({ task_id: taskId, label_id: labelId })),
+        { onConflict: 'task_id,label_id', ignoreDuplicates: true }
+      );
+
+    if (error) throw error;
+  },
+
+  /**
+   * Get a single task row, or null when it no longer exists
+   */
+  async getTask(id) {
+    const { data, error } = await supabase
+      .from('tasks')
+      .select(TASK_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Update task
+   * With `expectedUpdatedAt` the write only applies if nobody changed the row
+   * since. If they did, changes to other fields (or other lines of the
+   * description) are merged by retrying on top of the current row, once; overlapping changes throw a TaskConflictError.
+   * A write that matches nothing while the row is unchanged was refused by
+   * row level security.
+   * @param {*} id
+   * @param {Object} updates
+   * @param {Object} [options]
+   * @param {string} [options.expectedUpdatedAt] - updated_at the client last saw
+   * @param {Object} [options.base] - Column values the client last saw
+   * @param {boolean} [options.isRetry]
+   */
+  async updateTask(id, updates, { expectedUpdatedAt, base, isRetry = false } = {}) {
+    // Labels live in task_labels and never conflict; setting them is idempotent
+    if (updates.labelIds !== undefined) {
+      await this.setTaskLabels(id, updates.labelIds);
+    }
+
+    const columns = toTaskColumns(updates);
+    if (Object.keys(columns).length === 0) return this.getTask(id);
+
+    let query = supabase
+      .from('tasks')
+      .update(columns)
+      .eq('id', id);
+
+    if (expectedUpdatedAt) {
+      query = query.eq('updated_at', expectedUpdatedAt);
+    }
+
+    const { data, error } = await query.select(TASK_COLUMNS);
+    if (error) throw error;
+    if (data && data.length > 0) return data[0];
+
+    const current = await this.getTask(id);
+    if (!current) throw new Error(`Task ${id} no longer exists`);
+    if (!expectedUpdatedAt || current.updated_at === expectedUpdatedAt) {
+      throw new Error(`You don't have permission to update task ${id}`);
+    }
+
+    // Someone else wrote in between
+    const conflicts = detectConflicts(columns, base, current);
+    if (conflicts.length > 0) {
+      throw new TaskConflictError({ taskId: id, updates, server: current, conflicts });
+    }
+    if (isRetry) throw new Error(`Task ${id} could not be updated`);
+
+    return this.updateTask(id, mergeTextUpdates(updates, base, current), {
+      expectedUpdatedAt: current.updated_at,
+      base: current,
+      isRetry: true
+    });
+  },
+
+  /**
+   * Create the next occurrence of a completed recurring task
+   * The completed row stays archived for history; a fresh row carries the rule forward
+   */
+  async createNextOccurrence(task) {
+    const nextTask = this.buildNextOccurrence(task);
+    return nextTask ? this.createTask(nextTask) : null;
+  },
+
+  /**
+   * Task data for the next occurrence of a recurring task, or null when the
+   * rule has run out
+   */
+  buildNextOccurrence(task) {
+    const dueDate = toDueDate(task.due_date || task.dueDate);
+    const nextDate = getNextOccurrence(task.recurrence, dueDate);
+    if (!nextDate) return null;
+
+    return {
+      task: task.task,
+      projectId: task.project_id || task.projectId,
+      dueDate: nextDate.format(DUE_DATE_FORMAT),
+      dueTime: task.due_time || task.dueTime,
+      timeZone: task.due_timezone || task.timeZone,
+      priority: task.priority,
+      userId: task.user_id || task.userId,
+      aiEnhanced: task.ai_enhanced || task.aiEnhanced,
+      metadata: { ...(task.metadata || {}), recurringFromId: task.id },
+      parentTaskId: task.parent_task_id || task.parentTaskId,
+      recurrence: task.recurrence,
+      sectionId: task.section_id || task.sectionId,
+      labelIds: task.labelIds || (task.task_labels || []).map(link => link.label_id),
+      reminders: carryOverReminders(task.reminders)
+    };
+  },
+
+  /**
+   * Full-text search across all projects via the search_tasks function
+   * Results are ranked, include archived tasks by default and carry a
+   * highlighted_task string with matches marked (see lib/search-highlight)
+   */
+  async searchTasks(userId, query, { includeArchived = true, limit = 20 } = {}) {
+    const searchQuery = (query || '').trim();
+    if (!searchQuery) return [];
+
+    const { data, error } = await supabase.rpc('search_tasks', {
+      p_user_id: userId,
+      search_query: searchQuery,
+      include_archived: includeArchived,
+      result_limit: limit
+    });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Detach the subtasks that should outlive a delete, before the
+   * parent_task_id cascade reaches them (see getSubtasksToDetach)
+   */
+  async detachSubtasks(ids, keeps) {
+    if (ids.length === 0) return [];
+
+    const { data: rows, error } = await supabase
+      .from('tasks')
+      .select('id, parent_task_id, archived')
+      .not('parent_task_id', 'is', null);
+
+    if (error) throw error;
+
+    const detached = getSubtasksToDetach(rows || [], ids, keeps);
+    if (detached.length === 0) return [];
+
+    const { error: updateError } = await supabase
+      .from('tasks')
+      .update({ parent_task_id: null })
+      .in('id', detached);
+
+    if (updateError) throw updateError;
+    return detached;
+  },
+
+  /**
+   * Delete task
+   * A completed task's open subtasks are detached rather than deleted with it
+   */
+  async deleteTask(id) {
+    const { data: task, error: fetchError } = await supabase
+      .from('tasks')
+      .select('archived')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (fetchError) throw fetchError;
+    if (task && task.archived) {
+      await this.detachSubtasks([id], row => !row.archived);
+    }
+
+    const { error } = await supabase
+      .from('tasks')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Permanently delete the completed tasks the user confirmed
+   * Subtasks that aren't purged themselves (reopened, or completed more
+   * recently) are detached first so they survive. Only completed rows are
+   * deleted, and row level security may leave out others' tasks.
+   * @param {Array} ids
+   * @returns {Promise<Array>} Ids of the tasks deleted
+   */
+  async purgeCompletedTasks(ids) {
+    if (ids.length === 0) return [];
+    await this.detachSubtasks(ids, () => true);
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .delete()
+      .in('id', ids)
+      .eq('archived', true)
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).map(row => row.id);
+  },
+
+  /**
+   * Bulk create subtasks
+   */
+  async bulkCreateSubtasks(parentTaskId, subtasks) {
+    const subtaskData = subtasks.map(subtask => ({
+      task: subtask.task,
+      project_id: subtask.projectId,
+      ...toDueColumns(subtask),
+      priority: subtask.priority || 'low',
+      user_id: subtask.userId,
+      ai_enhanced: true,
+      parent_task_id: parentTaskId,
+      metadata: subtask.metadata || {}
+    }));
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .insert(subtaskData)
+      .select();
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+/**
+ * WORKING SUPABASE PROJECT OPERATIONS
+ */
+export const projectsService = {
+  /**
+   * The user's own projects and those shared with them (row level
+   * security), each with the user's `role` in it and its `member_count`
+   */
+  async getProjectsWithCounts(userId) {
+    const { data, error } = await supabase
+      .from('projects')
+      .select('*, project_members(user_id, role)')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(({ project_members: members = [], ...project }) => {
+      const membership = members.find(member => member.user_id === userId) || { role: 'viewer' };
+      return {
+        ...project,
+        role: project.user_id === userId ? 'owner' : membership.role,
+        member_count: Math.max(members.length, 1)
+      };
+    });
+  },
+
+  /**
+   * Simple project subscription
+   */
+  subscribeToProjects(userId, callback) {
+    // Initial load; offline this fails and callers keep their cached rows
+    this.getProjectsWithCounts(userId)
+      .then(callback)
+      .catch(error => console.error('Error loading projects:', error));
+
+    const refetch = async () => {
+      try {
+        const projects = await this.getProjectsWithCounts(userId);
+        callback(projects);
+      } catch (error) {
+        console.error('Error fetching projects after change:', error);
+      }
+    };
+
+    // Create unique channel name
+    const channelName = `projects_${userId}_${Date.now()}_${Math.random()}`;
+
+    // Simple subscription
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        // Unfiltered, like tasks: shared projects come through as well
+        { event: '*', schema: 'public', table: 'projects' },
+        refetch
+      )
+      // Joining, leaving and role changes
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'project_members' },
+        refetch
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  async createProject(projectData) {
+    const { data, error } = await supabase
+      .from('projects')
+      .insert([toProjectInsert(projectData)])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updateProject(id, updates) {
+    const { data, error } = await supabase
+      .from('projects')
+      .update(toProjectColumns(updates))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Delete a project and move or delete its tasks, in one transaction
+   * (delete_project_safely)
+   * @param {string} id
+   * @param {Object} [options] - See lib/project-deletion toDeleteOptions
+   * @returns {Promise<number>} Tasks moved or deleted
+   */
+  async deleteProject(id, options) {
+    const { taskAction, targetProjectId } = toDeleteOptions(options);
+    const { data, error } = await supabase.rpc('delete_project_safely', {
+      p_project_id: id,
+      p_task_action: taskAction,
+      p_target_project_id: targetProjectId
+    });
+
+    if (error) throw error;
+    return data;
+  }
+};
+
+/**
+ * Labels, see lib/labels
+ */
+export const labelsService = {
+  async getLabels(userId) {
+    const { data, error } = await supabase
+      .from('labels')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  subscribeToLabels(userId, callback) {
+    // Initial load; offline this fails and callers keep their cached rows
+    this.getLabels(userId)
+      .then(callback)
+      .catch(error => console.error('Error loading labels:', error));
+
+    const channelName = `labels_${userId}_${Date.now()}_${Math.random()}`;
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'labels',
+          filter: `user_id=eq.${userId}`
+        },
+        async () => {
+          try {
+            callback(await this.getLabels(userId));
+          } catch (error) {
+            console.error('Error fetching labels after change:', error);
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  async createLabel(labelData) {
+    const { data, error } = await supabase
+      .from('labels')
+      .insert([toLabelInsert(labelData)])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updateLabel(id, updates) {
+    const { data, error } = await supabase
+      .from('labels')
+      .update(toLabelColumns(updates))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteLabel(id) {
+    const { error } = await supabase
+      .from('labels')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+};
+
+/**
+ * Saved filters, see lib/filter-language
+ */
+export const filtersService = {
+  async getFilters(userId) {
+    const { data, error } = await supabase
+      .from('filters')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  subscribeToFilters(userId, callback) {
+    // Initial load; offline this fails and callers keep their cached rows
+    this.getFilters(userId)
+      .then(callback)
+      .catch(error => console.error('Error loading filters:', error));
+
+    const channelName = `filters_${userId}_${Date.now()}_${Math.random()}`;
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'filters',
+          filter: `user_id=eq.${userId}`
+        },
+        async () => {
+          try {
+            callback(await this.getFilters(userId));
+          } catch (error) {
+            console.error('Error fetching filters after change:', error);
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  async createFilter(filterData) {
+    const { data, error } = await supabase
+      .from('filters')
+      .insert([toFilterInsert(filterData)])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updateFilter(id, updates) {
+    const { data, error } = await supabase
+      .from('filters')
+      .update(toFilterColumns(updates))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteFilter(id) {
+    const { error } = await supabase
+      .from('filters')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+};
+
+/**
+ * Project sections, see lib/sections
+ */
+export const sectionsService = {
+  // Sections of shared projects may be someone else's
+  async getSections(userId, projectId) {
+    const { data, error } = await supabase
+      .from('sections')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  subscribeToSections(userId, projectId, callback) {
+    // Initial load; offline this fails and callers keep their cached rows
+    this.getSections(userId, projectId)
+      .then(callback)
+      .catch(error => console.error('Error loading sections:', error));
+
+    const channelName = `sections_${projectId}_${Date.now()}_${Math.random()}`;
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'sections',
+          filter: `project_id=eq.${projectId}`
+        },
+        async () => {
+          try {
+            callback(await this.getSections(userId, projectId));
+          } catch (error) {
+            console.error('Error fetching sections after change:', error);
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  async createSection(sectionData) {
+    const { data, error } = await supabase
+      .from('sections')
+      .insert([toSectionInsert(sectionData)])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updateSection(id, updates) {
+    const { data, error } = await supabase
+      .from('sections')
+      .update(toSectionColumns(updates))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteSection(id) {
+    const { error } = await supabase
+      .from('sections')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+};
+
+/**
+ * The user's people directory, see lib/people
+ */
+export const peopleService = {
+  async getPeople(userId) {
+    const { data, error } = await supabase
+      .from('people')
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  subscribeToPeople(userId, callback) {
+    // Initial load; offline this fails and callers keep their cached rows
+    this.getPeople(userId)
+      .then(callback)
+      .catch(error => console.error('Error loading people:', error));
+
+    const channelName = `people_${userId}_${Date.now()}_${Math.random()}`;
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'people',
+          filter: `user_id=eq.${userId}`
+        },
+        async () => {
+          try {
+            callback(await this.getPeople(userId));
+          } catch (error) {
+            console.error('Error fetching people after change:', error);
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  async createPerson(personData) {
+    const { data, error } = await supabase
+      .from('people')
+      .insert([toPersonInsert(personData)])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async updatePerson(id, updates) {
+    const { data, error } = await supabase
+      .from('people')
+      .update(toPersonColumns(updates))
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deletePerson(id) {
+    const { error } = await supabase
+      .from('people')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+};
+
+/**
+ * Discussion on tasks, see lib/comments
+ */
+export const commentsService = {
+  async getComments(taskId) {
+    const { data, error } = await supabase
+      .from('task_comments')
       .select('*')
-      .eq('user_id', userId)
-      .order('created_at', { ascending: false });
-
-    // Apply filters
-    if (filters.projectId && filters.projectId !== 'INBOX') {
-      query = query.eq('project_id', filters.projectId);
-    }
-    
-    if (filters.archived !== undefined) {
-      query = query.eq('archived', filters.archived);
-    }
-    
-    if (filters.priority) {
-      query = query.eq('priority', filters.priority);
-    }
-    
-    // Simple date filtering
-    if (filters.dateFilter === 'TODAY') {
-      query = query.eq('date', new Date().toLocaleDateString('en-GB'));
-    } else if (filters.dateFilter === 'NEXT_7') {
-      const nextWeek = new Date();
-      nextWeek.setDate(nextWeek.getDate() + 7);
-      query = query.lte('date', nextWeek.toLocaleDateString('en-GB'));
-    }
+      .eq('task_id', taskId)
+      .order('created_at', { ascending: true });
 
-    const { data, error } = await query;
     if (error) throw error;
-    
     return data || [];
   },
 
   /**
-   * Simple subscription that works
+   * Comments on a task, reloaded on any change; collaborators' comments come
+   * through as well
+   * @returns {Function} Unsubscribe
    */
-  subscribeToTasks(userId, filters = {}, callback) {
-    // Initial load
-    this.getTasksWithRelations(userId, filters).then(callback);
+  subscribeToComments(taskId, callback) {
+    // Initial load; offline this fails and callers keep their cached rows
+    this.getComments(taskId)
+      .then(callback)
+      .catch(error => console.error('Error loading comments:', error));
+
+    const channelName = `comments_${taskId}_${Date.now()}_${Math.random()}`;
 
-    // Create unique channel name to avoid conflicts
-    const channelName = `tasks_${userId}_${Date.now()}_${Math.random()}`;
-    
-    // Simple subscription
     const channel = supabase
       .channel(channelName)
       .on(
@@ -71,16 +1142,14 @@ export const tasksService = {
         {
           event: '*',
           schema: 'public',
-          table: 'tasks',
-          filter: `user_id=eq.${userId}`
+          table: 'task_comments',
+          filter: `task_id=eq.${taskId}`
         },
         async () => {
-          // Refetch on any change
           try {
-            const tasks = await this.getTasksWithRelations(userId, filters);
-            callback(tasks);
+            callback(await this.getComments(taskId));
           } catch (error) {
-            console.error('Error fetching tasks after change:', error);
+            console.error('Error fetching comments after change:', error);
           }
         }
       )
@@ -91,22 +1160,10 @@ export const tasksService = {
     };
   },
 
-  /**
-   * Create task with simple insert
-   */
-  async createTask(taskData) {
+  async createComment(commentData) {
     const { data, error } = await supabase
-      .from('tasks')
-      .insert([{
-        task: taskData.task,
-        project_id: taskData.projectId || '1',
-        date: taskData.date || null,
-        priority: taskData.priority || 'medium',
-        user_id: taskData.userId,
-        ai_enhanced: taskData.aiEnhanced || false,
-        metadata: taskData.metadata || {},
-        parent_task_id: taskData.parentTaskId || null
-      }])
+      .from('task_comments')
+      .insert([toCommentInsert(commentData)])
       .select()
       .single();
 
@@ -114,24 +1171,10 @@ export const tasksService = {
     return data;
   },
 
-  /**
-   * Update task with simple update
-   */
-  async updateTask(id, updates) {
-    const updateData = {};
-    
-    if (updates.task !== undefined) updateData.task = updates.task;
-    if (updates.projectId !== undefined) updateData.project_id = updates.projectId;
-    if (updates.date !== undefined) updateData.date = updates.date;
-    if (updates.priority !== undefined) updateData.priority = updates.priority;
-    if (updates.archived !== undefined) updateData.archived = updates.archived;
-    if (updates.aiEnhanced !== undefined) updateData.ai_enhanced = updates.aiEnhanced;
-    if (updates.metadata !== undefined) updateData.metadata = updates.metadata;
-    if (updates.parentTaskId !== undefined) updateData.parent_task_id = updates.parentTaskId;
-
+  async updateComment(id, updates) {
     const { data, error } = await supabase
-      .from('tasks')
-      .update(updateData)
+      .from('task_comments')
+      .update(toCommentColumns(updates))
       .eq('id', id)
       .select()
       .single();
@@ -140,12 +1183,113 @@ export const tasksService = {
     return data;
   },
 
+  async deleteComment(id) {
+    const { error } = await supabase
+      .from('task_comments')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+};
+
+/**
+ * Members and invitations of shared projects, see lib/sharing
+ */
+export const membersService = {
+  async getMembers(projectId) {
+    const { data, error } = await supabase
+      .from('project_members')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
   /**
-   * Delete task
+   * Open invitations; only the owner sees them
    */
-  async deleteTask(id) {
+  async getInvitations(projectId) {
+    const { data, error } = await supabase
+      .from('project_invitations')
+      .select('*')
+      .eq('project_id', projectId)
+      .is('accepted_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Members and open invitations of a project, reloaded on any change
+   * @returns {Function} Unsubscribe
+   */
+  subscribeToMembers(projectId, callback) {
+    const load = () =>
+      Promise.all([this.getMembers(projectId), this.getInvitations(projectId)])
+        .then(([members, invitations]) => callback({ members, invitations }));
+
+    load().catch(error => console.error('Error loading members:', error));
+
+    const channelName = `members_${projectId}_${Date.now()}_${Math.random()}`;
+    const reload = () =>
+      load().catch(error => console.error('Error fetching members after change:', error));
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'project_members',
+          filter: `project_id=eq.${projectId}`
+        },
+        reload
+      )
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'project_invitations',
+          filter: `project_id=eq.${projectId}`
+        },
+        reload
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+
+  /**
+   * @param {Object} invitation
+   * @param {string} invitation.projectId
+   * @param {string} invitation.email
+   * @param {'editor'|'viewer'} invitation.role
+   * @param {string} invitation.invitedBy - User ID
+   * @returns {Promise<Object>} The invitation, with its token
+   */
+  async createInvitation({ projectId, email, role, invitedBy }) {
+    const { data, error } = await supabase
+      .from('project_invitations')
+      .insert([{ project_id: projectId, email, role, invited_by: invitedBy }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async deleteInvitation(id) {
     const { error } = await supabase
-      .from('tasks')
+      .from('project_invitations')
       .delete()
       .eq('id', id);
 
@@ -154,42 +1298,117 @@ export const tasksService = {
   },
 
   /**
-   * Bulk create subtasks
+   * Join a project with an invitation's token (accept_project_invitation)
+   * @returns {Promise<string>} The project's ID
    */
-  async bulkCreateSubtasks(parentTaskId, subtasks) {
-    const subtaskData = subtasks.map(subtask => ({
-      task: subtask.task,
-      project_id: subtask.projectId,
-      date: subtask.date || null,
-      priority: subtask.priority || 'low',
-      user_id: subtask.userId,
-      ai_enhanced: true,
-      parent_task_id: parentTaskId,
-      metadata: subtask.metadata || {}
-    }));
+  async acceptInvitation(token) {
+    const { data, error } = await supabase.rpc('accept_project_invitation', {
+      p_token: token
+    });
+
+    if (error) throw error;
+    return data;
+  },
 
+  async updateMemberRole(projectId, userId, role) {
     const { data, error } = await supabase
-      .from('tasks')
-      .insert(subtaskData)
-      .select();
+      .from('project_members')
+      .update({ role })
+      .eq('project_id', projectId)
+      .eq('user_id', userId)
+      .select()
+      .single();
 
     if (error) throw error;
     return data;
+  },
+
+  /**
+   * Remove someone from a project; members can remove themselves (leave)
+   */
+  async removeMember(projectId, userId) {
+    const { error } = await supabase
+      .from('project_members')
+      .delete()
+      .eq('project_id', projectId)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return true;
   }
 };
 
 /**
- * WORKING SUPABASE PROJECT OPERATIONS
+ * History of tasks, recorded by trigger on the server; see lib/task-detail
  */
-export const projectsService = {
+export const activityService = {
   /**
-   * Get projects with simple query
+   * A task's activity, oldest first
    */
-  async getProjectsWithCounts(userId) {
+  async getTaskActivity(taskId) {
     const { data, error } = await supabase
-      .from('projects')
+      .from('task_activity')
       .select('*')
-      .eq('user_id', userId)
+      .eq('task_id', taskId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * A task's activity, reloaded as entries are added
+   * @param {Function} [onError] - Called when loading fails, e.g. offline
+   * @returns {Function} Unsubscribe
+   */
+  subscribeToTaskActivity(taskId, callback, onError = () => {}) {
+    const load = () =>
+      this.getTaskActivity(taskId)
+        .then(callback)
+        .catch(error => {
+          console.error('Error loading task activity:', error);
+          onError(error);
+        });
+
+    load();
+
+    const channelName = `task_activity_${taskId}_${Date.now()}_${Math.random()}`;
+
+    const channel = supabase
+      .channel(channelName)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'task_activity',
+          filter: `task_id=eq.${taskId}`
+        },
+        load
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }
+};
+
+/**
+ * Files attached to tasks; see lib/attachments
+ */
+export const attachmentStorage = createSupabaseStorage(supabase, ATTACHMENT_BUCKET);
+
+export const attachmentsService = {
+  /**
+   * The user's attachments on a task, oldest first
+   */
+  async getAttachments(taskId) {
+    const { data, error } = await supabase
+      .from('task_attachments')
+      .select('*')
+      .eq('task_id', taskId)
       .order('created_at', { ascending: true });
 
     if (error) throw error;
@@ -197,16 +1416,23 @@ export const projectsService = {
   },
 
   /**
-   * Simple project subscription
+   * Attachments on a task, reloaded on any change
+   * @param {Function} [onError] - Called when loading fails, e.g. offline
+   * @returns {Function} Unsubscribe
    */
-  subscribeToProjects(userId, callback) {
-    // Initial load
-    this.getProjectsWithCounts(userId).then(callback);
+  subscribeToAttachments(taskId, callback, onError = () => {}) {
+    const load = () =>
+      this.getAttachments(taskId)
+        .then(callback)
+        .catch(error => {
+          console.error('Error loading attachments:', error);
+          onError(error);
+        });
 
-    // Create unique channel name
-    const channelName = `projects_${userId}_${Date.now()}_${Math.random()}`;
+    load();
+
+    const channelName = `attachments_${taskId}_${Date.now()}_${Math.random()}`;
 
-    // Simple subscription
     const channel = supabase
       .channel(channelName)
       .on(
@@ -214,17 +1440,10 @@ export const projectsService = {
         {
           event: '*',
           schema: 'public',
-          table: 'projects',
-          filter: `user_id=eq.${userId}`
+          table: 'task_attachments',
+          filter: `task_id=eq.${taskId}`
         },
-        async () => {
-          try {
-            const projects = await this.getProjectsWithCounts(userId);
-            callback(projects);
-          } catch (error) {
-            console.error('Error fetching projects after change:', error);
-          }
-        }
+        load
       )
       .subscribe();
 
@@ -233,13 +1452,17 @@ export const projectsService = {
     };
   },
 
-  async createProject(projectData) {
+  async createAttachment(attachmentData) {
     const { data, error } = await supabase
-      .from('projects')
+      .from('task_attachments')
       .insert([{
-        id: projectData.id,
-        name: projectData.name,
-        user_id: projectData.userId
+        id: attachmentData.id,
+        task_id: attachmentData.taskId,
+        user_id: attachmentData.userId,
+        name: attachmentData.name,
+        path: attachmentData.path,
+        mime_type: attachmentData.mimeType,
+        size: attachmentData.size
       }])
       .select()
       .single();
@@ -248,9 +1471,9 @@ export const projectsService = {
     return data;
   },
 
-  async deleteProject(id) {
+  async deleteAttachment(id) {
     const { error } = await supabase
-      .from('projects')
+      .from('task_attachments')
       .delete()
       .eq('id', id);
 
@@ -259,6 +1482,37 @@ export const projectsService = {
   }
 };
 
+/**
+ * Web Push subscriptions of the user's browsers, see lib/push-notifications
+ */
+export const pushSubscriptionsService = {
+  /**
+   * Save this browser's subscription for the user (save_push_subscription)
+   * @param {Object} record - See toSubscriptionRecord
+   */
+  async saveSubscription({ endpoint, p256dh, auth, timeZone }) {
+    const { error } = await supabase.rpc('save_push_subscription', {
+      p_endpoint: endpoint,
+      p_p256dh: p256dh,
+      p_auth: auth,
+      p_time_zone: timeZone
+    });
+
+    if (error) throw error;
+    return true;
+  },
+
+  async deleteSubscription(endpoint) {
+    const { error } = await supabase
+      .from('push_subscriptions')
+      .delete()
+      .eq('endpoint', endpoint);
+
+    if (error) throw error;
+    return true;
+  }
+};
+
 /**
  * WORKING SUPABASE AUTH SERVICE
  */
@@ -312,6 +1566,11 @@ export const authService = {
 /**
  * SIMPLE ANALYTICS SERVICE
  */
+
+// PostgREST (PGRST202) or Postgres (42883) "function does not exist"
+const isMissingFunctionError = (error) =>
+  error?.code === 'PGRST202' || error?.code === '42883';
+
 export const analyticsService = {
   async getUserAnalytics(userId) {
     // Simple query that works
@@ -333,6 +1592,62 @@ export const analyticsService = {
       completion_rate: totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0,
       ai_enhanced_percentage: totalTasks > 0 ? Math.round((aiTasks / totalTasks) * 100) : 0
     };
+  },
+
+  /**
+   * Dashboard analytics for a date range
+   * Uses the get_user_analytics / get_productivity_insights functions and
+   * falls back to computing from task rows when they aren't installed.
+   * @param {string} userId
+   * @param {{from: string, to: string}} range - Inclusive YYYY-MM-DD days
+   */
+  async getDashboard(userId, range) {
+    const params = {
+      p_user_id: userId,
+      p_from: range.from,
+      p_to: range.to,
+      p_timezone: getLocalTimeZone()
+    };
+
+    const [analytics, insights] = await Promise.all([
+      supabase.rpc('get_user_analytics', params),
+      supabase.rpc('get_productivity_insights', params)
+    ]);
+
+    const error = analytics.error || insights.error;
+    if (!error) {
+      return {
+        ...normalizeServerAnalytics(analytics.data, insights.data, range),
+        source: 'server'
+      };
+    }
+
+    if (!isMissingFunctionError(error)) throw error;
+
+    console.warn('Analytics functions not installed, computing client-side');
+    return {
+      ...(await this.computeDashboard(userId, range)),
+      source: 'client'
+    };
+  },
+
+  async computeDashboard(userId, range) {
+    const [tasks, projects] = await Promise.all([
+      supabase
+        .from('tasks')
+        .select('id, project_id, priority, archived, ai_enhanced, created_at, updated_at')
+        .eq('user_id', userId)
+        .gte('updated_at', getFetchStart(range)),
+      supabase
+        .from('projects')
+        .select('id, name')
+        .eq('user_id', userId)
+    ]);
+
+    if (tasks.error) throw tasks.error;
+    if (projects.error) throw projects.error;
+
+    return computeAnalytics(tasks.data || [], projects.data || [], range);
   }
 };
 
@@ -0,0 +1,32 @@
+/**
+ * Completing tasks
+ * A recurring task rolls forward: it's archived and its next occurrence
+ * created, as two queued writes. If the second can't be queued the archive is
+ * put back, so the series doesn't quietly end.
+ */
+
+import { offlineSync } from './offline-sync';
+import { tasksService } from './supabase-native-fixed';
+
+/**
+ * Complete a task, creating its next occurrence when it recurs
+ * @param {*} id
+ * @param {Object} [task] - The task as the user saw it
+ * @returns {Promise<{nextTask: Object|null, nextId: *}>}
+ * @throws When either write can't be queued; nothing is left half done
+ */
+export const completeTask = async (id, task) => {
+  await offlineSync.updateTask(id, { archived: true }, task);
+
+  const nextTask =
+    task && task.recurrence ? tasksService.buildNextOccurrence(task) : null;
+  if (!nextTask) return { nextTask, nextId: null };
+
+  try {
+    const nextId = await offlineSync.createTask(nextTask);
+    return { nextTask, nextId };
+  } catch (error) {
+    await offlineSync.updateTask(id, { archived: false });
+    throw error;
+  }
+};
@@ -0,0 +1,258 @@
+/**
+ * Task details
+ * The detail panel edits everything about a task at once. Saving turns the
+ * form into one change per task it touches, recorded as a single undo step:
+ * like a drop in the list, moving a task to another project or under
+ * another parent takes its subtasks along.
+ *
+ * The server records the history of every task in task_activity (see
+ * supabase-complete-setup.sql); entries are put into words here.
+ */
+
+import { formatDueDate } from './due-dates';
+import { getDescendants } from './task-tree';
+
+// Fields of metadata.aiParsed the panel edits
+const AI_DETAIL_FIELDS = ['category', 'estimatedDuration', 'suggestions'];
+
+const suggestionText = (suggestion) =>
+  typeof suggestion === 'string' ? suggestion : suggestion.task || '';
+
+/**
+ * The AI's reading of a task, as the panel edits it
+ * @param {Object} task
+ * @returns {{category: string, estimatedDuration: string, suggestions: string}}
+ *   Suggestions one per line
+ */
+export const getAiDetails = (task) => {
+  const parsed = (task.metadata && task.metadata.aiParsed) || {};
+  return {
+    category: parsed.category || '',
+    estimatedDuration: parsed.estimatedDuration || '',
+    suggestions: (parsed.suggestions || []).map(suggestionText).join('\n'),
+  };
+};
+
+/**
+ * Metadata with the edited AI details; suggestions that weren't changed
+ * keep the priority and estimate the AI gave them
+ * @param {Object} metadata
+ * @param {Object} details - As returned by getAiDetails
+ * @returns {Object}
+ */
+export const withAiDetails = (metadata, details) => {
+  const { aiParsed = {}, ...rest } = metadata || {};
+  const others = Object.fromEntries(
+    Object.entries(aiParsed).filter(([key]) => !AI_DETAIL_FIELDS.includes(key))
+  );
+  const previous = aiParsed.suggestions || [];
+  const category = details.category.trim();
+  const estimatedDuration = details.estimatedDuration.trim();
+  const suggestions = details.suggestions
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map(
+      (text) =>
+        previous.find((suggestion) => suggestionText(suggestion) === text) ||
+        text
+    );
+
+  const next = {
+    ...others,
+    ...(category && { category }),
+    ...(estimatedDuration && { estimatedDuration }),
+    ...(suggestions.length > 0 && { suggestions }),
+  };
+  return Object.keys(next).length > 0 ? { ...rest, aiParsed: next } : rest;
+};
+
+/**
+ * The panel's form for a task
+ * @param {Object} task
+ * @returns {Object}
+ */
+export const toDetailValues = (task) => ({
+  task: task.task,
+  description: task.description || '',
+  priority: task.priority || 'medium',
+  dueDate: task.dueDate || '',
+  dueTime: task.dueTime || '',
+  projectId: task.projectId || '1',
+  parentTaskId: task.parentTaskId || null,
+  reminders: task.reminders || [],
+  ...getAiDetails(task),
+});
+
+/**
+ * Tasks a task can be moved under: open tasks of the project, but not the
+ * task itself or one of its own subtasks
+ * @param {Object} task
+ * @param {Object[]} tasks - Including the task's subtasks
+ * @param {string} projectId
+ * @returns {Object[]}
+ */
+export const getParentOptions = (task, tasks, projectId) => {
+  const excluded = new Set([
+    task.id,
+    ...getDescendants(tasks, task.id).map((descendant) => descendant.id),
+  ]);
+  return tasks.filter(
+    (candidate) =>
+      candidate.projectId === projectId &&
+      !excluded.has(candidate.id) &&
+      (!candidate.archived || candidate.id === task.parentTaskId)
+  );
+};
+
+/**
+ * Changes that turn a task into the edited form
+ * @param {Object} task
+ * @param {Object} values - As returned by toDetailValues, edited
+ * @param {Object[]} tasks - Tasks of the projects involved, including the
+ *   task's subtasks and its new parent
+ * @returns {Array<{id: *, before: Object, after: Object}>} Batch update
+ *   changes, see lib/history-commands; empty when nothing changed
+ */
+export const planTaskEdit = (task, values, tasks) => {
+  const changes = [];
+  const changeFor = (id) => {
+    let change = changes.find((candidate) => candidate.id === id);
+    if (!change) {
+      change = { id, before: {}, after: {} };
+      changes.push(change);
+    }
+    return change;
+  };
+  const own = changeFor(task.id);
+  const set = (field, before, after) => {
+    if (before === after) return;
+    own.before[field] = before;
+    own.after[field] = after;
+  };
+
+  set('task', task.task, values.task.trim() || task.task);
+  set(
+    'description',
+    task.description || null,
+    values.description.trim() ? values.description : null
+  );
+  set('priority', task.priority, values.priority);
+
+  const dueDate = values.dueDate || null;
+  const dueTime = dueDate ? values.dueTime || null : null;
+  if (
+    dueDate !== (task.dueDate || null) ||
+    dueTime !== (task.dueTime || null)
+  ) {
+    own.before.dueDate = task.dueDate || null;
+    own.before.dueTime = task.dueTime || null;
+    own.before.timeZone = task.timeZone || null;
+    Object.assign(own.after, {
+      dueDate,
+      dueTime,
+      timeZone: task.timeZone || null,
+    });
+  }
+
+  const reminders = task.reminders || [];
+  if (JSON.stringify(reminders) !== JSON.stringify(values.reminders)) {
+    set('reminders', reminders, values.reminders);
+  }
+
+  const details = getAiDetails(task);
+  if (
+    AI_DETAIL_FIELDS.some((field) => details[field] !== values[field].trim())
+  ) {
+    own.before.metadata = task.metadata || {};
+    own.after.metadata = withAiDetails(task.metadata, values);
+  }
+
+  // Subtasks live in their parent's project. A parent that isn't among
+  // `tasks` is left as it is.
+  const parent = values.parentTaskId
+    ? tasks.find((candidate) => candidate.id === values.parentTaskId)
+    : null;
+  const projectId = parent ? parent.projectId : values.projectId;
+  if (parent || !values.parentTaskId) {
+    set('parentTaskId', task.parentTaskId || null, parent ? parent.id : null);
+  }
+
+  if (projectId !== task.projectId) {
+    [task, ...getDescendants(tasks, task.id)].forEach((moved) => {
+      const change = changeFor(moved.id);
+      change.before.projectId = moved.projectId;
+      change.after.projectId = projectId;
+    });
+    // Sections belong to the project left behind
+    if (task.sectionId) set('sectionId', task.sectionId, null);
+  }
+
+  return changes.filter((change) => Object.keys(change.after).length > 0);
+};
+
+// How each recorded column change reads; `names` resolves IDs
+const FIELD_DESCRIPTIONS = {
+  task: ({ to }) => `Renamed to "${to}"`,
+  description: ({ from, to }) => {
+    if (!to) return 'Removed the description';
+    return from ? 'Edited the description' : 'Added a description';
+  },
+  priority: ({ from, to }) => `Changed priority from ${from} to ${to}`,
+  due_date: ({ to }) =>
+    to ? `Scheduled for ${formatDueDate(to)}` : 'Removed the date',
+  due_time: ({ to }) =>
+    to ? `Set the time to ${to.slice(0, 5)}` : 'Removed the time',
+  project_id: ({ to }, names) => `Moved to ${names.project(to)}`,
+  parent_task_id: ({ to }, names) =>
+    to ? `Moved under "${names.task(to)}"` : 'Made a top-level task',
+  section_id: ({ to }) =>
+    to ? 'Moved to another section' : 'Taken out of its section',
+  assignee_id: ({ to }, names) =>
+    to ? `Assigned to ${names.person(to)}` : 'Unassigned',
+  recurrence: ({ to }) => (to ? 'Changed how it repeats' : 'Stopped repeating'),
+  metadata: () => 'Edited the AI details',
+};
+
+const ACTION_DESCRIPTIONS = {
+  created: 'Created the task',
+  completed: 'Completed the task',
+  reopened: 'Reopened the task',
+};
+
+/**
+ * What an activity entry did, one line per change
+ * @param {Object} entry - task_activity row
+ * @param {Object} [context]
+ * @param {Object[]} [context.projects]
+ * @param {Object[]} [context.people]
+ * @param {Object[]} [context.tasks]
+ * @returns {string[]}
+ */
+export const describeActivity = (
+  entry,
+  { projects = [], people = [], tasks = [] } = {}
+) => {
+  const names = {
+    project: (id) => {
+      if (id === '1') return 'Inbox';
+      const project = projects.find((candidate) => candidate.projectId === id);
+      return project ? project.name : 'another project';
+    },
+    person: (id) => {
+      const person = people.find((candidate) => candidate.id === id);
+      return person ? person.name : 'someone';
+    },
+    task: (id) => {
+      const parent = tasks.find((candidate) => candidate.id === id);
+      return parent ? parent.task : 'another task';
+    },
+  };
+
+  const lines = Object.entries(entry.changes || {})
+    .filter(([field]) => FIELD_DESCRIPTIONS[field])
+    .map(([field, change]) => FIELD_DESCRIPTIONS[field](change, names));
+  const action = ACTION_DESCRIPTIONS[entry.action];
+  if (action) return [action, ...(entry.action === 'created' ? [] : lines)];
+  return lines.length > 0 ? lines : ['Edited the task'];
+};
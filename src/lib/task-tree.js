@@ -0,0 +1,175 @@
+/**
+ * Subtask trees
+ * Tasks nest through parentTaskId to any depth. A task whose parent isn't in
+ * the list (filtered out of the view, or not loaded) is shown as a root.
+ */
+
+const parentOf = (task) => task.parentTaskId || null;
+
+/**
+ * All subtasks below a task, depth first
+ * @param {Object[]} tasks
+ * @param {*} taskId
+ * @returns {Object[]}
+ */
+export const getDescendants = (tasks, taskId) => {
+  const found = [];
+  const seen = new Set([taskId]);
+  const visit = (id) => {
+    tasks
+      .filter((task) => parentOf(task) === id && !seen.has(task.id))
+      .forEach((child) => {
+        seen.add(child.id);
+        found.push(child);
+        visit(child.id);
+      });
+  };
+  visit(taskId);
+  return found;
+};
+
+/**
+ * Whether `taskId` sits somewhere below `ancestorId`
+ * @param {Object[]} tasks
+ * @param {*} taskId
+ * @param {*} ancestorId
+ */
+export const isDescendantOf = (tasks, taskId, ancestorId) =>
+  getDescendants(tasks, ancestorId).some((task) => task.id === taskId);
+
+/**
+ * Nest tasks under their parents, keeping the list's order among siblings
+ * @param {Object[]} tasks - In display order
+ * @returns {Array<{task: Object, children: Array}>} Root nodes
+ */
+export const buildTaskTree = (tasks) => {
+  const nodes = new Map(tasks.map((task) => [task.id, { task, children: [] }]));
+  const roots = [];
+
+  // Tasks on a parent cycle (a bad write) are shown as roots
+  const closesCycle = (task) => {
+    const seen = new Set([task.id]);
+    let current = nodes.get(parentOf(task));
+    while (current) {
+      if (seen.has(current.task.id)) return true;
+      seen.add(current.task.id);
+      current = nodes.get(parentOf(current.task));
+    }
+    return false;
+  };
+
+  tasks.forEach((task) => {
+    const parent = nodes.get(parentOf(task));
+    if (parent && !closesCycle(task)) {
+      parent.children.push(nodes.get(task.id));
+    } else {
+      roots.push(nodes.get(task.id));
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * Visible rows of a tree, depth first; children of collapsed tasks are left out
+ * @param {Array<{task: Object, children: Array}>} roots
+ * @param {Object} [options]
+ * @param {Function} [options.isCollapsed] - task => boolean
+ * @returns {Array<{task: Object, depth: number, childCount: number}>}
+ */
+export const flattenTaskTree = (
+  roots,
+  { isCollapsed = (task) => Boolean(task.collapsed) } = {}
+) => {
+  const rows = [];
+  const visit = (node, depth) => {
+    rows.push({ task: node.task, depth, childCount: node.children.length });
+    if (node.children.length === 0 || isCollapsed(node.task)) return;
+    node.children.forEach((child) => visit(child, depth + 1));
+  };
+  roots.forEach((root) => visit(root, 0));
+  return rows;
+};
+
+/**
+ * Completion of everything below a task
+ * @param {Object[]} tasks - Active and completed tasks
+ * @param {*} taskId
+ * @returns {{done: number, total: number}}
+ */
+export const getProgress = (tasks, taskId) => {
+  const descendants = getDescendants(tasks, taskId);
+  return {
+    done: descendants.filter((task) => task.archived).length,
+    total: descendants.length,
+  };
+};
+
+/**
+ * Mirror the auto_archive_subtasks trigger on task rows
+ * Completing a task completes its open subtasks; reopening it reopens the
+ * completed ones, all the way down.
+ * @param {Object[]} rows - Task rows (snake_case)
+ * @param {*} taskId - Row whose `archived` changed
+ * @param {boolean} archived - Its new value
+ * @param {string} changedAt - ISO timestamp, stands in for completed_at
+ * @returns {Object[]}
+ */
+export const cascadeArchived = (rows, taskId, archived, changedAt) => {
+  const affected = new Set();
+  const visit = (id) => {
+    rows
+      .filter(
+        (row) =>
+          row.parent_task_id === id &&
+          Boolean(row.archived) !== archived &&
+          !affected.has(row.id)
+      )
+      .forEach((row) => {
+        affected.add(row.id);
+        visit(row.id);
+      });
+  };
+  visit(taskId);
+
+  if (affected.size === 0) return rows;
+  return rows.map((row) =>
+    affected.has(row.id)
+      ? {
+          ...row,
+          archived,
+          completed_at: archived ? changedAt : null,
+          _optimistic: true,
+        }
+      : row
+  );
+};
+
+/**
+ * Subtasks to detach before deleting task rows
+ * The parent_task_id foreign key cascades deletes to every subtask. Walking
+ * down from the deleted rows, a subtask `keeps` says should stay is detached
+ * (and takes its own subtasks along); any other goes with its parent.
+ * @param {Object[]} rows - Task rows (snake_case)
+ * @param {Array} taskIds - Rows being deleted
+ * @param {Function} keeps - (row) => whether it outlives its parent
+ * @returns {Array} Ids to set parent_task_id = null on
+ */
+export const getSubtasksToDetach = (rows, taskIds, keeps) => {
+  const deleted = new Set(taskIds);
+  const detached = [];
+  const visit = (id) => {
+    rows
+      .filter((row) => row.parent_task_id === id && !deleted.has(row.id))
+      .forEach((row) => {
+        if (keeps(row)) {
+          detached.push(row.id);
+        } else {
+          deleted.add(row.id);
+          visit(row.id);
+        }
+      });
+  };
+  taskIds.forEach(visit);
+  return detached;
+};
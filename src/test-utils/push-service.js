@@ -0,0 +1,176 @@
+/**
+ * Local push service
+ * Stands in for the browser vendors' push services in tests: it hands out
+ * subscriptions pointing at itself, checks each push's VAPID signature and
+ * decrypts its payload the way a browser would.
+ *
+ *   const service = await startPushService({ vapidPublicKey });
+ *   const subscription = service.subscribe();
+ *   await sendNotification(subscription, { title: 'Hi' }, { vapid });
+ *   service.received; // [{ subscription, payload, ttl, urgency }]
+ *   await service.close();
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import {
+  deriveContentKeys,
+  fromBase64Url,
+  toBase64Url,
+} from '../../api/_lib/web-push';
+
+const verifyVapid = (authorization, vapidPublicKey, origin) => {
+  const match = /^vapid t=([^,\s]+),\s*k=(\S+)$/.exec(authorization || '');
+  if (!match) return 'Missing VAPID authorization';
+  const [, token, key] = match;
+  if (key !== vapidPublicKey) return 'Unknown VAPID key';
+
+  const [header, claims, signature] = token.split('.');
+  const point = fromBase64Url(key);
+  const publicKey = crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: toBase64Url(point.subarray(1, 33)),
+      y: toBase64Url(point.subarray(33)),
+    },
+    format: 'jwk',
+  });
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${header}.${claims}`),
+    { key: publicKey, dsaEncoding: 'ieee-p1363' },
+    fromBase64Url(signature || '')
+  );
+  if (!valid) return 'Bad VAPID signature';
+
+  const { aud, exp, sub } = JSON.parse(fromBase64Url(claims).toString());
+  if (aud !== origin) return 'VAPID audience does not match';
+  if (!(exp > Date.now() / 1000)) return 'VAPID token has expired';
+  if (!sub) return 'VAPID subject is missing';
+  return null;
+};
+
+const decrypt = (body, { ecdh, auth }) => {
+  const salt = body.subarray(0, 16);
+  const keyLength = body.readUInt8(20);
+  const serverKey = body.subarray(21, 21 + keyLength);
+  const { key, nonce } = deriveContentKeys({
+    secret: ecdh.computeSecret(serverKey),
+    authSecret: auth,
+    userAgentKey: ecdh.getPublicKey(),
+    serverKey,
+    salt,
+  });
+
+  const ciphertext = body.subarray(21 + keyLength);
+  const decipher = crypto.createDecipheriv('aes-128-gcm', key, nonce);
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([
+    decipher.update(ciphertext.subarray(0, -16)),
+    decipher.final(),
+  ]);
+  // Drop the padding and the last-record delimiter
+  const end = plaintext.lastIndexOf(2);
+  return plaintext.subarray(0, end).toString();
+};
+
+const parse = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+};
+
+/**
+ * Start a push service on localhost
+ * @param {Object} options
+ * @param {string} options.vapidPublicKey - Pushes signed with other keys are
+ *   turned down
+ * @param {number} [options.port] - Any free one by default
+ * @returns {Promise<Object>} { subscribe, unsubscribe, received, url, close }
+ */
+export const startPushService = ({ vapidPublicKey, port = 0 }) => {
+  const subscriptions = new Map();
+  const received = [];
+  let origin = null;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const reply = (statusCode, text = '') => {
+        res.writeHead(statusCode, { 'Content-Type': 'text/plain' });
+        res.end(text);
+      };
+
+      const id = req.url.replace(/^\/push\//, '');
+      const entry = subscriptions.get(id);
+      if (req.method !== 'POST') return reply(405);
+      if (!entry) return reply(410, 'Subscription is gone');
+
+      const problem = verifyVapid(
+        req.headers.authorization,
+        vapidPublicKey,
+        origin
+      );
+      if (problem) return reply(403, problem);
+      if (req.headers['content-encoding'] !== 'aes128gcm') {
+        return reply(415, 'Payload must be aes128gcm');
+      }
+
+      try {
+        received.push({
+          subscription: entry.subscription,
+          payload: parse(decrypt(Buffer.concat(chunks), entry)),
+          ttl: Number(req.headers.ttl),
+          urgency: req.headers.urgency || 'normal',
+        });
+      } catch (error) {
+        return reply(400, 'Payload could not be decrypted');
+      }
+      return reply(201);
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      origin = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        url: origin,
+        received,
+
+        /**
+         * A subscription as the browser's PushSubscription.toJSON() has it
+         * @returns {Object} { endpoint, keys: { p256dh, auth } }
+         */
+        subscribe() {
+          const id = crypto.randomBytes(8).toString('hex');
+          const ecdh = crypto.createECDH('prime256v1');
+          ecdh.generateKeys();
+          const auth = crypto.randomBytes(16);
+          const subscription = {
+            endpoint: `${origin}/push/${id}`,
+            keys: {
+              p256dh: toBase64Url(ecdh.getPublicKey()),
+              auth: toBase64Url(auth),
+            },
+          };
+          subscriptions.set(id, { subscription, ecdh, auth });
+          return subscription;
+        },
+
+        // Later pushes to it get 410 Gone, as after the user revokes it
+        unsubscribe(subscription) {
+          subscriptions.delete(subscription.endpoint.split('/').pop());
+        },
+
+        close() {
+          return new Promise((done) => server.close(() => done()));
+        },
+      });
+    });
+  });
+};
@@ -0,0 +1,47 @@
+/**
+ * Stub Supabase client
+ * Answers each table's queries from `results`, a function per table given
+ * the query so far, and keeps what was asked:
+ *
+ *   const supabase = createSupabase({
+ *     tasks: ({ calls }) => ({ data: [], error: null }),
+ *   });
+ *   supabase.queries; // [{ table, calls: { select: [...], eq: [...] } }]
+ *
+ * Each call records the arguments of the last call to that method.
+ */
+
+const METHODS = [
+  'select',
+  'insert',
+  'update',
+  'upsert',
+  'delete',
+  'eq',
+  'in',
+  'not',
+  'gte',
+  'lte',
+  'lt',
+  'maybeSingle',
+];
+
+export const createSupabase = (results) => {
+  const queries = [];
+  const from = (table) => {
+    const query = { table, calls: {} };
+    queries.push(query);
+    const builder = {
+      then: (resolve, reject) =>
+        Promise.resolve(results[table](query)).then(resolve, reject),
+    };
+    METHODS.forEach((method) => {
+      builder[method] = (...args) => {
+        query.calls[method] = args;
+        return builder;
+      };
+    });
+    return builder;
+  };
+  return { from, queries };
+};
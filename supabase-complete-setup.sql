@@ -10,13 +10,36 @@
 ALTER TABLE tasks ADD COLUMN IF NOT EXISTS parent_task_id INTEGER REFERENCES tasks(id) ON DELETE CASCADE;
 ALTER TABLE tasks ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
 ALTER TABLE tasks ADD COLUMN IF NOT EXISTS search_vector tsvector;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence JSONB; -- Recurrence rule, see src/lib/recurrence.js
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_time TIME;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_timezone TEXT; -- IANA zone, e.g. 'Europe/Zurich'
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ; -- Set by trigger_tasks_completed_at
+-- Manual order, see src/lib/ordering.js; keys compare bytewise
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS sort_order TEXT COLLATE "C";
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS collapsed BOOLEAN DEFAULT false; -- Subtasks hidden in the list
 
 -- Add missing columns to projects table
 ALTER TABLE projects ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS sort_order TEXT COLLATE "C";
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS color TEXT; -- Hex color of the sidebar dot
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS favorite BOOLEAN NOT NULL DEFAULT false; -- Pinned to the top of the sidebar
+-- Archived projects (and their tasks) are hidden until restored
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS archived_at TIMESTAMPTZ;
+-- Sub-projects; deleting a project moves its sub-projects up to the top level
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS parent_project_id TEXT REFERENCES projects(id) ON DELETE SET NULL;
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS collapsed BOOLEAN NOT NULL DEFAULT false; -- Sub-projects hidden in the sidebar
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS show_subproject_tasks BOOLEAN NOT NULL DEFAULT false;
 
 -- Create indexes for the new columns
+CREATE INDEX IF NOT EXISTS idx_projects_parent ON projects(parent_project_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_parent_task ON tasks(parent_task_id);
 CREATE INDEX IF NOT EXISTS idx_tasks_updated_at ON tasks(updated_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_recurring ON tasks(user_id) WHERE recurrence IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_due_date ON tasks(user_id, due_date) WHERE due_date IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_completed_at ON tasks(user_id, completed_at) WHERE archived = true;
+CREATE INDEX IF NOT EXISTS idx_tasks_sort_order ON tasks(user_id, sort_order);
+CREATE INDEX IF NOT EXISTS idx_projects_sort_order ON projects(user_id, sort_order);
 
 -- Add updated_at trigger to both tables
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -41,6 +64,81 @@ CREATE TRIGGER trigger_projects_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- A project can't be moved under itself or one of its own sub-projects
+CREATE OR REPLACE FUNCTION prevent_project_cycles()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.parent_project_id IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF EXISTS (
+        WITH RECURSIVE ancestors(id, parent_project_id) AS (
+            SELECT id, parent_project_id FROM projects WHERE id = NEW.parent_project_id
+            UNION
+            SELECT p.id, p.parent_project_id
+            FROM projects p
+            JOIN ancestors a ON p.id = a.parent_project_id
+        )
+        SELECT 1 FROM ancestors WHERE id = NEW.id
+    ) THEN
+        RAISE EXCEPTION 'Project % cannot be nested under its own sub-project', NEW.id;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_projects_no_cycles ON projects;
+CREATE TRIGGER trigger_projects_no_cycles
+    BEFORE INSERT OR UPDATE OF parent_project_id ON projects
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_project_cycles();
+
+-- ============================================================================
+-- DUE DATE MIGRATION
+-- Converts the legacy DD/MM/YYYY text column into the typed due_date column
+-- ============================================================================
+
+-- Lenient parser for legacy values; returns NULL instead of raising
+CREATE OR REPLACE FUNCTION parse_legacy_task_date(p_value TEXT)
+RETURNS DATE AS $$
+BEGIN
+    IF p_value ~ '^\s*\d{1,2}/\d{1,2}/\d{4}\s*$' THEN
+        RETURN to_date(TRIM(p_value), 'DD/MM/YYYY');
+    ELSIF p_value ~ '^\s*\d{4}-\d{2}-\d{2}\s*$' THEN
+        RETURN TRIM(p_value)::DATE;
+    END IF;
+    RETURN NULL;
+EXCEPTION
+    WHEN others THEN RETURN NULL;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'tasks' AND column_name = 'date'
+    ) THEN
+        EXECUTE $sql$
+            UPDATE tasks
+            SET due_date = parse_legacy_task_date(date)
+            WHERE due_date IS NULL AND NULLIF(TRIM(date), '') IS NOT NULL
+        $sql$;
+
+        -- Keep anything we couldn't parse so no information is lost
+        EXECUTE $sql$
+            UPDATE tasks
+            SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('legacyDate', date)
+            WHERE due_date IS NULL AND NULLIF(TRIM(date), '') IS NOT NULL
+        $sql$;
+
+        ALTER TABLE tasks DROP COLUMN date;
+        RAISE NOTICE 'Migrated tasks.date to tasks.due_date';
+    END IF;
+END $$;
+
 -- ============================================================================
 -- PROPER ROW LEVEL SECURITY (RLS) POLICIES
 -- Firebase can't do this level of security
@@ -57,177 +155,876 @@ CREATE POLICY "Users can only access their own tasks" ON tasks
 CREATE POLICY "Users can only access their own projects" ON projects
     FOR ALL USING (auth.uid()::text = user_id);
 
+-- ============================================================================
+-- LABELS
+-- Many-to-many with tasks; ids are generated client-side like project ids so
+-- labels can be created (and used) offline
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS labels (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    color TEXT NOT NULL DEFAULT '#94A3B8',
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Label names are matched case-insensitively (see src/lib/labels.js)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_user_name ON labels(user_id, lower(name));
+
+CREATE TABLE IF NOT EXISTS task_labels (
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    label_id TEXT NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (task_id, label_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_labels_label ON task_labels(label_id);
+
+ALTER TABLE labels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_labels ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can only access their own labels" ON labels;
+CREATE POLICY "Users can only access their own labels" ON labels
+    FOR ALL USING (auth.uid()::text = user_id);
+
+-- A link needs both ends to belong to the user
+DROP POLICY IF EXISTS "Users can only link their own tasks and labels" ON task_labels;
+CREATE POLICY "Users can only link their own tasks and labels" ON task_labels
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_id AND tasks.user_id = auth.uid()::text)
+        AND EXISTS (SELECT 1 FROM labels WHERE labels.id = label_id AND labels.user_id = auth.uid()::text)
+    );
+
+DROP TRIGGER IF EXISTS trigger_labels_updated_at ON labels;
+CREATE TRIGGER trigger_labels_updated_at
+    BEFORE UPDATE ON labels
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- SAVED FILTERS
+-- Queries in the filter language of src/lib/filter-language.js, e.g.
+-- "(today | overdue) & p1 & #Work"; they're parsed and evaluated client-side
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS filters (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    query TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_filters_user_id ON filters(user_id);
+
+ALTER TABLE filters ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can only access their own filters" ON filters;
+CREATE POLICY "Users can only access their own filters" ON filters
+    FOR ALL USING (auth.uid()::text = user_id);
+
+DROP TRIGGER IF EXISTS trigger_filters_updated_at ON filters;
+CREATE TRIGGER trigger_filters_updated_at
+    BEFORE UPDATE ON filters
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- SECTIONS AND BOARD LAYOUT
+-- Projects can be split into sections, shown as headings in the list and as
+-- columns on the board (see src/lib/sections.js). Top-level tasks point at
+-- their section; subtasks go wherever their parent is.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS sections (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    sort_order TEXT COLLATE "C",
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sections_project ON sections(project_id, sort_order);
+
+-- Deleting a section keeps its tasks, outside any section
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS section_id TEXT REFERENCES sections(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_section ON tasks(section_id) WHERE section_id IS NOT NULL;
+
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS layout TEXT NOT NULL DEFAULT 'list'
+    CHECK (layout IN ('list', 'board'));
+
+ALTER TABLE sections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can only access their own sections" ON sections;
+CREATE POLICY "Users can only access their own sections" ON sections
+    FOR ALL USING (auth.uid()::text = user_id);
+
+DROP TRIGGER IF EXISTS trigger_sections_updated_at ON sections;
+CREATE TRIGGER trigger_sections_updated_at
+    BEFORE UPDATE ON sections
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- SHARED PROJECTS
+-- Projects are shared through project_members: the owner (who created it),
+-- editors, who can change its tasks and sections, and viewers, who can only
+-- read them. Project settings stay with the owner. People are invited by
+-- email (see src/lib/mailer.js) and join with the invitation's token through
+-- accept_project_invitation.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS project_members (
+    project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    email TEXT,
+    role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('owner', 'editor', 'viewer')),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (project_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_members_user ON project_members(user_id);
+
+CREATE TABLE IF NOT EXISTS project_invitations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'editor' CHECK (role IN ('editor', 'viewer')),
+    token TEXT NOT NULL UNIQUE DEFAULT replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', ''),
+    invited_by TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL DEFAULT NOW() + INTERVAL '14 days',
+    accepted_at TIMESTAMPTZ
+);
+
+-- One open invitation per address and project
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_invitations_open
+    ON project_invitations(project_id, lower(email)) WHERE accepted_at IS NULL;
+
+DROP TRIGGER IF EXISTS trigger_project_members_updated_at ON project_members;
+CREATE TRIGGER trigger_project_members_updated_at
+    BEFORE UPDATE ON project_members
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- The caller's role in a project, NULL without access. Policies go through
+-- these SECURITY DEFINER helpers so they don't recurse into each other.
+CREATE OR REPLACE FUNCTION project_role(p_project_id TEXT)
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN EXISTS (
+            SELECT 1 FROM projects
+            WHERE id = p_project_id AND user_id = auth.uid()::text
+        ) THEN 'owner'
+        ELSE (
+            SELECT role FROM project_members
+            WHERE project_id = p_project_id AND user_id = auth.uid()::text
+        )
+    END;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Whether the caller owns or edits an existing project
+CREATE OR REPLACE FUNCTION can_edit_project_tasks(p_project_id TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(project_role(p_project_id) IN ('owner', 'editor'), FALSE);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Tasks may point at lists that aren't projects (the Inbox, '1'); those are
+-- only reachable through the task's own user_id. Checked past row level
+-- security, so someone else's project never passes for one.
+CREATE OR REPLACE FUNCTION is_personal_list(p_project_id TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT NOT EXISTS (SELECT 1 FROM projects WHERE id = p_project_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Every project has its owner as a member, for the member list
+CREATE OR REPLACE FUNCTION add_project_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO project_members (project_id, user_id, email, role)
+    VALUES (NEW.id, NEW.user_id, auth.jwt() ->> 'email', 'owner')
+    ON CONFLICT (project_id, user_id) DO NOTHING;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+DROP TRIGGER IF EXISTS trigger_projects_add_owner ON projects;
+CREATE TRIGGER trigger_projects_add_owner
+    AFTER INSERT ON projects
+    FOR EACH ROW
+    EXECUTE FUNCTION add_project_owner();
+
+INSERT INTO project_members (project_id, user_id, email, role)
+SELECT p.id, p.user_id, u.email, 'owner'
+FROM projects p
+LEFT JOIN auth.users u ON u.id::text = p.user_id
+ON CONFLICT (project_id, user_id) DO NOTHING;
+
+-- Projects: members see them, only the owner changes them
+DROP POLICY IF EXISTS "Users can only access their own projects" ON projects;
+DROP POLICY IF EXISTS "Owners can manage their projects" ON projects;
+CREATE POLICY "Owners can manage their projects" ON projects
+    FOR ALL USING (auth.uid()::text = user_id);
+
+DROP POLICY IF EXISTS "Members can view shared projects" ON projects;
+CREATE POLICY "Members can view shared projects" ON projects
+    FOR SELECT USING (project_role(id) IS NOT NULL);
+
+-- Tasks: members see every task of a shared project; owners and editors
+-- change them. Tasks outside projects are their creator's alone. New tasks
+-- are always the creator's own.
+DROP POLICY IF EXISTS "Users can only access their own tasks" ON tasks;
+DROP POLICY IF EXISTS "Users can view their own and shared tasks" ON tasks;
+CREATE POLICY "Users can view their own and shared tasks" ON tasks
+    FOR SELECT USING (auth.uid()::text = user_id OR project_role(project_id) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Users can add tasks where they can edit" ON tasks;
+CREATE POLICY "Users can add tasks where they can edit" ON tasks
+    FOR INSERT WITH CHECK (
+        auth.uid()::text = user_id
+        AND (can_edit_project_tasks(project_id) OR is_personal_list(project_id))
+    );
+
+DROP POLICY IF EXISTS "Users can change tasks where they can edit" ON tasks;
+CREATE POLICY "Users can change tasks where they can edit" ON tasks
+    FOR UPDATE
+    USING (
+        can_edit_project_tasks(project_id)
+        OR (auth.uid()::text = user_id AND is_personal_list(project_id))
+    )
+    WITH CHECK (
+        can_edit_project_tasks(project_id)
+        OR (auth.uid()::text = user_id AND is_personal_list(project_id))
+    );
+
+DROP POLICY IF EXISTS "Users can delete tasks where they can edit" ON tasks;
+CREATE POLICY "Users can delete tasks where they can edit" ON tasks
+    FOR DELETE USING (
+        can_edit_project_tasks(project_id)
+        OR (auth.uid()::text = user_id AND is_personal_list(project_id))
+    );
+
+-- Sections follow their project
+DROP POLICY IF EXISTS "Users can only access their own sections" ON sections;
+DROP POLICY IF EXISTS "Members can view sections" ON sections;
+CREATE POLICY "Members can view sections" ON sections
+    FOR SELECT USING (project_role(project_id) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Editors can change sections" ON sections;
+CREATE POLICY "Editors can change sections" ON sections
+    FOR ALL
+    USING (project_role(project_id) IN ('owner', 'editor'))
+    WITH CHECK (project_role(project_id) IN ('owner', 'editor'));
+
+-- Members see each other; the owner changes roles and removes people, and
+-- anyone but the owner can leave
+ALTER TABLE project_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE project_invitations ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Members can view their fellow members" ON project_members;
+CREATE POLICY "Members can view their fellow members" ON project_members
+    FOR SELECT USING (project_role(project_id) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Owners can change roles" ON project_members;
+CREATE POLICY "Owners can change roles" ON project_members
+    FOR UPDATE
+    USING (project_role(project_id) = 'owner' AND role <> 'owner')
+    WITH CHECK (role <> 'owner');
+
+DROP POLICY IF EXISTS "Owners can remove members and members can leave" ON project_members;
+CREATE POLICY "Owners can remove members and members can leave" ON project_members
+    FOR DELETE USING (
+        role <> 'owner'
+        AND (project_role(project_id) = 'owner' OR auth.uid()::text = user_id)
+    );
+
+DROP POLICY IF EXISTS "Owners can manage invitations" ON project_invitations;
+CREATE POLICY "Owners can manage invitations" ON project_invitations
+    FOR ALL
+    USING (project_role(project_id) = 'owner')
+    WITH CHECK (project_role(project_id) = 'owner' AND auth.uid()::text = invited_by);
+
+-- Join a project with an invitation's token; it has to be addressed to the
+-- caller's email. Returns the project's id.
+DROP FUNCTION IF EXISTS accept_project_invitation(TEXT);
+CREATE OR REPLACE FUNCTION accept_project_invitation(p_token TEXT)
+RETURNS TEXT AS $$
+DECLARE
+    v_invitation project_invitations%ROWTYPE;
+    v_user_id TEXT := auth.uid()::text;
+    v_email TEXT := auth.jwt() ->> 'email';
+BEGIN
+    SELECT * INTO v_invitation
+    FROM project_invitations
+    WHERE token = p_token
+    FOR UPDATE;
+
+    IF NOT FOUND OR (v_invitation.accepted_at IS NULL AND v_invitation.expires_at < NOW()) THEN
+        RAISE EXCEPTION 'This invitation is invalid or has expired'
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF lower(v_invitation.email) IS DISTINCT FROM lower(v_email) THEN
+        RAISE EXCEPTION 'This invitation was sent to another email address'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    -- Following the link again is harmless; an owner stays the owner
+    INSERT INTO project_members (project_id, user_id, email, role)
+    VALUES (v_invitation.project_id, v_user_id, v_email, v_invitation.role)
+    ON CONFLICT (project_id, user_id) DO UPDATE
+        SET role = EXCLUDED.role, email = EXCLUDED.email
+        WHERE project_members.role <> 'owner' AND v_invitation.accepted_at IS NULL;
+
+    UPDATE project_invitations
+    SET accepted_at = COALESCE(accepted_at, NOW())
+    WHERE id = v_invitation.id;
+
+    RETURN v_invitation.project_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- ============================================================================
+-- PEOPLE AND ASSIGNEES
+-- Each user keeps a directory of people (see src/lib/people.js); names the AI
+-- finds in a task are matched against it. A person with the email address of
+-- someone the user shares a project with is linked to them. Tasks have at
+-- most one assignee.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS people (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    email TEXT,
+    linked_user_id TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_people_user_id ON people(user_id);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS assignee_id TEXT REFERENCES people(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_assignee ON tasks(assignee_id) WHERE assignee_id IS NOT NULL;
+
+ALTER TABLE people ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can only access their own people" ON people;
+CREATE POLICY "Users can only access their own people" ON people
+    FOR ALL USING (auth.uid()::text = user_id);
+
+DROP TRIGGER IF EXISTS trigger_people_updated_at ON people;
+CREATE TRIGGER trigger_people_updated_at
+    BEFORE UPDATE ON people
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Link people to the fellow project member with their address, if there is
+-- one. Only members are looked up, never auth.users: otherwise anyone could
+-- find out whether an address is registered by adding it as a person.
+CREATE OR REPLACE FUNCTION link_person_to_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.linked_user_id := (
+        SELECT member.user_id FROM project_members member
+        JOIN project_members mine ON mine.project_id = member.project_id
+        WHERE NEW.email IS NOT NULL
+            AND mine.user_id = NEW.user_id
+            AND lower(member.email) = lower(trim(NEW.email))
+        LIMIT 1
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+DROP TRIGGER IF EXISTS trigger_link_person_to_user ON people;
+CREATE TRIGGER trigger_link_person_to_user
+    BEFORE INSERT OR UPDATE OF email ON people
+    FOR EACH ROW
+    EXECUTE FUNCTION link_person_to_user();
+
+-- Someone joining a project (accepting an invitation) is linked in the
+-- people directories of its other members
+CREATE OR REPLACE FUNCTION link_people_to_member()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE people SET linked_user_id = NEW.user_id
+    WHERE linked_user_id IS NULL
+        AND NEW.email IS NOT NULL
+        AND lower(email) = lower(NEW.email)
+        AND user_id IN (
+            SELECT user_id FROM project_members WHERE project_id = NEW.project_id
+        );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+DROP TRIGGER IF EXISTS trigger_link_people_to_member ON project_members;
+CREATE TRIGGER trigger_link_people_to_member
+    AFTER INSERT OR UPDATE OF email ON project_members
+    FOR EACH ROW
+    EXECUTE FUNCTION link_people_to_member();
+
+-- Links made by looking addresses up in auth.users are redone the same way
+UPDATE people SET email = email WHERE linked_user_id IS NOT NULL;
+
+-- ============================================================================
+-- TASK DESCRIPTIONS AND ACTIVITY
+-- Tasks have a Markdown description (see src/lib/markdown.js). Every change to
+-- a task is recorded in task_activity by trigger, however it was made (the
+-- app, undo, another member, a sync from another device); the task detail
+-- panel shows it (see src/lib/task-detail.js).
+-- ============================================================================
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS description TEXT;
+
+CREATE TABLE IF NOT EXISTS task_activity (
+    id BIGSERIAL PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id TEXT,
+    user_email TEXT,
+    action TEXT NOT NULL CHECK (action IN ('created', 'updated', 'completed', 'reopened')),
+    -- Changed columns as {"column": {"from": old, "to": new}}
+    changes JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_activity_task ON task_activity(task_id, created_at);
+
+ALTER TABLE task_activity ENABLE ROW LEVEL SECURITY;
+
+-- Whoever sees a task sees its history; only the trigger writes it
+DROP POLICY IF EXISTS "Users can view the activity of tasks they see" ON task_activity;
+CREATE POLICY "Users can view the activity of tasks they see" ON task_activity
+    FOR SELECT USING (EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_activity.task_id));
+
+CREATE OR REPLACE FUNCTION record_task_activity()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_old JSONB;
+    v_new JSONB;
+    v_column TEXT;
+    v_changes JSONB := '{}';
+    v_action TEXT := 'created';
+BEGIN
+    IF TG_OP = 'UPDATE' THEN
+        v_old := to_jsonb(OLD);
+        v_new := to_jsonb(NEW);
+        FOREACH v_column IN ARRAY ARRAY[
+            'task', 'description', 'priority', 'due_date', 'due_time', 'project_id',
+            'parent_task_id', 'section_id', 'assignee_id', 'recurrence', 'metadata'
+        ] LOOP
+            IF v_old -> v_column IS DISTINCT FROM v_new -> v_column THEN
+                v_changes := v_changes || jsonb_build_object(
+                    v_column, jsonb_build_object('from', v_old -> v_column, 'to', v_new -> v_column)
+                );
+            END IF;
+        END LOOP;
+
+        IF NEW.archived IS DISTINCT FROM OLD.archived THEN
+            v_action := CASE WHEN NEW.archived THEN 'completed' ELSE 'reopened' END;
+        ELSIF v_changes = '{}' THEN
+            -- Reordering, collapsing and the like aren't worth a line
+            RETURN NULL;
+        ELSE
+            v_action := 'updated';
+        END IF;
+    END IF;
+
+    INSERT INTO task_activity (task_id, user_id, user_email, action, changes)
+    VALUES (
+        NEW.id,
+        COALESCE(auth.uid()::text, NEW.user_id),
+        (SELECT email FROM auth.users WHERE id = auth.uid()),
+        v_action,
+        v_changes
+    );
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_record_task_activity ON tasks;
+CREATE TRIGGER trigger_record_task_activity
+    AFTER INSERT OR UPDATE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION record_task_activity();
+
+-- ============================================================================
+-- TASK COMMENTS
+-- A discussion thread per task, in Markdown. Everyone who sees a task can
+-- comment on it; people edit and delete only their own comments. Ids are
+-- generated client-side so comments can be written offline.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS task_comments (
+    id TEXT PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    user_email TEXT, -- Set by trigger, for collaborators to see who wrote it
+    body TEXT NOT NULL CHECK (length(trim(body)) BETWEEN 1 AND 10000),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_comments_task ON task_comments(task_id, created_at);
+
+ALTER TABLE task_comments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view comments on tasks they see" ON task_comments;
+CREATE POLICY "Users can view comments on tasks they see" ON task_comments
+    FOR SELECT USING (EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_comments.task_id));
+
+DROP POLICY IF EXISTS "Users can comment on tasks they see" ON task_comments;
+CREATE POLICY "Users can comment on tasks they see" ON task_comments
+    FOR INSERT WITH CHECK (
+        auth.uid()::text = user_id
+        AND EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_comments.task_id)
+    );
+
+DROP POLICY IF EXISTS "Users can change their own comments" ON task_comments;
+CREATE POLICY "Users can change their own comments" ON task_comments
+    FOR UPDATE USING (auth.uid()::text = user_id) WITH CHECK (auth.uid()::text = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own comments" ON task_comments;
+CREATE POLICY "Users can delete their own comments" ON task_comments
+    FOR DELETE USING (auth.uid()::text = user_id);
+
+CREATE OR REPLACE FUNCTION set_comment_author_email()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.user_email := (SELECT email FROM auth.users WHERE id::text = NEW.user_id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_comment_author_email ON task_comments;
+CREATE TRIGGER trigger_comment_author_email
+    BEFORE INSERT ON task_comments
+    FOR EACH ROW
+    EXECUTE FUNCTION set_comment_author_email();
+
+DROP TRIGGER IF EXISTS trigger_task_comments_updated_at ON task_comments;
+CREATE TRIGGER trigger_task_comments_updated_at
+    BEFORE UPDATE ON task_comments
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- ============================================================================
+-- TASK REMINDERS
+-- Each task's reminders, see src/lib/reminders.js: relative to when it's due
+-- ({"type": "relative", "minutesBefore": 30}) or at a fixed time
+-- ({"type": "absolute", "at": "2024-03-08T08:00:00Z"}). The app fires them
+-- for the task's owner.
+-- ============================================================================
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS reminders JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_reminders_is_array;
+ALTER TABLE tasks ADD CONSTRAINT tasks_reminders_is_array
+    CHECK (jsonb_typeof(reminders) = 'array');
+
+-- Open tasks with reminders, loaded when the app starts
+CREATE INDEX IF NOT EXISTS idx_tasks_reminders ON tasks(user_id)
+    WHERE archived = false AND reminders <> '[]';
+
+-- ============================================================================
+-- TASK ATTACHMENTS
+-- Files live in the private task-attachments bucket under
+-- <user id>/<task id>/, one row per file in task_attachments. Both are only
+-- ever visible to the person who uploaded them. Deleting a task removes its
+-- rows but leaves the files in the uploader's folder.
+-- ============================================================================
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('task-attachments', 'task-attachments', false, 26214400) -- 25 MB
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Users can read their own attachment files" ON storage.objects;
+CREATE POLICY "Users can read their own attachment files" ON storage.objects
+    FOR SELECT USING (
+        bucket_id = 'task-attachments'
+        AND (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+DROP POLICY IF EXISTS "Users can upload attachment files" ON storage.objects;
+CREATE POLICY "Users can upload attachment files" ON storage.objects
+    FOR INSERT WITH CHECK (
+        bucket_id = 'task-attachments'
+        AND (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+DROP POLICY IF EXISTS "Users can delete their own attachment files" ON storage.objects;
+CREATE POLICY "Users can delete their own attachment files" ON storage.objects
+    FOR DELETE USING (
+        bucket_id = 'task-attachments'
+        AND (storage.foldername(name))[1] = auth.uid()::text
+    );
+
+CREATE TABLE IF NOT EXISTS task_attachments (
+    id TEXT PRIMARY KEY,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    path TEXT NOT NULL UNIQUE,
+    mime_type TEXT,
+    size BIGINT NOT NULL CHECK (size > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_attachments_task ON task_attachments(task_id, created_at);
+
+ALTER TABLE task_attachments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own attachments" ON task_attachments;
+CREATE POLICY "Users can view their own attachments" ON task_attachments
+    FOR SELECT USING (auth.uid()::text = user_id);
+
+DROP POLICY IF EXISTS "Users can attach files to tasks they see" ON task_attachments;
+CREATE POLICY "Users can attach files to tasks they see" ON task_attachments
+    FOR INSERT WITH CHECK (
+        auth.uid()::text = user_id
+        AND split_part(path, '/', 1) = user_id
+        AND EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_attachments.task_id)
+    );
+
+DROP POLICY IF EXISTS "Users can delete their own attachments" ON task_attachments;
+CREATE POLICY "Users can delete their own attachments" ON task_attachments
+    FOR DELETE USING (auth.uid()::text = user_id);
+
+-- ============================================================================
+-- PUSH NOTIFICATIONS
+-- Browsers subscribed to Web Push, one row per subscription endpoint, and the
+-- pushes api/push has sent, so each goes out once. A browser belongs to
+-- whoever subscribed it last. Only the service role reads push_deliveries.
+-- ============================================================================
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    endpoint TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    p256dh TEXT NOT NULL,
+    auth TEXT NOT NULL,
+    time_zone TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view their own push subscriptions" ON push_subscriptions;
+CREATE POLICY "Users can view their own push subscriptions" ON push_subscriptions
+    FOR SELECT USING (auth.uid()::text = user_id);
+
+DROP POLICY IF EXISTS "Users can delete their own push subscriptions" ON push_subscriptions;
+CREATE POLICY "Users can delete their own push subscriptions" ON push_subscriptions
+    FOR DELETE USING (auth.uid()::text = user_id);
+
+DROP TRIGGER IF EXISTS trigger_push_subscriptions_updated_at ON push_subscriptions;
+CREATE TRIGGER trigger_push_subscriptions_updated_at
+    BEFORE UPDATE ON push_subscriptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Save the caller's subscription, taking the endpoint over from whoever had
+-- it before on this browser
+CREATE OR REPLACE FUNCTION save_push_subscription(
+    p_endpoint TEXT,
+    p_p256dh TEXT,
+    p_auth TEXT,
+    p_time_zone TEXT DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Sign in to subscribe to notifications'
+            USING ERRCODE = 'insufficient_privilege';
+    END IF;
+
+    INSERT INTO push_subscriptions (endpoint, user_id, p256dh, auth, time_zone)
+    VALUES (p_endpoint, auth.uid()::text, p_p256dh, p_auth, p_time_zone)
+    ON CONFLICT (endpoint) DO UPDATE
+        SET user_id = EXCLUDED.user_id,
+            p256dh = EXCLUDED.p256dh,
+            auth = EXCLUDED.auth,
+            time_zone = EXCLUDED.time_zone;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TABLE IF NOT EXISTS push_deliveries (
+    user_id TEXT NOT NULL,
+    key TEXT NOT NULL,
+    sent_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_deliveries_sent_at ON push_deliveries(sent_at);
+
+-- No policies: only the service role gets through
+ALTER TABLE push_deliveries ENABLE ROW LEVEL SECURITY;
+
 -- ============================================================================
 -- ADVANCED POSTGRESQL FUNCTIONS
 -- Firebase literally cannot do this - this is PostgreSQL's power
 -- ============================================================================
 
--- Function to get user analytics
-CREATE OR REPLACE FUNCTION get_user_analytics(p_user_id TEXT)
+-- Function to get user analytics for a date range
+-- "Created" counts tasks created in the range, "completed" counts tasks completed
+-- in it; days are bucketed in the caller's time zone.
+-- Mirrors computeAnalytics() in src/lib/analytics.js, which is used when this
+-- function isn't installed.
+DROP FUNCTION IF EXISTS get_user_analytics(TEXT);
+CREATE OR REPLACE FUNCTION get_user_analytics(
+    p_user_id TEXT,
+    p_from DATE DEFAULT CURRENT_DATE - 29,
+    p_to DATE DEFAULT CURRENT_DATE,
+    p_timezone TEXT DEFAULT 'UTC'
+)
 RETURNS JSON AS $$
 DECLARE
     result JSON;
 BEGIN
-    SELECT json_build_object(
-        'total_tasks', total_tasks,
-        'completed_tasks', completed_tasks,
-        'completion_rate', CASE 
-            WHEN total_tasks > 0 THEN ROUND((completed_tasks::float / total_tasks::float) * 100, 2)
-            ELSE 0 
-        END,
-        'tasks_by_priority', tasks_by_priority,
-        'tasks_by_project', tasks_by_project,
-        'ai_enhanced_percentage', CASE 
-            WHEN total_tasks > 0 THEN ROUND((ai_enhanced_count::float / total_tasks::float) * 100, 2)
-            ELSE 0 
-        END,
-        'average_completion_time_days', avg_completion_time,
-        'productivity_trend', productivity_trend
-    ) INTO result
-    FROM (
+    -- Callers may only read their own analytics
+    IF p_user_id IS DISTINCT FROM auth.uid()::text THEN
+        RETURN NULL;
+    END IF;
+
+    WITH user_tasks AS (
         SELECT 
-            COUNT(*) as total_tasks,
-            COUNT(*) FILTER (WHERE archived = true) as completed_tasks,
-            COUNT(*) FILTER (WHERE ai_enhanced = true) as ai_enhanced_count,
-            json_object_agg(priority, priority_count) as tasks_by_priority,
-            json_object_agg(project_name, project_count) as tasks_by_project,
-            AVG(
-                CASE 
-                    WHEN archived = true THEN 
-                        EXTRACT(EPOCH FROM (updated_at - created_at)) / 86400.0
-                    ELSE NULL 
-                END
-            ) as avg_completion_time,
-            (
-                SELECT json_agg(
-                    json_build_object(
-                        'date', date_trunc('day', created_at),
-                        'completed', COUNT(*) FILTER (WHERE archived = true),
-                        'created', COUNT(*)
-                    )
-                )
-                FROM tasks t2 
-                WHERE t2.user_id = p_user_id 
-                    AND t2.created_at >= NOW() - INTERVAL '30 days'
-                GROUP BY date_trunc('day', created_at)
-                ORDER BY date_trunc('day', created_at)
-            ) as productivity_trend
-        FROM (
-            SELECT 
-                t.*,
-                COALESCE(p.name, 'Unknown Project') as project_name,
-                priority,
-                COUNT(*) OVER (PARTITION BY priority) as priority_count,
-                COUNT(*) OVER (PARTITION BY COALESCE(p.name, 'Unknown Project')) as project_count
-            FROM tasks t
-            LEFT JOIN projects p ON t.project_id = p.id
-            WHERE t.user_id = p_user_id
-        ) task_stats
-    ) analytics;
+            t.id,
+            t.project_id,
+            t.priority,
+            t.archived,
+            t.ai_enhanced,
+            t.created_at,
+            t.updated_at,
+            (t.created_at AT TIME ZONE p_timezone)::date as created_day,
+            CASE WHEN t.archived THEN (t.updated_at AT TIME ZONE p_timezone)::date END as completed_day
+        FROM tasks t
+        WHERE t.user_id = p_user_id
+    ),
+    created_in_range AS (
+        SELECT * FROM user_tasks WHERE created_day BETWEEN p_from AND p_to
+    ),
+    completed_in_range AS (
+        SELECT * FROM user_tasks WHERE completed_day BETWEEN p_from AND p_to
+    )
+    SELECT json_build_object(
+        'total_tasks', (SELECT COUNT(*) FROM created_in_range),
+        'completed_tasks', (SELECT COUNT(*) FROM completed_in_range),
+        'completion_rate', (
+            SELECT COALESCE(ROUND(100.0 * COUNT(*) FILTER (WHERE archived) / NULLIF(COUNT(*), 0), 1), 0)
+            FROM created_in_range
+        ),
+        'ai_enhanced_percentage', (
+            SELECT COALESCE(ROUND(100.0 * COUNT(*) FILTER (WHERE ai_enhanced) / NULLIF(COUNT(*), 0), 1), 0)
+            FROM created_in_range
+        ),
+        'average_completion_time_days', (
+            SELECT ROUND((AVG(EXTRACT(EPOCH FROM (updated_at - created_at))) / 86400.0)::numeric, 1)
+            FROM completed_in_range
+        ),
+        'tasks_by_priority', (
+            SELECT COALESCE(json_agg(json_build_object(
+                'priority', priority,
+                'total', total,
+                'completed', completed
+            )), '[]'::json)
+            FROM (
+                SELECT priority, COUNT(*) as total, COUNT(*) FILTER (WHERE archived) as completed
+                FROM created_in_range
+                GROUP BY priority
+            ) by_priority
+        ),
+        'tasks_by_project', (
+            SELECT COALESCE(json_agg(json_build_object(
+                'project_id', project_id,
+                'project_name', project_name,
+                'total', total,
+                'completed', completed
+            ) ORDER BY total DESC), '[]'::json)
+            FROM (
+                SELECT 
+                    c.project_id,
+                    COALESCE(p.name, 'Inbox') as project_name,
+                    COUNT(*) as total,
+                    COUNT(*) FILTER (WHERE c.archived) as completed
+                FROM created_in_range c
+                LEFT JOIN projects p ON c.project_id = p.id
+                GROUP BY c.project_id, p.name
+            ) by_project
+        ),
+        'productivity_trend', (
+            SELECT json_agg(json_build_object(
+                'date', d::date,
+                'created', (SELECT COUNT(*) FROM created_in_range WHERE created_day = d::date),
+                'completed', (SELECT COUNT(*) FROM completed_in_range WHERE completed_day = d::date)
+            ) ORDER BY d)
+            FROM generate_series(p_from, p_to, INTERVAL '1 day') as d
+        )
+    ) INTO result;
     
     RETURN result;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Function to get productivity insights using window functions
-CREATE OR REPLACE FUNCTION get_productivity_insights(p_user_id TEXT, days_back INT DEFAULT 30)
+-- Function to get productivity insights for a date range
+-- Velocity compares completions per day in the last 7 days of the range with
+-- the 7 days before that.
+DROP FUNCTION IF EXISTS get_productivity_insights(TEXT, INT);
+CREATE OR REPLACE FUNCTION get_productivity_insights(
+    p_user_id TEXT,
+    p_from DATE DEFAULT CURRENT_DATE - 29,
+    p_to DATE DEFAULT CURRENT_DATE,
+    p_timezone TEXT DEFAULT 'UTC'
+)
 RETURNS JSON AS $$
 DECLARE
     result JSON;
 BEGIN
-    WITH daily_stats AS (
-        SELECT 
-            DATE(t.updated_at) as completion_date,
-            COUNT(*) FILTER (WHERE t.archived = true) as completed_count,
-            AVG(
-                CASE 
-                    WHEN t.archived = true THEN 
-                        EXTRACT(EPOCH FROM (t.updated_at - t.created_at)) / 3600.0
-                    ELSE NULL 
-                END
-            ) as avg_completion_hours,
-            COUNT(*) FILTER (WHERE t.ai_enhanced = true AND t.archived = true) as ai_completed
-        FROM tasks t
-        WHERE t.user_id = p_user_id 
-            AND t.archived = true
-            AND t.updated_at >= NOW() - (days_back || ' days')::INTERVAL
-        GROUP BY DATE(t.updated_at)
-        ORDER BY DATE(t.updated_at)
-    ),
-    project_stats AS (
+    IF p_user_id IS DISTINCT FROM auth.uid()::text THEN
+        RETURN NULL;
+    END IF;
+
+    WITH completed AS (
         SELECT 
-            COALESCE(p.name, 'Unknown Project') as project_name,
-            ROUND(
-                (COUNT(*) FILTER (WHERE t.archived = true)::float / 
-                 NULLIF(COUNT(*), 0)::float) * 100, 2
-            ) as completion_rate,
-            AVG(
-                CASE 
-                    WHEN t.archived = true THEN 
-                        EXTRACT(EPOCH FROM (t.updated_at - t.created_at)) / 3600.0
-                    ELSE NULL 
-                END
-            ) as avg_completion_time
+            t.ai_enhanced,
+            t.updated_at AT TIME ZONE p_timezone as completed_local
         FROM tasks t
-        LEFT JOIN projects p ON t.project_id = p.id
-        WHERE t.user_id = p_user_id 
-            AND t.created_at >= NOW() - (days_back || ' days')::INTERVAL
-        GROUP BY COALESCE(p.name, 'Unknown Project')
+        WHERE t.user_id = p_user_id AND t.archived = true
     )
     SELECT json_build_object(
-        'daily_completions', (SELECT json_agg(
-            json_build_object(
-                'date', completion_date,
-                'completed', completed_count,
-                'avg_completion_time_hours', avg_completion_hours,
-                'ai_enhanced_completed', ai_completed
-            )
-        ) FROM daily_stats),
         'peak_productivity_day', (
-            SELECT mode() WITHIN GROUP (ORDER BY EXTRACT(dow FROM updated_at))
-            FROM tasks 
-            WHERE user_id = p_user_id AND archived = true
-                AND updated_at >= NOW() - (days_back || ' days')::INTERVAL
+            SELECT mode() WITHIN GROUP (ORDER BY EXTRACT(dow FROM completed_local))
+            FROM completed
+            WHERE completed_local::date BETWEEN p_from AND p_to
         ),
         'peak_productivity_hour', (
-            SELECT mode() WITHIN GROUP (ORDER BY EXTRACT(hour FROM updated_at))
-            FROM tasks 
-            WHERE user_id = p_user_id AND archived = true
-                AND updated_at >= NOW() - (days_back || ' days')::INTERVAL
+            SELECT mode() WITHIN GROUP (ORDER BY EXTRACT(hour FROM completed_local))
+            FROM completed
+            WHERE completed_local::date BETWEEN p_from AND p_to
         ),
         'completion_velocity', (
-            SELECT CASE 
-                WHEN COUNT(*) > 7 THEN
-                    ROUND(
-                        (COUNT(*) FILTER (WHERE updated_at >= NOW() - INTERVAL '7 days')::float / 7.0) -
-                        (COUNT(*) FILTER (WHERE updated_at >= NOW() - INTERVAL '14 days' 
-                                         AND updated_at < NOW() - INTERVAL '7 days')::float / 7.0),
-                        2
-                    )
-                ELSE 0
-            END
-            FROM tasks 
-            WHERE user_id = p_user_id AND archived = true
+            SELECT ROUND((
+                COUNT(*) FILTER (WHERE completed_local::date > p_to - 7 AND completed_local::date <= p_to) -
+                COUNT(*) FILTER (WHERE completed_local::date > p_to - 14 AND completed_local::date <= p_to - 7)
+            )::numeric / 7.0, 2)
+            FROM completed
         ),
-        'project_performance', (SELECT json_agg(
-            json_build_object(
-                'project_name', project_name,
-                'completion_rate', completion_rate,
-                'avg_completion_time', avg_completion_time
-            )
-        ) FROM project_stats),
         'ai_task_success_rate', (
-            SELECT CASE 
-                WHEN COUNT(*) FILTER (WHERE ai_enhanced = true) > 0 THEN
-                    ROUND(
-                        (COUNT(*) FILTER (WHERE ai_enhanced = true AND archived = true)::float /
-                         COUNT(*) FILTER (WHERE ai_enhanced = true)::float) * 100, 2
-                    )
-                ELSE 0
-            END
-            FROM tasks 
-            WHERE user_id = p_user_id 
-                AND created_at >= NOW() - (days_back || ' days')::INTERVAL
+            SELECT COALESCE(ROUND(
+                100.0 * COUNT(*) FILTER (WHERE t.ai_enhanced AND t.archived) /
+                NULLIF(COUNT(*) FILTER (WHERE t.ai_enhanced), 0), 1
+            ), 0)
+            FROM tasks t
+            WHERE t.user_id = p_user_id
+                AND (t.created_at AT TIME ZONE p_timezone)::date BETWEEN p_from AND p_to
         )
     ) INTO result;
     
@@ -275,6 +1072,40 @@ CREATE TRIGGER trigger_auto_archive_subtasks
     FOR EACH ROW
     EXECUTE FUNCTION auto_archive_subtasks();
 
+-- Trigger to stamp when a task was completed
+-- Inserts may carry completed_at (restoring a deleted completed task); updates
+-- always use the time of the change.
+CREATE OR REPLACE FUNCTION set_task_completed_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NOT NEW.archived THEN
+        NEW.completed_at = NULL;
+    ELSIF TG_OP = 'INSERT' THEN
+        NEW.completed_at = COALESCE(NEW.completed_at, NOW());
+    ELSIF NOT OLD.archived THEN
+        NEW.completed_at = NOW();
+    ELSE
+        NEW.completed_at = COALESCE(OLD.completed_at, NEW.completed_at, NOW());
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_tasks_completed_at ON tasks;
+CREATE TRIGGER trigger_tasks_completed_at
+    BEFORE INSERT OR UPDATE OF archived, completed_at ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION set_task_completed_at();
+
+-- Tasks completed before the column existed: updated_at is the best guess.
+-- Leave updated_at itself alone while backfilling.
+ALTER TABLE tasks DISABLE TRIGGER trigger_tasks_updated_at;
+UPDATE tasks
+SET completed_at = updated_at
+WHERE archived = true AND completed_at IS NULL;
+ALTER TABLE tasks ENABLE TRIGGER trigger_tasks_updated_at;
+
 -- Trigger to update project task counts in real-time
 CREATE OR REPLACE FUNCTION update_project_task_count()
 RETURNS TRIGGER AS $$
@@ -374,31 +1205,146 @@ UPDATE tasks SET search_vector = to_tsvector('english',
 ) WHERE search_vector IS NULL;
 
 -- Function for intelligent task search
-CREATE OR REPLACE FUNCTION search_tasks(p_user_id TEXT, search_query TEXT)
+-- Prefix matching so results update while typing ("meet" finds "meeting").
+-- Matches are wrapped in chr(2)/chr(3) markers rather than HTML so the client
+-- can highlight them without injecting markup from task text.
+DROP FUNCTION IF EXISTS search_tasks(TEXT, TEXT);
+DROP FUNCTION IF EXISTS search_tasks(TEXT, TEXT, BOOLEAN, INT);
+CREATE OR REPLACE FUNCTION search_tasks(
+    p_user_id TEXT,
+    search_query TEXT,
+    include_archived BOOLEAN DEFAULT true,
+    result_limit INT DEFAULT 20
+)
 RETURNS TABLE(
     id INTEGER,
     task TEXT,
+    highlighted_task TEXT,
+    project_id TEXT,
     project_name TEXT,
     priority TEXT,
+    archived BOOLEAN,
+    due_date DATE,
     created_at TIMESTAMPTZ,
     relevance_score REAL
 ) AS $$
+DECLARE
+    v_query tsquery;
 BEGIN
+    -- Callers may only search as themselves
+    IF p_user_id IS DISTINCT FROM auth.uid()::text THEN
+        RETURN;
+    END IF;
+
+    SELECT to_tsquery('english', string_agg(word || ':*', ' & '))
+    INTO v_query
+    FROM regexp_split_to_table(
+        trim(regexp_replace(search_query, '[^[:alnum:][:space:]]', ' ', 'g')),
+        '\s+'
+    ) AS word
+    WHERE word <> '';
+
+    IF v_query IS NULL THEN
+        RETURN;
+    END IF;
+
     RETURN QUERY
     SELECT 
         t.id,
         t.task,
-        COALESCE(p.name, 'Unknown Project') as project_name,
+        ts_headline(
+            'english',
+            t.task,
+            v_query,
+            'HighlightAll=true, StartSel=' || chr(2) || ', StopSel=' || chr(3)
+        ) as highlighted_task,
+        t.project_id,
+        COALESCE(p.name, 'Inbox') as project_name,
         t.priority,
+        t.archived,
+        t.due_date,
         t.created_at,
-        ts_rank(t.search_vector, plainto_tsquery('english', search_query)) as relevance_score
+        ts_rank(t.search_vector, v_query) as relevance_score
     FROM tasks t
     LEFT JOIN projects p ON t.project_id = p.id
-    WHERE t.user_id = p_user_id
-        AND t.search_vector @@ plainto_tsquery('english', search_query)
-        AND t.archived = false
-    ORDER BY relevance_score DESC, t.created_at DESC
-    LIMIT 50;
+    -- The tasks the caller can see: their own and those of projects shared
+    -- with them (owners are members too), as the tasks policies have it
+    WHERE (
+            t.user_id = p_user_id
+            OR t.project_id IN (
+                SELECT project_id FROM project_members WHERE user_id = p_user_id
+            )
+        )
+        AND t.search_vector @@ v_query
+        AND (include_archived OR t.archived = false)
+    ORDER BY t.archived ASC, ts_rank(t.search_vector, v_query) DESC, t.created_at DESC
+    LIMIT LEAST(GREATEST(result_limit, 1), 50);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- ============================================================================
+-- SAFE PROJECT DELETION
+-- Deletes a project and moves its tasks elsewhere (the Inbox by default) or
+-- deletes them with it, in one transaction. Sub-projects move up to the top
+-- level and sections go with the project. Returns how many tasks were moved
+-- or deleted.
+-- ============================================================================
+
+DROP FUNCTION IF EXISTS delete_project_safely(TEXT, TEXT, TEXT);
+CREATE OR REPLACE FUNCTION delete_project_safely(
+    p_project_id TEXT,
+    p_task_action TEXT DEFAULT 'move',
+    p_target_project_id TEXT DEFAULT '1'
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_user_id TEXT := auth.uid()::text;
+    v_target_project_id TEXT := COALESCE(p_target_project_id, '1');
+    v_task_count INTEGER;
+BEGIN
+    IF p_task_action NOT IN ('move', 'delete') THEN
+        RAISE EXCEPTION 'Unknown task action: %', p_task_action
+            USING ERRCODE = 'invalid_parameter_value';
+    END IF;
+
+    -- Callers may only delete their own projects; the lock keeps tasks from
+    -- being added to it while it goes
+    PERFORM 1 FROM projects
+    WHERE id = p_project_id AND user_id = v_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Project % not found', p_project_id
+            USING ERRCODE = 'no_data_found';
+    END IF;
+
+    IF p_task_action = 'move' THEN
+        -- The Inbox ('1') has no row of its own
+        IF v_target_project_id = p_project_id OR (
+            v_target_project_id <> '1' AND NOT EXISTS (
+                SELECT 1 FROM projects
+                WHERE id = v_target_project_id AND user_id = v_user_id
+            )
+        ) THEN
+            RAISE EXCEPTION 'Cannot move tasks to project %', v_target_project_id
+                USING ERRCODE = 'invalid_parameter_value';
+        END IF;
+
+        -- Collaborators' tasks included
+        UPDATE tasks
+        SET project_id = v_target_project_id, section_id = NULL
+        WHERE project_id = p_project_id;
+    ELSE
+        -- Subtasks go with their parents (ON DELETE CASCADE)
+        DELETE FROM tasks
+        WHERE project_id = p_project_id;
+    END IF;
+
+    GET DIAGNOSTICS v_task_count = ROW_COUNT;
+
+    DELETE FROM projects WHERE id = p_project_id AND user_id = v_user_id;
+
+    RETURN v_task_count;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
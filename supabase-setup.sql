@@ -6,7 +6,9 @@ CREATE TABLE tasks (
     id SERIAL PRIMARY KEY, -- Use SERIAL for auto-incrementing integer IDs
     task TEXT NOT NULL,
     project_id TEXT DEFAULT '1',
-    date TEXT,
+    due_date DATE,
+    due_time TIME,
+    due_timezone TEXT, -- IANA zone the due date/time was set in
     priority TEXT DEFAULT 'medium',
     archived BOOLEAN DEFAULT false,
     user_id TEXT DEFAULT 'demo-user',